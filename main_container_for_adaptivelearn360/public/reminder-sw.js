@@ -0,0 +1,27 @@
+/* Service worker for AdaptiveLearn360 study reminders.
+ * The app shows notifications through this worker; clicking one focuses an
+ * open app window and opens the session it links to, or opens a new window.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const url = (event.notification.data && event.notification.data.url) || '#';
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      if (windows.length > 0) {
+        windows[0].postMessage({ type: 'open-reminder', url });
+        return windows[0].focus();
+      }
+      return self.clients.openWindow(new URL(url, self.registration.scope).href);
+    })
+  );
+});
@@ -1,37 +1,142 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './App.css';
+import { UserProvider, useUser } from './contexts/UserContext';
+import { ContentProvider } from './contexts/ContentContext';
+import { AdaptiveProvider, useAdaptive } from './contexts/AdaptiveContext';
+import { ThemeProvider, useTheme } from './contexts/ThemeContext';
+import Dashboard from './components/Dashboard';
+import FocusOverlay from './components/FocusOverlay';
+import { hasPermission, PERMISSIONS } from './utils/permissions';
+import { mockAccounts } from './data/mockRoster';
+
+// Map the active theme onto the CSS variables used in App.css
+const buildThemeStyle = (themeColors, fontSizes) => ({
+  '--kavia-orange': themeColors.main,
+  '--kavia-dark': themeColors.background,
+  '--text-color': themeColors.text,
+  '--text-secondary': themeColors.textSecondary,
+  '--border-color': themeColors.border,
+  '--color-success': themeColors.success,
+  '--color-warning': themeColors.warning,
+  '--color-error': themeColors.error,
+  '--color-info': themeColors.info,
+  '--font-base': fontSizes.base,
+  '--font-large': fontSizes.large,
+  '--font-heading': fontSizes.heading,
+  '--font-subheading': fontSizes.subheading,
+});
+
+function AppShell({ onSwitchAccount }) {
+  const {
+    account,
+    roster,
+    activeLearnerId,
+    switchLearner,
+    userData,
+    loading,
+    error,
+    syncStatus,
+    pendingMutations
+  } = useUser();
+  const {
+    focusMode,
+    focusOverlay,
+    lastFocusSession,
+    toggleFocusMode,
+    dismissFocusSummary
+  } = useAdaptive();
+  const { themeColors, fontSizes, animation } = useTheme();
 
-function App() {
   return (
-    <div className="app">
+    <div
+      className={`app animation-${animation}`}
+      style={buildThemeStyle(themeColors, fontSizes)}
+    >
       <nav className="navbar">
         <div className="container">
           <div style={{ display: 'flex', justifyContent: 'space-between', width: '100%' }}>
             <div className="logo">
-              <span className="logo-symbol">*</span> KAVIA AI
+              <span className="logo-symbol">*</span> AdaptiveLearn360
+            </div>
+            <div className="navbar-actions">
+              <select
+                className="navbar-select"
+                aria-label="Signed in as"
+                value={account.id}
+                onChange={(event) => onSwitchAccount(event.target.value)}
+              >
+                {mockAccounts.map(option => (
+                  <option key={option.id} value={option.id}>
+                    {option.name} ({option.role})
+                  </option>
+                ))}
+              </select>
+              {hasPermission(account, PERMISSIONS.SWITCH_LEARNER) && (
+                <select
+                  className="navbar-select"
+                  aria-label="Active learner"
+                  value={activeLearnerId}
+                  onChange={(event) => switchLearner(event.target.value)}
+                >
+                  {roster.map(learner => (
+                    <option key={learner.id} value={learner.id}>
+                      {learner.name || learner.id}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {syncStatus === 'offline' && (
+                <span className="sync-status">
+                  Offline{pendingMutations > 0 && ` - ${pendingMutations} change(s) pending`}
+                </span>
+              )}
+              {syncStatus === 'retrying' && (
+                <span className="sync-status">
+                  Server unavailable - retrying {pendingMutations} change(s)
+                </span>
+              )}
+              <button className="btn" onClick={toggleFocusMode} disabled={!userData}>
+                {focusMode ? 'Exit focus mode' : 'Focus mode'}
+              </button>
             </div>
-            <button className="btn">Template Button</button>
           </div>
         </div>
       </nav>
 
       <main>
         <div className="container">
-          <div className="hero">
-            <div className="subtitle">AI Workflow Manager Template</div>
-            
-            <h1 className="title">main_container_for_adaptivelearn360</h1>
-            
-            <div className="description">
-              Start building your application.
+          {loading && <div className="status-message">Loading your learning profile...</div>}
+          {error && <div className="status-message status-error">{error}</div>}
+          {lastFocusSession && (
+            <div className="focus-summary" role="status">
+              Focus session: {lastFocusSession.duration} min, {lastFocusSession.distractions.length} distraction(s),
+              focus score {lastFocusSession.focusScore}.
+              <button className="link-button" onClick={dismissFocusSummary}>Dismiss</button>
             </div>
-            
-            <button className="btn btn-large">Button</button>
-          </div>
+          )}
+          {!loading && userData && (focusMode && focusOverlay ? <FocusOverlay /> : <Dashboard />)}
         </div>
       </main>
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+function App() {
+  // Account picker for the mock backend; a real app would take this from sign-in
+  const [accountId, setAccountId] = useState(mockAccounts[0].id);
+  const account = mockAccounts.find(option => option.id === accountId);
+
+  return (
+    <UserProvider account={account}>
+      <ContentProvider>
+        <AdaptiveProvider>
+          <ThemeProvider>
+            <AppShell onSwitchAccount={setAccountId} />
+          </ThemeProvider>
+        </AdaptiveProvider>
+      </ContentProvider>
+    </UserProvider>
+  );
+}
+
+export default App;
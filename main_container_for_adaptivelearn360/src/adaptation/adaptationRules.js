@@ -0,0 +1,213 @@
+/**
+ * Adaptations decided by the rules engine
+ *
+ * The dashboard layout, theme, font size, animation and UI hints all come
+ * from one rule set, evaluated against facts about the learner, their
+ * device and the time:
+ *   user    - { performance, habits, accessibility, preferences }
+ *   device  - { type } ('mobile', 'tablet' or 'desktop')
+ *   time    - { period, weekday, periodPreference } where periodPreference
+ *             is how strongly the learner prefers studying at this time (0-1)
+ *   session - { focusMode }
+ * defaultRules.json is used unless another rule set is loaded; targets a
+ * loaded set does not decide fall back to the default rules. The learner
+ * can override or snooze any single adaptation on top of the rules; for the
+ * theme, font size, animation and layout an override is the setting they
+ * pinned (see resolveSettingLayers).
+ */
+import defaultRules from './defaultRules.json';
+import { parseRuleSet, evaluateRules, collectValues, RuleSetError } from './ruleEngine';
+import { getStudyTimeScores } from '../utils/studyTimePreferences';
+
+// PUBLIC_INTERFACE
+/**
+ * Every target a rule can decide, with the values it may take (null for true/false)
+ */
+export const ADAPTATION_TARGETS = {
+  layout: ['standard', 'guided', 'advanced', 'compact', 'focused'],
+  theme: ['default', 'highContrast', 'night', 'focus'],
+  fontSize: ['small', 'medium', 'large', 'extraLarge'],
+  animation: ['enabled', 'reduced'],
+  'uiHints.simplifyNavigation': null,
+  'uiHints.useVisualAids': null,
+  'uiHints.useStepByStep': null,
+  'uiHints.suggestMoreBreaks': null,
+  'uiHints.highlightKeyInfo': null,
+  'uiHints.useCompactLayout': null,
+  'uiHints.emphasizeProgress': null
+};
+
+const isAllowedValue = (target, value) => {
+  const allowed = ADAPTATION_TARGETS[target];
+  return allowed ? allowed.includes(value) : typeof value === 'boolean';
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read a rule set for adaptations, checking its targets and literal values
+ * @param {string|Object} source - Rule set JSON text or the parsed object
+ * @returns {Object} - Rule set, as from parseRuleSet
+ * @throws {RuleSetError} - If the rule set is invalid or decides something unknown
+ */
+export const parseAdaptationRules = (source) => {
+  const ruleSet = parseRuleSet(source);
+  const problems = ruleSet.rules.flatMap(rule => {
+    if (!(rule.target in ADAPTATION_TARGETS)) return [`Rule "${rule.id}" has an unknown target "${rule.target}"`];
+    // Values read from a fact are checked when the rules are evaluated
+    const fromFact = rule.value !== null && typeof rule.value === 'object' && rule.value.fact !== undefined;
+    return fromFact || isAllowedValue(rule.target, rule.value)
+      ? []
+      : [`Rule "${rule.id}" sets ${rule.target} to an unknown value "${rule.value}"`];
+  });
+  if (problems.length > 0) throw new RuleSetError(problems);
+  return ruleSet;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The built-in rule set
+ */
+export const DEFAULT_ADAPTATION_RULES = parseAdaptationRules(defaultRules);
+
+// PUBLIC_INTERFACE
+/**
+ * Gather the facts adaptation rules are evaluated against
+ * @param {Object} context - { userData, deviceType, timeOfDay, focusMode, now }
+ * @returns {Object} - Facts (see the module comment); sections are empty while no user is loaded
+ */
+export const buildAdaptationFacts = ({ userData, deviceType, timeOfDay, focusMode = false, now = new Date() }) => {
+  const habits = (userData && userData.habits) || {};
+  const scores = habits.preferredStudyTime ? getStudyTimeScores(habits, now.getDay()) : {};
+  return {
+    user: {
+      performance: (userData && userData.performance) || {},
+      habits,
+      accessibility: (userData && userData.accessibility) || {},
+      preferences: (userData && userData.preferences) || {}
+    },
+    device: { type: deviceType },
+    time: { period: timeOfDay, weekday: now.getDay(), periodPreference: scores[timeOfDay] || 0 },
+    session: { focusMode }
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Decide every adaptation for a set of facts
+ * @param {Object} facts - From buildAdaptationFacts
+ * @param {Object} ruleSet - Rule set from parseAdaptationRules (the default rules if omitted)
+ * @returns {Object} - { values, trace } as from evaluateRules, where values holds
+ *   layout, theme, fontSize, animation and uiHints
+ */
+export const evaluateAdaptations = (facts, ruleSet = DEFAULT_ADAPTATION_RULES) => {
+  // A value read from a fact that is not allowed passes the decision to the next rule
+  const result = evaluateRules(ruleSet, facts, { accept: isAllowedValue });
+  if (ruleSet === DEFAULT_ADAPTATION_RULES) return result;
+
+  const fallback = evaluateRules(DEFAULT_ADAPTATION_RULES, facts, { accept: isAllowedValue });
+  const trace = { ...fallback.trace, ...result.trace };
+  return { values: collectValues(trace), trace };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The value a target takes when nothing adapts it: the lowest-priority
+ * unconditional rule for it (from the default rules if the set has none)
+ * @param {string} target - Adaptation target
+ * @param {Object} ruleSet - Rule set from parseAdaptationRules
+ * @returns {*} - Baseline value
+ */
+export const getBaselineValue = (target, ruleSet = DEFAULT_ADAPTATION_RULES) => {
+  const baseline = [...ruleSet.rules]
+    .reverse()
+    .find(rule => rule.target === target && !rule.when && isAllowedValue(target, rule.value));
+  if (baseline) return baseline.value;
+  return ruleSet === DEFAULT_ADAPTATION_RULES ? undefined : getBaselineValue(target);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Keep the learner's overrides and snoozes that can still be applied
+ * @param {Object} overrides - { [target]: { mode: 'override', value } | { mode: 'snooze', until } }
+ * @returns {Object} - Valid entries for known targets
+ */
+export const normalizeAdaptationOverrides = (overrides) =>
+  Object.entries(overrides && typeof overrides === 'object' ? overrides : {}).reduce((valid, [target, entry]) => {
+    if (!(target in ADAPTATION_TARGETS) || !entry) return valid;
+    const usable = entry.mode === 'override'
+      ? isAllowedValue(target, entry.value)
+      : entry.mode === 'snooze' && !Number.isNaN(new Date(entry.until).getTime());
+    return usable ? { ...valid, [target]: entry } : valid;
+  }, {});
+
+// PUBLIC_INTERFACE
+/**
+ * Apply the learner's overrides and snoozes on top of evaluated adaptations.
+ * An override pins the chosen value; a snooze uses the baseline value until
+ * it expires.
+ * @param {Object} result - { values, trace } from evaluateAdaptations
+ * @param {Object} overrides - Entries as kept by normalizeAdaptationOverrides
+ * @param {Object} ruleSet - Rule set the result came from
+ * @param {Date} now - Snoozes that ended before this are ignored
+ * @returns {Object} - { values, trace } where overridden targets have a trace
+ *   entry { value, source: 'override' | 'snooze', until, adapted } and
+ *   adapted is the rule decision they replace
+ */
+export const applyAdaptationOverrides = (result, overrides, ruleSet = DEFAULT_ADAPTATION_RULES, now = new Date()) => {
+  const entries = Object.entries(normalizeAdaptationOverrides(overrides))
+    .filter(([, entry]) => entry.mode === 'override' || new Date(entry.until) > now);
+  if (entries.length === 0) return result;
+
+  const trace = entries.reduce((next, [target, entry]) => ({
+    ...next,
+    [target]: {
+      value: entry.mode === 'override' ? entry.value : getBaselineValue(target, ruleSet),
+      source: entry.mode,
+      until: entry.mode === 'snooze' ? entry.until : null,
+      adapted: result.trace[target]
+    }
+  }), result.trace);
+  return { values: collectValues(trace), trace };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Adaptations the learner can also set by hand
+ */
+export const SETTING_TARGETS = ['theme', 'fontSize', 'animation', 'layout'];
+
+// PUBLIC_INTERFACE
+/**
+ * Resolve each setting through its layers: the system default, then the
+ * adaptive suggestion, then the learner's pinned choice, which wins
+ * @param {Object} trace - Trace from applyAdaptationOverrides
+ * @param {Object} ruleSet - Rule set the trace came from
+ * @returns {Object} - { [target]: { value, source, system, adaptive, pinned, snoozedUntil } }
+ *   where source is 'pinned', 'adaptive' or 'system', adaptive is null when
+ *   no conditional rule applies and pinned is null when nothing is pinned
+ */
+export const resolveSettingLayers = (trace, ruleSet = DEFAULT_ADAPTATION_RULES) =>
+  SETTING_TARGETS.reduce((layers, target) => {
+    const decision = trace[target];
+    const suggestion = decision.source ? decision.adapted : decision;
+    // A rule without conditions only restates the default
+    const adaptive = suggestion && suggestion.checks.length > 0 ? suggestion.value : null;
+    const pinned = decision.source === 'override' ? decision.value : null;
+    const snoozed = decision.source === 'snooze';
+
+    let source = 'system';
+    if (pinned !== null) source = 'pinned';
+    else if (adaptive !== null && !snoozed) source = 'adaptive';
+
+    return {
+      ...layers,
+      [target]: {
+        value: decision.value,
+        source,
+        system: getBaselineValue(target, ruleSet),
+        adaptive,
+        pinned,
+        snoozedUntil: snoozed ? decision.until : null
+      }
+    };
+  }, {});
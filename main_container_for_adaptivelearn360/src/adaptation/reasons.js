@@ -0,0 +1,239 @@
+/**
+ * Reasons behind adaptive decisions in AdaptiveLearn360
+ *
+ * Every adaptive output can carry a machine-readable reason:
+ *   { target, value, source, summary, factors, unit }
+ * source is 'rule' (decided by the adaptation rules), 'score' (added up
+ * from weighted factors), 'override' (chosen by the learner) or 'snooze'
+ * (the adaptation is paused). Each factor is
+ *   { factor, value, contribution, ... }
+ * where contribution is a number in the reason's unit for scores (points,
+ * minutes) and 'decided' or 'ruled-out' for rule decisions: the checks of
+ * the rule that fired, and the checks that kept higher-priority rules from
+ * firing. describeReason turns a reason into plain language.
+ */
+import { ADAPTATION_TARGETS } from './adaptationRules';
+
+// PUBLIC_INTERFACE
+/**
+ * Display names for the adaptation targets
+ */
+export const ADAPTATION_LABELS = {
+  layout: 'Layout',
+  theme: 'Theme',
+  fontSize: 'Text size',
+  animation: 'Animation',
+  'uiHints.simplifyNavigation': 'Simpler navigation',
+  'uiHints.useVisualAids': 'More visual aids',
+  'uiHints.useStepByStep': 'Step-by-step guidance',
+  'uiHints.suggestMoreBreaks': 'More breaks',
+  'uiHints.highlightKeyInfo': 'Key information highlighted',
+  'uiHints.useCompactLayout': 'Compact panels',
+  'uiHints.emphasizeProgress': 'Progress first'
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+const minutes = (value) => `${value} min`;
+
+// How rule facts and score factors are named and formatted
+const FACTORS = {
+  'session.focusMode': { label: 'Focus mode' },
+  'device.type': { label: 'Screen size', format: value => (value === 'mobile' ? 'small' : value) },
+  'time.period': { label: 'Time of day' },
+  'time.periodPreference': { label: 'How often you study at this time', format: percent },
+  'user.performance.averageScore': { label: 'Your average score' },
+  'user.performance.completionRate': { label: 'Share of items you have completed', format: percent },
+  'user.habits.consistencyScore': { label: 'Your study consistency', format: percent },
+  'user.habits.averageSessionLength': { label: 'Your average session', format: minutes },
+  'user.habits.distractionLevel': { label: 'How easily you are distracted' },
+  'user.accessibility.highContrast': { label: 'High contrast setting' },
+  'user.accessibility.largeText': { label: 'Large text setting' },
+  'user.accessibility.motionReduced': { label: 'Reduced motion setting' },
+  'user.preferences.fontSize': { label: 'Your preferred text size' },
+  base: { label: 'Starting score' },
+  mastery: { label: 'Your mastery of this skill', format: percent },
+  weakArea: { label: 'One of your weak areas' },
+  strongArea: { label: 'One of your strong areas' },
+  difficulty: { label: 'Difficulty', format: value => `${Math.round(value * 10) / 10} of 5` },
+  dueDate: { label: 'Due', format: value => (value < 1 ? 'within a day' : `in ${Math.floor(value)} day(s)`) },
+  previouslyStruggled: { label: 'You struggled with this before' },
+  newContent: { label: 'Not studied yet' },
+  studyDuration: { label: 'Your preferred session length', format: minutes },
+  reinforcement: { label: 'Items from your last quiz to reinforce' },
+  recentScore: { label: 'Your last quiz score' }
+};
+
+const OPERATOR_TEXT = {
+  eq: '',
+  neq: 'not ',
+  gt: 'above ',
+  gte: 'at least ',
+  lt: 'below ',
+  lte: 'at most ',
+  in: 'one of ',
+  exists: 'set',
+  missing: 'not set'
+};
+
+const formatValue = (factor, value) => {
+  if (value === undefined || value === null || value === '') return 'not set';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  if (Array.isArray(value)) return value.map(entry => formatValue(factor, entry)).join(' or ');
+  const { format } = FACTORS[factor] || {};
+  return format ? format(value) : String(value);
+};
+
+// Checks of a rule as factors with the given contribution
+const checksToFactors = (checks, contribution, ruleId, rejected = false) =>
+  checks.map(check => ({
+    factor: check.fact,
+    value: check.actual,
+    op: check.op,
+    expected: check.expected,
+    contribution,
+    ruleId,
+    ...(rejected ? { rejected } : {})
+  }));
+
+// PUBLIC_INTERFACE
+/**
+ * Build the reason for one adaptation from its trace entry
+ * @param {string} target - Adaptation target, e.g. 'layout'
+ * @param {Object} decision - Trace entry from evaluateAdaptations or applyAdaptationOverrides
+ * @returns {Object} - Reason (see the module comment)
+ */
+export const reasonFromDecision = (target, decision) => {
+  if (decision.source === 'override' || decision.source === 'snooze') {
+    return {
+      target,
+      value: decision.value,
+      source: decision.source,
+      summary: decision.source === 'override' ? 'You chose this' : 'This adaptation is snoozed',
+      until: decision.until || null,
+      adaptedValue: decision.adapted ? decision.adapted.value : undefined,
+      factors: []
+    };
+  }
+
+  // A rejected rule matched, but the value it would set could not be used
+  const ruledOut = decision.passedOver.flatMap(entry => checksToFactors(
+    entry.rejected ? entry.checks : entry.checks.filter(check => !check.passed),
+    'ruled-out',
+    entry.ruleId,
+    entry.rejected
+  ));
+  return {
+    target,
+    value: decision.value,
+    source: 'rule',
+    ruleId: decision.ruleId,
+    summary: decision.description,
+    factors: [...checksToFactors(decision.checks, 'decided', decision.ruleId), ...ruledOut]
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build the reasons for every adaptation in a trace
+ * @param {Object} trace - Trace from evaluateAdaptations or applyAdaptationOverrides
+ * @returns {Object} - Reasons keyed by target
+ */
+export const reasonsFromTrace = (trace) =>
+  Object.entries(trace).reduce((reasons, [target, decision]) => (
+    { ...reasons, [target]: reasonFromDecision(target, decision) }
+  ), {});
+
+// PUBLIC_INTERFACE
+/**
+ * Build the reason for a value added up from weighted factors
+ * @param {string} target - What the value is, e.g. 'priorityScore'
+ * @param {number} value - The total
+ * @param {Array} factors - [{ factor, value, contribution }]; factors that
+ *   contribute nothing are left out
+ * @param {Object} details - { unit, summary }
+ * @returns {Object} - Reason (see the module comment)
+ */
+export const scoreReason = (target, value, factors, { unit, summary }) => ({
+  target,
+  value,
+  source: 'score',
+  unit,
+  summary,
+  factors: factors.filter(factor => factor.contribution !== 0)
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Add factors to a score reason, e.g. when a later step adjusts the value
+ * @param {Object} reason - Reason from scoreReason
+ * @param {number} value - The new total
+ * @param {Array} factors - Factors behind the change
+ * @returns {Object} - Updated reason
+ */
+export const extendScoreReason = (reason, value, factors) => ({
+  ...reason,
+  value,
+  factors: [...reason.factors, ...factors.filter(factor => factor.contribution !== 0)]
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Describe one factor in plain language
+ * @param {Object} factor - Factor of a reason
+ * @param {string} unit - Unit of a score reason's contributions
+ * @returns {string} - e.g. 'Your average score: 62 (below 70)' or 'Difficulty: 4 of 5 (+1 points)'
+ */
+export const describeFactor = (factor, unit) => {
+  const { label = factor.factor } = FACTORS[factor.factor] || {};
+  const shown = typeof factor.value === 'boolean' && typeof factor.contribution === 'number'
+    ? label
+    : `${label}: ${formatValue(factor.factor, factor.value)}`;
+
+  if (typeof factor.contribution === 'number') {
+    const sign = factor.contribution > 0 ? '+' : '';
+    return `${shown} (${sign}${Math.round(factor.contribution * 10) / 10} ${unit})`;
+  }
+  if (factor.rejected) return `${shown} (not available)`;
+  const condition = factor.op === 'exists' || factor.op === 'missing'
+    ? OPERATOR_TEXT[factor.op]
+    : `${OPERATOR_TEXT[factor.op]}${formatValue(factor.factor, factor.expected)}`;
+  return factor.contribution === 'ruled-out' ? `${shown} (needed ${condition})` : `${shown} (${condition})`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Describe a reason in plain language
+ * @param {Object} reason - Reason (see the module comment)
+ * @returns {Object} - { summary, because, ruledOut } where because and
+ *   ruledOut are lists of sentences
+ */
+export const describeReason = (reason) => {
+  // Several rules can be ruled out by the same check, so repeats are dropped
+  const described = (contribution) => [...new Set(reason.factors
+    .filter(factor => (contribution ? factor.contribution === contribution : typeof factor.contribution === 'number'))
+    .map(factor => describeFactor(factor, reason.unit)))];
+
+  if (reason.source === 'score') {
+    return { summary: reason.summary, because: described(null), ruledOut: [] };
+  }
+  return { summary: reason.summary, because: described('decided'), ruledOut: described('ruled-out') };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Values a learner can choose instead of an adaptation
+ * @param {string} target - Adaptation target
+ * @returns {Array} - Allowed values (true and false for UI hints)
+ */
+export const getAdaptationChoices = (target) => ADAPTATION_TARGETS[target] || [true, false];
+
+// PUBLIC_INTERFACE
+/**
+ * Display name for an adaptation value
+ * @param {*} value - e.g. 'highContrast' or true
+ * @returns {string} - e.g. 'High Contrast' or 'On'
+ */
+export const formatAdaptationValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  return String(value).replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+};
@@ -0,0 +1,277 @@
+/**
+ * Declarative rules engine for AdaptiveLearn360
+ *
+ * A rule set is plain JSON, so it can be tuned without code changes:
+ *   {
+ *     "id": "adaptation", "version": 1,
+ *     "params": { "strongScore": 70 },
+ *     "rules": [
+ *       { "id": "mobile-compact", "target": "layout", "value": "compact", "priority": 90,
+ *         "description": "Small screens get the compact layout",
+ *         "when": { "fact": "device.type", "op": "eq", "value": "mobile" } }
+ *     ]
+ *   }
+ * Conditions compare a fact (a dotted path into the facts object) with a
+ * value, a named param ({ "param": "strongScore" }) or another fact
+ * ({ "fact": "..." }); "exists" and "missing" take no value. Conditions
+ * combine with { "all": [] }, { "any": [] } and { "not": {} }. A rule
+ * without "when" always matches.
+ *
+ * For every target the matching rule with the highest priority wins (ties
+ * go to the rule listed first), and the trace records which rule fired,
+ * the facts it looked at and the higher-priority rules that did not match.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Comparison operators a condition can use
+ */
+export const RULE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'exists', 'missing'];
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when a rule set cannot be used; errors lists every problem found
+ */
+export class RuleSetError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0] : `${errors.length} rule set problems: ${errors.join('; ')}`);
+    this.name = 'RuleSetError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// PUBLIC_INTERFACE
+/**
+ * Read a dotted path such as 'user.performance.averageScore' from the facts
+ * @param {Object} facts - Facts object
+ * @param {string} path - Dotted path
+ * @returns {*} - The value, or undefined if any part is missing
+ */
+export const getFact = (facts, path) =>
+  path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), facts);
+
+// Problems with a condition, described with where it sits in the rule
+const validateCondition = (condition, params, where) => {
+  if (!isPlainObject(condition)) return [`${where} must be an object`];
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    const list = condition.all || condition.any;
+    return list.flatMap((child, index) => validateCondition(child, params, `${where}.${condition.all ? 'all' : 'any'}[${index}]`));
+  }
+  if (condition.not !== undefined) return validateCondition(condition.not, params, `${where}.not`);
+
+  const problems = [];
+  if (!isNonEmptyString(condition.fact)) problems.push(`${where} has no fact`);
+  if (!RULE_OPERATORS.includes(condition.op)) problems.push(`${where} has an unknown operator "${condition.op}"`);
+  if (!['exists', 'missing'].includes(condition.op) && condition.value === undefined) problems.push(`${where} has no value`);
+  if (isPlainObject(condition.value) && condition.value.param !== undefined && !(condition.value.param in params)) {
+    problems.push(`${where} refers to an unknown param "${condition.value.param}"`);
+  }
+  if (condition.op === 'in' && !Array.isArray(condition.value) && !isPlainObject(condition.value)) {
+    problems.push(`${where} needs a list for "in"`);
+  }
+  return problems;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read and validate a rule set
+ * @param {string|Object} source - Rule set JSON text or the parsed object
+ * @returns {Object} - { id, version, params, rules } with rules in priority order
+ * @throws {RuleSetError} - If the JSON is malformed or any rule is invalid
+ */
+export const parseRuleSet = (source) => {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new RuleSetError([`Rule set is not valid JSON: ${error.message}`]);
+    }
+  }
+  if (!isPlainObject(data) || !Array.isArray(data.rules)) {
+    throw new RuleSetError(['Rule set must be an object with a "rules" list']);
+  }
+
+  const params = isPlainObject(data.params) ? data.params : {};
+  const seen = new Set();
+  const problems = data.rules.flatMap((rule, index) => {
+    const where = `Rule ${isPlainObject(rule) && rule.id ? `"${rule.id}"` : index + 1}`;
+    if (!isPlainObject(rule)) return [`${where} must be an object`];
+
+    const ruleProblems = [];
+    if (!isNonEmptyString(rule.id)) ruleProblems.push(`${where} has no id`);
+    else if (seen.has(rule.id)) ruleProblems.push(`${where} is defined twice`);
+    seen.add(rule.id);
+    if (!isNonEmptyString(rule.target)) ruleProblems.push(`${where} has no target`);
+    if (rule.value === undefined) ruleProblems.push(`${where} has no value`);
+    if (!Number.isFinite(rule.priority)) ruleProblems.push(`${where} needs a numeric priority`);
+    if (rule.when !== undefined) ruleProblems.push(...validateCondition(rule.when, params, `${where} condition`));
+    return ruleProblems;
+  });
+  if (problems.length > 0) throw new RuleSetError(problems);
+
+  return {
+    id: data.id || 'rules',
+    version: Number.isInteger(data.version) ? data.version : 1,
+    params,
+    // Highest priority first; the sort is stable, so ties keep their listed order
+    rules: [...data.rules].sort((a, b) => b.priority - a.priority)
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Download and read a rule set
+ * @param {string} url - Rule set URL
+ * @param {Object} options - { fetchImpl } to use instead of window.fetch,
+ *   { parse } to read it with (parseRuleSet by default)
+ * @returns {Promise<Object>} - Rule set, as from parse
+ * @throws {RuleSetError} - If the download fails or the rule set is invalid
+ */
+export const loadRuleSet = async (url, { fetchImpl, parse = parseRuleSet } = {}) => {
+  const doFetch = fetchImpl || ((...args) => window.fetch(...args));
+  let response;
+  try {
+    response = await doFetch(url);
+  } catch (error) {
+    throw new RuleSetError([`Could not download rule set from ${url}: ${error.message}`]);
+  }
+  if (!response.ok) {
+    throw new RuleSetError([`Could not download rule set from ${url}: HTTP ${response.status}`]);
+  }
+  return parse(await response.text());
+};
+
+// A param, another fact or a literal
+const resolveValue = (value, facts, params) => {
+  if (isPlainObject(value) && value.param !== undefined) return params[value.param];
+  if (isPlainObject(value) && value.fact !== undefined) return getFact(facts, value.fact);
+  return value;
+};
+
+const compare = (op, actual, expected) => {
+  switch (op) {
+    case 'eq':
+      return actual === expected;
+    case 'neq':
+      return actual !== expected;
+    case 'gt':
+      return Number.isFinite(actual) && actual > expected;
+    case 'gte':
+      return Number.isFinite(actual) && actual >= expected;
+    case 'lt':
+      return Number.isFinite(actual) && actual < expected;
+    case 'lte':
+      return Number.isFinite(actual) && actual <= expected;
+    case 'in':
+      return Array.isArray(expected) && expected.includes(actual);
+    case 'exists':
+      return actual !== undefined && actual !== null;
+    case 'missing':
+      return actual === undefined || actual === null;
+    default:
+      return false;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Evaluate a condition against the facts
+ * @param {Object} condition - Condition (see the module comment)
+ * @param {Object} facts - Facts object
+ * @param {Object} params - Named params of the rule set
+ * @returns {Object} - { passed, checks } where checks lists every comparison
+ *   made: [{ fact, op, expected, actual, passed }]
+ */
+export const evaluateCondition = (condition, facts, params = {}) => {
+  if (!condition) return { passed: true, checks: [] };
+
+  if (condition.all || condition.any) {
+    const results = (condition.all || condition.any).map(child => evaluateCondition(child, facts, params));
+    return {
+      passed: condition.all ? results.every(result => result.passed) : results.some(result => result.passed),
+      checks: results.flatMap(result => result.checks)
+    };
+  }
+  if (condition.not) {
+    const result = evaluateCondition(condition.not, facts, params);
+    return { passed: !result.passed, checks: result.checks };
+  }
+
+  const actual = getFact(facts, condition.fact);
+  const expected = resolveValue(condition.value, facts, params);
+  const passed = compare(condition.op, actual, expected);
+  return { passed, checks: [{ fact: condition.fact, op: condition.op, expected, actual, passed }] };
+};
+
+// Set a dotted target path on a nested object
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+  return object;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Nest the decided values of a trace by target path
+ * @param {Object} trace - Trace from evaluateRules
+ * @returns {Object} - Values; a 'uiHints.useVisualAids' target sets values.uiHints.useVisualAids
+ */
+export const collectValues = (trace) =>
+  Object.entries(trace).reduce((values, [target, decision]) => setPath(values, target, decision.value), {});
+
+// PUBLIC_INTERFACE
+/**
+ * Decide every target of a rule set
+ * @param {Object} ruleSet - Rule set from parseRuleSet
+ * @param {Object} facts - Facts object
+ * @param {Object} options - { accept } fn(target, value) that can reject a
+ *   matching rule's value, e.g. one read from a fact; the next rule is tried
+ * @returns {Object} - { values, trace }
+ *   values: the winning value per target, nested by target path (see collectValues)
+ *   trace: { [target]: { value, ruleId, description, priority, checks, passedOver } }
+ *     where checks are the fired rule's comparisons and passedOver lists the
+ *     higher-priority rules that did not match or were rejected
+ *     ({ ruleId, priority, checks, rejected })
+ */
+export const evaluateRules = (ruleSet, facts, { accept = () => true } = {}) => {
+  const trace = {};
+  const passedOver = {};
+  const passOver = (rule, entry) => {
+    passedOver[rule.target] = [...(passedOver[rule.target] || []), { ruleId: rule.id, priority: rule.priority, ...entry }];
+  };
+
+  ruleSet.rules.forEach(rule => {
+    if (trace[rule.target]) return;
+    const result = evaluateCondition(rule.when, facts, ruleSet.params);
+    if (!result.passed) {
+      passOver(rule, { checks: result.checks, rejected: false });
+      return;
+    }
+
+    const value = resolveValue(rule.value, facts, ruleSet.params);
+    if (!accept(rule.target, value)) {
+      passOver(rule, { checks: result.checks, rejected: true });
+      return;
+    }
+    trace[rule.target] = {
+      value,
+      ruleId: rule.id,
+      description: rule.description || '',
+      priority: rule.priority,
+      checks: result.checks,
+      passedOver: passedOver[rule.target] || []
+    };
+  });
+
+  return { values: collectValues(trace), trace };
+};
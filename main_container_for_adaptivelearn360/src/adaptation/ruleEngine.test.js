@@ -0,0 +1,194 @@
+import { parseRuleSet, loadRuleSet, evaluateCondition, evaluateRules, getFact, RuleSetError } from './ruleEngine';
+
+const facts = {
+  user: { score: 72, level: 'beginner', goal: 80, nickname: null },
+  device: { type: 'mobile' }
+};
+
+const check = (condition, params) => evaluateCondition(condition, facts, params).passed;
+
+test('getFact reads dotted paths and stops at missing parts', () => {
+  expect(getFact(facts, 'user.score')).toBe(72);
+  expect(getFact(facts, 'user.score.value')).toBeUndefined();
+  expect(getFact(facts, 'session.focusMode')).toBeUndefined();
+});
+
+test('every comparison operator', () => {
+  expect(check({ fact: 'device.type', op: 'eq', value: 'mobile' })).toBe(true);
+  expect(check({ fact: 'device.type', op: 'neq', value: 'mobile' })).toBe(false);
+  expect(check({ fact: 'user.score', op: 'gt', value: 72 })).toBe(false);
+  expect(check({ fact: 'user.score', op: 'gte', value: 72 })).toBe(true);
+  expect(check({ fact: 'user.score', op: 'lt', value: 80 })).toBe(true);
+  expect(check({ fact: 'user.score', op: 'lte', value: 71 })).toBe(false);
+  expect(check({ fact: 'user.level', op: 'in', value: ['beginner', 'novice'] })).toBe(true);
+  expect(check({ fact: 'user.level', op: 'in', value: ['expert'] })).toBe(false);
+  expect(check({ fact: 'user.level', op: 'exists' })).toBe(true);
+  expect(check({ fact: 'user.nickname', op: 'exists' })).toBe(false);
+  expect(check({ fact: 'user.nickname', op: 'missing' })).toBe(true);
+  expect(check({ fact: 'user.level', op: 'missing' })).toBe(false);
+});
+
+test('numeric operators never match a missing or non-numeric fact', () => {
+  expect(check({ fact: 'user.missing', op: 'lt', value: 50 })).toBe(false);
+  expect(check({ fact: 'user.level', op: 'lte', value: 50 })).toBe(false);
+});
+
+test('conditions compare with params and other facts, and combine with all, any and not', () => {
+  expect(check({ fact: 'user.score', op: 'gt', value: { param: 'pass' } }, { pass: 70 })).toBe(true);
+  expect(check({ fact: 'user.score', op: 'lt', value: { fact: 'user.goal' } })).toBe(true);
+  expect(check({ all: [{ fact: 'user.score', op: 'gt', value: 70 }, { fact: 'device.type', op: 'eq', value: 'desktop' }] })).toBe(false);
+  expect(check({ any: [{ fact: 'user.score', op: 'gt', value: 90 }, { fact: 'device.type', op: 'eq', value: 'mobile' }] })).toBe(true);
+  expect(check({ not: { fact: 'device.type', op: 'eq', value: 'mobile' } })).toBe(false);
+});
+
+test('evaluateCondition lists every comparison it made', () => {
+  const result = evaluateCondition({
+    any: [
+      { fact: 'user.score', op: 'gt', value: { param: 'pass' } },
+      { fact: 'device.type', op: 'eq', value: 'desktop' }
+    ]
+  }, facts, { pass: 80 });
+
+  expect(result).toEqual({
+    passed: false,
+    checks: [
+      { fact: 'user.score', op: 'gt', expected: 80, actual: 72, passed: false },
+      { fact: 'device.type', op: 'eq', expected: 'desktop', actual: 'mobile', passed: false }
+    ]
+  });
+});
+
+const LAYOUT_RULES = {
+  id: 'layout',
+  version: 2,
+  params: { strong: 70 },
+  rules: [
+    { id: 'default', target: 'layout', value: 'standard', priority: 0 },
+    { id: 'strong', target: 'layout', value: 'advanced', priority: 50, when: { fact: 'user.score', op: 'gt', value: { param: 'strong' } } },
+    { id: 'small-screen', target: 'layout', value: 'compact', priority: 90, description: 'Small screens', when: { fact: 'device.type', op: 'eq', value: 'mobile' } },
+    { id: 'also-small', target: 'layout', value: 'tiny', priority: 90, when: { fact: 'device.type', op: 'eq', value: 'mobile' } },
+    { id: 'hint', target: 'hints.visual', value: true, priority: 10, when: { fact: 'user.level', op: 'in', value: ['beginner'] } }
+  ]
+};
+
+test('parseRuleSet orders rules by priority, keeping listed order for ties', () => {
+  const ruleSet = parseRuleSet(JSON.stringify(LAYOUT_RULES));
+
+  expect(ruleSet.id).toBe('layout');
+  expect(ruleSet.version).toBe(2);
+  expect(ruleSet.rules.map(rule => rule.id)).toEqual(['small-screen', 'also-small', 'strong', 'hint', 'default']);
+});
+
+test('the highest-priority matching rule decides each target', () => {
+  const ruleSet = parseRuleSet(LAYOUT_RULES);
+
+  expect(evaluateRules(ruleSet, facts).values).toEqual({ layout: 'compact', hints: { visual: true } });
+  expect(evaluateRules(ruleSet, { ...facts, device: { type: 'desktop' } }).values.layout).toBe('advanced');
+  expect(evaluateRules(ruleSet, { user: { score: 60 }, device: { type: 'desktop' } }).values).toEqual({ layout: 'standard' });
+});
+
+test('the trace records the rule that fired and the rules passed over', () => {
+  const ruleSet = parseRuleSet(LAYOUT_RULES);
+  const { trace } = evaluateRules(ruleSet, { user: { score: 75 }, device: { type: 'desktop' } });
+
+  expect(trace.layout).toEqual({
+    value: 'advanced',
+    ruleId: 'strong',
+    description: '',
+    priority: 50,
+    checks: [{ fact: 'user.score', op: 'gt', expected: 70, actual: 75, passed: true }],
+    passedOver: [
+      {
+        ruleId: 'small-screen',
+        priority: 90,
+        checks: [{ fact: 'device.type', op: 'eq', expected: 'mobile', actual: 'desktop', passed: false }],
+        rejected: false
+      },
+      {
+        ruleId: 'also-small',
+        priority: 90,
+        checks: [{ fact: 'device.type', op: 'eq', expected: 'mobile', actual: 'desktop', passed: false }],
+        rejected: false
+      }
+    ]
+  });
+  expect(trace['hints.visual']).toBeUndefined();
+});
+
+test('a value the caller does not accept passes the decision to the next rule', () => {
+  const ruleSet = parseRuleSet({
+    rules: [
+      { id: 'from-fact', target: 'layout', value: { fact: 'user.level' }, priority: 10 },
+      { id: 'default', target: 'layout', value: 'standard', priority: 0 }
+    ]
+  });
+  const { values, trace } = evaluateRules(ruleSet, facts, { accept: (target, value) => value !== 'beginner' });
+
+  expect(values.layout).toBe('standard');
+  expect(trace.layout.passedOver).toEqual([{ ruleId: 'from-fact', priority: 10, checks: [], rejected: true }]);
+});
+
+test('parseRuleSet rejects malformed JSON and sets without rules', () => {
+  expect(() => parseRuleSet('{ "rules": [')).toThrow(RuleSetError);
+  expect(() => parseRuleSet('{ "rules": [')).toThrow('Rule set is not valid JSON');
+  expect(() => parseRuleSet({ id: 'empty' })).toThrow('Rule set must be an object with a "rules" list');
+});
+
+test('parseRuleSet lists every problem in an invalid rule set', () => {
+  let error;
+  try {
+    parseRuleSet({
+      params: { strong: 70 },
+      rules: [
+        { id: 'a', target: 'layout', value: 'compact', priority: 1 },
+        { id: 'a', target: 'layout', value: 'compact', priority: 'high' },
+        { target: 'theme', priority: 1 },
+        'not a rule',
+        {
+          id: 'b',
+          target: 'layout',
+          value: 'guided',
+          priority: 2,
+          when: {
+            all: [
+              { fact: 'user.score', op: 'above', value: 1 },
+              { fact: 'user.score', op: 'gt', value: { param: 'weak' } },
+              { op: 'eq', value: 1 },
+              { fact: 'user.level', op: 'in', value: 'beginner' },
+              { fact: 'user.level', op: 'eq' }
+            ]
+          }
+        }
+      ]
+    });
+  } catch (caught) {
+    error = caught;
+  }
+
+  expect(error).toBeInstanceOf(RuleSetError);
+  expect(error.errors).toEqual([
+    'Rule "a" is defined twice',
+    'Rule "a" needs a numeric priority',
+    'Rule 3 has no id',
+    'Rule 3 has no value',
+    'Rule 4 must be an object',
+    'Rule "b" condition.all[0] has an unknown operator "above"',
+    'Rule "b" condition.all[1] refers to an unknown param "weak"',
+    'Rule "b" condition.all[2] has no fact',
+    'Rule "b" condition.all[3] needs a list for "in"',
+    'Rule "b" condition.all[4] has no value'
+  ]);
+  expect(error.message).toMatch(/^10 rule set problems: /);
+});
+
+test('loadRuleSet reports download failures as rule set errors', async () => {
+  const ok = async () => ({ ok: true, status: 200, text: async () => JSON.stringify(LAYOUT_RULES) });
+  const missing = async () => ({ ok: false, status: 404 });
+  const offline = async () => {
+    throw new Error('Network down');
+  };
+
+  expect((await loadRuleSet('/rules.json', { fetchImpl: ok })).rules).toHaveLength(5);
+  await expect(loadRuleSet('/rules.json', { fetchImpl: missing })).rejects.toThrow('Could not download rule set from /rules.json: HTTP 404');
+  await expect(loadRuleSet('/rules.json', { fetchImpl: offline })).rejects.toThrow(RuleSetError);
+});
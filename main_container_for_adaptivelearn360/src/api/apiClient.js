@@ -0,0 +1,175 @@
+/**
+ * HTTP client for the AdaptiveLearn360 user API.
+ *
+ * Endpoints:
+ *   GET   /users/:userId                 -> UserProfile
+ *   PATCH /users/:userId/preferences     -> UserProfile['preferences']
+ *   PATCH /users/:userId/accessibility   -> UserProfile['accessibility']
+ *   PATCH /users/:userId/performance     -> UserProfile['performance']
+ *   POST  /users/:userId/sessions        -> StudySession
+ *   PATCH /users/:userId/sessions/:id    -> StudySession
+ *   POST  /users/:userId/attempts        -> Attempt
+ *   DELETE /users/:userId/data           -> UserProfile (emptied)
+ */
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {Object} preferences
+ * @property {Object} performance
+ * @property {Object} habits
+ * @property {Object} accessibility
+ */
+
+/**
+ * @typedef {Object} StudySession
+ * @property {string} id
+ * @property {string} startTime - ISO date
+ * @property {string} endTime - ISO date
+ * @property {number} duration - Minutes studied
+ * @property {string|null} subject
+ * @property {Array<string>} itemIds - Content items studied
+ * @property {number|null} focusRating - 1 to 5
+ * @property {Array<{reason: string, start: string, end: string}>} interruptions
+ */
+
+/**
+ * @typedef {Object} Attempt
+ * @property {string} id
+ * @property {string} itemId
+ * @property {string} subject
+ * @property {number} score - 0 to 100
+ * @property {number} timeSpent - Seconds
+ * @property {string} timestamp - ISO date
+ * @property {string} type - 'quiz' or 'practice'
+ */
+
+/**
+ * @typedef {Object} ApiClient
+ * @property {function(string): Promise<UserProfile>} getProfile
+ * @property {function(string, Object): Promise<Object>} patchPreferences
+ * @property {function(string, Object): Promise<Object>} patchAccessibility
+ * @property {function(string, Object): Promise<Object>} patchPerformance
+ * @property {function(string, StudySession): Promise<StudySession>} postStudySession
+ * @property {function(string, Object): Promise<StudySession>} patchStudySession - Patch with the session id
+ * @property {function(string, Attempt): Promise<Attempt>} postAttempt
+ * @property {function(string): Promise<UserProfile>} deleteUserData - Erase everything recorded for a learner
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Error raised for failed API requests.
+ * status is 0 when the request never reached the server.
+ */
+export class ApiError extends Error {
+  constructor(message, status, body = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+
+  // The request did not reach the server (offline, DNS, CORS...)
+  get isNetworkError() {
+    return this.status === 0;
+  }
+
+  // Worth trying again later: network failures, throttling and server errors
+  get isRetryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// PUBLIC_INTERFACE
+/**
+ * Exponential backoff delay with jitter for a retry attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number} maxDelayMs - Upper bound for any delay
+ * @returns {number} - Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, baseDelayMs = 300, maxDelayMs = 10000) => {
+  const exponential = baseDelayMs * Math.pow(2, attempt);
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(maxDelayMs, exponential + jitter);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create an API client
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - Base URL of the API
+ * @param {Function} options.fetchImpl - fetch-compatible function (defaults to window.fetch)
+ * @param {number} options.maxRetries - Retries for retryable failures
+ * @param {number} options.baseDelayMs - Backoff delay before the first retry
+ * @returns {ApiClient} - API client
+ */
+export const createApiClient = ({
+  baseUrl = '/api',
+  fetchImpl,
+  maxRetries = 3,
+  baseDelayMs = 300
+} = {}) => {
+  const doFetch = fetchImpl || ((...args) => window.fetch(...args));
+
+  // Send one request and turn any failure into an ApiError
+  const send = async (method, path, body) => {
+    let response;
+    try {
+      response = await doFetch(`${baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new ApiError(`Network error during ${method} ${path}`, 0);
+    }
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (err) {
+      // Empty or non-JSON body
+    }
+
+    if (!response.ok) {
+      throw new ApiError(
+        payload?.message || `${method} ${path} failed with status ${response.status}`,
+        response.status,
+        payload
+      );
+    }
+    return payload;
+  };
+
+  // Send a request, retrying retryable failures with exponential backoff
+  const request = async (method, path, body) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(method, path, body);
+      } catch (err) {
+        if (!err.isRetryable || attempt >= maxRetries) {
+          throw err;
+        }
+        await sleep(getBackoffDelay(attempt, baseDelayMs));
+      }
+    }
+  };
+
+  const userPath = (userId) => `/users/${encodeURIComponent(userId)}`;
+
+  return {
+    getProfile: (userId) => request('GET', userPath(userId)),
+    patchPreferences: (userId, patch) => request('PATCH', `${userPath(userId)}/preferences`, patch),
+    patchAccessibility: (userId, patch) => request('PATCH', `${userPath(userId)}/accessibility`, patch),
+    patchPerformance: (userId, patch) => request('PATCH', `${userPath(userId)}/performance`, patch),
+    postStudySession: (userId, session) => request('POST', `${userPath(userId)}/sessions`, session),
+    patchStudySession: (userId, { id, ...patch }) =>
+      request('PATCH', `${userPath(userId)}/sessions/${encodeURIComponent(id)}`, patch),
+    postAttempt: (userId, attempt) => request('POST', `${userPath(userId)}/attempts`, attempt),
+    deleteUserData: (userId) => request('DELETE', `${userPath(userId)}/data`)
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * The API client used by the app.
+ * Talks to REACT_APP_API_URL when it is set, otherwise to the in-browser mock
+ * server. The mock keeps its profiles in their own storage, apart from the
+ * learner's cache, so they survive reloads and clearing the cache.
+ */
+import { createApiClient } from './apiClient';
+import { createMockServer } from './mockServer';
+import { getDefaultStorageAdapter } from '../persistence/storageAdapters';
+import { mockLearnerProfiles } from '../data/mockRoster';
+
+// PUBLIC_INTERFACE
+/**
+ * Create the default API client for the current environment
+ * @returns {Object} - API client
+ */
+export const createDefaultApiClient = () => {
+  const apiUrl = process.env.REACT_APP_API_URL;
+  if (apiUrl) {
+    return createApiClient({ baseUrl: apiUrl });
+  }
+
+  const server = createMockServer({
+    profiles: mockLearnerProfiles,
+    latencyMs: 300,
+    storage: getDefaultStorageAdapter('adaptivelearn360-mock-api')
+  });
+  return createApiClient({ fetchImpl: server.fetch });
+};
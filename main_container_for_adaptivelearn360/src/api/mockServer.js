@@ -0,0 +1,204 @@
+/**
+ * In-browser mock of the AdaptiveLearn360 user API.
+ * Request handlers are matched by method and path, MSW-style, and the
+ * server exposes a fetch-compatible function for createApiClient.
+ * Used when no REACT_APP_API_URL is configured and in tests. Given a
+ * storage adapter, the server keeps its profiles across reloads like a
+ * real one would; otherwise it starts from the seed profiles every time.
+ */
+import { isValidAttempt } from '../utils/performanceMetrics';
+import { isValidSessionRecord } from '../utils/studyHistory';
+import { createEmptyUserData } from '../persistence/userDataSchema';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Storage key for the server's profiles
+const DB_KEY = 'mockServer:db';
+
+// Minimal fetch Response stand-in
+const createResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => clone(body)
+});
+
+// Match a path pattern such as '/users/:userId' and return its params
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a JSON response from a handler
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Object} - Handler result
+ */
+export const mockResponse = (status, body = null) => ({ status, body });
+
+// PUBLIC_INTERFACE
+/**
+ * Create a request handler
+ * @param {string} method - HTTP method
+ * @param {string} path - Path pattern relative to the base URL, e.g. '/users/:userId'
+ * @param {Function} resolver - fn({ params, body, db }) -> mockResponse(...)
+ * @returns {Object} - Request handler
+ */
+export const mockHandler = (method, path, resolver) => ({ method, path, resolver });
+
+// Update one section of a stored profile
+const patchSection = (section) => ({ params, body, db }) => {
+  const profile = db[params.userId];
+  if (!profile) return mockResponse(404, { message: 'User not found' });
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return mockResponse(400, { message: `Invalid ${section} patch` });
+  }
+
+  profile[section] = { ...profile[section], ...body };
+  return mockResponse(200, profile[section]);
+};
+
+// Default handlers implementing the user API
+const defaultHandlers = [
+  mockHandler('GET', '/users/:userId', ({ params, db }) => {
+    const profile = db[params.userId];
+    return profile ? mockResponse(200, profile) : mockResponse(404, { message: 'User not found' });
+  }),
+  mockHandler('PATCH', '/users/:userId/preferences', patchSection('preferences')),
+  mockHandler('PATCH', '/users/:userId/accessibility', patchSection('accessibility')),
+  mockHandler('PATCH', '/users/:userId/performance', patchSection('performance')),
+  mockHandler('POST', '/users/:userId/sessions', ({ params, body, db }) => {
+    const profile = db[params.userId];
+    if (!profile) return mockResponse(404, { message: 'User not found' });
+    if (!isValidSessionRecord(body)) {
+      return mockResponse(400, { message: 'Invalid study session' });
+    }
+
+    profile.studySessions = [...(profile.studySessions || []), body];
+    return mockResponse(201, body);
+  }),
+  mockHandler('PATCH', '/users/:userId/sessions/:sessionId', ({ params, body, db }) => {
+    const profile = db[params.userId];
+    if (!profile) return mockResponse(404, { message: 'User not found' });
+    const session = (profile.studySessions || []).find(record => record.id === params.sessionId);
+    if (!session) return mockResponse(404, { message: 'Study session not found' });
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return mockResponse(400, { message: 'Invalid study session patch' });
+    }
+
+    Object.assign(session, body, { id: session.id });
+    return mockResponse(200, session);
+  }),
+  mockHandler('POST', '/users/:userId/attempts', ({ params, body, db }) => {
+    const profile = db[params.userId];
+    if (!profile) return mockResponse(404, { message: 'User not found' });
+    if (!isValidAttempt(body)) {
+      return mockResponse(400, { message: 'Invalid attempt' });
+    }
+
+    profile.attempts = [...(profile.attempts || []), body];
+    return mockResponse(201, body);
+  }),
+  // Erase everything recorded for a learner; the account itself stays
+  mockHandler('DELETE', '/users/:userId/data', ({ params, db }) => {
+    const profile = db[params.userId];
+    if (!profile) return mockResponse(404, { message: 'User not found' });
+
+    db[params.userId] = createEmptyUserData(profile.id, profile.name);
+    return mockResponse(200, db[params.userId]);
+  })
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Create a mock API server
+ * @param {Object} options - Server options
+ * @param {Array} options.profiles - Profiles to serve, keyed by their id
+ * @param {string} options.baseUrl - Base URL the client uses
+ * @param {number} options.latencyMs - Simulated network latency
+ * @param {Object} options.storage - Storage adapter that keeps the profiles
+ *   across reloads (see storageAdapters.js); optional
+ * @returns {Object} - { fetch, use, reset, db }
+ */
+export const createMockServer = ({ profiles = [], baseUrl = '/api', latencyMs = 0, storage = null } = {}) => {
+  const initialDb = profiles.reduce((db, profile) => ({ ...db, [profile.id]: clone(profile) }), {});
+  let db = clone(initialDb);
+  let overrides = [];
+
+  // Write the profiles to storage
+  const persist = async () => {
+    if (!storage) return;
+    try {
+      await storage.setItem(DB_KEY, JSON.stringify(db));
+    } catch (err) {
+      // The change still applies until the page is reloaded
+    }
+  };
+
+  // Stored profiles replace the seed profiles before the first request
+  const restore = async () => {
+    try {
+      const raw = await storage.getItem(DB_KEY);
+      if (raw) db = JSON.parse(raw);
+    } catch (err) {
+      // Unreadable storage - start from the seed profiles
+    }
+  };
+  let ready = storage ? restore() : Promise.resolve();
+
+  const fetch = async (url, init = {}) => {
+    await ready;
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    const method = (init.method || 'GET').toUpperCase();
+    const path = url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url;
+    const body = init.body ? JSON.parse(init.body) : undefined;
+
+    // Handlers added with use() take precedence, like MSW's server.use()
+    for (const handler of [...overrides, ...defaultHandlers]) {
+      if (handler.method !== method) continue;
+      const params = matchPath(handler.path, path);
+      if (!params) continue;
+
+      const result = handler.resolver({ params, body, db });
+      // A handler can simulate a network failure by throwing
+      if (method !== 'GET') {
+        await persist();
+      }
+      return createResponse(result.status, result.body);
+    }
+
+    return createResponse(404, { message: `No handler for ${method} ${path}` });
+  };
+
+  return {
+    fetch,
+    // Prepend handlers, e.g. to simulate failures
+    use: (...handlers) => {
+      overrides = [...handlers, ...overrides];
+    },
+    // Drop overrides and restore the initial profiles
+    reset: () => {
+      overrides = [];
+      db = clone(initialDb);
+      ready = persist();
+    },
+    get db() {
+      return db;
+    }
+  };
+};
@@ -0,0 +1,172 @@
+/**
+ * Offline mutation queue.
+ * Mutations are persisted, sent in order, and kept while the server is
+ * unreachable. Once listening, the queue replays when the browser comes
+ * back online. Server errors are retried on their own with exponential
+ * backoff, since no online event will follow them.
+ */
+import { createPersistentStore } from '../persistence/persistentStore';
+import { getBackoffDelay } from './apiClient';
+
+// PUBLIC_INTERFACE
+/**
+ * Create an offline mutation queue
+ * @param {Object} options - Queue options
+ * @param {Object} options.adapter - Storage adapter used to persist the queue
+ * @param {Function} options.send - fn(mutation) -> Promise; rejects with an ApiError on failure
+ * @param {Function} options.onSent - Called with (mutation, response) after a successful send
+ * @param {Function} options.onRejected - Called with (mutation, error) when the server rejects a mutation
+ * @param {Function} options.onChange - Called with the pending mutations whenever they change
+ * @param {Function} options.onRetry - Called with (mutation, error, delayMs) when a server error is retried
+ * @param {number} options.retryDelayMs - Backoff delay before the first retry
+ * @param {number} options.maxRetryDelayMs - Upper bound for any retry delay
+ * @returns {Object} - Queue with load, enqueue, replay, clear, size, status and listen methods
+ */
+export const createOfflineQueue = ({
+  adapter,
+  send,
+  onSent = () => {},
+  onRejected = () => {},
+  onChange = () => {},
+  onRetry = () => {},
+  retryDelayMs = 1000,
+  maxRetryDelayMs = 60000
+}) => {
+  const store = createPersistentStore({
+    key: 'mutationQueue',
+    adapter,
+    schemaVersion: 1,
+    repair: (data) => (Array.isArray(data) ? data : null),
+    debounceMs: 0
+  });
+
+  let mutations = [];
+  let replaying = null;
+  // Pending backoff retry after a server error, and how many came before it
+  let retryTimer = null;
+  let retryAttempt = 0;
+
+  const persist = async () => {
+    onChange(mutations);
+    store.save(mutations);
+    await store.flush();
+  };
+
+  const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+  const cancelRetry = () => {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  };
+
+  // Replay again after a growing delay while the server keeps failing
+  const scheduleRetry = (mutation, err) => {
+    const delayMs = getBackoffDelay(retryAttempt, retryDelayMs, maxRetryDelayMs);
+    retryAttempt += 1;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      replay();
+    }, delayMs);
+    onRetry(mutation, err, delayMs);
+  };
+
+  // Send queued mutations in order until the queue is empty or the server is unreachable
+  const runReplay = async () => {
+    cancelRetry();
+    while (mutations.length > 0) {
+      if (isOffline()) return;
+
+      const mutation = mutations[0];
+      try {
+        const response = await send(mutation);
+        retryAttempt = 0;
+        mutations = mutations.slice(1);
+        await persist();
+        onSent(mutation, response);
+      } catch (err) {
+        if (err.isNetworkError) {
+          // Keep the mutation and try again when the connection returns
+          return;
+        }
+        if (err.isRetryable) {
+          // The server answered but failed - keep the mutation and back off
+          scheduleRetry(mutation, err);
+          return;
+        }
+        retryAttempt = 0;
+        mutations = mutations.slice(1);
+        await persist();
+        onRejected(mutation, err);
+      }
+    }
+  };
+
+  // Only one replay runs at a time
+  const replay = () => {
+    if (!replaying) {
+      replaying = runReplay().finally(() => {
+        replaying = null;
+      });
+    }
+    return replaying;
+  };
+
+  // Restore mutations left over from a previous visit
+  const load = async () => {
+    const { data } = await store.load();
+    mutations = data || [];
+    onChange(mutations);
+    return mutations;
+  };
+
+  const enqueue = async (mutation) => {
+    mutations = [...mutations, mutation];
+    await persist();
+    return replay();
+  };
+
+  // Drop every queued mutation without sending it (e.g. when the learner's data is deleted)
+  const clear = async () => {
+    cancelRetry();
+    retryAttempt = 0;
+    mutations = [];
+    onChange(mutations);
+    await store.clear();
+  };
+
+  // 'idle' when nothing is pending, 'retrying' while a server error is being
+  // retried, otherwise 'offline'
+  const status = () => {
+    if (mutations.length === 0) return 'idle';
+    return retryTimer ? 'retrying' : 'offline';
+  };
+
+  // Replay whenever the browser comes back online; returns an unsubscribe
+  // function, which also cancels any pending retry
+  const listen = () => {
+    if (typeof window === 'undefined') {
+      return () => {};
+    }
+
+    const handleOnline = () => {
+      replay();
+    };
+    window.addEventListener('online', handleOnline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      cancelRetry();
+    };
+  };
+
+  return {
+    load,
+    enqueue,
+    replay,
+    clear,
+    size: () => mutations.length,
+    status,
+    listen
+  };
+};
@@ -0,0 +1,49 @@
+import { waitFor } from '@testing-library/react';
+import { createOfflineQueue } from './offlineQueue';
+import { ApiError } from './apiClient';
+import { createMemoryAdapter } from '../persistence/storageAdapters';
+
+const mutation = { id: 'm1', type: 'preferences', userId: 'user123', payload: { studyDuration: 50 } };
+
+test('a server error is retried with backoff until the mutation is sent', async () => {
+  let calls = 0;
+  const send = async () => {
+    calls += 1;
+    if (calls < 3) throw new ApiError('Server error', 503);
+    return { ok: true };
+  };
+  const retries = [];
+  const queue = createOfflineQueue({
+    adapter: createMemoryAdapter(),
+    send,
+    onRetry: (failed, err, delayMs) => retries.push({ id: failed.id, status: err.status, delayMs }),
+    retryDelayMs: 10
+  });
+
+  await queue.enqueue(mutation);
+  expect(queue.status()).toBe('retrying');
+
+  await waitFor(() => expect(queue.size()).toBe(0));
+  expect(calls).toBe(3);
+  expect(retries.map(retry => retry.status)).toEqual([503, 503]);
+  expect(retries[1].delayMs).toBeGreaterThanOrEqual(20);
+  expect(queue.status()).toBe('idle');
+});
+
+test('a network error waits for the connection instead of retrying', async () => {
+  const retries = [];
+  const queue = createOfflineQueue({
+    adapter: createMemoryAdapter(),
+    send: async () => {
+      throw new ApiError('Network error', 0);
+    },
+    onRetry: (failed) => retries.push(failed),
+    retryDelayMs: 10
+  });
+
+  await queue.enqueue(mutation);
+
+  expect(queue.size()).toBe(1);
+  expect(queue.status()).toBe('offline');
+  expect(retries).toEqual([]);
+});
@@ -0,0 +1,194 @@
+/**
+ * Mutations on user data that are applied optimistically and sent to the API.
+ * A mutation is plain data so it can be queued, persisted and rolled back
+ * after a reload:
+ *   { id, type, userId, payload, previous, createdAt }
+ * previous holds the values the payload replaced, used for rollback.
+ */
+
+// PUBLIC_INTERFACE
+export const MUTATION_TYPES = {
+  PATCH_PREFERENCES: 'patchPreferences',
+  PATCH_ACCESSIBILITY: 'patchAccessibility',
+  PATCH_PERFORMANCE: 'patchPerformance',
+  POST_STUDY_SESSION: 'postStudySession',
+  PATCH_STUDY_SESSION: 'patchStudySession',
+  POST_ATTEMPT: 'postAttempt'
+};
+
+// The user data section each patch mutation changes
+const patchSections = {
+  [MUTATION_TYPES.PATCH_PREFERENCES]: 'preferences',
+  [MUTATION_TYPES.PATCH_ACCESSIBILITY]: 'accessibility',
+  [MUTATION_TYPES.PATCH_PERFORMANCE]: 'performance'
+};
+
+let mutationCounter = 0;
+
+// Fields of a stored session record that a session patch replaces
+const pickSessionFields = (userData, payload) => {
+  const session = (userData.studySessions || []).find(record => record.id === payload.id);
+  return Object.keys(payload).reduce((values, key) => ({
+    ...values,
+    [key]: session ? session[key] : undefined
+  }), {});
+};
+
+// Merge changes into the session record with the given id
+const patchSession = (sessions, changes) =>
+  (sessions || []).map(session => (session.id === changes.id ? { ...session, ...changes } : session));
+
+// PUBLIC_INTERFACE
+/**
+ * Create a mutation, capturing the values it will replace
+ * @param {string} type - One of MUTATION_TYPES
+ * @param {Object} userData - Current user data
+ * @param {Object} payload - Patch, session record or session patch ({ id, ...changes })
+ * @returns {Object} - Mutation
+ */
+export const createUserMutation = (type, userData, payload) => {
+  const section = patchSections[type];
+  let previous = null;
+  if (section) {
+    previous = Object.keys(payload).reduce((values, key) => ({
+      ...values,
+      [key]: userData[section][key]
+    }), {});
+  } else if (type === MUTATION_TYPES.PATCH_STUDY_SESSION) {
+    previous = pickSessionFields(userData, payload);
+  }
+
+  mutationCounter += 1;
+  return {
+    id: `${Date.now()}-${mutationCounter}`,
+    type,
+    userId: userData.id,
+    payload,
+    previous,
+    createdAt: new Date().toISOString()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Apply a mutation to user data
+ * @param {Object} userData - Current user data
+ * @param {Object} mutation - Mutation to apply
+ * @returns {Object} - Updated user data
+ */
+export const applyUserMutation = (userData, mutation) => {
+  const section = patchSections[mutation.type];
+  if (section) {
+    return {
+      ...userData,
+      [section]: {
+        ...userData[section],
+        ...mutation.payload
+      }
+    };
+  }
+
+  if (mutation.type === MUTATION_TYPES.POST_STUDY_SESSION) {
+    return {
+      ...userData,
+      studySessions: [...(userData.studySessions || []), mutation.payload]
+    };
+  }
+
+  if (mutation.type === MUTATION_TYPES.PATCH_STUDY_SESSION) {
+    return {
+      ...userData,
+      studySessions: patchSession(userData.studySessions, mutation.payload)
+    };
+  }
+
+  if (mutation.type === MUTATION_TYPES.POST_ATTEMPT) {
+    return {
+      ...userData,
+      attempts: [...(userData.attempts || []), mutation.payload]
+    };
+  }
+
+  return userData;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Undo a mutation that the server rejected
+ * @param {Object} userData - Current user data
+ * @param {Object} mutation - Mutation to undo
+ * @returns {Object} - User data without the mutation's changes
+ */
+export const rollbackUserMutation = (userData, mutation) => {
+  const section = patchSections[mutation.type];
+  if (section) {
+    return {
+      ...userData,
+      [section]: {
+        ...userData[section],
+        ...mutation.previous
+      }
+    };
+  }
+
+  if (mutation.type === MUTATION_TYPES.POST_STUDY_SESSION) {
+    return {
+      ...userData,
+      studySessions: (userData.studySessions || []).filter(session => session.id !== mutation.payload.id)
+    };
+  }
+
+  if (mutation.type === MUTATION_TYPES.PATCH_STUDY_SESSION) {
+    return {
+      ...userData,
+      studySessions: patchSession(userData.studySessions, { ...mutation.previous, id: mutation.payload.id })
+    };
+  }
+
+  if (mutation.type === MUTATION_TYPES.POST_ATTEMPT) {
+    return {
+      ...userData,
+      attempts: (userData.attempts || []).filter(attempt => attempt.id !== mutation.payload.id)
+    };
+  }
+
+  return userData;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Send a mutation through the matching API client method
+ * @param {Object} apiClient - Client from createApiClient
+ * @param {Object} mutation - Mutation to send
+ * @returns {Promise<Object>} - Server response
+ */
+export const sendUserMutation = (apiClient, mutation) => {
+  const method = apiClient[mutation.type];
+  if (!method) {
+    return Promise.reject(new Error(`Unknown mutation type: ${mutation.type}`));
+  }
+  return method(mutation.userId, mutation.payload);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sections of user data the API stores. Everything else (review states,
+ * placement, exams, consent, overrides, ...) lives on this device only.
+ */
+export const SERVER_SECTIONS = ['name', 'preferences', 'accessibility', 'performance', 'studySessions', 'attempts'];
+
+// PUBLIC_INTERFACE
+/**
+ * Apply a profile fetched from the API to the cached user data.
+ * Only the sections the API stores replace the cached ones.
+ * @param {Object|null} cachedData - Cached user data, or null on first load
+ * @param {Object} profile - Profile from apiClient.getProfile
+ * @returns {Object} - Merged user data (not yet repaired)
+ */
+export const mergeServerProfile = (cachedData, profile) => {
+  // Consent is only ever given on this device, never taken from a profile
+  if (!cachedData) return { ...profile, consent: undefined };
+  return SERVER_SECTIONS.reduce((merged, section) => (
+    section in profile ? { ...merged, [section]: profile[section] } : merged
+  ), cachedData);
+};
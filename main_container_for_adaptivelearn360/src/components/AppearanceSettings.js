@@ -0,0 +1,72 @@
+import React from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import { SETTING_TARGETS } from '../adaptation/adaptationRules';
+import {
+  ADAPTATION_LABELS,
+  getAdaptationChoices,
+  formatAdaptationValue
+} from '../adaptation/reasons';
+import WhyPopover from './WhyPopover';
+import { PERMISSIONS } from '../utils/permissions';
+
+// What each source means for the current value
+const sourceNotes = {
+  pinned: 'Your choice',
+  adaptive: 'Adapted for you',
+  system: 'Default'
+};
+
+// PUBLIC_INTERFACE
+export default function AppearanceSettings() {
+  /**
+   * Theme, text size, animation and layout settings. Each is "Auto" (the
+   * adaptive suggestion, or the default when nothing applies) until the
+   * learner picks a value, which is pinned and kept until they choose Auto
+   * again or reset everything to adaptive.
+   */
+  const { can } = useUser();
+  const { settingLayers, adaptationReasons, changeSetting, resetSettings } = useAdaptive();
+
+  const canEdit = can(PERMISSIONS.EDIT_PREFERENCES);
+  const anyChanged = SETTING_TARGETS.some(target =>
+    settingLayers[target].pinned !== null || settingLayers[target].snoozedUntil
+  );
+
+  return (
+    <div className="appearance-settings">
+      {SETTING_TARGETS.map(target => {
+        const layers = settingLayers[target];
+        const automatic = layers.adaptive !== null ? layers.adaptive : layers.system;
+        const label = ADAPTATION_LABELS[target];
+        return (
+          <div key={target} className="appearance-setting">
+            <label className="appearance-label">
+              {label}
+              <select
+                className="reminder-select"
+                value={layers.pinned !== null ? layers.pinned : 'auto'}
+                onChange={event => changeSetting(target, event.target.value)}
+                disabled={!canEdit}
+              >
+                <option value="auto">Auto ({formatAdaptationValue(automatic)})</option>
+                {getAdaptationChoices(target).map(choice => (
+                  <option key={choice} value={choice}>{formatAdaptationValue(choice)}</option>
+                ))}
+              </select>
+            </label>
+            <span className="appearance-source">
+              {layers.snoozedUntil ? 'Adaptation snoozed' : sourceNotes[layers.source]}
+              <WhyPopover reason={adaptationReasons[target]} title={`${label}: ${formatAdaptationValue(layers.value)}`} />
+            </span>
+          </div>
+        );
+      })}
+      {canEdit && (
+        <button className="btn btn-secondary" onClick={resetSettings} disabled={!anyChanged}>
+          Reset all to adaptive
+        </button>
+      )}
+    </div>
+  );
+}
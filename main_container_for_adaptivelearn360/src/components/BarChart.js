@@ -0,0 +1,74 @@
+import React from 'react';
+
+const WIDTH = 320;
+const PLOT_HEIGHT = 100;
+const LABEL_HEIGHT = 16;
+const VALUE_HEIGHT = 14;
+const BAR_GAP = 0.25;
+
+// PUBLIC_INTERFACE
+export default function BarChart({ data, label, color, textColor, formatValue = String, showValues = false, animate = false }) {
+  /**
+   * Lightweight SVG bar chart that scales to its container.
+   * @param {Array} data - [{ key, label, value, title? }]; label goes under the bar
+   * @param {string} label - Accessible description of the chart
+   * @param {string} color - Bar colour (from the active theme)
+   * @param {string} textColor - Label colour (from the active theme)
+   * @param {Function} formatValue - Formats values for tooltips and value labels
+   * @param {boolean} showValues - Whether to print each value above its bar
+   * @param {boolean} animate - Whether bars grow in when drawn
+   */
+  const largest = Math.max(1, ...data.map(entry => entry.value));
+  const slot = WIDTH / Math.max(1, data.length);
+  const barWidth = slot * (1 - BAR_GAP);
+  const height = VALUE_HEIGHT + PLOT_HEIGHT + LABEL_HEIGHT;
+
+  return (
+    <svg
+      className={`chart${animate ? ' chart-animated' : ''}`}
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      role="img"
+      aria-label={label}
+    >
+      {data.map((entry, index) => {
+        const barHeight = (entry.value / largest) * PLOT_HEIGHT;
+        const x = index * slot + (slot - barWidth) / 2;
+        return (
+          <g key={entry.key}>
+            <rect
+              className="chart-bar"
+              x={x}
+              y={VALUE_HEIGHT + PLOT_HEIGHT - barHeight}
+              width={barWidth}
+              height={barHeight}
+              rx={2}
+              fill={color}
+            >
+              <title>{entry.title || `${entry.label}: ${formatValue(entry.value)}`}</title>
+            </rect>
+            {showValues && entry.value > 0 && (
+              <text
+                className="chart-text"
+                x={x + barWidth / 2}
+                y={VALUE_HEIGHT + PLOT_HEIGHT - barHeight - 3}
+                textAnchor="middle"
+                fill={textColor}
+              >
+                {formatValue(entry.value)}
+              </text>
+            )}
+            <text
+              className="chart-text"
+              x={x + barWidth / 2}
+              y={height - 4}
+              textAnchor="middle"
+              fill={textColor}
+            >
+              {entry.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const CELL = 12;
+const GAP = 3;
+const LABEL_WIDTH = 28;
+const DAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+const formatDayKey = (dayKey) =>
+  new Date(`${dayKey}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+// PUBLIC_INTERFACE
+export default function CalendarHeatmap({ weeks, label, color, emptyColor, textColor, animate = false }) {
+  /**
+   * SVG calendar heatmap: one column per week, Monday at the top, shaded by
+   * how much was studied that day.
+   * @param {Array} weeks - Columns of { date, duration, level (0-4), future } (see getActivityHeatmap)
+   * @param {string} label - Accessible description of the chart
+   * @param {string} color - Colour of the busiest days (from the active theme)
+   * @param {string} emptyColor - Colour of days without study (from the active theme)
+   * @param {string} textColor - Label colour (from the active theme)
+   * @param {boolean} animate - Whether cells fade in when drawn
+   */
+  const width = LABEL_WIDTH + weeks.length * (CELL + GAP);
+  const height = 7 * (CELL + GAP);
+
+  return (
+    <svg
+      className={`chart chart-heatmap${animate ? ' chart-animated' : ''}`}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label}
+    >
+      {DAY_LABELS.map((day, row) => (day ? (
+        <text key={day} className="chart-text" x={0} y={row * (CELL + GAP) + CELL - 2} fill={textColor}>{day}</text>
+      ) : null))}
+      {weeks.map((column, week) => column.filter(cell => !cell.future).map((cell, row) => (
+        <rect
+          key={cell.date}
+          className="chart-cell"
+          x={LABEL_WIDTH + week * (CELL + GAP)}
+          y={row * (CELL + GAP)}
+          width={CELL}
+          height={CELL}
+          rx={2}
+          fill={cell.level === 0 ? emptyColor : color}
+          fillOpacity={cell.level === 0 ? 1 : cell.level / 4}
+        >
+          <title>{`${formatDayKey(cell.date)}: ${cell.duration} min`}</title>
+        </rect>
+      )))}
+    </svg>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useRef, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { parseICalendar, exportScheduleToICalendar } from '../utils/icalendar';
+import { PERMISSIONS } from '../utils/permissions';
+import { downloadFile } from '../utils/fileDownload';
+
+// PUBLIC_INTERFACE
+export default function CalendarTools({ schedule }) {
+  /**
+   * Import busy times from an .ics file and export the study schedule as .ics.
+   * @param {Array} schedule - Output of generateAdaptiveSchedule
+   */
+  const { userData, can, setBusyIntervals } = useUser();
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const busyCount = (userData.busyIntervals || []).length;
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const intervals = parseICalendar(await file.text());
+      setBusyIntervals(intervals);
+      setMessage(`Imported ${intervals.length} busy time(s) from ${file.name}`);
+    } catch (err) {
+      setMessage(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile('study-schedule.ics', exportScheduleToICalendar(schedule), 'text/calendar');
+  };
+
+  return (
+    <div className="calendar-tools">
+      {can(PERMISSIONS.EDIT_PREFERENCES) && (
+        <>
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()}>
+            Import busy times (.ics)
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleImport}
+            hidden
+          />
+          {busyCount > 0 && (
+            <button className="btn btn-secondary" onClick={() => setBusyIntervals([])}>
+              Clear {busyCount} busy time(s)
+            </button>
+          )}
+        </>
+      )}
+      <button className="btn btn-secondary" onClick={handleExport} disabled={schedule.length === 0}>
+        Export schedule (.ics)
+      </button>
+      {message && <p className="calendar-message">{message}</p>}
+    </div>
+  );
+}
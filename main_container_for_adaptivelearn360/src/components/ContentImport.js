@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from 'react';
+import { useContent } from '../contexts/ContentContext';
+import { importMarkdown } from '../content/markdownImport';
+import { parseCsv, suggestColumnMapping, importCsvRows, CSV_FIELDS } from '../content/csvImport';
+import { importAnkiText, importAnkiPackage, ANKI_GROUPING } from '../content/ankiImport';
+
+// Importer for a file name, by extension
+const getFormat = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'txt') return 'anki-text';
+  if (extension === 'apkg') return 'anki-package';
+  return null;
+};
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// PUBLIC_INTERFACE
+export default function ContentImport() {
+  /**
+   * Import content from Markdown notes, CSV spreadsheets and Anki decks.
+   * Choosing a file shows a dry run of what would be created, merged into
+   * existing items and skipped; nothing changes until the import is confirmed.
+   * CSV files get a column-mapping step first.
+   */
+  const { planImport, importItems } = useContent();
+  const [file, setFile] = useState(null);
+  const [defaultSubject, setDefaultSubject] = useState('');
+  const [grouping, setGrouping] = useState(ANKI_GROUPING.DECK);
+  const [mapping, setMapping] = useState({});
+  const [candidates, setCandidates] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Re-read the file whenever an import option changes
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    const options = {
+      grouping,
+      deckName: baseName(file.name),
+      defaults: defaultSubject.trim() ? { subject: defaultSubject } : {}
+    };
+
+    const read = async () => {
+      switch (file.format) {
+        case 'markdown':
+          return importMarkdown(file.text, options);
+        case 'csv':
+          return importCsvRows(file.table, mapping, options);
+        case 'anki-text':
+          return importAnkiText(file.text, options);
+        default:
+          return importAnkiPackage(file.data, options);
+      }
+    };
+
+    read()
+      .then(result => {
+        if (cancelled) return;
+        setCandidates(result);
+        setError(null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setCandidates(null);
+        setError(`Could not read ${file.name}: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, mapping, grouping, defaultSubject]);
+
+  const handleFile = async (event) => {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) return;
+    setMessage(null);
+
+    const format = getFormat(chosen.name);
+    if (!format) {
+      setFile(null);
+      setCandidates(null);
+      setError(`${chosen.name} is not a Markdown, CSV or Anki file`);
+      return;
+    }
+
+    try {
+      if (format === 'anki-package') {
+        setFile({ name: chosen.name, format, data: await chosen.arrayBuffer() });
+      } else if (format === 'csv') {
+        const table = parseCsv(await chosen.text());
+        setMapping(suggestColumnMapping(table.headers));
+        setFile({ name: chosen.name, format, table });
+      } else {
+        setFile({ name: chosen.name, format, text: await chosen.text() });
+      }
+    } catch (err) {
+      setFile(null);
+      setCandidates(null);
+      setError(`Could not read ${chosen.name}: ${err.message}`);
+    }
+  };
+
+  const reset = () => {
+    setFile(null);
+    setCandidates(null);
+    setError(null);
+  };
+
+  const plan = candidates ? planImport(candidates) : null;
+  const unchanged = plan ? plan.merge.filter(change => change.changes.length === 0).length : 0;
+
+  const handleImport = () => {
+    importItems(plan.items);
+    setMessage(`Imported ${plan.items.length} item(s) from ${file.name}.`);
+    reset();
+  };
+
+  return (
+    <div className="content-import">
+      <label className="library-pack">
+        Import notes, a spreadsheet or an Anki deck (.md, .csv, .txt, .apkg)
+        <input type="file" accept=".md,.markdown,.csv,.txt,.apkg" onChange={handleFile} />
+      </label>
+
+      {file && (
+        <div className="import-options">
+          <input
+            className="library-input"
+            placeholder="Default subject"
+            aria-label="Default subject"
+            value={defaultSubject}
+            onChange={event => setDefaultSubject(event.target.value)}
+          />
+          {file.format.startsWith('anki') && (
+            <select
+              className="library-input"
+              aria-label="Import Anki notes as"
+              value={grouping}
+              onChange={event => setGrouping(event.target.value)}
+            >
+              <option value={ANKI_GROUPING.DECK}>One item per deck</option>
+              <option value={ANKI_GROUPING.NOTE}>One item per note</option>
+            </select>
+          )}
+        </div>
+      )}
+
+      {file && file.format === 'csv' && (
+        <div className="import-mapping">
+          {CSV_FIELDS.map(({ field, label }) => (
+            <label key={field} className="import-mapping-field">
+              {label}
+              <select
+                className="library-input"
+                value={mapping[field] ?? ''}
+                onChange={event => setMapping({
+                  ...mapping,
+                  [field]: event.target.value === '' ? null : Number(event.target.value)
+                })}
+              >
+                <option value="">Not imported</option>
+                {file.table.headers.map((header, index) => (
+                  <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <ul className="library-errors" role="alert">
+          <li>{error}</li>
+        </ul>
+      )}
+      {message && <p className="library-note">{message}</p>}
+
+      {plan && (
+        <div className="import-report">
+          <p className="library-note">
+            Dry run for {file.name}: {plan.create.length} new, {plan.items.length - plan.create.length} updated,
+            {' '}{unchanged} already up to date, {plan.duplicates.length} duplicate(s) merged,
+            {' '}{plan.skipped.length} skipped.
+          </p>
+          {plan.create.length > 0 && (
+            <ul className="library-list">
+              {plan.create.map(item => (
+                <li key={item.id} className="library-item">
+                  <span className="library-item-title">{item.title}</span>
+                  <div className="library-item-meta">
+                    New - {item.subject} - difficulty {item.difficulty} - {item.estimatedDuration} min
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          {plan.merge.some(change => change.changes.length > 0) && (
+            <ul className="library-list">
+              {plan.merge.filter(change => change.changes.length > 0).map(change => (
+                <li key={change.item.id} className="library-item">
+                  <span className="library-item-title">{change.item.title}</span>
+                  <div className="library-item-meta">Updates {change.changes.join(', ')}</div>
+                </li>
+              ))}
+            </ul>
+          )}
+          {(plan.errors.length > 0 || plan.skipped.length > 0) && (
+            <ul className="library-errors">
+              {plan.errors.map(problem => <li key={problem.message}>{problem.message}</li>)}
+              {plan.skipped.flatMap(entry => entry.errors).map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+          <div className="import-actions">
+            <button
+              className="btn"
+              onClick={handleImport}
+              disabled={plan.items.length === 0 || plan.errors.length > 0}
+            >
+              Import {plan.items.length} item(s)
+            </button>
+            <button className="btn btn-secondary" onClick={reset}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { useContent } from '../contexts/ContentContext';
+import { ContentValidationError, DIFFICULTY_RANGE } from '../content/contentSchema';
+import { ContentPackError } from '../content/contentPacks';
+import { formatSubject } from './PriorityList';
+import ContentImport from './ContentImport';
+
+const DIFFICULTIES = Array.from(
+  { length: DIFFICULTY_RANGE.max - DIFFICULTY_RANGE.min + 1 },
+  (_, index) => DIFFICULTY_RANGE.min + index
+);
+
+const EMPTY_FORM = { title: '', subject: '', difficulty: '3', estimatedDuration: '15' };
+
+// Messages to show for an error raised by a library change
+const describeError = (error) => {
+  if (error instanceof ContentValidationError) return error.errors.map(problem => problem.message);
+  if (error instanceof ContentPackError) return [error.message];
+  throw error;
+};
+
+// PUBLIC_INTERFACE
+export default function ContentLibrary({ limit = null, showDetails = false }) {
+  /**
+   * Browse the content library by text, subject, tag and difficulty, add
+   * items, load content packs and import notes, spreadsheets and decks.
+   * @param {number} limit - Maximum number of items to list (null = all)
+   * @param {boolean} showDetails - Whether to show tags and descriptions
+   */
+  const { subjects, tags, canEdit, addItem, removeItem, loadPack, searchItems } = useContent();
+  const [query, setQuery] = useState('');
+  const [subject, setSubject] = useState('');
+  const [tag, setTag] = useState('');
+  const [difficulty, setDifficulty] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [messages, setMessages] = useState([]);
+  const [report, setReport] = useState(null);
+
+  const results = searchItems({
+    query,
+    subject: subject || undefined,
+    tag: tag || undefined,
+    difficulty: difficulty ? Number(difficulty) : undefined
+  });
+  const visible = limit ? results.slice(0, limit) : results;
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    try {
+      addItem(form);
+      setForm(EMPTY_FORM);
+      setMessages([]);
+    } catch (error) {
+      setMessages(describeError(error));
+    }
+  };
+
+  const handlePackFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setReport(await loadPack(await file.text()));
+      setMessages([]);
+    } catch (error) {
+      setReport(null);
+      setMessages(describeError(error));
+    }
+  };
+
+  return (
+    <div className="content-library">
+      <div className="library-filters">
+        <input
+          type="search"
+          className="library-input"
+          placeholder="Search content"
+          aria-label="Search content"
+          value={query}
+          onChange={event => setQuery(event.target.value)}
+        />
+        <select className="library-input" aria-label="Subject" value={subject} onChange={event => setSubject(event.target.value)}>
+          <option value="">All subjects</option>
+          {subjects.map(option => <option key={option} value={option}>{formatSubject(option)}</option>)}
+        </select>
+        {tags.length > 0 && (
+          <select className="library-input" aria-label="Tag" value={tag} onChange={event => setTag(event.target.value)}>
+            <option value="">All tags</option>
+            {tags.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        )}
+        <select className="library-input" aria-label="Difficulty" value={difficulty} onChange={event => setDifficulty(event.target.value)}>
+          <option value="">Any difficulty</option>
+          {DIFFICULTIES.map(level => <option key={level} value={level}>Difficulty {level}</option>)}
+        </select>
+      </div>
+
+      {visible.length > 0 ? (
+        <ul className="library-list">
+          {visible.map(item => (
+            <li key={item.id} className="library-item">
+              <div className="library-item-header">
+                <span className="library-item-title">{item.title}</span>
+                {canEdit && (
+                  <button className="link-button" onClick={() => removeItem(item.id)}>Remove</button>
+                )}
+              </div>
+              <div className="library-item-meta">
+                {formatSubject(item.subject)} - difficulty {item.difficulty} - {item.estimatedDuration} min
+                {showDetails && item.tags && item.tags.length > 0 && ` - ${item.tags.join(', ')}`}
+              </div>
+              {showDetails && item.description && <p className="library-item-description">{item.description}</p>}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="panel-empty">No content matches these filters.</p>
+      )}
+      {visible.length < results.length && (
+        <p className="library-note">Showing {visible.length} of {results.length} items.</p>
+      )}
+
+      {messages.length > 0 && (
+        <ul className="library-errors" role="alert">
+          {messages.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      {report && (
+        <p className="library-note">
+          {report.pack.name}: {report.added.length} added, {report.updated.length} updated
+          {report.errors.length > 0 && `, ${report.errors.length} problem(s) - invalid entries were skipped`}.
+        </p>
+      )}
+      {report && report.errors.length > 0 && (
+        <ul className="library-errors">
+          {report.errors.map(problem => <li key={problem.message}>{problem.message}</li>)}
+        </ul>
+      )}
+
+      {canEdit && (
+        <>
+          <form className="library-form" onSubmit={handleAdd}>
+            <input
+              className="library-input"
+              placeholder="Title"
+              aria-label="Title"
+              value={form.title}
+              onChange={event => setForm({ ...form, title: event.target.value })}
+            />
+            <input
+              className="library-input"
+              placeholder="Subject"
+              aria-label="New item subject"
+              value={form.subject}
+              onChange={event => setForm({ ...form, subject: event.target.value })}
+            />
+            <select
+              className="library-input"
+              aria-label="New item difficulty"
+              value={form.difficulty}
+              onChange={event => setForm({ ...form, difficulty: event.target.value })}
+            >
+              {DIFFICULTIES.map(level => <option key={level} value={level}>Difficulty {level}</option>)}
+            </select>
+            <input
+              type="number"
+              min="1"
+              className="library-input"
+              aria-label="Minutes"
+              value={form.estimatedDuration}
+              onChange={event => setForm({ ...form, estimatedDuration: event.target.value })}
+            />
+            <button type="submit" className="btn btn-secondary">Add item</button>
+          </form>
+          <label className="library-pack">
+            Load a content pack (.json)
+            <input type="file" accept=".json,application/json" onChange={handlePackFile} />
+          </label>
+          <ContentImport />
+        </>
+      )}
+    </div>
+  );
+}
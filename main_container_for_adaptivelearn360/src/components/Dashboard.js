@@ -0,0 +1,281 @@
+import React, { useMemo } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import {
+  generateAdaptiveSchedule,
+  adjustScheduleBasedOnPerformance,
+  detectStudyPattern
+} from '../utils/schedulingAlgorithm';
+import { useContent } from '../contexts/ContentContext';
+import PriorityList from './PriorityList';
+import StudyPatternCard from './StudyPatternCard';
+import WeeklySchedule from './WeeklySchedule';
+import LearnerOverview from './LearnerOverview';
+import CalendarTools from './CalendarTools';
+import ExamPlanner from './ExamPlanner';
+import SessionTimer from './SessionTimer';
+import StudyHistory from './StudyHistory';
+import StreakTracker from './StreakTracker';
+import ReminderSettings from './ReminderSettings';
+import ReminderCenter from './ReminderCenter';
+import FocusStatus from './FocusStatus';
+import ContentLibrary from './ContentLibrary';
+import QuizPanel from './QuizPanel';
+import PlacementTest from './PlacementTest';
+import ProgressAnalytics from './ProgressAnalytics';
+import DataSettings from './DataSettings';
+import AppearanceSettings from './AppearanceSettings';
+import WhyPopover from './WhyPopover';
+import { ADAPTATION_LABELS } from '../adaptation/reasons';
+import { PERMISSIONS } from '../utils/permissions';
+
+// How each adaptive layout presents the dashboard.
+// panels: which panels are shown and in what order
+// priorityLimit / scheduleDays / examSessions: how much of each list is shown (null = all)
+// showDetails: whether panels render their secondary details
+// showGuidance: whether panels carry a step number and a short explanation
+//   (also shown whenever the useStepByStep hint is on)
+const layoutConfig = {
+  standard: {
+    panels: ['session', 'quiz', 'priorities', 'streak', 'pattern', 'schedule', 'exams', 'history', 'analytics', 'reminders', 'library', 'appearance', 'data'],
+    priorityLimit: null,
+    scheduleDays: null,
+    examSessions: 5,
+    showDetails: false,
+    showGuidance: false,
+  },
+  guided: {
+    panels: ['pattern', 'streak', 'priorities', 'session', 'quiz', 'schedule', 'exams', 'reminders', 'appearance'],
+    priorityLimit: 4,
+    scheduleDays: 3,
+    examSessions: 3,
+    showDetails: false,
+    showGuidance: true,
+  },
+  advanced: {
+    panels: ['session', 'quiz', 'priorities', 'streak', 'pattern', 'schedule', 'exams', 'history', 'analytics', 'reminders', 'library', 'appearance', 'data'],
+    priorityLimit: null,
+    scheduleDays: null,
+    examSessions: null,
+    showDetails: true,
+    showGuidance: false,
+  },
+  compact: {
+    panels: ['session', 'schedule', 'quiz', 'streak', 'priorities', 'pattern', 'exams', 'reminders', 'appearance'],
+    priorityLimit: 3,
+    scheduleDays: 2,
+    examSessions: 3,
+    showDetails: false,
+    showGuidance: false,
+  },
+  focused: {
+    panels: ['focus', 'session', 'schedule', 'priorities'],
+    priorityLimit: 2,
+    scheduleDays: 1,
+    showDetails: false,
+    showGuidance: false,
+  },
+};
+
+const panelTitles = {
+  priorities: 'Focus areas',
+  pattern: 'Your study pattern',
+  schedule: 'This week',
+  exams: 'Exam plan',
+  session: 'Study session',
+  history: 'Study history',
+  streak: 'Daily goal',
+  reminders: 'Reminders',
+  focus: 'Focus session',
+  library: 'Content library',
+  quiz: 'Quick quiz',
+  placement: 'Placement test',
+  analytics: 'Progress',
+  data: 'Your data',
+  appearance: 'Appearance',
+};
+
+const panelGuidance = {
+  priorities: 'These subjects need the most attention, weakest first.',
+  pattern: 'This is how you have been studying lately and what to try next.',
+  schedule: 'Follow these sessions to stay on track.',
+  exams: 'Add your exams and we will spread the work so everything is covered in time.',
+  session: 'Start a timed session when you sit down to study; a break follows automatically.',
+  history: 'Look back over the sessions you recorded this week or month.',
+  streak: 'Study a little every day to build your streak.',
+  reminders: 'Choose when we nudge you; each reminder links to your next session.',
+  focus: 'Stay on this page until you are done.',
+  library: 'Find study material by subject, tag or difficulty, or add your own.',
+  quiz: 'Check what you remember; anything you miss is added to your next session.',
+  placement: 'Answer a few questions per subject so your plan starts from what you already know.',
+  analytics: 'See how much you study, when, and how your scores and weak areas are moving.',
+  data: 'Download or restore your data, choose what is analysed, or delete it all.',
+  appearance: 'Leave a setting on Auto to let it adapt, or pick a value to keep it.',
+};
+
+// PUBLIC_INTERFACE
+export default function Dashboard() {
+  /**
+   * Learner dashboard. Shows the adaptive layout, content priorities,
+   * detected study pattern, this week's adaptive schedule and the exam plan.
+   */
+  const { userData, account, roster, activeLearnerId, switchLearner, can } = useUser();
+  const {
+    adaptiveLayout,
+    adaptations,
+    adaptationReasons,
+    contentPriority,
+    uiHints,
+    quizFeedback
+  } = useAdaptive();
+  const { items: contentItems } = useContent();
+
+  const config = layoutConfig[adaptiveLayout] || layoutConfig.standard;
+  const showGuidance = config.showGuidance || uiHints.useStepByStep;
+  const isOwnProfile = account.id === userData.id;
+
+  // The session timer, quizzes and reminders are for the learner, so tutors
+  // and guardians (who cannot record activity) do not get them. Data
+  // settings are only shown on the learner's own profile.
+  const canRecord = can(PERMISSIONS.RECORD_ACTIVITY);
+  const allowedPanels = config.panels.filter(panel =>
+    (!['session', 'quiz', 'reminders'].includes(panel) || canRecord) && (panel !== 'data' || isOwnProfile)
+  );
+
+  // Put progress first while the learner is still building a habit
+  const orderedPanels = uiHints.emphasizeProgress && allowedPanels.includes('streak')
+    ? ['streak', ...allowedPanels.filter(panel => panel !== 'streak')]
+    : allowedPanels;
+
+  // A new learner is offered the placement test before anything else
+  const needsPlacement = canRecord && adaptiveLayout !== 'focused' &&
+    !userData.placement && (userData.attempts || []).length === 0;
+  const panels = needsPlacement ? ['placement', ...orderedPanels] : orderedPanels;
+
+  // UI hints that are on, or that the learner has overridden or snoozed
+  const shownHints = Object.keys(uiHints).filter(hint =>
+    uiHints[hint] || adaptationReasons[`uiHints.${hint}`].source !== 'rule'
+  );
+
+  const studyPattern = useMemo(() => detectStudyPattern(userData.habits), [userData.habits]);
+
+  // The latest quiz result adds reinforcement for struggled items
+  const schedule = useMemo(
+    () => adjustScheduleBasedOnPerformance(generateAdaptiveSchedule(userData, contentItems), quizFeedback),
+    [userData, contentItems, quizFeedback]
+  );
+
+  const renderPanel = (panel) => {
+    switch (panel) {
+      case 'priorities':
+        return (
+          <PriorityList
+            priorities={contentPriority}
+            limit={config.priorityLimit}
+            showDetails={config.showDetails}
+          />
+        );
+      case 'pattern':
+        return <StudyPatternCard pattern={studyPattern} showDetails={config.showDetails} />;
+      case 'schedule':
+        return (
+          <>
+            <WeeklySchedule
+              schedule={schedule}
+              days={config.scheduleDays}
+              showDetails={config.showDetails}
+            />
+            {adaptiveLayout !== 'focused' && <CalendarTools schedule={schedule} />}
+          </>
+        );
+      case 'session':
+        return <SessionTimer contentItems={contentItems} />;
+      case 'streak':
+        return <StreakTracker showDetails={config.showDetails} />;
+      case 'focus':
+        return <FocusStatus />;
+      case 'reminders':
+        return <ReminderSettings schedule={schedule} limit={config.showDetails ? 5 : 3} />;
+      case 'history':
+        return <StudyHistory sessions={userData.studySessions} showDetails={config.showDetails} />;
+      case 'analytics':
+        return <ProgressAnalytics showDetails={config.showDetails} />;
+      case 'data':
+        return <DataSettings schedule={schedule} />;
+      case 'appearance':
+        return <AppearanceSettings />;
+      case 'quiz':
+        return <QuizPanel showDetails={config.showDetails} />;
+      case 'placement':
+        return <PlacementTest showDetails={config.showDetails} />;
+      case 'library':
+        return <ContentLibrary limit={config.showDetails ? null : 8} showDetails={config.showDetails} />;
+      case 'exams':
+        return (
+          <ExamPlanner
+            contentItems={contentItems}
+            limit={config.examSessions}
+            showDetails={config.showDetails}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <section className={`dashboard dashboard-${adaptiveLayout}`}>
+      <header className="dashboard-header">
+        <h1 className="dashboard-title">
+          {isOwnProfile ? `Welcome back, ${userData.name}` : `Viewing ${userData.name}`}
+        </h1>
+        <div className="adaptation-badges">
+          <span className="layout-badge">
+            {adaptiveLayout} layout
+            <WhyPopover reason={adaptationReasons.layout} title={`${adaptiveLayout} layout`} target="layout" />
+          </span>
+          <span className="layout-badge">
+            {adaptations.theme} theme
+            <WhyPopover reason={adaptationReasons.theme} title={`${adaptations.theme} theme`} target="theme" />
+          </span>
+          {shownHints.map(hint => {
+            const target = `uiHints.${hint}`;
+            return (
+              <span key={hint} className={`layout-badge${uiHints[hint] ? '' : ' layout-badge-off'}`}>
+                {ADAPTATION_LABELS[target]}
+                <WhyPopover reason={adaptationReasons[target]} title={ADAPTATION_LABELS[target]} target={target} />
+              </span>
+            );
+          })}
+        </div>
+      </header>
+
+      <div className="dashboard-grid">
+        {panels.map((panel, index) => (
+          <article key={panel} className={`panel panel-${panel}`}>
+            <h2 className="panel-title">
+              {showGuidance && <span className="panel-step">{index + 1}</span>}
+              {panelTitles[panel]}
+            </h2>
+            {showGuidance && <p className="panel-guidance">{panelGuidance[panel]}</p>}
+            {renderPanel(panel)}
+          </article>
+        ))}
+      </div>
+
+      {canRecord && <ReminderCenter schedule={schedule} />}
+
+      {can(PERMISSIONS.VIEW_OVERVIEW) && (
+        <article className="panel panel-overview">
+          <h2 className="panel-title">Learner overview</h2>
+          <LearnerOverview
+            roster={roster}
+            contentItems={contentItems}
+            activeLearnerId={activeLearnerId}
+            onSelectLearner={switchLearner}
+          />
+        </article>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { parseDataExport, sessionsToCsv, attemptsToCsv } from '../utils/dataPortability';
+import { ANALYTICS_CONSENT_FIELDS, hasAnalyticsConsent } from '../utils/analyticsConsent';
+import { downloadFile } from '../utils/fileDownload';
+import { toDayKey } from '../utils/dateUtils';
+import { PERMISSIONS } from '../utils/permissions';
+
+// How each part of an import summary is described, in display order
+const summaryLabels = {
+  studySessions: 'study session(s)',
+  attempts: 'quiz or practice result(s)',
+  focusSessions: 'focus session(s)',
+  completionHistory: 'day(s) of earlier study history',
+  reviewStates: 'review state(s)',
+  exams: 'exam(s)',
+  examPlan: 'exam plan',
+  busyIntervals: 'busy time(s)',
+  placement: 'placement result',
+  preferences: 'preference(s) changed',
+  accessibility: 'accessibility setting(s) changed'
+};
+
+const describeSummary = (summary) =>
+  Object.keys(summaryLabels)
+    .filter(part => summary[part] > 0)
+    .map(part => `${summary[part]} ${summaryLabels[part]}`);
+
+// PUBLIC_INTERFACE
+export default function DataSettings({ schedule = [] }) {
+  /**
+   * The learner's data: download it as a JSON archive or as CSV, import an
+   * archive (with a dry run before anything changes), choose which records
+   * may be analysed, and delete everything after a confirmation.
+   * @param {Array} schedule - Current schedule, included in the archive for reference
+   */
+  const { userData, can, exportData, planImport, importData, updateConsent, deleteAllData } = useUser();
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const canEdit = can(PERMISSIONS.EDIT_PROFILE);
+  const fileStem = `adaptivelearn360-${userData.id}-${toDayKey(new Date())}`;
+
+  const handleExport = () => {
+    const archive = exportData({ schedule });
+    downloadFile(`${fileStem}.json`, JSON.stringify(archive, null, 2), 'application/json');
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    setMessage(null);
+
+    try {
+      const { learner, exportedAt } = parseDataExport(await file.text());
+      setPending({ name: file.name, learner, exportedAt });
+      setError(null);
+    } catch (err) {
+      setPending(null);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleImport = () => {
+    const summary = importData(pending.learner);
+    const parts = summary ? describeSummary(summary) : [];
+    setMessage(parts.length > 0 ? `Imported ${parts.join(', ')} from ${pending.name}.` : 'Nothing new to import.');
+    setPending(null);
+  };
+
+  const preview = pending ? describeSummary(planImport(pending.learner).summary) : [];
+
+  return (
+    <div className="data-settings">
+      <section className="data-section">
+        <h3 className="data-title">Download</h3>
+        <div className="import-actions">
+          <button className="btn btn-secondary" onClick={handleExport}>Everything (.json)</button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => downloadFile(`${fileStem}-sessions.csv`, sessionsToCsv(userData.studySessions), 'text/csv')}
+            disabled={userData.studySessions.length === 0}
+          >
+            Study sessions (.csv)
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => downloadFile(`${fileStem}-attempts.csv`, attemptsToCsv(userData.attempts), 'text/csv')}
+            disabled={userData.attempts.length === 0}
+          >
+            Quiz results (.csv)
+          </button>
+        </div>
+      </section>
+
+      {canEdit && (
+        <section className="data-section">
+          <h3 className="data-title">Import</h3>
+          <label className="library-pack">
+            Restore from an AdaptiveLearn360 export (.json)
+            <input type="file" accept=".json,application/json" onChange={handleFile} />
+          </label>
+          {error && (
+            <ul className="library-errors" role="alert">
+              <li>{error}</li>
+            </ul>
+          )}
+          {message && <p className="library-note">{message}</p>}
+          {pending && (
+            <div className="import-report">
+              <p className="library-note">
+                Dry run for {pending.name}
+                {pending.exportedAt && ` (exported ${new Date(pending.exportedAt).toLocaleDateString()})`}:
+                {' '}{preview.length > 0 ? `adds ${preview.join(', ')}.` : 'everything in it is already here.'}
+              </p>
+              {pending.learner.id !== userData.id && (
+                <p className="library-note">This export belongs to another learner ({pending.learner.name || pending.learner.id}).</p>
+              )}
+              <div className="import-actions">
+                <button className="btn" onClick={handleImport} disabled={preview.length === 0}>Import</button>
+                <button className="btn btn-secondary" onClick={() => setPending(null)}>Cancel</button>
+              </div>
+            </div>
+          )}
+        </section>
+      )}
+
+      <section className="data-section">
+        <h3 className="data-title">Analytics</h3>
+        <p className="library-note">
+          Your records are always used to plan your study. Choose which of them may also be analysed for patterns.
+        </p>
+        {ANALYTICS_CONSENT_FIELDS.map(({ field, label, description }) => (
+          <label key={field} className="data-consent">
+            <input
+              type="checkbox"
+              checked={hasAnalyticsConsent(userData, field)}
+              onChange={event => updateConsent({ [field]: event.target.checked })}
+              disabled={!canEdit}
+            />
+            <span>
+              <span className="data-consent-label">{label}</span>
+              <span className="data-consent-description">{description}</span>
+            </span>
+          </label>
+        ))}
+      </section>
+
+      {canEdit && (
+        <section className="data-section">
+          <h3 className="data-title">Delete</h3>
+          {confirmingDelete ? (
+            <div role="alert">
+              <p className="data-warning">
+                This deletes your sessions, results, exams and settings from the server and everything
+                stored on this device, including the content library. It cannot be undone, so download
+                everything first if you may want it back.
+              </p>
+              <div className="import-actions">
+                <button className="btn btn-danger" onClick={deleteAllData}>Delete everything</button>
+                <button className="btn btn-secondary" onClick={() => setConfirmingDelete(false)}>Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <button className="btn btn-secondary" onClick={() => setConfirmingDelete(true)}>
+              Delete all my data
+            </button>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
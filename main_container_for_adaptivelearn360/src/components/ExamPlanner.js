@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { generateExamPlan, findMissedSessions, getExamPlanKey } from '../utils/examPlanning';
+import { PERMISSIONS } from '../utils/permissions';
+import { getSessionAnchor } from '../utils/reminders';
+import { formatSubject } from './PriorityList';
+
+// Format an exam date as e.g. "Mon, Jun 3"
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+// Format a planned session as e.g. "Mon, Jun 3, 19:00"
+const formatSessionDate = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+// Human-readable text for a plan warning
+const describeWarning = (warning) => {
+  switch (warning.type) {
+    case 'over-commitment':
+      return `${warning.examName}: needs ${warning.requiredMinutes} min but only ${warning.availableMinutes} min are free before the exam.`;
+    case 'no-time':
+      return `${warning.examName}: there are no study days left before the exam.`;
+    case 'missing-items':
+      return `${warning.examName}: ${warning.itemIds.length} syllabus item(s) could not be found.`;
+    case 'prerequisite-cycle':
+      return `${warning.examName}: prerequisites form a cycle (${warning.cycle.join(' -> ')}).`;
+    default:
+      return `${warning.examName}: ${warning.type}`;
+  }
+};
+
+// PUBLIC_INTERFACE
+export default function ExamPlanner({ contentItems, limit = null, showDetails = false }) {
+  /**
+   * Exam planning mode. Lets the user enter exams with their syllabus and
+   * shows the backward plan, re-planning whenever the exams change or a
+   * planned session is missed.
+   * @param {Array} contentItems - Items that can be put on a syllabus
+   * @param {number} limit - Maximum number of sessions to show (null = all)
+   * @param {boolean} showDetails - Whether to list the tasks in each session
+   */
+  const { userData, can, addExam, removeExam, saveExamPlan } = useUser();
+  const [name, setName] = useState('');
+  const [date, setDate] = useState('');
+  const [itemIds, setItemIds] = useState([]);
+
+  const exams = userData.exams || [];
+  const canEdit = can(PERMISSIONS.EDIT_PREFERENCES);
+  const planKey = getExamPlanKey(exams);
+
+  const { plan, isFresh } = useMemo(() => {
+    const stored = userData.examPlan;
+    if (exams.length === 0 && !stored) {
+      return { plan: { sessions: [], warnings: [], unscheduled: [] }, isFresh: false };
+    }
+
+    const missed = findMissedSessions(stored, userData);
+
+    if (stored && stored.planKey === planKey && missed.length === 0) {
+      return { plan: stored, isFresh: false };
+    }
+    return {
+      plan: {
+        ...generateExamPlan(userData, contentItems),
+        planKey,
+        replannedAfterMissed: stored && stored.planKey === planKey ? missed.length : 0
+      },
+      isFresh: true
+    };
+  }, [userData, exams.length, contentItems, planKey]);
+
+  // Keep the stored plan current so later misses are measured against it
+  useEffect(() => {
+    if (isFresh && canEdit) {
+      saveExamPlan(exams.length > 0 ? plan : null);
+    }
+  }, [plan, isFresh, canEdit, exams.length, saveExamPlan]);
+
+  const toggleItem = (itemId) => {
+    setItemIds(ids => (ids.includes(itemId) ? ids.filter(id => id !== itemId) : [...ids, itemId]));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!name.trim() || !date || itemIds.length === 0) return;
+    addExam({ name: name.trim(), date: new Date(`${date}T00:00:00`), itemIds });
+    setName('');
+    setDate('');
+    setItemIds([]);
+  };
+
+  const sessions = limit ? plan.sessions.slice(0, limit) : plan.sessions;
+
+  return (
+    <div className="exam-planner">
+      {exams.length > 0 ? (
+        <ul className="exam-list">
+          {exams.map(exam => (
+            <li key={exam.id} className="exam-entry">
+              <span className="exam-name">{exam.name}</span>
+              <span className="exam-date">{formatDay(exam.date)}</span>
+              <span className="exam-items">{exam.itemIds.length} item(s)</span>
+              {canEdit && (
+                <button className="link-button" onClick={() => removeExam(exam.id)}>
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="panel-empty">No upcoming exams. Add one to plan backwards from its date.</p>
+      )}
+
+      {plan.replannedAfterMissed > 0 && (
+        <p className="exam-notice">
+          Re-planned after {plan.replannedAfterMissed} missed session(s).
+        </p>
+      )}
+
+      {plan.warnings.length > 0 && (
+        <ul className="exam-warnings">
+          {plan.warnings.map(warning => (
+            <li key={`${warning.type}-${warning.examId}`}>{describeWarning(warning)}</li>
+          ))}
+        </ul>
+      )}
+
+      {sessions.length > 0 && (
+        <ol className="schedule-list">
+          {sessions.map(session => (
+            <li key={session.id} id={getSessionAnchor(session)} className="schedule-item">
+              <div className="schedule-header">
+                <span className="schedule-date">{formatSessionDate(session.date)}</span>
+                <span className="schedule-duration">{session.duration} min</span>
+              </div>
+              {showDetails ? (
+                <ul className="schedule-items">
+                  {session.tasks.map(task => (
+                    <li key={`${task.kind}-${task.examId}-${task.itemId}`}>
+                      {task.title} ({formatSubject(task.subject)}, {task.minutes} min)
+                      <span className="schedule-item-type">{task.kind}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="schedule-summary">
+                  {session.tasks.map(task => task.title).join(', ')}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {plan.unscheduled.length > 0 && (
+        <p className="exam-notice">
+          {plan.unscheduled.length} task(s) could not be scheduled before their exam.
+        </p>
+      )}
+
+      {canEdit && (
+        <form className="exam-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            placeholder="Exam name"
+            value={name}
+            onChange={event => setName(event.target.value)}
+            aria-label="Exam name"
+          />
+          <input
+            type="date"
+            value={date}
+            onChange={event => setDate(event.target.value)}
+            aria-label="Exam date"
+          />
+          <fieldset className="exam-syllabus">
+            <legend>Syllabus</legend>
+            {contentItems.map(item => (
+              <label key={item.id}>
+                <input
+                  type="checkbox"
+                  checked={itemIds.includes(item.id)}
+                  onChange={() => toggleItem(item.id)}
+                />
+                {item.title}
+              </label>
+            ))}
+          </fieldset>
+          <button
+            type="submit"
+            className="btn btn-secondary"
+            disabled={!name.trim() || !date || itemIds.length === 0}
+          >
+            Add exam
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import { useContent } from '../contexts/ContentContext';
+import FocusStatus from './FocusStatus';
+import SessionTimer from './SessionTimer';
+import { PERMISSIONS } from '../utils/permissions';
+
+// PUBLIC_INTERFACE
+export default function FocusOverlay() {
+  /**
+   * Full-screen overlay shown during focus mode when the learner asks for
+   * it. It replaces the dashboard, leaving only the focus status and the
+   * session timer.
+   */
+  const { can } = useUser();
+  const { focusMode, focusOverlay } = useAdaptive();
+  const { items: contentItems } = useContent();
+
+  if (!focusMode || !focusOverlay) return null;
+
+  return (
+    <div className="focus-overlay" role="dialog" aria-modal="true" aria-label="Focus mode">
+      <div className="focus-overlay-content">
+        <h2 className="panel-title">Focus mode</h2>
+        <FocusStatus />
+        {can(PERMISSIONS.RECORD_ACTIVITY) && <SessionTimer contentItems={contentItems} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from 'react';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import { getCountedDistractions } from '../utils/focusTracking';
+
+// Format milliseconds as m:ss
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// PUBLIC_INTERFACE
+export default function FocusStatus() {
+  /**
+   * Live view of the guarded focus session: time in focus mode, how often
+   * the learner has left the app, and controls for the overlay and ending.
+   */
+  const { focusSession, focusOverlay, toggleFocusOverlay, toggleFocusMode } = useAdaptive();
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!focusSession) return null;
+
+  const distractions = getCountedDistractions(focusSession, now).length;
+
+  return (
+    <div className="focus-status">
+      <div className="focus-stats">
+        <div className="focus-stat">
+          <span className="focus-value" role="timer">{formatElapsed(now - new Date(focusSession.startedAt))}</span>
+          <span className="focus-label">in focus</span>
+        </div>
+        <div className="focus-stat">
+          <span className="focus-value">{distractions}</span>
+          <span className="focus-label">distraction(s)</span>
+        </div>
+      </div>
+      <p className="focus-note">Switching tabs or windows counts as a distraction.</p>
+      <div className="focus-actions">
+        <button className="btn btn-secondary" onClick={toggleFocusOverlay}>
+          {focusOverlay ? 'Show dashboard' : 'Cover the screen'}
+        </button>
+        <button className="btn" onClick={toggleFocusMode}>End focus</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useMemo } from 'react';
+import { buildLearnerOverview } from '../utils/learnerOverview';
+import { formatSubject } from './PriorityList';
+import WhyPopover from './WhyPopover';
+
+// PUBLIC_INTERFACE
+export default function LearnerOverview({ roster, contentItems, activeLearnerId, onSelectLearner }) {
+  /**
+   * Read-only comparison of the learners on a tutor's or guardian's roster.
+   * @param {Array} roster - Learner profiles
+   * @param {Array} contentItems - Content used to compute each learner's priorities
+   * @param {string} activeLearnerId - Learner currently shown on the dashboard
+   * @param {Function} onSelectLearner - Called with a learner id to view that learner
+   */
+  const overview = useMemo(
+    () => buildLearnerOverview(roster.filter(profile => profile.performance), contentItems),
+    [roster, contentItems]
+  );
+
+  if (overview.learners.length === 0) {
+    return <p className="panel-empty">Loading learners...</p>;
+  }
+
+  return (
+    <div className="learner-overview">
+      <table className="overview-table">
+        <thead>
+          <tr>
+            <th>Learner</th>
+            <th>Streak</th>
+            <th>Completion</th>
+            <th>Weak areas</th>
+            <th>Study pattern</th>
+            <th>Next up</th>
+          </tr>
+        </thead>
+        <tbody>
+          {overview.learners.map(learner => (
+            <tr key={learner.id} className={learner.id === activeLearnerId ? 'overview-active' : ''}>
+              <td>
+                <button className="link-button" onClick={() => onSelectLearner(learner.id)}>
+                  {learner.name || learner.id}
+                </button>
+              </td>
+              <td>{learner.studyStreak} days</td>
+              <td>{Math.round(learner.completionRate * 100)}%</td>
+              <td>{learner.weakAreas.map(formatSubject).join(', ') || '-'}</td>
+              <td className="overview-pattern">{learner.studyPattern.pattern.replace(/-/g, ' ')}</td>
+              <td>
+                {learner.topPriorities.length === 0 ? '-' : learner.topPriorities.map((item, index) => (
+                  <span key={item.id} className="overview-priority">
+                    {index > 0 && ', '}
+                    {item.title}
+                    <WhyPopover reason={item.priorityReason} title={`${item.title}: ${item.priority} priority`} />
+                  </span>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {overview.commonWeakAreas.length > 0 && (
+        <p className="overview-common">
+          Shared weak areas:{' '}
+          {overview.commonWeakAreas
+            .map(({ area, count }) => `${formatSubject(area)} (${count} learners)`)
+            .join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
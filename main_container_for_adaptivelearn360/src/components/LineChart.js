@@ -0,0 +1,95 @@
+import React from 'react';
+import { DAY_MS } from '../utils/dateUtils';
+
+const WIDTH = 320;
+const HEIGHT = 140;
+const PADDING = { top: 8, right: 8, bottom: 18, left: 28 };
+
+// Day keys are local calendar days
+const toTime = (dayKey) => new Date(`${dayKey}T00:00:00`).getTime();
+
+const formatDay = (time) =>
+  new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// PUBLIC_INTERFACE
+export default function LineChart({
+  series,
+  label,
+  textColor,
+  gridColor,
+  yMax = 100,
+  guides = [],
+  formatValue = String,
+  animate = false
+}) {
+  /**
+   * Lightweight SVG line chart over calendar days, one line per series.
+   * @param {Array} series - [{ id, label, color, points: [{ date, value }] }] with day-key dates
+   * @param {string} label - Accessible description of the chart
+   * @param {string} textColor - Axis label colour (from the active theme)
+   * @param {string} gridColor - Axis and guide colour (from the active theme)
+   * @param {number} yMax - Top of the value axis (the bottom is 0)
+   * @param {Array} guides - Values to mark with a dashed line, e.g. a passing score
+   * @param {Function} formatValue - Formats values for tooltips
+   * @param {boolean} animate - Whether lines draw in when shown
+   */
+  const times = series.flatMap(line => line.points.map(point => toTime(point.date)));
+  const first = Math.min(...times);
+  // A single day still gets some width
+  const last = Math.max(first + DAY_MS, ...times);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - first) / (last - first)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - Math.min(value, yMax) / yMax) * plotHeight;
+
+  return (
+    <svg
+      className={`chart${animate ? ' chart-animated' : ''}`}
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={label}
+    >
+      {[0, yMax / 2, yMax].map(value => (
+        <text key={value} className="chart-text" x={PADDING.left - 4} y={y(value) + 3} textAnchor="end" fill={textColor}>
+          {value}
+        </text>
+      ))}
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(0)} y2={y(0)} stroke={gridColor} />
+      {guides.map(value => (
+        <line
+          key={value}
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={y(value)}
+          y2={y(value)}
+          stroke={gridColor}
+          strokeDasharray="4 3"
+        />
+      ))}
+      <text className="chart-text" x={PADDING.left} y={HEIGHT - 4} fill={textColor}>{formatDay(first)}</text>
+      <text className="chart-text" x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" fill={textColor}>
+        {formatDay(last)}
+      </text>
+
+      {series.map(line => (
+        <g key={line.id}>
+          <polyline
+            className="chart-line"
+            pathLength={1}
+            points={line.points.map(point => `${x(toTime(point.date))},${y(point.value)}`).join(' ')}
+            fill="none"
+            stroke={line.color}
+            strokeWidth={2}
+            strokeLinejoin="round"
+          />
+          {line.points.map(point => (
+            <circle key={point.date} cx={x(toTime(point.date))} cy={y(point.value)} r={3} fill={line.color}>
+              <title>{`${line.label}, ${formatDay(toTime(point.date))}: ${formatValue(point.value)}`}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
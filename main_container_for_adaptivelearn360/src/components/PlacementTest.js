@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useContent } from '../contexts/ContentContext';
+import {
+  startPlacementTest,
+  getPlacementQuestion,
+  answerPlacementQuestion,
+  isPlacementFinished,
+  summarizePlacement
+} from '../quiz/placementTest';
+import { formatSubject } from './PriorityList';
+import QuestionInput, { emptyResponse } from './QuestionInput';
+
+// PUBLIC_INTERFACE
+export default function PlacementTest({ showDetails = false }) {
+  /**
+   * Adaptive placement test for a new learner. Each subject gets questions
+   * matched to the answers so far until its level is known well enough.
+   * Confirming the results stores them, which seeds weak and strong areas,
+   * mastery and the layout until quiz results take over.
+   * @param {boolean} showDetails - Whether to show ability estimates in the results
+   */
+  const { savePlacement } = useUser();
+  const { items } = useContent();
+  const [test, setTest] = useState(null);
+  const [response, setResponse] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const question = test ? getPlacementQuestion(test) : null;
+
+  const advance = (next) => {
+    if (isPlacementFinished(next)) {
+      setResult(summarizePlacement(next, items, new Date()));
+      setTest(null);
+      return;
+    }
+    setTest(next);
+    setResponse(emptyResponse(getPlacementQuestion(next)));
+  };
+
+  const handleStart = () => {
+    const started = startPlacementTest(items);
+    if (!started) return;
+    setResult(null);
+    setTest(started);
+    setResponse(emptyResponse(getPlacementQuestion(started)));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    advance(answerPlacementQuestion(test, response, { now: new Date() }));
+  };
+
+  if (!items.some(item => item.questions && item.questions.length > 0)) {
+    return <p className="panel-empty">No questions to place you with yet. Content packs and imports can add them.</p>;
+  }
+
+  if (test && question) {
+    const asked = Object.values(test.responses).reduce((total, responses) => total + responses.length, 0);
+    return (
+      <form className="quiz" onSubmit={handleSubmit}>
+        <div className="quiz-progress">
+          <span>{formatSubject(question.subject)}</span>
+          <span>Subject {test.subjectIndex + 1} of {test.subjects.length} - {asked} answered</span>
+        </div>
+        {question.prompt && <p className="quiz-prompt">{question.prompt}</p>}
+        <QuestionInput question={question} response={response} onChange={setResponse} />
+        <div className="quiz-actions">
+          <button type="submit" className="btn">Submit answer</button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => advance(answerPlacementQuestion(test, null, { now: new Date() }))}
+          >
+            I don't know
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (result) {
+    return (
+      <div className="quiz-result">
+        <ul className="quiz-answers">
+          {Object.entries(result.subjects).map(([subject, entry]) => (
+            <li key={subject}>
+              <span>{formatSubject(subject)}</span>
+              <span className="quiz-answer-meta">
+                {entry.score}% after {entry.questions} question(s)
+                {showDetails && ` - ability ${entry.ability} (±${entry.standardError})`}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <p className="quiz-note">Your focus areas and plan will start from these results.</p>
+        <div className="quiz-actions">
+          <button className="btn" onClick={() => savePlacement(result)}>Use these results</button>
+          <button className="btn btn-secondary" onClick={handleStart}>Retake</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-start">
+      <p className="quiz-note">
+        Answer a few questions in each subject and we will work out where to start. Questions get easier or
+        harder depending on your answers, so it is fine to say you don't know.
+      </p>
+      <button className="btn" onClick={handleStart}>Start placement test</button>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import WhyPopover from './WhyPopover';
+
+// Human-readable labels for content priority entries
+const typeLabels = {
+  'weak-area': 'Needs work',
+  'strong-area': 'Keep fresh',
+  developing: 'Developing',
+};
+
+// Format a subject id such as 'organic_chemistry' for display
+export const formatSubject = (subject) =>
+  (subject || 'general')
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+// PUBLIC_INTERFACE
+export default function PriorityList({ priorities, limit, showDetails = false }) {
+  /**
+   * Renders the learner's content priority list.
+   * @param {Array} priorities - contentPriority entries from AdaptiveContext;
+   *   each entry's reason is shown in a "Why?" popover
+   * @param {number} limit - Optional maximum number of entries to show
+   * @param {boolean} showDetails - Whether to show the entry type
+   */
+  const visible = limit ? priorities.slice(0, limit) : priorities;
+
+  if (visible.length === 0) {
+    return <p className="panel-empty">No focus areas yet.</p>;
+  }
+
+  return (
+    <ul className="priority-list">
+      {visible.map(entry => (
+        <li key={entry.id} className={`priority-item priority-${entry.priority}`}>
+          <span className="priority-subject">{formatSubject(entry.id)}</span>
+          <span className="priority-tag">{entry.priority}</span>
+          <WhyPopover reason={entry.reason} title={`${formatSubject(entry.id)}: ${entry.priority} priority`} />
+          {showDetails && (
+            <span className="priority-type">
+              {typeLabels[entry.type] || entry.type}
+              {entry.mastery !== undefined && ` - ${Math.round(entry.mastery * 100)}% mastery`}
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
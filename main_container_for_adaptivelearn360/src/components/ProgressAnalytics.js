@@ -0,0 +1,278 @@
+import React, { useMemo, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  getDailyMinutes,
+  getWeeklyMinutes,
+  getActivityHeatmap,
+  getScoreTrends,
+  getTimeOfDayDistribution,
+  getWeakAreaHistory
+} from '../utils/progressAnalytics';
+import { addCalendarDays } from '../utils/dateUtils';
+import { hasAnalyticsConsent } from '../utils/analyticsConsent';
+import BarChart from './BarChart';
+import LineChart from './LineChart';
+import CalendarHeatmap from './CalendarHeatmap';
+import { formatSubject } from './PriorityList';
+
+// Scores below this make a subject a weak area (see performanceMetrics)
+const WEAK_SCORE = 70;
+
+// How far back the score trend reaches
+const TREND_DAYS = 90;
+
+const CELL = 14;
+const GAP = 3;
+const AREA_LABEL_WIDTH = 110;
+
+// Stands in for records the learner has not consented to analysing
+const NO_RECORDS = [];
+
+const formatMinutes = (minutes) => `${minutes} min`;
+
+function ConsentOff({ records }) {
+  return <p className="panel-empty">Analytics on your {records} is turned off under Your data.</p>;
+}
+
+const formatDayKey = (dayKey, options) =>
+  new Date(`${dayKey}T00:00:00`).toLocaleDateString(undefined, options);
+
+// One colour per subject line, taken from the theme
+const seriesColors = (themeColors) =>
+  [themeColors.main, themeColors.info, themeColors.success, themeColors.warning, themeColors.error, themeColors.text];
+
+// Weak (warning) and strong (success) subjects week by week
+function AreaMovement({ history, themeColors, animate }) {
+  const subjects = [...new Set(history.flatMap(week => Object.keys(week.subjectScores)))].sort();
+  const width = AREA_LABEL_WIDTH + history.length * (CELL + GAP);
+  const height = subjects.length * (CELL + GAP);
+
+  const cellColor = (week, subject) => {
+    if (week.weakAreas.includes(subject)) return themeColors.warning;
+    if (week.strongAreas.includes(subject)) return themeColors.success;
+    return week.subjectScores[subject] ? themeColors.textSecondary : themeColors.border;
+  };
+
+  return (
+    <svg
+      className={`chart chart-areas${animate ? ' chart-animated' : ''}`}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label="Weak and strong areas by week"
+    >
+      {subjects.map((subject, row) => (
+        <g key={subject}>
+          <text className="chart-text" x={0} y={row * (CELL + GAP) + CELL - 3} fill={themeColors.text}>
+            {formatSubject(subject)}
+          </text>
+          {history.map((week, column) => (
+            <rect
+              key={week.weekStart}
+              className="chart-cell"
+              x={AREA_LABEL_WIDTH + column * (CELL + GAP)}
+              y={row * (CELL + GAP)}
+              width={CELL}
+              height={CELL}
+              rx={2}
+              fill={cellColor(week, subject)}
+            >
+              <title>
+                {`${formatSubject(subject)}, week of ${formatDayKey(week.weekStart, { month: 'short', day: 'numeric' })}: ${
+                  week.subjectScores[subject] ? `${week.subjectScores[subject].score}%` : 'no attempts yet'
+                }`}
+              </title>
+            </rect>
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function ProgressAnalytics({ showDetails = false }) {
+  /**
+   * Progress charts: study minutes per day or week, an activity calendar,
+   * score trends per subject, study time by time of day and how weak areas
+   * have moved week by week. Charts are plain SVG drawn in the active
+   * theme's colours and only animate when animation is enabled. Charts
+   * built on records the learner has not consented to analysing are left out.
+   * @param {boolean} showDetails - Whether to cover a longer period
+   */
+  const { userData } = useUser();
+  const { themeColors, animation } = useTheme();
+  const [period, setPeriod] = useState('day');
+
+  const animate = animation === 'enabled';
+  const sessionsAllowed = hasAnalyticsConsent(userData, 'studySessions');
+  const attemptsAllowed = hasAnalyticsConsent(userData, 'attempts');
+  const history = sessionsAllowed ? userData.habits.completionHistory : NO_RECORDS;
+  const sessions = sessionsAllowed ? userData.studySessions : NO_RECORDS;
+  const attempts = attemptsAllowed ? userData.attempts : NO_RECORDS;
+  const weeks = showDetails ? 12 : 8;
+
+  const minutes = useMemo(() => (period === 'day'
+    ? getDailyMinutes(history, { days: showDetails ? 28 : 14 }).map(day => ({
+      key: day.date,
+      label: formatDayKey(day.date, { day: 'numeric' }),
+      title: `${formatDayKey(day.date, { weekday: 'short', month: 'short', day: 'numeric' })}: ${day.duration} min`,
+      value: day.duration
+    }))
+    : getWeeklyMinutes(history, { weeks }).map(week => ({
+      key: week.weekStart,
+      label: formatDayKey(week.weekStart, { month: 'numeric', day: 'numeric' }),
+      title: `Week of ${formatDayKey(week.weekStart, { month: 'short', day: 'numeric' })}: ${week.duration} min`,
+      value: week.duration
+    }))), [history, period, showDetails, weeks]);
+
+  const heatmap = useMemo(() => getActivityHeatmap(history, { weeks: showDetails ? 20 : 12 }), [history, showDetails]);
+  const trends = useMemo(
+    () => getScoreTrends(attempts, { since: addCalendarDays(new Date(), -TREND_DAYS) }),
+    [attempts]
+  );
+  const timeOfDay = useMemo(() => getTimeOfDayDistribution(sessions), [sessions]);
+  const areaHistory = useMemo(() => getWeakAreaHistory(attempts, { weeks }), [attempts, weeks]);
+
+  const colors = seriesColors(themeColors);
+  const series = Object.entries(trends).map(([subject, points], index) => ({
+    id: subject,
+    label: formatSubject(subject),
+    color: colors[index % colors.length],
+    points: points.map(point => ({ date: point.date, value: point.score }))
+  }));
+
+  // Weak areas then and now
+  const firstWeek = areaHistory[0];
+  const lastWeek = areaHistory[areaHistory.length - 1];
+  const recovered = firstWeek ? firstWeek.weakAreas.filter(subject => !lastWeek.weakAreas.includes(subject)) : [];
+  const slipped = firstWeek ? lastWeek.weakAreas.filter(subject => !firstWeek.weakAreas.includes(subject)) : [];
+
+  return (
+    <div className="analytics">
+      <section className="analytics-section">
+        <div className="analytics-heading">
+          <h3 className="analytics-title">Study minutes</h3>
+          <select
+            className="history-select"
+            aria-label="Study minutes by"
+            value={period}
+            onChange={event => setPeriod(event.target.value)}
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+          </select>
+        </div>
+        {!sessionsAllowed && <ConsentOff records="study sessions" />}
+        {sessionsAllowed && (minutes.some(entry => entry.value > 0) ? (
+          <BarChart
+            data={minutes}
+            label={period === 'day' ? 'Study minutes per day' : 'Study minutes per week'}
+            color={themeColors.main}
+            textColor={themeColors.textSecondary}
+            formatValue={formatMinutes}
+            showValues={period === 'week'}
+            animate={animate}
+          />
+        ) : (
+          <p className="panel-empty">No study time recorded in this period.</p>
+        ))}
+      </section>
+
+      <section className="analytics-section">
+        <h3 className="analytics-title">Activity</h3>
+        {sessionsAllowed ? (
+          <CalendarHeatmap
+            weeks={heatmap.weeks}
+            label={`Study minutes per day over the last ${heatmap.weeks.length} weeks`}
+            color={themeColors.main}
+            emptyColor={themeColors.border}
+            textColor={themeColors.textSecondary}
+            animate={animate}
+          />
+        ) : (
+          <ConsentOff records="study sessions" />
+        )}
+      </section>
+
+      <section className="analytics-section">
+        <h3 className="analytics-title">Scores by subject</h3>
+        {!attemptsAllowed && <ConsentOff records="quiz results" />}
+        {attemptsAllowed && (series.length > 0 ? (
+          <>
+            <LineChart
+              series={series}
+              label="Average score per subject by day"
+              textColor={themeColors.textSecondary}
+              gridColor={themeColors.border}
+              guides={[WEAK_SCORE]}
+              formatValue={value => `${value}%`}
+              animate={animate}
+            />
+            <ul className="analytics-legend">
+              {series.map(line => (
+                <li key={line.id}>
+                  <span className="analytics-swatch" style={{ backgroundColor: line.color }} />
+                  {line.label}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className="panel-empty">Take a quiz to start a score trend.</p>
+        ))}
+      </section>
+
+      <section className="analytics-section">
+        <h3 className="analytics-title">Time of day</h3>
+        {!sessionsAllowed && <ConsentOff records="study sessions" />}
+        {sessionsAllowed && (timeOfDay.some(entry => entry.duration > 0) ? (
+          <BarChart
+            data={timeOfDay.map(entry => ({
+              key: entry.period,
+              label: entry.period,
+              title: `${entry.period}: ${entry.duration} min over ${entry.sessions} session(s)`,
+              value: entry.duration
+            }))}
+            label="Study minutes by time of day"
+            color={themeColors.info}
+            textColor={themeColors.textSecondary}
+            formatValue={formatMinutes}
+            showValues
+            animate={animate}
+          />
+        ) : (
+          <p className="panel-empty">Record study sessions to see when you study.</p>
+        ))}
+      </section>
+
+      <section className="analytics-section">
+        <h3 className="analytics-title">Weak areas over time</h3>
+        {!attemptsAllowed && <ConsentOff records="quiz results" />}
+        {attemptsAllowed && (areaHistory.length > 0 ? (
+          <>
+            <AreaMovement history={areaHistory} themeColors={themeColors} animate={animate} />
+            <ul className="analytics-legend">
+              <li>
+                <span className="analytics-swatch" style={{ backgroundColor: themeColors.warning }} />
+                Weak
+              </li>
+              <li>
+                <span className="analytics-swatch" style={{ backgroundColor: themeColors.success }} />
+                Strong
+              </li>
+            </ul>
+            {recovered.length > 0 && (
+              <p className="analytics-note">No longer weak: {recovered.map(formatSubject).join(', ')}</p>
+            )}
+            {slipped.length > 0 && (
+              <p className="analytics-note">Newly weak: {slipped.map(formatSubject).join(', ')}</p>
+            )}
+          </>
+        ) : (
+          <p className="panel-empty">Weak areas are tracked once you have quiz results.</p>
+        ))}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from 'react';
+import { QUESTION_TYPES, parseCloze } from '../quiz/questionTypes';
+
+// PUBLIC_INTERFACE
+/**
+ * Response to start from before the learner answers
+ * @param {Object} question - Quiz question
+ * @returns {*} - Empty response for the question type
+ */
+export const emptyResponse = (question) => {
+  if (question.type === QUESTION_TYPES.MULTI_SELECT) return [];
+  if (question.type === QUESTION_TYPES.CLOZE) return parseCloze(question.text).blanks.map(() => '');
+  if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) return null;
+  return '';
+};
+
+// PUBLIC_INTERFACE
+export default function QuestionInput({ question, response, onChange }) {
+  /**
+   * Answer input for one quiz question: radio buttons, checkboxes, a number
+   * or text field, or inline blanks for cloze text.
+   * @param {Object} question - Quiz question
+   * @param {*} response - Current response (see emptyResponse)
+   * @param {Function} onChange - Called with the new response
+   */
+  switch (question.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return (
+        <div className="quiz-choices" role="radiogroup">
+          {question.choices.map((choice, index) => (
+            <label key={index} className="quiz-choice">
+              <input
+                type="radio"
+                name={question.id}
+                checked={response === index}
+                onChange={() => onChange(index)}
+              />
+              {choice}
+            </label>
+          ))}
+        </div>
+      );
+    case QUESTION_TYPES.MULTI_SELECT:
+      return (
+        <div className="quiz-choices">
+          {question.choices.map((choice, index) => (
+            <label key={index} className="quiz-choice">
+              <input
+                type="checkbox"
+                checked={response.includes(index)}
+                onChange={event => onChange(event.target.checked
+                  ? [...response, index]
+                  : response.filter(picked => picked !== index))}
+              />
+              {choice}
+            </label>
+          ))}
+        </div>
+      );
+    case QUESTION_TYPES.CLOZE:
+      return (
+        <p className="quiz-cloze">
+          {parseCloze(question.text).parts.map((part, index) => (typeof part === 'string' ? (
+            <span key={index}>{part}</span>
+          ) : (
+            <input
+              key={index}
+              className="quiz-input quiz-blank"
+              aria-label={`Blank ${part.blank + 1}`}
+              value={response[part.blank]}
+              onChange={event => onChange(response.map((value, blank) =>
+                (blank === part.blank ? event.target.value : value)))}
+            />
+          )))}
+        </p>
+      );
+    default:
+      return (
+        <label className="quiz-answer">
+          <input
+            className="quiz-input"
+            type={question.type === QUESTION_TYPES.NUMERIC ? 'number' : 'text'}
+            step="any"
+            aria-label="Your answer"
+            value={response}
+            onChange={event => onChange(event.target.value)}
+          />
+          {question.unit && <span className="quiz-unit">{question.unit}</span>}
+        </label>
+      );
+  }
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import { useContent } from '../contexts/ContentContext';
+import {
+  CONFIDENCE_LEVELS,
+  startQuiz,
+  getCurrentQuestion,
+  getTimeRemaining,
+  answerQuestion,
+  skipQuestion,
+  isQuizFinished,
+  scoreQuiz
+} from '../quiz/quizEngine';
+import { shouldChunkContent } from '../utils/adaptationHelpers';
+import { formatSubject } from './PriorityList';
+import QuestionInput, { emptyResponse } from './QuestionInput';
+
+// Questions per quiz when the learner is still building mastery, and otherwise
+const CHUNKED_QUIZ_LENGTH = 3;
+const FULL_QUIZ_LENGTH = 8;
+
+const CONFIDENCE_OPTIONS = [
+  { value: CONFIDENCE_LEVELS.LOW, label: 'Guessing' },
+  { value: CONFIDENCE_LEVELS.MEDIUM, label: 'Fairly sure' },
+  { value: CONFIDENCE_LEVELS.HIGH, label: 'Certain' }
+];
+
+const describeAnswer = (answer) => {
+  if (answer.timedOut) return 'Time ran out';
+  if (answer.response === null) return 'Skipped';
+  if (answer.credit === 1) return 'Correct';
+  if (answer.credit > 0) return `Partly correct (${Math.round(answer.credit * 100)}%)`;
+  return 'Incorrect';
+};
+
+// PUBLIC_INTERFACE
+export default function QuizPanel({ showDetails = false }) {
+  /**
+   * Short quiz on one subject. Questions are asked one at a time with an
+   * optional countdown and a confidence rating; the scored result is recorded
+   * as attempts and fed back into the schedule.
+   * @param {boolean} showDetails - Whether to show explanations in the results
+   */
+  const { userData } = useUser();
+  const { contentPriority, submitQuizResult } = useAdaptive();
+  const { items } = useContent();
+  const [subject, setSubject] = useState('');
+  const [quiz, setQuiz] = useState(null);
+  const [response, setResponse] = useState(null);
+  const [confidence, setConfidence] = useState(null);
+  const [result, setResult] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  // Subjects with questions, highest priority first
+  const priorityOrder = contentPriority.map(area => area.id);
+  const rank = (key) => (priorityOrder.includes(key) ? priorityOrder.indexOf(key) : priorityOrder.length);
+  const quizItems = items.filter(item => item.questions && item.questions.length > 0);
+  const subjects = [...new Set(quizItems.map(item => item.subject))].sort((a, b) => rank(a) - rank(b));
+  const selectedSubject = subjects.includes(subject) ? subject : subjects[0];
+
+  const question = quiz ? getCurrentQuestion(quiz) : null;
+  const remaining = quiz ? getTimeRemaining(quiz, now) : null;
+
+  // Tick while a timed question is showing
+  useEffect(() => {
+    if (!question || !question.timeLimit) return undefined;
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [question]);
+
+  const advance = (next) => {
+    if (isQuizFinished(next)) {
+      const scored = scoreQuiz(next, items, new Date());
+      submitQuizResult(scored);
+      setResult(scored);
+      setQuiz(null);
+      return;
+    }
+    setQuiz(next);
+    setResponse(emptyResponse(getCurrentQuestion(next)));
+    setConfidence(null);
+    setNow(new Date());
+  };
+
+  const handleStart = () => {
+    const chosen = quizItems
+      .filter(item => item.subject === selectedSubject)
+      .sort((a, b) => rank(a.skill || a.subject) - rank(b.skill || b.subject));
+    const chunked = shouldChunkContent(userData.performance, 'quiz', selectedSubject);
+    const started = startQuiz(chosen, { limit: chunked ? CHUNKED_QUIZ_LENGTH : FULL_QUIZ_LENGTH });
+    if (!started) return;
+    setResult(null);
+    setQuiz(started);
+    setResponse(emptyResponse(getCurrentQuestion(started)));
+    setConfidence(null);
+    setNow(new Date());
+  };
+
+  const submitAnswer = () => {
+    if (quiz) advance(answerQuestion(quiz, response, { confidence, now: new Date() }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    submitAnswer();
+  };
+
+  // Hand in whatever has been entered when time runs out
+  const submitRef = useRef(submitAnswer);
+  submitRef.current = submitAnswer;
+  useEffect(() => {
+    if (remaining === 0) submitRef.current();
+  }, [remaining]);
+
+  if (quizItems.length === 0) {
+    return <p className="panel-empty">No quiz questions yet. Content packs and imports can add them.</p>;
+  }
+
+  if (quiz && question) {
+    return (
+      <form className="quiz" onSubmit={handleSubmit}>
+        <div className="quiz-progress">
+          <span>Question {quiz.index + 1} of {quiz.questions.length}</span>
+          {remaining !== null && <span className="quiz-timer" role="timer">{remaining}s left</span>}
+        </div>
+        {question.prompt && <p className="quiz-prompt">{question.prompt}</p>}
+        <QuestionInput question={question} response={response} onChange={setResponse} />
+        <div className="quiz-confidence" role="group" aria-label="How sure are you?">
+          {CONFIDENCE_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`btn btn-secondary${confidence === option.value ? ' active' : ''}`}
+              aria-pressed={confidence === option.value}
+              onClick={() => setConfidence(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="quiz-actions">
+          <button type="submit" className="btn">Submit answer</button>
+          <button type="button" className="btn btn-secondary" onClick={() => advance(skipQuestion(quiz, new Date()))}>
+            Skip
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  const questionsById = new Map(quizItems.flatMap(item => item.questions.map(entry => [entry.id, entry])));
+
+  return (
+    <div className="quiz">
+      {result && (
+        <div className="quiz-result">
+          <p className="quiz-score">You scored {result.averageScore}%</p>
+          <ul className="quiz-answers">
+            {result.answers.map(answer => (
+              <li key={answer.questionId} className={`quiz-answer-${answer.credit === 1 ? 'right' : 'wrong'}`}>
+                <span>{questionsById.get(answer.questionId)?.prompt || 'Fill in the blanks'}</span>
+                <span className="quiz-answer-meta">{describeAnswer(answer)} - {answer.timeSpent}s</span>
+                {showDetails && questionsById.get(answer.questionId)?.explanation && (
+                  <p className="quiz-explanation">{questionsById.get(answer.questionId).explanation}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+          {result.struggledItems.length > 0 && (
+            <p className="quiz-note">
+              Added to your next session: {result.struggledItems.map(item => item.title).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+      <div className="quiz-start">
+        <select
+          className="library-input"
+          aria-label="Quiz subject"
+          value={selectedSubject}
+          onChange={event => setSubject(event.target.value)}
+        >
+          {subjects.map(option => <option key={option} value={option}>{formatSubject(option)}</option>)}
+        </select>
+        <button className="btn" onClick={handleStart}>{result ? 'Take another quiz' : 'Start quiz'}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import { getUpcomingSessions, planReminders, buildReminderMessage } from '../utils/reminders';
+import {
+  OPEN_REMINDER_MESSAGE,
+  registerReminderWorker,
+  deliverReminder
+} from '../utils/notificationDelivery';
+
+// PUBLIC_INTERFACE
+export default function ReminderCenter({ schedule }) {
+  /**
+   * Sends study reminders while the app is open. Each reminder goes out as
+   * a system notification when the tab is in the background, or as a toast
+   * here otherwise, and links to the next scheduled session.
+   * @param {Array} schedule - Output of generateAdaptiveSchedule
+   */
+  const { userData } = useUser();
+  const { reminderSettings } = useAdaptive();
+  const [registration, setRegistration] = useState(null);
+  const [planTime, setPlanTime] = useState(() => new Date());
+  const [toasts, setToasts] = useState([]);
+
+  const reminders = useMemo(() => planReminders(reminderSettings, {
+    habits: userData.habits,
+    sessions: getUpcomingSessions(schedule, userData.examPlan, planTime),
+    now: planTime
+  }), [reminderSettings, userData.habits, userData.examPlan, schedule, planTime]);
+
+  useEffect(() => {
+    let cancelled = false;
+    registerReminderWorker().then(result => {
+      if (!cancelled) setRegistration(result);
+    });
+
+    // Clicking a notification opens the session it links to
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === OPEN_REMINDER_MESSAGE) {
+        window.location.hash = event.data.url;
+      }
+    };
+    const worker = typeof navigator !== 'undefined' ? navigator.serviceWorker : null;
+    if (worker) worker.addEventListener('message', handleMessage);
+
+    return () => {
+      cancelled = true;
+      if (worker) worker.removeEventListener('message', handleMessage);
+    };
+  }, []);
+
+  // Wait for the next reminder, deliver it and plan again from then
+  useEffect(() => {
+    const next = reminders[0];
+    if (!next) return undefined;
+
+    const timeout = setTimeout(async () => {
+      const message = buildReminderMessage(next);
+      const channel = await deliverReminder(message, {
+        tag: next.id,
+        registration,
+        allowSystem: userData.preferences.notifications !== false
+      });
+      if (channel === 'toast') {
+        setToasts(current => [...current, { id: next.id, ...message }]);
+      }
+      setPlanTime(new Date(next.at.getTime() + 1));
+    }, Math.max(0, next.at - new Date()));
+
+    return () => clearTimeout(timeout);
+  }, [reminders, registration, userData.preferences.notifications]);
+
+  const dismiss = (id) => setToasts(current => current.filter(toast => toast.id !== id));
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="toast-region" role="status" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className="toast">
+          <strong className="toast-title">{toast.title}</strong>
+          <p className="toast-body">{toast.body}</p>
+          <div className="toast-actions">
+            {toast.url !== '#' && (
+              <a className="btn" href={toast.url} onClick={() => dismiss(toast.id)}>
+                Go to session
+              </a>
+            )}
+            <button className="btn btn-secondary" onClick={() => dismiss(toast.id)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
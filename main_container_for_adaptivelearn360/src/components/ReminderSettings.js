@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import {
+  DEFAULT_QUIET_HOURS,
+  REMINDER_FREQUENCIES,
+  getUpcomingSessions,
+  planReminders,
+  buildReminderMessage
+} from '../utils/reminders';
+import { getNotificationPermission, requestNotificationPermission } from '../utils/notificationDelivery';
+import { PERMISSIONS } from '../utils/permissions';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const formatReminderTime = (date) =>
+  date.toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+// PUBLIC_INTERFACE
+export default function ReminderSettings({ schedule, limit = 3 }) {
+  /**
+   * Controls for reminderSettings, browser notification permission and a
+   * preview of the next reminders. The settings are saved with the
+   * learner's preferences, so only those who can edit them can change them.
+   * @param {Array} schedule - Output of generateAdaptiveSchedule
+   * @param {number} limit - How many upcoming reminders to preview
+   */
+  const { userData, can } = useUser();
+  const { reminderSettings, updateReminderSettings } = useAdaptive();
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const canEdit = can(PERMISSIONS.EDIT_PREFERENCES);
+  const quietHours = reminderSettings.quietHours || DEFAULT_QUIET_HOURS;
+
+  const upcoming = useMemo(() => {
+    const now = new Date();
+    return planReminders(reminderSettings, {
+      habits: userData.habits,
+      sessions: getUpcomingSessions(schedule, userData.examPlan, now),
+      now
+    }).slice(0, limit);
+  }, [reminderSettings, userData.habits, userData.examPlan, schedule, limit]);
+
+  const handleAllow = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  return (
+    <div className="reminder-settings">
+      <label className="reminder-toggle">
+        <input
+          type="checkbox"
+          checked={reminderSettings.enabled}
+          disabled={!canEdit}
+          onChange={event => updateReminderSettings({ enabled: event.target.checked })}
+        />
+        Remind me to study
+      </label>
+
+      {reminderSettings.enabled && (
+        <>
+          <div className="reminder-options">
+            <select
+              className="reminder-select"
+              aria-label="Reminder frequency"
+              value={reminderSettings.frequency}
+              disabled={!canEdit}
+              onChange={event => updateReminderSettings({ frequency: event.target.value })}
+            >
+              {Object.entries(REMINDER_FREQUENCIES).map(([frequency, count]) => (
+                <option key={frequency} value={frequency}>{count} a day</option>
+              ))}
+            </select>
+            <label className="reminder-toggle">
+              <input
+                type="checkbox"
+                checked={reminderSettings.smartTiming}
+                disabled={!canEdit}
+                onChange={event => updateReminderSettings({ smartTiming: event.target.checked })}
+              />
+              Before my best study times
+            </label>
+          </div>
+
+          <div className="reminder-options">
+            <span>Quiet from</span>
+            <select
+              className="reminder-select"
+              aria-label="Quiet hours start"
+              value={quietHours.start}
+              disabled={!canEdit}
+              onChange={event => updateReminderSettings({
+                quietHours: { ...quietHours, start: Number(event.target.value) }
+              })}
+            >
+              {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+            </select>
+            <span>to</span>
+            <select
+              className="reminder-select"
+              aria-label="Quiet hours end"
+              value={quietHours.end}
+              disabled={!canEdit}
+              onChange={event => updateReminderSettings({
+                quietHours: { ...quietHours, end: Number(event.target.value) }
+              })}
+            >
+              {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+            </select>
+          </div>
+
+          {permission === 'default' && (
+            <button className="btn btn-secondary" onClick={handleAllow}>
+              Allow browser notifications
+            </button>
+          )}
+          {permission !== 'granted' && permission !== 'default' && (
+            <p className="reminder-note">Browser notifications are unavailable, so reminders appear in the app.</p>
+          )}
+
+          {upcoming.length > 0 ? (
+            <ul className="reminder-list">
+              {upcoming.map(reminder => (
+                <li key={reminder.id}>
+                  <span className="reminder-time">{formatReminderTime(reminder.at)}</span>
+                  {buildReminderMessage(reminder).body}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="reminder-note">No reminders in the next two days.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { createPersistentStore } from '../persistence/persistentStore';
+import { calculateOptimalStudyDuration } from '../utils/adaptationHelpers';
+import { calculateOptimalBreakTime } from '../utils/schedulingAlgorithm';
+import {
+  TIMER_PHASES,
+  createIdleTimer,
+  startStudy,
+  startBreak,
+  pauseTimer,
+  resumeTimer,
+  markActive,
+  applyIdleTimeout,
+  getRemainingMs,
+  getPhaseEnd,
+  summarizeStudy,
+  repairTimerState
+} from '../utils/sessionTimer';
+
+// Events that count as the user still being at the keyboard
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'pointerdown', 'scroll', 'touchstart'];
+
+// Activity is written to the timer at most this often; idle detection only
+// needs minute-level precision and every change is persisted
+const ACTIVITY_RESOLUTION_MS = 30 * 1000;
+
+const FOCUS_RATINGS = [1, 2, 3, 4, 5];
+
+// Format milliseconds as m:ss
+const formatClock = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+// PUBLIC_INTERFACE
+export default function SessionTimer({ contentItems = [] }) {
+  /**
+   * Pomodoro runner. Runs a study phase of the recommended length, pauses
+   * on request or when the user goes idle, records the session through
+   * addStudySession when it ends and then runs the recommended break.
+   * The timer is persisted so a reload picks up where it left off.
+   * @param {Array} contentItems - Items the learner can pick to study
+   */
+  const { userData, activeLearnerId, storageAdapter, addStudySession, updateStudySession } = useUser();
+  const [timer, setTimer] = useState(createIdleTimer);
+  const [now, setNow] = useState(() => new Date());
+  const [restoredStore, setRestoredStore] = useState(null);
+  const [lastSession, setLastSession] = useState(null);
+  const [itemId, setItemId] = useState('');
+  const lastActivityRef = useRef(Date.now());
+
+  const studyMinutes = calculateOptimalStudyDuration(userData.habits, userData.performance);
+
+  const store = useMemo(() => createPersistentStore({
+    key: `sessionTimer:${activeLearnerId}`,
+    adapter: storageAdapter,
+    schemaVersion: 1,
+    migrations: { 1: (data) => data },
+    repair: repairTimerState
+  }), [storageAdapter, activeLearnerId]);
+
+  // Restore a timer left running before a reload (or by another learner tab)
+  useEffect(() => {
+    let cancelled = false;
+
+    store.load()
+      .then(({ data }) => {
+        if (cancelled) return;
+        setTimer(data ? applyIdleTimeout(data, new Date()) : createIdleTimer());
+        setRestoredStore(store);
+      })
+      .catch(() => {
+        if (!cancelled) setRestoredStore(store);
+      });
+
+    const handlePageHide = () => store.flush();
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('pagehide', handlePageHide);
+      store.flush();
+    };
+  }, [store]);
+
+  // Only save once this learner's timer has been restored
+  useEffect(() => {
+    if (restoredStore === store) store.save(timer);
+  }, [store, restoredStore, timer]);
+
+  const running = timer.phase !== TIMER_PHASES.IDLE && !timer.pausedAt;
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  useEffect(() => {
+    if (timer.phase !== TIMER_PHASES.STUDY) return undefined;
+    const handleActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { passive: true }));
+    return () => {
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity));
+    };
+  }, [timer.phase]);
+
+  // Fold recent activity into the timer, then check for idling
+  useEffect(() => {
+    setTimer(current => {
+      const lastActive = new Date(current.lastActiveAt).getTime();
+      const next = lastActivityRef.current - lastActive >= ACTIVITY_RESOLUTION_MS
+        ? markActive(current, new Date(lastActivityRef.current))
+        : current;
+      return applyIdleTimeout(next, now);
+    });
+  }, [now]);
+
+  // Record the study phase and move on to the break
+  const finishStudy = useCallback((endedAt) => {
+    const summary = summarizeStudy(timer, endedAt);
+    if (summary.duration === 0) {
+      setLastSession(summary);
+      setTimer(createIdleTimer());
+      return;
+    }
+
+    const session = addStudySession(summary);
+    setLastSession(session);
+    const fatigue = Math.min(10, 5 + session.interruptions.length);
+    setTimer(startBreak(calculateOptimalBreakTime(session.duration, fatigue), endedAt));
+  }, [timer, addStudySession]);
+
+  // End the phase once its time is up, including time that passed while closed
+  useEffect(() => {
+    const phaseEnd = getPhaseEnd(timer);
+    if (!phaseEnd || now < phaseEnd) return;
+
+    if (timer.phase === TIMER_PHASES.STUDY) {
+      finishStudy(phaseEnd);
+    } else {
+      setTimer(createIdleTimer());
+    }
+  }, [timer, now, finishStudy]);
+
+  const handleStart = () => {
+    const startedAt = new Date();
+    lastActivityRef.current = startedAt.getTime();
+    setLastSession(null);
+    setNow(startedAt);
+    const item = contentItems.find(candidate => candidate.id === itemId);
+    setTimer(startStudy(studyMinutes, startedAt, item ? { subject: item.subject, itemIds: [item.id] } : {}));
+  };
+
+  const handleRate = (focusRating) => {
+    updateStudySession(lastSession.id, { focusRating });
+    setLastSession(session => ({ ...session, focusRating }));
+  };
+
+  const handleResume = () => {
+    const resumedAt = new Date();
+    lastActivityRef.current = resumedAt.getTime();
+    setNow(resumedAt);
+    setTimer(current => resumeTimer(current, resumedAt));
+  };
+
+  const openInterruption = timer.interruptions.find(interruption => !interruption.end);
+
+  return (
+    <div className={`session-timer session-timer-${timer.phase}`}>
+      {timer.phase === TIMER_PHASES.IDLE ? (
+        <>
+          <p className="timer-label">Recommended: {studyMinutes} min of focused study, then a break.</p>
+          {contentItems.length > 0 && (
+            <select
+              className="timer-topic"
+              aria-label="What are you studying?"
+              value={itemId}
+              onChange={event => setItemId(event.target.value)}
+            >
+              <option value="">Anything</option>
+              {contentItems.map(item => (
+                <option key={item.id} value={item.id}>{item.title}</option>
+              ))}
+            </select>
+          )}
+          <button className="btn" onClick={handleStart}>Start session</button>
+        </>
+      ) : (
+        <>
+          <p className="timer-label">{timer.phase === TIMER_PHASES.STUDY ? 'Studying' : 'Break'}</p>
+          <div className="timer-clock" role="timer">{formatClock(getRemainingMs(timer, now))}</div>
+
+          {openInterruption && (
+            <p className="timer-note">
+              {openInterruption.reason === 'idle'
+                ? `Paused - no activity since ${formatTime(openInterruption.start)}.`
+                : 'Paused.'}
+            </p>
+          )}
+          {timer.phase === TIMER_PHASES.STUDY && timer.interruptions.length > 0 && (
+            <p className="timer-note">Interruptions so far: {timer.interruptions.length}</p>
+          )}
+
+          <div className="timer-actions">
+            {timer.pausedAt ? (
+              <button className="btn" onClick={handleResume}>Resume</button>
+            ) : (
+              <button className="btn btn-secondary" onClick={() => setTimer(current => pauseTimer(current))}>
+                Pause
+              </button>
+            )}
+            {timer.phase === TIMER_PHASES.STUDY ? (
+              <button className="btn btn-secondary" onClick={() => finishStudy(new Date())}>
+                Finish now
+              </button>
+            ) : (
+              <button className="btn btn-secondary" onClick={() => setTimer(createIdleTimer())}>
+                Skip break
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {lastSession && (
+        <p className="timer-note">
+          {lastSession.duration > 0
+            ? `Recorded ${lastSession.duration} min with ${lastSession.interruptions.length} interruption(s).`
+            : 'Session ended before a full minute, so nothing was recorded.'}
+        </p>
+      )}
+      {lastSession && lastSession.id && (
+        <div className="timer-rating" role="group" aria-label="How focused were you?">
+          <span className="timer-note">How focused were you?</span>
+          {FOCUS_RATINGS.map(rating => (
+            <button
+              key={rating}
+              className={`btn btn-secondary${lastSession.focusRating === rating ? ' active' : ''}`}
+              aria-pressed={lastSession.focusRating === rating}
+              onClick={() => handleRate(rating)}
+            >
+              {rating}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from 'react';
+import { useUser } from '../contexts/UserContext';
+import { DEFAULT_DAILY_GOAL_MINUTES, FREEZE_EARN_DAYS } from '../utils/streaks';
+import { PERMISSIONS } from '../utils/permissions';
+
+const GOAL_OPTIONS = [5, 10, 15, 20, 30, 45, 60];
+
+// PUBLIC_INTERFACE
+export default function StreakTracker({ showDetails = false }) {
+  /**
+   * Current and longest streak, today's progress towards the daily goal and
+   * the banked streak freezes, with controls for the goal and freezes.
+   * @param {boolean} showDetails - Whether to show the consistency score and used freezes
+   */
+  const { userData, can, updatePreferences } = useUser();
+  const { performance, habits, preferences } = userData;
+
+  const goalMinutes = preferences.dailyGoalMinutes || DEFAULT_DAILY_GOAL_MINUTES;
+  const freezesEnabled = preferences.streakFreezes !== false;
+  const streak = performance.streak || {
+    current: performance.studyStreak || 0,
+    longest: performance.studyStreak || 0,
+    todayMinutes: 0,
+    goalMetToday: false,
+    freezesAvailable: 0,
+    frozenDays: []
+  };
+  const progress = Math.min(1, streak.todayMinutes / goalMinutes);
+
+  return (
+    <div className="streak-tracker">
+      <div className="streak-counts">
+        <div className="streak-count">
+          <span className="streak-value">{streak.current}</span>
+          <span className="streak-label">day streak</span>
+        </div>
+        <div className="streak-count">
+          <span className="streak-value">{streak.longest}</span>
+          <span className="streak-label">longest</span>
+        </div>
+      </div>
+
+      <div className="streak-goal">
+        <span className="streak-goal-bar" style={{ width: `${progress * 100}%` }} />
+      </div>
+      <p className="streak-note">
+        {streak.goalMetToday
+          ? `Goal met today: ${streak.todayMinutes} of ${goalMinutes} min.`
+          : `${streak.todayMinutes} of ${goalMinutes} min today - study ${goalMinutes - streak.todayMinutes} more to keep your streak.`}
+      </p>
+
+      {freezesEnabled && (
+        <p className="streak-note">
+          Freezes banked: {streak.freezesAvailable}. Meet your goal on {FREEZE_EARN_DAYS} days to earn one;
+          a freeze covers a missed day automatically.
+        </p>
+      )}
+
+      {showDetails && (
+        <dl className="study-pattern-stats">
+          <dt>Consistency</dt>
+          <dd>{Math.round((habits.consistencyScore || 0) * 100)}%</dd>
+          <dt>Freezes used</dt>
+          <dd>{streak.frozenDays.length}</dd>
+        </dl>
+      )}
+
+      {can(PERMISSIONS.EDIT_PREFERENCES) && (
+        <div className="streak-settings">
+          <select
+            className="streak-select"
+            aria-label="Daily goal"
+            value={goalMinutes}
+            onChange={event => updatePreferences({ dailyGoalMinutes: Number(event.target.value) })}
+          >
+            {GOAL_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes} min a day</option>
+            ))}
+          </select>
+          <label className="streak-toggle">
+            <input
+              type="checkbox"
+              checked={freezesEnabled}
+              onChange={event => updatePreferences({ streakFreezes: event.target.checked })}
+            />
+            Use streak freezes
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from 'react';
+import { getPeriodRange, summarizeSessionRange } from '../utils/studyHistory';
+import { formatSubject } from './PriorityList';
+
+// Label for a period, e.g. "Week of Jun 3" or "June 2024"
+const formatPeriod = (period, start) =>
+  (period === 'month'
+    ? start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `Week of ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`);
+
+// Label for a day key, e.g. "Mon 3"
+const formatDayKey = (dayKey) =>
+  new Date(`${dayKey}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+
+// Move an anchor date by whole weeks or months
+const shiftAnchor = (anchor, period, steps) => {
+  const shifted = new Date(anchor);
+  if (period === 'month') {
+    shifted.setDate(1);
+    shifted.setMonth(shifted.getMonth() + steps);
+  } else {
+    shifted.setDate(shifted.getDate() + steps * 7);
+  }
+  return shifted;
+};
+
+// PUBLIC_INTERFACE
+export default function StudyHistory({ sessions, showDetails = false }) {
+  /**
+   * Weekly or monthly view of recorded study sessions.
+   * @param {Array} sessions - Session records (userData.studySessions)
+   * @param {boolean} showDetails - Whether to list the individual sessions
+   */
+  const [period, setPeriod] = useState('week');
+  const [anchor, setAnchor] = useState(() => new Date());
+
+  const range = useMemo(() => getPeriodRange(period, anchor), [period, anchor]);
+  const summary = useMemo(() => summarizeSessionRange(sessions, range), [sessions, range]);
+  const longestDay = Math.max(1, ...summary.days.map(day => day.duration));
+
+  // A month has too many days to list empty ones
+  const visibleDays = period === 'week' ? summary.days : summary.days.filter(day => day.duration > 0);
+
+  return (
+    <div className="study-history">
+      <div className="history-controls">
+        <button className="btn btn-secondary" aria-label="Previous" onClick={() => setAnchor(shiftAnchor(anchor, period, -1))}>
+          &lt;
+        </button>
+        <span className="history-period">{formatPeriod(period, range.start)}</span>
+        <button className="btn btn-secondary" aria-label="Next" onClick={() => setAnchor(shiftAnchor(anchor, period, 1))}>
+          &gt;
+        </button>
+        <select
+          className="history-select"
+          aria-label="History view"
+          value={period}
+          onChange={event => setPeriod(event.target.value)}
+        >
+          <option value="week">Week</option>
+          <option value="month">Month</option>
+        </select>
+      </div>
+
+      <p className="history-summary">
+        {summary.sessionCount} session(s), {summary.totalDuration} min
+        {summary.averageFocusRating !== null && `, average focus ${summary.averageFocusRating}/5`}
+      </p>
+
+      {visibleDays.length > 0 && (
+        <ul className="history-days">
+          {visibleDays.map(day => (
+            <li key={day.date} className="history-day">
+              <span className="history-day-label">{formatDayKey(day.date)}</span>
+              <span className="history-bar" style={{ width: `${(day.duration / longestDay) * 100}%` }} />
+              <span className="history-day-minutes">{day.duration} min</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showDetails && summary.sessions.length > 0 && (
+        <ul className="schedule-items">
+          {summary.sessions.map(session => (
+            <li key={session.id}>
+              {new Date(session.startTime).toLocaleString(undefined, {
+                weekday: 'short', hour: '2-digit', minute: '2-digit'
+              })}
+              {' '}- {session.duration} min
+              {session.subject && ` of ${formatSubject(session.subject)}`}
+              {session.interruptions.length > 0 && `, ${session.interruptions.length} interruption(s)`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
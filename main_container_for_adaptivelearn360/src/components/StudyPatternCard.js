@@ -0,0 +1,24 @@
+import React from 'react';
+
+// PUBLIC_INTERFACE
+export default function StudyPatternCard({ pattern, showDetails = false }) {
+  /**
+   * Renders the result of detectStudyPattern.
+   * @param {Object} pattern - Output of detectStudyPattern
+   * @param {boolean} showDetails - Whether to show the averages behind the pattern
+   */
+  return (
+    <div className="study-pattern">
+      <div className="study-pattern-label">{pattern.pattern.replace(/-/g, ' ')}</div>
+      <p className="study-pattern-recommendation">{pattern.recommendation}</p>
+      {showDetails && pattern.averageSessions !== undefined && (
+        <dl className="study-pattern-stats">
+          <dt>Sessions / day</dt>
+          <dd>{pattern.averageSessions.toFixed(1)}</dd>
+          <dt>Minutes / session</dt>
+          <dd>{Math.round(pattern.averageDuration)}</dd>
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { getSessionAnchor } from '../utils/reminders';
+import WhyPopover from './WhyPopover';
+
+// Format a schedule date as e.g. "Mon 19:00"
+const formatSessionDate = (date) =>
+  date.toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+// PUBLIC_INTERFACE
+export default function WeeklySchedule({ schedule, days, showDetails = false }) {
+  /**
+   * Renders the sessions produced by generateAdaptiveSchedule.
+   * @param {Array} schedule - Output of generateAdaptiveSchedule
+   * @param {number} days - Optional number of days to show
+   * @param {boolean} showDetails - Whether to list every item in each session
+   */
+  const visible = days ? schedule.slice(0, days) : schedule;
+
+  if (visible.length === 0) {
+    return <p className="panel-empty">Nothing scheduled this week.</p>;
+  }
+
+  return (
+    <ol className="schedule-list">
+      {visible.map(session => (
+        <li key={session.date.toISOString()} id={getSessionAnchor(session)} className="schedule-item">
+          <div className="schedule-header">
+            <span className="schedule-date">{formatSessionDate(session.date)}</span>
+            <span className="schedule-duration">
+              {session.duration} min
+              {showDetails && ` + ${session.breakDuration} min break`}
+              <WhyPopover reason={session.durationReason} title={`${session.duration} min session`} />
+            </span>
+          </div>
+          {showDetails ? (
+            <ul className="schedule-items">
+              {session.items.map((item, index) => (
+                <li key={`${item.id}-${index}`}>
+                  {item.title}
+                  {item.reviewType && <span className="schedule-item-type">{item.reviewType}</span>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="schedule-summary">
+              {session.items.map(item => item.title).join(', ')}
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
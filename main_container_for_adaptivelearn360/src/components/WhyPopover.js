@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useUser } from '../contexts/UserContext';
+import { useAdaptive } from '../contexts/AdaptiveContext';
+import { describeReason, getAdaptationChoices, formatAdaptationValue } from '../adaptation/reasons';
+import { PERMISSIONS } from '../utils/permissions';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Start of the next day, when an "until tomorrow" snooze ends
+const startOfTomorrow = () => {
+  const tomorrow = new Date();
+  tomorrow.setHours(24, 0, 0, 0);
+  return tomorrow;
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+// Override and snooze controls for one adaptation target
+function AdaptationControls({ target, reason }) {
+  const { overrideAdaptation, snoozeAdaptation, clearAdaptationOverride } = useAdaptive();
+  const choices = getAdaptationChoices(target);
+
+  if (reason.source === 'override' || reason.source === 'snooze') {
+    return (
+      <div className="why-controls">
+        {reason.source === 'snooze' && <p className="why-note">Snoozed until {formatTime(reason.until)}.</p>}
+        <button className="btn btn-secondary" onClick={() => clearAdaptationOverride(target)}>
+          Adapt again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="why-controls">
+      <label className="why-override">
+        Use instead
+        <select value="" onChange={event => overrideAdaptation(target, choices[Number(event.target.value)])}>
+          <option value="" disabled>Choose...</option>
+          {choices.map((choice, index) => (
+            choice === reason.value ? null : <option key={String(choice)} value={index}>{formatAdaptationValue(choice)}</option>
+          ))}
+        </select>
+      </label>
+      <button className="btn btn-secondary" onClick={() => snoozeAdaptation(target, new Date(Date.now() + HOUR_MS))}>
+        Snooze 1 hour
+      </button>
+      <button className="btn btn-secondary" onClick={() => snoozeAdaptation(target, startOfTomorrow())}>
+        Snooze until tomorrow
+      </button>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function WhyPopover({ reason, title, target }) {
+  /**
+   * "Why am I seeing this?" button with a popover that explains an adaptive
+   * decision in plain language (see adaptation/reasons.js).
+   * @param {Object} reason - Reason for the decision
+   * @param {string} title - What is being explained, e.g. 'Guided layout'
+   * @param {string} target - Adaptation target; when given, the learner can
+   *   override or snooze it from the popover
+   */
+  const { can } = useUser();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on Escape or a click outside the popover
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleKey = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('keydown', handleKey);
+    document.addEventListener('mousedown', handleClick);
+    return () => {
+      document.removeEventListener('keydown', handleKey);
+      document.removeEventListener('mousedown', handleClick);
+    };
+  }, [open]);
+
+  if (!reason) return null;
+
+  const { summary, because, ruledOut } = describeReason(reason);
+
+  return (
+    <span className="why" ref={containerRef}>
+      <button
+        className="why-button"
+        aria-expanded={open}
+        aria-label={`Why am I seeing this: ${title}`}
+        onClick={() => setOpen(!open)}
+      >
+        ?
+      </button>
+      {open && (
+        <div className="why-popover" role="dialog" aria-label={`Why: ${title}`}>
+          <h3 className="why-title">{title}</h3>
+          {summary && <p className="why-summary">{summary}</p>}
+          {because.length > 0 && (
+            <ul className="why-factors">
+              {because.map(line => <li key={line}>{line}</li>)}
+            </ul>
+          )}
+          {ruledOut.length > 0 && (
+            <>
+              <p className="why-note">Not used because:</p>
+              <ul className="why-factors why-ruled-out">
+                {ruledOut.map(line => <li key={line}>{line}</li>)}
+              </ul>
+            </>
+          )}
+          {target && can(PERMISSIONS.EDIT_PREFERENCES) && <AdaptationControls target={target} reason={reason} />}
+        </div>
+      )}
+    </span>
+  );
+}
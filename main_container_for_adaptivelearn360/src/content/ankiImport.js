@@ -0,0 +1,205 @@
+/**
+ * Anki deck import for AdaptiveLearn360
+ *
+ * Reads Anki's "Notes in Plain Text" export (.txt) and deck packages
+ * (.apkg, a ZIP holding the collection as a SQLite database). By default
+ * each deck becomes one content item sized by its card count, since a
+ * single flashcard is too small to schedule; notes can also be imported
+ * one item each, keyed by the note's guid so re-importing updates them.
+ */
+import { ContentImportError, stripHtml } from './contentImport';
+import { parseCsv } from './csvImport';
+import { openZipArchive, ZipArchiveError } from '../utils/zipArchive';
+import { openSqliteDatabase, SqliteReadError } from '../utils/sqliteReader';
+
+// PUBLIC_INTERFACE
+/**
+ * How notes are turned into items: one per deck, or one per note
+ */
+export const ANKI_GROUPING = {
+  DECK: 'deck',
+  NOTE: 'note'
+};
+
+// Review time per card, used to size deck items
+const SECONDS_PER_CARD = 10;
+const MIN_DECK_MINUTES = 5;
+// Most common note tags carried over to a deck item
+const MAX_DECK_TAGS = 10;
+const MAX_TITLE_LENGTH = 80;
+
+// Anki separates note fields with the unit separator, and sub-decks with '::'
+const FIELD_SEPARATOR = '\u001f';
+const DECK_SEPARATOR = '::';
+
+// Plain-text export separators named in a "#separator:" header
+const TEXT_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+// Subject key for a deck name, e.g. 'Français::Verbes' -> 'francais'
+const deckSubject = (deck) =>
+  deck
+    .split(DECK_SEPARATOR)[0]
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+// Turn notes ({ guid, fields, tags, deck }) into candidate items
+const notesToCandidates = (notes, { grouping = ANKI_GROUPING.DECK, deckName = 'Anki deck', defaults = {} }) => {
+  if (notes.length === 0) {
+    throw new ContentImportError('The Anki export has no notes');
+  }
+
+  // The deck names the subject; the default subject covers exports without decks
+  const withDeck = notes.map(note => ({
+    ...note,
+    deck: note.deck || deckName,
+    subject: (note.deck && deckSubject(note.deck)) || defaults.subject || deckSubject(deckName)
+  }));
+
+  if (grouping === ANKI_GROUPING.NOTE) {
+    return withDeck.map((note, index) => {
+      const [front = '', back = ''] = note.fields.map(stripHtml);
+      return {
+        entry: `Note ${index + 1}`,
+        item: {
+          difficulty: 3,
+          estimatedDuration: 1,
+          ...defaults,
+          ...(note.guid && { id: `anki-${note.guid}` }),
+          subject: note.subject,
+          title: truncate(front.split('\n')[0], MAX_TITLE_LENGTH),
+          ...(back && { description: back }),
+          ...(note.tags.length > 0 && { tags: note.tags })
+        }
+      };
+    });
+  }
+
+  const decks = new Map();
+  withDeck.forEach(note => {
+    if (!decks.has(note.deck)) decks.set(note.deck, []);
+    decks.get(note.deck).push(note);
+  });
+
+  return [...decks.entries()].map(([deck, deckNotes]) => {
+    const tagCounts = new Map();
+    deckNotes.forEach(note => note.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+    const tags = [...tagCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_DECK_TAGS)
+      .map(([tag]) => tag);
+
+    return {
+      entry: `Deck "${deck}"`,
+      item: {
+        difficulty: 3,
+        ...defaults,
+        subject: deckNotes[0].subject,
+        title: deck.split(DECK_SEPARATOR).join(' / '),
+        estimatedDuration: Math.max(MIN_DECK_MINUTES, Math.ceil((deckNotes.length * SECONDS_PER_CARD) / 60)),
+        description: `Anki deck with ${deckNotes.length} note(s)`,
+        ...(tags.length > 0 && { tags })
+      }
+    };
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn an Anki plain-text export into candidate content items
+ * @param {string} text - Contents of the .txt export
+ * @param {Object} options - { grouping, deckName, defaults } where deckName
+ *   names the deck when the export has no deck column
+ * @returns {Array} - [{ entry, item }] candidates for planContentImport
+ * @throws {ContentImportError} - If the export has no notes
+ */
+export const importAnkiText = (text, options = {}) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const headers = {};
+  lines
+    .filter(line => line.startsWith('#'))
+    .forEach(line => {
+      const match = /^#([a-z ]+):(.*)$/i.exec(line);
+      if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+    });
+
+  const separatorName = (headers.separator || 'tab').toLowerCase();
+  const delimiter = TEXT_SEPARATORS[separatorName] || headers.separator || '\t';
+  // Column headers count from 1
+  const column = (name) => (headers[`${name} column`] ? Number(headers[`${name} column`]) - 1 : null);
+  const tagsColumn = column('tags');
+  const deckColumn = column('deck');
+  const metaColumns = [tagsColumn, deckColumn, column('guid'), column('notetype')];
+
+  const body = lines.filter(line => !line.startsWith('#')).join('\n');
+  if (body.trim() === '') {
+    throw new ContentImportError('The Anki export has no notes');
+  }
+  const { headers: firstRow, rows } = parseCsv(body, { delimiter });
+
+  const notes = [firstRow, ...rows].map(row => ({
+    guid: column('guid') !== null ? row[column('guid')] : null,
+    deck: deckColumn !== null ? row[deckColumn] : null,
+    tags: tagsColumn !== null ? (row[tagsColumn] || '').split(/\s+/).filter(Boolean) : [],
+    fields: row.filter((_, index) => !metaColumns.includes(index))
+  }));
+  return notesToCandidates(notes, options);
+};
+
+// Deck names by id, from the decks table (newer schema) or the col row (older)
+const readDeckNames = (database) => {
+  if (database.tableNames.includes('decks')) {
+    return new Map(database.readTable('decks').map(deck =>
+      [deck.id, String(deck.name).split(FIELD_SEPARATOR).join(DECK_SEPARATOR)]
+    ));
+  }
+  const [collection] = database.readTable('col');
+  const decks = collection && collection.decks ? JSON.parse(collection.decks) : {};
+  return new Map(Object.values(decks).map(deck => [deck.id, deck.name]));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn an Anki deck package into candidate content items
+ * @param {ArrayBuffer|Uint8Array} data - Contents of the .apkg file
+ * @param {Object} options - { grouping, deckName, defaults } as for importAnkiText
+ * @returns {Promise<Array>} - [{ entry, item }] candidates for planContentImport
+ * @throws {ContentImportError} - If the package cannot be read
+ */
+export const importAnkiPackage = async (data, options = {}) => {
+  try {
+    const archive = openZipArchive(data);
+    // Newer packages keep the real collection compressed with zstd in
+    // collection.anki21b; their collection.anki2 is only a placeholder
+    const name = ['collection.anki21', 'collection.anki2'].find(archive.has);
+    if (!name || (archive.has('collection.anki21b') && name === 'collection.anki2')) {
+      throw new ContentImportError(
+        'This deck uses a newer Anki package format. Export it again from Anki with "Support older Anki versions" ticked.'
+      );
+    }
+
+    const database = openSqliteDatabase(await archive.read(name));
+    const deckNames = readDeckNames(database);
+    const deckByNote = new Map();
+    database.readTable('cards').forEach(card => {
+      if (!deckByNote.has(card.nid)) deckByNote.set(card.nid, deckNames.get(card.did));
+    });
+
+    const notes = database.readTable('notes').map(note => ({
+      guid: note.guid,
+      deck: deckByNote.get(note.id) || null,
+      tags: String(note.tags || '').split(/\s+/).filter(Boolean),
+      fields: String(note.flds || '').split(FIELD_SEPARATOR)
+    }));
+    return notesToCandidates(notes, options);
+  } catch (error) {
+    if (error instanceof ZipArchiveError || error instanceof SqliteReadError) {
+      throw new ContentImportError(`Could not read the Anki package: ${error.message}`);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import { importAnkiText, importAnkiPackage, ANKI_GROUPING } from './ankiImport';
+import { ContentImportError } from './contentImport';
+import { ANKI_PACKAGE, NEWER_ANKI_PACKAGE, FILES_ZIP } from '../utils/__fixtures__/binaryFixtures';
+
+const TEXT_EXPORT = [
+  '#separator:tab',
+  '#html:true',
+  '#guid column:1',
+  '#deck column:2',
+  '#tags column:5',
+  'aB3$kQ\tFrançais::Verbes\têtre\tto <b>be</b>\tverbe::être',
+  'Zx9!pL\tFrançais::Verbes\tavoir\tto have\tverbe::avoir',
+  'Qw7#mN\tGeography\tCapital of France?\t<div>Paris</div>\t'
+].join('\n');
+
+test('importAnkiText groups notes into one item per deck', () => {
+  expect(importAnkiText(TEXT_EXPORT)).toEqual([
+    {
+      entry: 'Deck "Français::Verbes"',
+      item: {
+        difficulty: 3,
+        subject: 'francais',
+        title: 'Français / Verbes',
+        estimatedDuration: 5,
+        description: 'Anki deck with 2 note(s)',
+        tags: ['verbe::être', 'verbe::avoir']
+      }
+    },
+    {
+      entry: 'Deck "Geography"',
+      item: { difficulty: 3, subject: 'geography', title: 'Geography', estimatedDuration: 5, description: 'Anki deck with 1 note(s)' }
+    }
+  ]);
+});
+
+test('importAnkiText makes one item per note keyed by guid', () => {
+  const candidates = importAnkiText(TEXT_EXPORT, { grouping: ANKI_GROUPING.NOTE });
+
+  expect(candidates.map(candidate => candidate.entry)).toEqual(['Note 1', 'Note 2', 'Note 3']);
+  expect(candidates[0].item).toEqual({
+    difficulty: 3,
+    estimatedDuration: 1,
+    id: 'anki-aB3$kQ',
+    subject: 'francais',
+    title: 'être',
+    description: 'to be',
+    tags: ['verbe::être']
+  });
+  expect(candidates[2].item).toMatchObject({ title: 'Capital of France?', description: 'Paris' });
+});
+
+test('importAnkiText names the deck when the export has no deck column', () => {
+  const candidates = importAnkiText('#separator:semicolon\nhola;hello\nadiós;goodbye', {
+    deckName: 'Spanish basics',
+    defaults: { difficulty: 1 }
+  });
+
+  expect(candidates).toEqual([{
+    entry: 'Deck "Spanish basics"',
+    item: { difficulty: 1, subject: 'spanish_basics', title: 'Spanish basics', estimatedDuration: 5, description: 'Anki deck with 2 note(s)' }
+  }]);
+});
+
+test('importAnkiText rejects an export without notes', () => {
+  expect(() => importAnkiText('#separator:tab\n#html:true\n\n')).toThrow(ContentImportError);
+  expect(() => importAnkiText('')).toThrow('The Anki export has no notes');
+});
+
+test('importAnkiPackage reads notes and their decks from the collection', async () => {
+  const candidates = await importAnkiPackage(ANKI_PACKAGE, { grouping: ANKI_GROUPING.NOTE });
+
+  expect(candidates.map(({ item }) => [item.id, item.subject, item.title, item.description, item.tags])).toEqual([
+    ['anki-aB3$kQ', 'francais', 'être', 'to be', ['verbe::être']],
+    ['anki-Zx9!pL', 'francais', 'avoir', 'to have', ['verbe::avoir']],
+    ['anki-Qw7#mN', 'default', 'Capital of France?', 'Paris', undefined]
+  ]);
+});
+
+test('importAnkiPackage groups a package by deck', async () => {
+  const candidates = await importAnkiPackage(ANKI_PACKAGE.buffer);
+
+  expect(candidates.map(candidate => candidate.entry)).toEqual(['Deck "Français::Verbes"', 'Deck "Default"']);
+  expect(candidates[0].item.description).toBe('Anki deck with 2 note(s)');
+});
+
+test('importAnkiPackage explains how to export a newer package format', async () => {
+  await expect(importAnkiPackage(NEWER_ANKI_PACKAGE)).rejects.toThrow('newer Anki package format');
+});
+
+test('importAnkiPackage reports files that are not Anki packages', async () => {
+  await expect(importAnkiPackage(new Uint8Array(100))).rejects.toThrow(
+    new ContentImportError('Could not read the Anki package: File is not a ZIP archive')
+  );
+  // A ZIP without a collection
+  await expect(importAnkiPackage(FILES_ZIP)).rejects.toThrow('newer Anki package format');
+});
@@ -0,0 +1,150 @@
+/**
+ * Content import planning for AdaptiveLearn360
+ *
+ * The Markdown, CSV and Anki importers turn a file into candidate items.
+ * planContentImport then works out what importing them would do, without
+ * changing the library: which items are new, which duplicate an item that
+ * is already there (same id, or same title within a subject) and get merged
+ * into it, and which entries are invalid and left out. The plan doubles as
+ * the dry-run report; applying it is a single mergeContentItems call.
+ */
+import { normalizeContentItem, validateContentItem } from './contentSchema';
+import { createContentId, validateLibrary } from './contentLibrary';
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when an import file cannot be read at all
+ */
+export class ContentImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentImportError';
+  }
+}
+
+// Title compared case- and punctuation-insensitively
+const titleKey = (title) =>
+  String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const duplicateKey = (item) => `${item.subject}|${titleKey(item.title)}`;
+
+// Fields where an import adds to the existing values instead of replacing them
+const LIST_FIELDS = ['tags', 'dependsOn'];
+
+// PUBLIC_INTERFACE
+/**
+ * Merge an imported item into the item it duplicates. Imported values win,
+ * lists are combined, and the existing id is kept.
+ * @param {Object} existing - Item already in the library (or earlier in the import)
+ * @param {Object} incoming - Normalized imported item
+ * @returns {Object} - { item, changes } where changes lists the fields that differ
+ */
+export const mergeDuplicateItem = (existing, incoming) => {
+  const item = { ...existing };
+  Object.entries(incoming).forEach(([field, value]) => {
+    if (field === 'id' || value === undefined || value === null) return;
+    item[field] = LIST_FIELDS.includes(field) && Array.isArray(existing[field]) && Array.isArray(value)
+      ? [...new Set([...existing[field], ...value])]
+      : value;
+  });
+  if (item.dependsOn) {
+    item.dependsOn = item.dependsOn.filter(id => id !== item.id);
+  }
+
+  const changes = Object.keys(item).filter(field =>
+    JSON.stringify(item[field]) !== JSON.stringify(existing[field])
+  );
+  return { item, changes };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Work out what importing candidate items would do to the library
+ * @param {Array} candidates - [{ entry, item }] from an importer; entry names
+ *   where the item came from in the file (e.g. 'Row 4'), item is a raw candidate
+ * @param {Array} items - Current library items
+ * @returns {Object} - Dry-run report:
+ *   create: new items, merge: [{ entry, item, changes }] updates to existing items,
+ *   skipped: [{ entry, errors }] invalid entries, duplicates: [{ entry, duplicateOf }]
+ *   entries folded into another entry of the same import, errors: problems with
+ *   the library as a whole (which block the import), warnings, and items: every
+ *   item to write
+ */
+export const planContentImport = (candidates, items) => {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const byKey = new Map(items.map(item => [duplicateKey(item), item.id]));
+  const created = new Map();
+  const merged = new Map();
+  const skipped = [];
+  const duplicates = [];
+  const usedIds = [...items];
+
+  candidates.forEach(({ entry, item: raw }) => {
+    const candidate = normalizeContentItem(raw);
+    const problems = validateContentItem({ id: 'pending', ...candidate });
+    if (problems.length > 0) {
+      skipped.push({
+        entry,
+        errors: problems.map(problem => `${entry}: ${problem.message.slice(problem.message.indexOf(': ') + 2)}`)
+      });
+      return;
+    }
+
+    const matchId = (candidate.id && (byId.has(candidate.id) || created.has(candidate.id)))
+      ? candidate.id
+      : byKey.get(duplicateKey(candidate));
+
+    if (matchId && created.has(matchId)) {
+      created.set(matchId, mergeDuplicateItem(created.get(matchId), candidate).item);
+      duplicates.push({ entry, duplicateOf: matchId });
+    } else if (matchId) {
+      const previous = merged.get(matchId);
+      if (previous) duplicates.push({ entry, duplicateOf: matchId });
+      const { item } = mergeDuplicateItem(previous ? previous.item : byId.get(matchId), candidate);
+      merged.set(matchId, { entry: previous ? previous.entry : entry, item });
+    } else {
+      const id = candidate.id || createContentId(candidate.title, usedIds);
+      const item = { ...candidate, id };
+      usedIds.push(item);
+      created.set(id, item);
+      byKey.set(duplicateKey(item), id);
+    }
+  });
+
+  const merge = [...merged.entries()].map(([id, { entry, item }]) => ({
+    entry,
+    item,
+    changes: mergeDuplicateItem(byId.get(id), item).changes
+  }));
+  const create = [...created.values()];
+  const toWrite = [...create, ...merge.filter(change => change.changes.length > 0).map(change => change.item)];
+
+  // Check the library as it would be after the import
+  const replacements = new Map(toWrite.map(item => [item.id, item]));
+  const { errors, warnings } = validateLibrary([
+    ...items.map(item => replacements.get(item.id) || item),
+    ...create
+  ]);
+
+  return { create, merge, skipped, duplicates, errors, warnings, items: toWrite };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn HTML from an imported field into plain text
+ * @param {string} html - Field value, e.g. an Anki card side
+ * @returns {string} - Text with tags removed and common entities decoded
+ */
+export const stripHtml = (html) =>
+  String(html || '')
+    .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
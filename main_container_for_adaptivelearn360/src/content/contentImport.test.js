@@ -0,0 +1,81 @@
+import { planContentImport, mergeDuplicateItem, stripHtml } from './contentImport';
+import { parseCsv, suggestColumnMapping, importCsvRows } from './csvImport';
+
+const LIBRARY = [
+  { id: 'calc-limits', title: 'Limits', subject: 'calculus', difficulty: 2, estimatedDuration: 30, tags: ['intro'] },
+  { id: 'calc-derivatives', title: 'Derivatives', subject: 'calculus', difficulty: 3, estimatedDuration: 45, dependsOn: ['calc-limits'] }
+];
+
+const candidatesFromCsv = (text) => {
+  const table = parseCsv(text);
+  return importCsvRows(table, suggestColumnMapping(table.headers));
+};
+
+test('planContentImport reports new, merged, duplicate and invalid entries without changing the library', () => {
+  const library = JSON.parse(JSON.stringify(LIBRARY));
+  const plan = planContentImport(candidatesFromCsv([
+    'title,subject,difficulty,minutes,tags,prerequisites',
+    'Series,Calculus,4,40,sequences,calc-limits',
+    'limits!,calculus,2,35,review,',
+    'Derivatives,calculus,3,45,,',
+    'Untitled,calculus,9,20,,',
+    'series,calculus,4,40,practice,',
+    'Integrals,calculus,,50,,'
+  ].join('\n')), library);
+
+  expect(plan.create).toEqual([{
+    id: 'series',
+    title: 'series',
+    subject: 'calculus',
+    difficulty: 4,
+    estimatedDuration: 40,
+    tags: ['sequences', 'practice'],
+    dependsOn: ['calc-limits']
+  }]);
+  expect(plan.merge).toEqual([
+    {
+      entry: 'Row 3',
+      item: { ...LIBRARY[0], title: 'limits!', estimatedDuration: 35, tags: ['intro', 'review'] },
+      changes: ['title', 'estimatedDuration', 'tags']
+    },
+    { entry: 'Row 4', item: LIBRARY[1], changes: [] }
+  ]);
+  expect(plan.duplicates).toEqual([{ entry: 'Row 6', duplicateOf: 'series' }]);
+  expect(plan.skipped).toEqual([
+    { entry: 'Row 5', errors: ['Row 5: difficulty must be a whole number from 1 to 5, got 9'] },
+    { entry: 'Row 7', errors: ['Row 7: difficulty is required'] }
+  ]);
+  expect(plan.errors).toEqual([]);
+  expect(plan.warnings).toEqual([]);
+  // Unchanged merges are not written again
+  expect(plan.items.map(item => item.id)).toEqual(['series', 'calc-limits']);
+  expect(library).toEqual(LIBRARY);
+});
+
+test('planContentImport reports prerequisite problems in the library after the import', () => {
+  const plan = planContentImport([
+    { entry: 'Row 2', item: { ...LIBRARY[0], dependsOn: ['calc-derivatives'] } },
+    { entry: 'Row 3', item: { title: 'Series', subject: 'calculus', difficulty: 4, estimatedDuration: 40, dependsOn: ['calc-sequences'] } }
+  ], LIBRARY);
+
+  // Limits would depend on Derivatives, which already depends on Limits
+  expect(plan.errors).toHaveLength(1);
+  expect(plan.errors[0]).toMatchObject({ field: 'dependsOn' });
+  expect(plan.warnings).toEqual([{
+    itemId: 'series',
+    field: 'dependsOn',
+    message: 'Item "series": prerequisite "calc-sequences" is not in the library'
+  }]);
+});
+
+test('mergeDuplicateItem keeps the existing id and drops self-dependencies', () => {
+  const { item, changes } = mergeDuplicateItem(LIBRARY[1], { id: 'other', dependsOn: ['calc-derivatives', 'calc-functions'] });
+
+  expect(item).toEqual({ ...LIBRARY[1], dependsOn: ['calc-limits', 'calc-functions'] });
+  expect(changes).toEqual(['dependsOn']);
+});
+
+test('stripHtml turns card markup into plain text', () => {
+  expect(stripHtml('<div>to <b>be</b></div><div>&lt;verb&gt; &amp; more</div>')).toBe('to be\n<verb> & more');
+  expect(stripHtml(null)).toBe('');
+});
@@ -0,0 +1,172 @@
+/**
+ * Content library operations for AdaptiveLearn360
+ *
+ * The library is a plain array of valid content items (see contentSchema.js).
+ * Every change returns a new array, and changes that would leave an invalid
+ * item, a duplicate id or a prerequisite cycle throw a ContentValidationError
+ * instead.
+ */
+import { ContentValidationError, normalizeContentItem, validateContentItem } from './contentSchema';
+import { buildPrerequisiteGraph, topologicalSort, PrerequisiteCycleError } from '../utils/prerequisiteGraph';
+
+// PUBLIC_INTERFACE
+/**
+ * Problems with a library as a whole: invalid items, duplicate ids and
+ * prerequisite cycles. Prerequisites missing from the library are only
+ * warnings, since a pack may build on items from another pack.
+ * @param {Array} items - Content items
+ * @returns {Object} - { errors, warnings } as [{ itemId, field, message }]
+ */
+export const validateLibrary = (items) => {
+  const errors = items.flatMap(validateContentItem);
+
+  const seen = new Set();
+  items.forEach(item => {
+    if (seen.has(item.id)) {
+      errors.push({ itemId: item.id, field: 'id', message: `Item "${item.id}": id is used more than once` });
+    }
+    seen.add(item.id);
+  });
+
+  try {
+    topologicalSort(items);
+  } catch (error) {
+    if (!(error instanceof PrerequisiteCycleError)) throw error;
+    errors.push({ itemId: error.cycle[0], field: 'dependsOn', message: error.message });
+  }
+
+  const warnings = buildPrerequisiteGraph(items).missing.map(({ itemId, prerequisiteId }) => ({
+    itemId,
+    field: 'dependsOn',
+    message: `Item "${itemId}": prerequisite "${prerequisiteId}" is not in the library`
+  }));
+
+  return { errors, warnings };
+};
+
+// Throw if the library has errors, otherwise return it
+const assertValidLibrary = (items) => {
+  const { errors } = validateLibrary(items);
+  if (errors.length > 0) {
+    throw new ContentValidationError(errors);
+  }
+  return items;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Make an id for a new item from its title, unique within the library
+ * @param {string} title - Item title
+ * @param {Array} items - Current content items
+ * @returns {string} - Item id, e.g. 'limits-and-continuity-2'
+ */
+export const createContentId = (title, items) => {
+  const base = String(title || 'item').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+  const ids = new Set(items.map(item => item.id));
+  let id = base;
+  for (let suffix = 2; ids.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Add an item. An id is made from the title when none is given.
+ * @param {Array} items - Current content items
+ * @param {Object} raw - Candidate item
+ * @returns {Array} - Updated items
+ * @throws {ContentValidationError} - If the item or the resulting library is invalid
+ */
+export const addContentItem = (items, raw) => {
+  const candidate = normalizeContentItem(raw);
+  const item = candidate && !candidate.id ? { ...candidate, id: createContentId(candidate.title, items) } : candidate;
+  return assertValidLibrary([...items, item]);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Change fields of an existing item. The id cannot be changed.
+ * @param {Array} items - Current content items
+ * @param {string} itemId - Item to change
+ * @param {Object} changes - Fields to set; null or '' clears an optional field
+ * @returns {Array} - Updated items
+ * @throws {ContentValidationError} - If the item is unknown or the change is invalid
+ */
+export const updateContentItem = (items, itemId, changes) => {
+  if (!items.some(item => item.id === itemId)) {
+    throw new ContentValidationError([{ itemId, field: 'id', message: `Item "${itemId}" is not in the library` }]);
+  }
+
+  return assertValidLibrary(items.map(item => {
+    if (item.id !== itemId) return item;
+    const updated = normalizeContentItem({ ...item, ...changes, id: itemId });
+    Object.keys(updated).forEach(field => {
+      if (updated[field] === null) delete updated[field];
+    });
+    return updated;
+  }));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove an item and drop it from other items' prerequisites
+ * @param {Array} items - Current content items
+ * @param {string} itemId - Item to remove
+ * @returns {Array} - Updated items
+ */
+export const removeContentItem = (items, itemId) =>
+  items
+    .filter(item => item.id !== itemId)
+    .map(item => (item.dependsOn && item.dependsOn.includes(itemId)
+      ? { ...item, dependsOn: item.dependsOn.filter(id => id !== itemId) }
+      : item));
+
+// PUBLIC_INTERFACE
+/**
+ * Add or replace items by id, e.g. from a content pack
+ * @param {Array} items - Current content items
+ * @param {Array} incoming - Valid items to merge in
+ * @returns {Array} - Updated items
+ * @throws {ContentValidationError} - If the merged library is invalid (e.g. a new cycle)
+ */
+export const mergeContentItems = (items, incoming) => {
+  const replacements = new Map(incoming.map(item => [item.id, item]));
+  const merged = items.map(item => replacements.get(item.id) || item);
+  const existing = new Set(items.map(item => item.id));
+  return assertValidLibrary([...merged, ...incoming.filter(item => !existing.has(item.id))]);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Search and filter items
+ * @param {Array} items - Content items
+ * @param {Object} criteria - { query, subject, tag, difficulty } where query
+ *   matches title, description and tags, and difficulty is a number or [min, max]
+ * @returns {Array} - Matching items in library order
+ */
+export const searchContent = (items, { query = '', subject, tag, difficulty } = {}) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const [minDifficulty, maxDifficulty] = Array.isArray(difficulty) ? difficulty : [difficulty, difficulty];
+
+  return items.filter(item => {
+    if (subject && item.subject !== subject) return false;
+    if (tag && !(item.tags || []).includes(tag)) return false;
+    if (minDifficulty !== undefined && minDifficulty !== null && item.difficulty < minDifficulty) return false;
+    if (maxDifficulty !== undefined && maxDifficulty !== null && item.difficulty > maxDifficulty) return false;
+
+    const text = [item.title, item.description || '', ...(item.tags || [])].join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subjects and tags used in the library, for filter controls
+ * @param {Array} items - Content items
+ * @returns {Object} - { subjects, tags } sorted alphabetically
+ */
+export const getContentFacets = (items) => ({
+  subjects: [...new Set(items.map(item => item.subject))].sort(),
+  tags: [...new Set(items.flatMap(item => item.tags || []))].sort()
+});
@@ -0,0 +1,104 @@
+/**
+ * Content pack loading for AdaptiveLearn360
+ *
+ * A content pack is a JSON file bundling items for a course:
+ *   { "id": "intro-calculus", "name": "Intro to Calculus", "version": 1, "items": [ ... ] }
+ * Items are normalized and validated one by one; invalid items are left
+ * out and reported, so one bad entry does not block the rest of the pack.
+ */
+import { normalizeContentItem, validateContentItem } from './contentSchema';
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when a pack cannot be read at all (bad JSON, no items list,
+ * or a failed download)
+ */
+export class ContentPackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentPackError';
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a content pack
+ * @param {string|Object} source - Pack JSON text or the parsed object
+ * @returns {Object} - { pack: { id, name, version }, items, errors }
+ *   items: the valid, normalized items
+ *   errors: [{ itemId, field, message }] for items that were left out
+ * @throws {ContentPackError} - If the pack itself is malformed
+ */
+export const parseContentPack = (source) => {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new ContentPackError(`Content pack is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (data === null || typeof data !== 'object' || !Array.isArray(data.items)) {
+    throw new ContentPackError('Content pack must be an object with an "items" list');
+  }
+
+  const items = [];
+  const errors = [];
+  const seen = new Set();
+
+  data.items.forEach((raw, index) => {
+    const item = normalizeContentItem(raw);
+    const problems = validateContentItem(item).map(problem => ({
+      ...problem,
+      message: `Pack entry ${index + 1}: ${problem.message}`
+    }));
+
+    if (problems.length === 0 && seen.has(item.id)) {
+      problems.push({
+        itemId: item.id,
+        field: 'id',
+        message: `Pack entry ${index + 1}: item "${item.id}" appears more than once in the pack`
+      });
+    }
+
+    if (problems.length > 0) {
+      errors.push(...problems);
+    } else {
+      seen.add(item.id);
+      items.push(item);
+    }
+  });
+
+  return {
+    pack: {
+      id: typeof data.id === 'string' ? data.id : null,
+      name: typeof data.name === 'string' ? data.name : 'Untitled pack',
+      version: data.version ?? null
+    },
+    items,
+    errors
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Download and read a content pack
+ * @param {string} url - Where the pack JSON is served
+ * @param {Object} options - { fetchImpl } fetch-compatible function (defaults to window.fetch)
+ * @returns {Promise<Object>} - Result of parseContentPack
+ * @throws {ContentPackError} - If the download fails or the pack is malformed
+ */
+export const loadContentPack = async (url, { fetchImpl } = {}) => {
+  const doFetch = fetchImpl || ((...args) => window.fetch(...args));
+  let response;
+  try {
+    response = await doFetch(url);
+  } catch (error) {
+    throw new ContentPackError(`Could not download content pack from ${url}: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new ContentPackError(`Could not download content pack from ${url}: HTTP ${response.status}`);
+  }
+  return parseContentPack(await response.text());
+};
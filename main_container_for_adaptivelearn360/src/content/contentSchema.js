@@ -0,0 +1,177 @@
+/**
+ * Content item schema for AdaptiveLearn360
+ *
+ * A content item is one unit of study material:
+ *   {
+ *     id, title, subject,              required strings
+ *     difficulty,                      required integer, 1 (easy) to 5 (hard)
+ *     estimatedDuration,               required minutes, greater than 0
+ *     dueDate?, lastStudied?,          ISO date strings
+ *     dependsOn?,                      ids of prerequisite items
+ *     previouslyStruggled?,            boolean
+ *     skill?,                          traced skill, defaults to subject
+ *     tags?,                           strings for filtering
+ *     description?,                    string
+ *     questions?                       quiz questions (see quiz/questionTypes.js)
+ *   }
+ * Subjects are lower-case keys such as 'organic_chemistry'. Items only enter
+ * the library once they validate, so the prioritization and scheduling maths
+ * never sees missing or non-numeric fields.
+ */
+import { validateQuestion } from '../quiz/questionTypes';
+
+// PUBLIC_INTERFACE
+/**
+ * Allowed difficulty range
+ */
+export const DIFFICULTY_RANGE = { min: 1, max: 5 };
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when content items fail validation
+ */
+export class ContentValidationError extends Error {
+  constructor(errors) {
+    super(
+      errors.length === 1
+        ? errors[0].message
+        : `${errors.length} content problems: ${errors.map(error => error.message).join('; ')}`
+    );
+    this.name = 'ContentValidationError';
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+const isStringArray = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+// Checks for each field: [required, test, what the value must be]
+const FIELD_RULES = {
+  id: [true, isNonEmptyString, 'a non-empty string'],
+  title: [true, isNonEmptyString, 'a non-empty string'],
+  subject: [true, value => isNonEmptyString(value) && /^[a-z0-9_]+$/.test(value), 'a lower-case key such as "organic_chemistry"'],
+  difficulty: [
+    true,
+    value => Number.isInteger(value) && value >= DIFFICULTY_RANGE.min && value <= DIFFICULTY_RANGE.max,
+    `a whole number from ${DIFFICULTY_RANGE.min} to ${DIFFICULTY_RANGE.max}`
+  ],
+  estimatedDuration: [true, value => Number.isFinite(value) && value > 0, 'a number of minutes greater than 0'],
+  dueDate: [false, isDateString, 'an ISO date string'],
+  lastStudied: [false, isDateString, 'an ISO date string'],
+  dependsOn: [false, isStringArray, 'a list of item ids'],
+  previouslyStruggled: [false, value => typeof value === 'boolean', 'true or false'],
+  skill: [false, isNonEmptyString, 'a non-empty string'],
+  tags: [false, isStringArray, 'a list of strings'],
+  description: [false, value => typeof value === 'string', 'a string'],
+  questions: [false, Array.isArray, 'a list of quiz questions']
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check a content item against the schema
+ * @param {Object} item - Candidate content item
+ * @returns {Array} - [{ itemId, field, message }]; empty when the item is valid
+ */
+export const validateContentItem = (item) => {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ itemId: null, field: null, message: 'Content item must be an object' }];
+  }
+
+  const itemId = isNonEmptyString(item.id) ? item.id : null;
+  const label = itemId ? `Item "${itemId}"` : 'Item without an id';
+  const errors = [];
+
+  Object.entries(FIELD_RULES).forEach(([field, [required, test, expected]]) => {
+    const value = item[field];
+    if (value === undefined || value === null) {
+      if (required) errors.push({ itemId, field, message: `${label}: ${field} is required` });
+      return;
+    }
+    if (!test(value)) {
+      errors.push({ itemId, field, message: `${label}: ${field} must be ${expected}, got ${JSON.stringify(value)}` });
+    }
+  });
+
+  if (Array.isArray(item.questions)) {
+    item.questions.forEach((question, index) => {
+      validateQuestion(question).forEach(problem => {
+        errors.push({ itemId, field: 'questions', message: `${label}: question ${index + 1} ${problem}` });
+      });
+    });
+  }
+
+  if (itemId && Array.isArray(item.dependsOn) && item.dependsOn.includes(itemId)) {
+    errors.push({ itemId, field: 'dependsOn', message: `${label}: an item cannot depend on itself` });
+  }
+
+  return errors;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a content item is safe to schedule
+ * @param {Object} item - Candidate content item
+ * @returns {boolean} - Whether it validates
+ */
+export const isValidContentItem = (item) => validateContentItem(item).length === 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Tidy a candidate item before validation: trims strings, reads numeric
+ * strings as numbers, stores dates as ISO strings and drops empty optional
+ * fields. Values that cannot be read are left for validation to report.
+ * @param {Object} raw - Candidate content item, e.g. from a form or a pack
+ * @returns {Object} - Normalized candidate
+ */
+export const normalizeContentItem = (raw) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+
+  const item = { ...raw };
+  ['id', 'title', 'subject', 'skill'].forEach(field => {
+    if (typeof item[field] === 'string') item[field] = item[field].trim();
+  });
+  if (typeof item.subject === 'string') {
+    item.subject = item.subject.toLowerCase().replace(/[\s-]+/g, '_');
+  }
+  ['difficulty', 'estimatedDuration'].forEach(field => {
+    if (typeof item[field] === 'string' && item[field].trim() !== '' && !Number.isNaN(Number(item[field]))) {
+      item[field] = Number(item[field]);
+    }
+  });
+  ['dueDate', 'lastStudied'].forEach(field => {
+    if (item[field] instanceof Date || isDateString(item[field])) {
+      item[field] = new Date(item[field]).toISOString();
+    }
+  });
+  ['dependsOn', 'tags'].forEach(field => {
+    if (Array.isArray(item[field])) {
+      item[field] = item[field].map(value => (typeof value === 'string' ? value.trim() : value));
+    }
+  });
+
+  Object.keys(item).forEach(field => {
+    if (!FIELD_RULES[field]?.[0] && (item[field] === '' || item[field] === undefined)) {
+      delete item[field];
+    }
+  });
+  return item;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize and validate an item, throwing if it is invalid
+ * @param {Object} raw - Candidate content item
+ * @returns {Object} - Valid content item
+ * @throws {ContentValidationError} - With every problem found
+ */
+export const parseContentItem = (raw) => {
+  const item = normalizeContentItem(raw);
+  const errors = validateContentItem(item);
+  if (errors.length > 0) {
+    throw new ContentValidationError(errors);
+  }
+  return item;
+};
@@ -0,0 +1,138 @@
+/**
+ * CSV import for AdaptiveLearn360
+ *
+ * Spreadsheets name their columns in many ways, so importing is two steps:
+ * parseCsv reads the rows and suggestColumnMapping guesses which column
+ * holds each content field from the header names. The user can correct the
+ * mapping before importCsvRows turns each row into a candidate item.
+ */
+import { ContentImportError } from './contentImport';
+
+// PUBLIC_INTERFACE
+/**
+ * Content fields a CSV column can be mapped to, with header names that
+ * suggest them
+ */
+export const CSV_FIELDS = [
+  { field: 'title', label: 'Title', aliases: ['title', 'name', 'topic', 'item', 'lesson'] },
+  { field: 'subject', label: 'Subject', aliases: ['subject', 'course', 'module', 'class'] },
+  { field: 'difficulty', label: 'Difficulty', aliases: ['difficulty', 'level'] },
+  { field: 'estimatedDuration', label: 'Minutes', aliases: ['estimated duration', 'duration', 'minutes', 'mins', 'time'] },
+  { field: 'dueDate', label: 'Due date', aliases: ['due date', 'due', 'deadline'] },
+  { field: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'keywords'] },
+  { field: 'description', label: 'Description', aliases: ['description', 'notes', 'summary', 'details'] },
+  { field: 'dependsOn', label: 'Prerequisites', aliases: ['depends on', 'prerequisites', 'requires'] },
+  { field: 'id', label: 'Id', aliases: ['id', 'key', 'code'] }
+];
+
+// Separators for list fields within a cell
+const LIST_SEPARATOR = /[;,|]/;
+
+// Pick the delimiter that splits the header line into the most columns
+const detectDelimiter = (text) => {
+  const header = text.split('\n', 1)[0];
+  return [',', ';', '\t'].reduce((best, candidate) =>
+    (header.split(candidate).length > header.split(best).length ? candidate : best), ',');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read CSV text (RFC 4180: quoted fields may contain delimiters, quotes
+ * doubled as "" and line breaks)
+ * @param {string} text - CSV source
+ * @param {Object} options - { delimiter } detected from the header when omitted
+ * @returns {Object} - { headers, rows } where rows are arrays of cell strings
+ * @throws {ContentImportError} - If the file is empty or a quote is never closed
+ */
+export const parseCsv = (text, { delimiter } = {}) => {
+  const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const separator = delimiter || detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new ContentImportError('CSV file has a quoted field that is never closed');
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new ContentImportError('CSV file is empty');
+  }
+  const [headers, ...rows] = nonEmpty;
+  return { headers: headers.map(header => header.trim()), rows };
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+// PUBLIC_INTERFACE
+/**
+ * Guess which column holds each content field from the header names
+ * @param {Array} headers - Column headers
+ * @returns {Object} - { [field]: columnIndex } for the fields that were recognised
+ */
+export const suggestColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  return CSV_FIELDS.reduce((mapping, { field, aliases }) => {
+    const column = aliases
+      .map(alias => normalized.findIndex((header, index) => !used.has(index) && header === alias))
+      .find(index => index !== -1);
+    if (column === undefined) return mapping;
+    used.add(column);
+    return { ...mapping, [field]: column };
+  }, {});
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn CSV rows into candidate content items
+ * @param {Object} table - { headers, rows } from parseCsv
+ * @param {Object} mapping - { [field]: columnIndex }; unmapped fields are left out
+ * @param {Object} options - { defaults } fields used when a row leaves them empty
+ * @returns {Array} - [{ entry, item }] candidates for planContentImport
+ */
+export const importCsvRows = ({ rows }, mapping, { defaults = {} } = {}) =>
+  rows.map((row, index) => {
+    const item = { ...defaults };
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (column === null || column === undefined) return;
+      const value = (row[column] || '').trim();
+      if (value === '') return;
+      item[field] = field === 'tags' || field === 'dependsOn'
+        ? value.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean)
+        : value;
+    });
+    // Row numbers as a spreadsheet shows them, counting the header row
+    return { entry: `Row ${index + 2}`, item };
+  });
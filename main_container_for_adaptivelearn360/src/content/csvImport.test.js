@@ -0,0 +1,75 @@
+import { parseCsv, suggestColumnMapping, importCsvRows } from './csvImport';
+import { ContentImportError } from './contentImport';
+
+const LIBRARY_CSV = [
+  '﻿Name,Course,Level,Mins,Tags,Notes',
+  'Limits,Calculus,2,30,"limits, review",Start here',
+  '"Derivatives, part 1",Calculus,3,,rules|practice,"Covers the ""power rule""',
+  'and the product rule"',
+  ',,,,,'
+].join('\r\n');
+
+test('parseCsv reads quoted fields, doubled quotes and line breaks in cells', () => {
+  const { headers, rows } = parseCsv(LIBRARY_CSV);
+
+  expect(headers).toEqual(['Name', 'Course', 'Level', 'Mins', 'Tags', 'Notes']);
+  // The blank last row is dropped
+  expect(rows).toEqual([
+    ['Limits', 'Calculus', '2', '30', 'limits, review', 'Start here'],
+    ['Derivatives, part 1', 'Calculus', '3', '', 'rules|practice', 'Covers the "power rule"\nand the product rule']
+  ]);
+});
+
+test('parseCsv detects semicolon and tab delimiters from the header', () => {
+  expect(parseCsv('title;subject\nLimits;calculus').rows).toEqual([['Limits', 'calculus']]);
+  expect(parseCsv('title\tsubject\nLimits, again\tcalculus').rows).toEqual([['Limits, again', 'calculus']]);
+  expect(parseCsv('title|subject\nLimits|calculus', { delimiter: '|' }).headers).toEqual(['title', 'subject']);
+});
+
+test('parseCsv rejects a quote that is never closed', () => {
+  expect(() => parseCsv('title,subject\n"Limits,calculus\n')).toThrow(ContentImportError);
+  expect(() => parseCsv('title,subject\n"Limits,calculus\n')).toThrow('quoted field that is never closed');
+});
+
+test('parseCsv rejects a file with no rows', () => {
+  expect(() => parseCsv('')).toThrow('CSV file is empty');
+  expect(() => parseCsv('﻿\r\n , \r\n')).toThrow('CSV file is empty');
+});
+
+test('suggestColumnMapping matches header aliases once each', () => {
+  expect(suggestColumnMapping(['Name', 'Course', 'Level', 'Mins', 'Tags', 'Notes'])).toEqual({
+    title: 0, subject: 1, difficulty: 2, estimatedDuration: 3, tags: 4, description: 5
+  });
+  expect(suggestColumnMapping(['Topic', 'Due-Date', 'Prerequisites', 'Title', 'Colour'])).toEqual({
+    title: 3, dueDate: 1, dependsOn: 2
+  });
+});
+
+test('importCsvRows maps columns, splits lists and numbers rows like a spreadsheet', () => {
+  const table = parseCsv(LIBRARY_CSV);
+  const candidates = importCsvRows(table, suggestColumnMapping(table.headers), { defaults: { difficulty: 1, estimatedDuration: 15 } });
+
+  expect(candidates).toEqual([
+    {
+      entry: 'Row 2',
+      item: { title: 'Limits', subject: 'Calculus', difficulty: '2', estimatedDuration: '30', tags: ['limits', 'review'], description: 'Start here' }
+    },
+    {
+      entry: 'Row 3',
+      item: {
+        title: 'Derivatives, part 1',
+        subject: 'Calculus',
+        difficulty: '3',
+        estimatedDuration: 15,
+        tags: ['rules', 'practice'],
+        description: 'Covers the "power rule"\nand the product rule'
+      }
+    }
+  ]);
+});
+
+test('importCsvRows leaves out unmapped columns and missing cells', () => {
+  const candidates = importCsvRows({ rows: [['Limits'], ['Series', 'extra']] }, { title: 0, subject: 1, tags: null });
+
+  expect(candidates.map(candidate => candidate.item)).toEqual([{ title: 'Limits' }, { title: 'Series', subject: 'extra' }]);
+});
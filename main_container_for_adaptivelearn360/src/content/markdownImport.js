@@ -0,0 +1,162 @@
+/**
+ * Markdown import for AdaptiveLearn360
+ *
+ * Each heading becomes a content item and the text under it becomes the
+ * item's description. YAML-style front matter sets fields for every item
+ * in the file:
+ *
+ *   ---
+ *   subject: Calculus
+ *   difficulty: 3
+ *   tags: [derivatives, review]
+ *   ---
+ *   # Derivatives          (a lone top heading titles the file and is skipped)
+ *   ## Power rule
+ *   ...
+ *
+ * Items without a duration get one estimated from the length of their text.
+ */
+import { ContentImportError } from './contentImport';
+
+// Reading pace used to estimate durations, and the shortest estimate
+const WORDS_PER_MINUTE = 20;
+const MIN_ESTIMATED_MINUTES = 5;
+
+// Front matter keys that differ from the item field names
+const FRONT_MATTER_ALIASES = {
+  duration: 'estimatedDuration',
+  minutes: 'estimatedDuration',
+  due: 'dueDate',
+  prerequisites: 'dependsOn'
+};
+
+// Read a front matter scalar: quoted strings, numbers, booleans or plain text
+const parseScalar = (value) => {
+  const text = value.trim();
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text !== '' && !Number.isNaN(Number(text))) return Number(text);
+  return text;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read the front matter block at the start of a Markdown file. Supports
+ * "key: value" lines, inline lists ([a, b]) and "- item" lists.
+ * @param {string} text - Markdown source
+ * @returns {Object} - { metadata, body, bodyLine } with body the text after
+ *   the block and bodyLine its first line number (0-based)
+ * @throws {ContentImportError} - If the block is opened but never closed
+ */
+export const parseFrontMatter = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[0].trim() !== '---') return { metadata: {}, body: lines.join('\n'), bodyLine: 0 };
+
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (end === -1) {
+    throw new ContentImportError('Front matter starts with "---" but is never closed');
+  }
+
+  const metadata = {};
+  let listKey = null;
+  lines.slice(1, end).forEach(line => {
+    if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+    const listItem = /^\s*-\s+(.*)$/.exec(line);
+    if (listItem && listKey) {
+      metadata[listKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+    if (!pair) return;
+    const key = FRONT_MATTER_ALIASES[pair[1]] || pair[1];
+    const value = pair[2].trim();
+    if (value === '') {
+      metadata[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      metadata[key] = value.slice(1, -1).split(',').map(parseScalar).filter(entry => entry !== '');
+      listKey = null;
+    } else {
+      metadata[key] = parseScalar(value);
+      listKey = null;
+    }
+  });
+
+  return { metadata, body: lines.slice(end + 1).join('\n'), bodyLine: end + 1 };
+};
+
+// Headings outside fenced code blocks: [{ level, title, line }]
+const findHeadings = (lines) => {
+  const headings = [];
+  let fence = null;
+  lines.forEach((line, index) => {
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+      return;
+    }
+    const heading = !fence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) headings.push({ level: heading[1].length, title: heading[2], line: index });
+  });
+  return headings;
+};
+
+const estimateMinutes = (text) => {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.max(MIN_ESTIMATED_MINUTES, Math.round(words / WORDS_PER_MINUTE));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn a Markdown file into candidate content items
+ * @param {string} text - Markdown source
+ * @param {Object} options - { defaults } fields used when the file does not set them
+ * @returns {Array} - [{ entry, item }] candidates for planContentImport
+ * @throws {ContentImportError} - If the file has no headings and no front matter title
+ */
+export const importMarkdown = (text, { defaults = {} } = {}) => {
+  const { metadata, body, bodyLine } = parseFrontMatter(text);
+  // title and id describe the file, so they only apply when it is one item
+  const { title: fileTitle, id: fileId, ...shared } = metadata;
+  const lines = body.split('\n');
+  let headings = findHeadings(lines);
+
+  if (headings.length === 0) {
+    if (!fileTitle) {
+      throw new ContentImportError('No headings found; add a "# Heading" for each item or a title in the front matter');
+    }
+    return [{
+      entry: 'Document',
+      item: { difficulty: 3, estimatedDuration: estimateMinutes(body), ...defaults, ...shared, id: fileId, title: fileTitle, description: body.trim() }
+    }];
+  }
+
+  // A single top-level heading above the others names the file, not an item
+  const topLevel = Math.min(...headings.map(heading => heading.level));
+  const topHeadings = headings.filter(heading => heading.level === topLevel);
+  if (topHeadings.length === 1 && headings.length > 1 && headings[0].level === topLevel) {
+    headings = headings.slice(1);
+  }
+  const itemLevel = Math.min(...headings.map(heading => heading.level));
+
+  return headings
+    .filter(heading => heading.level === itemLevel)
+    .map((heading, index, itemHeadings) => {
+      const next = itemHeadings[index + 1];
+      const description = lines.slice(heading.line + 1, next ? next.line : lines.length).join('\n').trim();
+      return {
+        entry: `Heading "${heading.title}" (line ${bodyLine + heading.line + 1})`,
+        item: {
+          difficulty: 3,
+          estimatedDuration: estimateMinutes(description),
+          ...defaults,
+          ...shared,
+          title: heading.title,
+          ...(description && { description })
+        }
+      };
+    });
+};
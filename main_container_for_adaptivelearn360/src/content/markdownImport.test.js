@@ -0,0 +1,89 @@
+import { parseFrontMatter, importMarkdown } from './markdownImport';
+import { ContentImportError } from './contentImport';
+
+const CALCULUS_NOTES = `---
+subject: calculus
+difficulty: 4
+duration: 25
+tags: [derivatives, "review"]
+prerequisites:
+  - limits
+  - functions
+---
+# Derivatives
+
+## Power rule
+Bring the exponent down and subtract one.
+
+\`\`\`
+# not a heading
+\`\`\`
+
+### Worked example
+Differentiate x^3.
+
+## Chain rule ##
+Differentiate the outside, then the inside.
+`;
+
+test('parseFrontMatter reads scalars, inline lists, block lists and aliases', () => {
+  const { metadata, bodyLine } = parseFrontMatter(CALCULUS_NOTES);
+
+  expect(metadata).toEqual({
+    subject: 'calculus',
+    difficulty: 4,
+    estimatedDuration: 25,
+    tags: ['derivatives', 'review'],
+    dependsOn: ['limits', 'functions']
+  });
+  expect(bodyLine).toBe(9);
+});
+
+test('parseFrontMatter leaves files without front matter alone', () => {
+  expect(parseFrontMatter('# Limits\nText')).toEqual({ metadata: {}, body: '# Limits\nText', bodyLine: 0 });
+});
+
+test('parseFrontMatter rejects a block that is never closed', () => {
+  expect(() => parseFrontMatter('---\nsubject: calculus\n# Limits')).toThrow(ContentImportError);
+  expect(() => parseFrontMatter('---\nsubject: calculus\n# Limits')).toThrow('never closed');
+});
+
+test('importMarkdown makes an item per heading below a lone title heading', () => {
+  const candidates = importMarkdown(CALCULUS_NOTES);
+
+  expect(candidates.map(candidate => candidate.entry)).toEqual([
+    'Heading "Power rule" (line 12)',
+    'Heading "Chain rule" (line 22)'
+  ]);
+  expect(candidates[0].item).toEqual({
+    subject: 'calculus',
+    difficulty: 4,
+    estimatedDuration: 25,
+    tags: ['derivatives', 'review'],
+    dependsOn: ['limits', 'functions'],
+    title: 'Power rule',
+    description: 'Bring the exponent down and subtract one.\n\n```\n# not a heading\n```\n\n### Worked example\nDifferentiate x^3.'
+  });
+});
+
+test('importMarkdown estimates durations and applies defaults under the front matter', () => {
+  const candidates = importMarkdown('# Limits\nShort.\n# Series\n', { defaults: { subject: 'calculus', difficulty: 2 } });
+
+  expect(candidates.map(candidate => candidate.item)).toEqual([
+    { difficulty: 2, estimatedDuration: 5, subject: 'calculus', title: 'Limits', description: 'Short.' },
+    { difficulty: 2, estimatedDuration: 5, subject: 'calculus', title: 'Series' }
+  ]);
+});
+
+test('importMarkdown turns a file without headings into one item from its title', () => {
+  const candidates = importMarkdown('---\ntitle: Limits\nid: calc-limits\nsubject: calculus\n---\nWhat a limit is.\n');
+
+  expect(candidates).toEqual([{
+    entry: 'Document',
+    item: { difficulty: 3, estimatedDuration: 5, subject: 'calculus', id: 'calc-limits', title: 'Limits', description: 'What a limit is.' }
+  }]);
+});
+
+test('importMarkdown rejects a file without headings or a title', () => {
+  expect(() => importMarkdown('Just some notes.\n```\n# inside a fence\n```')).toThrow('No headings found');
+});
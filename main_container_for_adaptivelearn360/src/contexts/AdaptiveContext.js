@@ -1,25 +1,63 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
 import { useUser } from './UserContext';
+import { MASTERY_THRESHOLDS } from '../utils/knowledgeTracing';
+import { scoreToGrade } from '../utils/schedulingAlgorithm';
+import { getAreaPriorityReason } from '../utils/contentPrioritization';
+import { getStudyPeriod } from '../utils/calendarSlots';
+import { loadRuleSet } from '../adaptation/ruleEngine';
+import {
+  DEFAULT_ADAPTATION_RULES,
+  parseAdaptationRules,
+  buildAdaptationFacts,
+  evaluateAdaptations,
+  applyAdaptationOverrides,
+  resolveSettingLayers,
+  SETTING_TARGETS
+} from '../adaptation/adaptationRules';
+import { reasonsFromTrace } from '../adaptation/reasons';
+import { normalizeReminderSettings } from '../utils/reminders';
+import {
+  startFocusSession,
+  openDistraction,
+  closeDistraction,
+  summarizeFocusSession
+} from '../utils/focusTracking';
 
 // Create the context
 const AdaptiveContext = createContext();
 
 // PUBLIC_INTERFACE
-export function AdaptiveProvider({ children }) {
+export function AdaptiveProvider({ children, rulesUrl = process.env.REACT_APP_ADAPTATION_RULES_URL }) {
   /**
-   * Provider component that manages adaptive settings and behavior based on user data
+   * Provider component that manages adaptive settings and behavior based on user data.
+   * The layout, theme, font size, animation and UI hints come from the
+   * adaptation rules (see adaptation/adaptationRules.js); a tuned rule set
+   * can be loaded from rulesUrl or with loadAdaptationRules, and the trace
+   * explains which rule decided each of them. The learner can override or
+   * snooze each adaptation; adaptationReasons says why each value applies.
+   * Theme, font size, animation and layout are also settings: a value set
+   * with changeSetting is pinned and wins over adaptation until set to 'auto'.
    */
-  const { userData, loading } = useUser();
+  const {
+    userData,
+    loading,
+    recordFocusSession,
+    recordAttempt,
+    recordReview,
+    updatePreferences,
+    setAdaptationOverride
+  } = useUser();
   const [deviceType, setDeviceType] = useState('desktop');
   const [timeOfDay, setTimeOfDay] = useState('');
-  const [adaptiveLayout, setAdaptiveLayout] = useState('standard');
+  const [adaptationRules, setAdaptationRules] = useState(DEFAULT_ADAPTATION_RULES);
+  const [rulesError, setRulesError] = useState(null);
+  const [snoozeCheck, setSnoozeCheck] = useState(() => Date.now());
   const [contentPriority, setContentPriority] = useState([]);
   const [focusMode, setFocusMode] = useState(false);
-  const [reminderSettings, setReminderSettings] = useState({
-    enabled: true,
-    frequency: 'medium',
-    smartTiming: true
-  });
+  const [focusSession, setFocusSession] = useState(null);
+  const [lastFocusSession, setLastFocusSession] = useState(null);
+  const [focusOverlay, setFocusOverlay] = useState(false);
+  const [quizFeedback, setQuizFeedback] = useState(null);
 
   // Detect device type
   useEffect(() => {
@@ -48,17 +86,7 @@ export function AdaptiveProvider({ children }) {
   // Determine time of day
   useEffect(() => {
     const updateTimeOfDay = () => {
-      const hour = new Date().getHours();
-      
-      if (hour >= 5 && hour < 12) {
-        setTimeOfDay('morning');
-      } else if (hour >= 12 && hour < 17) {
-        setTimeOfDay('afternoon');
-      } else if (hour >= 17 && hour < 21) {
-        setTimeOfDay('evening');
-      } else {
-        setTimeOfDay('night');
-      }
+      setTimeOfDay(getStudyPeriod(new Date()));
     };
 
     updateTimeOfDay();
@@ -71,33 +99,52 @@ export function AdaptiveProvider({ children }) {
     };
   }, []);
 
-  // Set adaptive layout based on user data, device type, and time of day
+  // Load a tuned rule set when one is configured; the default rules stay in place if it fails
   useEffect(() => {
-    if (loading || !userData) return;
-
-    // Determine the most appropriate layout based on multiple factors
-    const determineLayout = () => {
-      // Focus mode takes precedence
-      if (focusMode) return 'focused';
-
-      // Check device constraints
-      if (deviceType === 'mobile') return 'compact';
-
-      // Check user habits for current time period
-      const habits = userData.habits.preferredStudyTime;
-      const preferenceScore = habits[timeOfDay] || 0;
-      
-      // If user is highly active during this time period, offer more focused interface
-      if (preferenceScore > 0.7) {
-        return userData.performance.averageScore > 70 ? 'advanced' : 'guided';
-      }
-      
-      // Default to standard layout
-      return 'standard';
+    if (!rulesUrl) return undefined;
+    let cancelled = false;
+    loadRuleSet(rulesUrl, { parse: parseAdaptationRules })
+      .then(ruleSet => {
+        if (!cancelled) setAdaptationRules(ruleSet);
+      })
+      .catch(err => {
+        if (!cancelled) setRulesError(err.message);
+      });
+    return () => {
+      cancelled = true;
     };
+  }, [rulesUrl]);
 
-    setAdaptiveLayout(determineLayout());
-  }, [userData, loading, deviceType, timeOfDay, focusMode]);
+  // Layout, theme, font size, animation and UI hints for the learner, their
+  // device and the time of day, with the trace of the rules that decided them
+  // and the learner's overrides and snoozes on top
+  const adaptationOverrides = userData && userData.adaptationOverrides;
+  const adaptation = useMemo(() => applyAdaptationOverrides(
+    evaluateAdaptations(buildAdaptationFacts({ userData, deviceType, timeOfDay, focusMode }), adaptationRules),
+    adaptationOverrides,
+    adaptationRules,
+    new Date(snoozeCheck)
+  ), [userData, deviceType, timeOfDay, focusMode, adaptationRules, adaptationOverrides, snoozeCheck]);
+  const adaptationReasons = useMemo(() => reasonsFromTrace(adaptation.trace), [adaptation]);
+  const settingLayers = useMemo(
+    () => resolveSettingLayers(adaptation.trace, adaptationRules),
+    [adaptation, adaptationRules]
+  );
+  const adaptiveLayout = adaptation.values.layout;
+  const uiHints = adaptation.values.uiHints;
+
+  // Re-evaluate when the next snooze ends
+  useEffect(() => {
+    const now = Date.now();
+    const nextEnd = Object.values(adaptationOverrides || {})
+      .filter(entry => entry.mode === 'snooze')
+      .map(entry => new Date(entry.until).getTime())
+      .filter(end => end > now)
+      .sort((a, b) => a - b)[0];
+    if (!nextEnd) return undefined;
+    const timeout = setTimeout(() => setSnoozeCheck(Date.now()), nextEnd - now);
+    return () => clearTimeout(timeout);
+  }, [adaptationOverrides, snoozeCheck]);
 
   // Prioritize content based on user performance
   useEffect(() => {
@@ -106,37 +153,187 @@ export function AdaptiveProvider({ children }) {
     // Sort content areas by priority (focusing on weak areas first)
     const weakAreas = userData.performance.weakAreas || [];
     const strongAreas = userData.performance.strongAreas || [];
+    const mastery = userData.performance.mastery || {};
+    
+    // Traced skills are ordered by mastery, lowest first
+    const tracedList = Object.entries(mastery)
+      .sort((a, b) => a[1].mastery - b[1].mastery)
+      .map(([skill, entry]) => {
+        if (entry.mastery < MASTERY_THRESHOLDS.weak) {
+          return { id: skill, priority: 'high', type: 'weak-area', mastery: entry.mastery };
+        }
+        if (entry.mastery < MASTERY_THRESHOLDS.mastered) {
+          return { id: skill, priority: 'medium', type: 'developing', mastery: entry.mastery };
+        }
+        return { id: skill, priority: 'low', type: 'strong-area', mastery: entry.mastery };
+      });
+    
+    // Areas without mastery data fall back to the weak/strong lists
+    const untraced = (area) => !mastery[area];
     
     // Create prioritized list
     const priorityList = [
-      ...weakAreas.map(area => ({ id: area, priority: 'high', type: 'weak-area' })),
-      ...strongAreas.map(area => ({ id: area, priority: 'medium', type: 'strong-area' }))
+      ...weakAreas.filter(untraced).map(area => ({ id: area, priority: 'high', type: 'weak-area' })),
+      ...tracedList,
+      ...strongAreas.filter(untraced).map(area => ({ id: area, priority: 'medium', type: 'strong-area' }))
     ];
     
-    setContentPriority(priorityList);
+    // Each entry explains itself with the factors prioritizeContent weighs
+    setContentPriority(priorityList.map(entry => ({
+      ...entry,
+      reason: getAreaPriorityReason(entry.id, userData.performance, entry.priority)
+    })));
   }, [userData, loading]);
 
-  // Toggle focus mode
+  // Count every time the learner leaves the app while focus mode is on
+  useEffect(() => {
+    if (!focusMode) return undefined;
+
+    const handleAway = (type) => () =>
+      setFocusSession(session => session && openDistraction(session, type, new Date()));
+    const handleBlur = handleAway('blur');
+    const handleReturn = () =>
+      setFocusSession(session => session && closeDistraction(session, new Date()));
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') {
+        handleAway('hidden')();
+      } else {
+        handleReturn();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleReturn);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleReturn);
+    };
+  }, [focusMode]);
+
+  // Toggle focus mode. Turning it on starts a guarded session; turning it
+  // off scores the session and records it for the learner.
   const toggleFocusMode = () => {
-    setFocusMode(prevMode => !prevMode);
+    if (focusMode && focusSession) {
+      const record = summarizeFocusSession(focusSession, new Date());
+      if (record.duration > 0) {
+        recordFocusSession(record);
+      }
+      setLastFocusSession(record);
+      setFocusSession(null);
+    } else if (!focusMode) {
+      setFocusSession(startFocusSession(new Date()));
+      setLastFocusSession(null);
+    }
+    setFocusMode(!focusMode);
+  };
+
+  const dismissFocusSummary = () => {
+    setLastFocusSession(null);
+  };
+
+  // Show or hide the full-screen overlay used during focus mode
+  const toggleFocusOverlay = () => {
+    setFocusOverlay(prevOverlay => !prevOverlay);
+  };
+
+  // Record a scored quiz (see quiz/quizEngine.js) and keep it as the latest
+  // performance feedback, which reshapes the upcoming schedule. Each item's
+  // score is also graded recall for its spaced-repetition review state.
+  const submitQuizResult = (result) => {
+    result.attempts.forEach(attempt => {
+      recordAttempt(attempt);
+      recordReview(attempt.itemId, scoreToGrade(attempt.score), new Date(attempt.timestamp));
+    });
+    setQuizFeedback(result);
+  };
+
+  // Replace the adaptation rules with a rule set from a URL, JSON text or a
+  // parsed object; throws a RuleSetError and keeps the current rules if it is invalid
+  const loadAdaptationRules = async (source) => {
+    const ruleSet = typeof source === 'string' && !source.trim().startsWith('{')
+      ? await loadRuleSet(source, { parse: parseAdaptationRules })
+      : parseAdaptationRules(source);
+    setAdaptationRules(ruleSet);
+    setRulesError(null);
+    return ruleSet;
+  };
+
+  const resetAdaptationRules = () => {
+    setAdaptationRules(DEFAULT_ADAPTATION_RULES);
+    setRulesError(null);
+  };
+
+  // Pin an adaptation to a value of the learner's choosing
+  const overrideAdaptation = (target, value) => {
+    setAdaptationOverride(target, { mode: 'override', value, setAt: new Date().toISOString() });
+  };
+
+  // Pause an adaptation until the given time; the baseline value applies meanwhile
+  const snoozeAdaptation = (target, until) => {
+    setAdaptationOverride(target, { mode: 'snooze', until: new Date(until).toISOString() });
+  };
+
+  // Let the rules decide an overridden or snoozed adaptation again
+  const clearAdaptationOverride = (target) => {
+    setAdaptationOverride(target, null);
+  };
+
+  // Pin a setting (theme, fontSize, animation or layout), or hand it back to adaptation with 'auto'
+  const changeSetting = (target, value) => {
+    if (value === 'auto') {
+      clearAdaptationOverride(target);
+    } else {
+      overrideAdaptation(target, value);
+    }
+  };
+
+  const changeLayout = (layout) => {
+    changeSetting('layout', layout);
+  };
+
+  // Let adaptation decide every setting again, including snoozed ones
+  const resetSettings = () => {
+    SETTING_TARGETS.forEach(target => clearAdaptationOverride(target));
   };
 
-  // Update reminder settings
+  // Reminder settings are kept with the learner's preferences
+  const reminderSettings = normalizeReminderSettings(userData?.preferences?.reminders);
   const updateReminderSettings = (newSettings) => {
-    setReminderSettings(prevSettings => ({
-      ...prevSettings,
-      ...newSettings
-    }));
+    updatePreferences({ reminders: { ...reminderSettings, ...newSettings } });
   };
 
   const value = {
     deviceType,
     timeOfDay,
     adaptiveLayout,
+    adaptations: adaptation.values,
+    adaptationTrace: adaptation.trace,
+    adaptationReasons,
+    adaptationRules,
+    rulesError,
+    loadAdaptationRules,
+    resetAdaptationRules,
+    overrideAdaptation,
+    snoozeAdaptation,
+    clearAdaptationOverride,
+    settingLayers,
+    changeSetting,
+    changeLayout,
+    resetSettings,
     contentPriority,
+    uiHints,
     focusMode,
+    focusSession,
+    lastFocusSession,
+    focusOverlay,
+    quizFeedback,
     reminderSettings,
     toggleFocusMode,
+    toggleFocusOverlay,
+    dismissFocusSummary,
+    submitQuizResult,
     updateReminderSettings
   };
 
@@ -0,0 +1,96 @@
+import React from 'react';
+import { render, waitFor, act } from '@testing-library/react';
+import { UserProvider, useUser } from './UserContext';
+import { AdaptiveProvider, useAdaptive } from './AdaptiveContext';
+import { createMemoryAdapter } from '../persistence/storageAdapters';
+import { createApiClient } from '../api/apiClient';
+import { createMockServer } from '../api/mockServer';
+import { mockLearnerProfiles } from '../data/mockRoster';
+
+// Render the providers and return a handle on the latest context values
+const renderAdaptive = ({
+  adapter = createMemoryAdapter(),
+  server = createMockServer({ profiles: mockLearnerProfiles })
+} = {}) => {
+  const latest = {};
+  const Probe = () => {
+    Object.assign(latest, useUser(), useAdaptive());
+    return null;
+  };
+  const { unmount } = render(
+    <UserProvider storageAdapter={adapter} apiClient={createApiClient({ fetchImpl: server.fetch })}>
+      <AdaptiveProvider>
+        <Probe />
+      </AdaptiveProvider>
+    </UserProvider>
+  );
+  latest.unmount = unmount;
+  return latest;
+};
+
+test('submitQuizResult grades each quiz attempt into the item review state', async () => {
+  const context = renderAdaptive();
+  await waitFor(() => expect(context.loading).toBe(false));
+
+  const timestamp = '2026-03-02T10:00:00.000Z';
+  act(() => {
+    context.submitQuizResult({
+      averageScore: 70,
+      struggledItems: ['quiz-b'],
+      answers: [],
+      attempts: [
+        { itemId: 'quiz-a', subject: 'Mathematics', skill: 'Algebra', score: 100, timeSpent: 30, timestamp, type: 'quiz' },
+        { itemId: 'quiz-b', subject: 'Mathematics', skill: 'Algebra', score: 40, timeSpent: 45, timestamp, type: 'quiz' }
+      ],
+      completedAt: timestamp
+    });
+  });
+
+  await waitFor(() => expect(context.userData.attempts).toHaveLength(2));
+  await waitFor(() => expect(context.syncStatus).toBe('idle'));
+
+  const { reviewStates } = context.userData;
+  // A perfect score is a successful recall; 40% (grade 2) is a lapse
+  expect(reviewStates['quiz-a']).toMatchObject({ repetitions: 1, lastReviewed: timestamp });
+  expect(reviewStates['quiz-b']).toMatchObject({ repetitions: 0, lastReviewed: timestamp });
+});
+
+test('reminder settings survive a reload', async () => {
+  const adapter = createMemoryAdapter();
+  const serverStorage = createMemoryAdapter();
+  const context = renderAdaptive({
+    adapter,
+    server: createMockServer({ profiles: mockLearnerProfiles, storage: serverStorage })
+  });
+  await waitFor(() => expect(context.loading).toBe(false));
+
+  act(() => {
+    context.updateReminderSettings({ frequency: 'high', quietHours: { start: 21, end: 8 } });
+  });
+  await waitFor(() => expect(context.syncStatus).toBe('idle'));
+  context.unmount();
+  await waitFor(async () => {
+    const { data } = JSON.parse(await adapter.getItem('userData:user123'));
+    expect(data.preferences.reminders.frequency).toBe('high');
+  });
+
+  const reloaded = renderAdaptive({
+    adapter,
+    server: createMockServer({ profiles: mockLearnerProfiles, storage: serverStorage })
+  });
+  await waitFor(() => expect(reloaded.loading).toBe(false));
+  await waitFor(() => expect(reloaded.syncStatus).toBe('idle'));
+
+  expect(reloaded.reminderSettings).toMatchObject({ frequency: 'high', quietHours: { start: 21, end: 8 } });
+});
+
+test('each content priority entry carries the reason behind it', async () => {
+  const context = renderAdaptive();
+  await waitFor(() => expect(context.loading).toBe(false));
+  await waitFor(() => expect(context.contentPriority.length).toBeGreaterThan(0));
+
+  context.contentPriority.forEach(entry => {
+    expect(entry.reason).toMatchObject({ target: 'areaPriority', source: 'score' });
+    expect(entry.reason.summary).toContain(`${entry.priority} priority`);
+  });
+});
@@ -0,0 +1,190 @@
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useUser } from './UserContext';
+import { createPersistentStore } from '../persistence/persistentStore';
+import { isValidContentItem } from '../content/contentSchema';
+import {
+  addContentItem,
+  updateContentItem,
+  removeContentItem,
+  mergeContentItems,
+  searchContent,
+  getContentFacets,
+  validateLibrary
+} from '../content/contentLibrary';
+import { parseContentPack, loadContentPack } from '../content/contentPacks';
+import { planContentImport } from '../content/contentImport';
+import { PERMISSIONS } from '../utils/permissions';
+import { sampleContent } from '../data/sampleContent';
+
+// Create the context
+const ContentContext = createContext();
+
+// Keep the valid items of a stored library, first copy of each id only
+const repairLibrary = (data) => {
+  if (!data || !Array.isArray(data.items)) return null;
+  const seen = new Set();
+  return {
+    items: data.items.filter(item => {
+      if (!isValidContentItem(item) || seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    })
+  };
+};
+
+// Versions 2 and 3 add quiz questions; stored copies of the sample items get
+// the sample questions they are missing
+const addSampleQuestions = (data) => {
+  if (!data || !Array.isArray(data.items)) return data;
+  const sampleQuestions = new Map(sampleContent.map(item => [item.id, item.questions || []]));
+  return {
+    ...data,
+    items: data.items.map(item => {
+      const known = new Set((item.questions || []).map(question => question.id));
+      const missing = (sampleQuestions.get(item.id) || []).filter(question => !known.has(question.id));
+      return missing.length > 0 ? { ...item, questions: [...(item.questions || []), ...missing] } : item;
+    })
+  };
+};
+
+// PUBLIC_INTERFACE
+export function ContentProvider({ children, initialItems = sampleContent }) {
+  /**
+   * Provider component for the content library. Items are validated before
+   * they are stored, so everything handed to prioritization and scheduling
+   * is well formed. The library is kept on this device through the user
+   * context's storage adapter and starts from initialItems.
+   * Changes throw a ContentValidationError (with every problem found)
+   * when they would store an invalid item, and do nothing for accounts
+   * without the editContent permission.
+   */
+  const { storageAdapter, can } = useUser();
+  const [items, setItems] = useState(initialItems);
+  const [loading, setLoading] = useState(true);
+
+  // Latest items, so changes can be validated before they are applied
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  const store = useMemo(() => createPersistentStore({
+    key: 'contentLibrary',
+    adapter: storageAdapter,
+    schemaVersion: 3,
+    migrations: { 1: (data) => data, 2: addSampleQuestions, 3: addSampleQuestions },
+    repair: repairLibrary
+  }), [storageAdapter]);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.load()
+      .then(({ data }) => {
+        if (cancelled) return;
+        if (data) setItems(data.items);
+        setLoading(false);
+      })
+      .catch(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+      store.flush();
+    };
+  }, [store]);
+
+  // Only save once the stored library has been restored
+  useEffect(() => {
+    if (!loading) store.save({ items });
+  }, [store, loading, items]);
+
+  const canEdit = can(PERMISSIONS.EDIT_CONTENT);
+
+  // Validate a change against the latest items and apply it
+  const apply = (change) => {
+    if (!canEdit) return null;
+    const next = change(itemsRef.current);
+    itemsRef.current = next;
+    setItems(next);
+    return next;
+  };
+
+  // Add an item; returns it as stored (with a generated id if it had none)
+  const addItem = (item) => {
+    const next = apply(current => addContentItem(current, item));
+    return next ? next[next.length - 1] : null;
+  };
+
+  // Change fields of an item; returns the updated item
+  const updateItem = (itemId, changes) => {
+    const next = apply(current => updateContentItem(current, itemId, changes));
+    return next ? next.find(item => item.id === itemId) : null;
+  };
+
+  const removeItem = (itemId) => {
+    apply(current => removeContentItem(current, itemId));
+  };
+
+  // Add or replace already-validated items by id
+  const importItems = (incoming) => {
+    apply(current => mergeContentItems(current, incoming));
+  };
+
+  // Dry run of an import: what the importer's candidates would create,
+  // merge and skip (see planContentImport). Apply it with importItems(plan.items).
+  const planImport = (candidates) => planContentImport(candidates, itemsRef.current);
+
+  // Load a content pack from a URL, JSON text or a parsed object. Valid
+  // items are merged in; the report lists what was added and left out.
+  const loadPack = async (source) => {
+    const parsed = typeof source === 'string' && !source.trim().startsWith('{')
+      ? await loadContentPack(source)
+      : parseContentPack(source);
+
+    const existing = new Set(itemsRef.current.map(item => item.id));
+    const next = apply(current => mergeContentItems(current, parsed.items));
+
+    return {
+      pack: parsed.pack,
+      added: next ? parsed.items.filter(item => !existing.has(item.id)).map(item => item.id) : [],
+      updated: next ? parsed.items.filter(item => existing.has(item.id)).map(item => item.id) : [],
+      errors: parsed.errors,
+      warnings: next ? validateLibrary(next).warnings : []
+    };
+  };
+
+  const searchItems = (criteria) => searchContent(items, criteria);
+
+  const facets = useMemo(() => getContentFacets(items), [items]);
+
+  const value = {
+    items,
+    subjects: facets.subjects,
+    tags: facets.tags,
+    loading,
+    canEdit,
+    addItem,
+    updateItem,
+    removeItem,
+    importItems,
+    planImport,
+    loadPack,
+    searchItems
+  };
+
+  return (
+    <ContentContext.Provider value={value}>
+      {children}
+    </ContentContext.Provider>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function useContent() {
+  /**
+   * Custom hook that returns the content library
+   */
+  const context = useContext(ContentContext);
+  if (context === undefined) {
+    throw new Error('useContent must be used within a ContentProvider');
+  }
+  return context;
+}
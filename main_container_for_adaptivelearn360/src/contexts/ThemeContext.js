@@ -1,5 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { useUser } from './UserContext';
+import React, { createContext, useContext } from 'react';
 import { useAdaptive } from './AdaptiveContext';
 
 // Define theme options
@@ -84,73 +83,44 @@ const ThemeContext = createContext();
 // PUBLIC_INTERFACE
 export function ThemeProvider({ children }) {
   /**
-   * Provider component that handles theme and appearance settings
+   * Provider component that handles theme and appearance settings.
+   * Each setting resolves through the system default, the adaptive
+   * suggestion (accessibility settings, focus mode, time of day) and the
+   * learner's pinned choice, in that order; see settingLayers in AdaptiveContext.
+   * Changing a setting pins it, and 'auto' hands it back to adaptation.
    */
-  const { userData, loading } = useUser();
-  const { timeOfDay, adaptiveLayout, focusMode } = useAdaptive();
-  
-  const [activeTheme, setActiveTheme] = useState('default');
-  const [fontSize, setFontSize] = useState('medium');
-  const [themeColors, setThemeColors] = useState(themeOptions.default);
-  const [fontSizes, setFontSizes] = useState(fontSizeOptions.medium);
-  const [animation, setAnimation] = useState('enabled');
+  const { adaptations, changeSetting } = useAdaptive();
 
-  // Apply appropriate theme based on user preferences, time of day, and focus mode
-  useEffect(() => {
-    if (loading || !userData) return;
+  const activeTheme = adaptations.theme;
+  const fontSize = adaptations.fontSize;
+  const animation = adaptations.animation;
+  const themeColors = themeOptions[activeTheme];
+  const fontSizes = fontSizeOptions[fontSize];
 
-    // Apply accessibility settings first (highest priority)
-    if (userData.accessibility.highContrast) {
-      setActiveTheme('highContrast');
-    } 
-    // Then check focus mode
-    else if (focusMode) {
-      setActiveTheme('focus');
-    }
-    // Then check time of day
-    else if (timeOfDay === 'night') {
-      setActiveTheme('night');
-    }
-    // Default theme
-    else {
-      setActiveTheme('default');
-    }
-    
-    // Set font size based on accessibility settings
-    if (userData.accessibility.largeText) {
-      setFontSize('extraLarge');
-    } else {
-      setFontSize(userData.preferences.fontSize || 'medium');
-    }
-    
-    // Set animation preference based on reduced motion setting
-    setAnimation(userData.accessibility.motionReduced ? 'reduced' : 'enabled');
-    
-  }, [userData, loading, timeOfDay, focusMode, adaptiveLayout]);
-
-  // Update theme colors and font sizes when activeTheme or fontSize changes
-  useEffect(() => {
-    setThemeColors(themeOptions[activeTheme]);
-    setFontSizes(fontSizeOptions[fontSize]);
-  }, [activeTheme, fontSize]);
-
-  // Method to manually change the theme
+  // Method to manually change the theme ('auto' to follow adaptation)
   const changeTheme = (themeName) => {
-    if (themeOptions[themeName]) {
-      setActiveTheme(themeName);
+    if (themeOptions[themeName] || themeName === 'auto') {
+      changeSetting('theme', themeName);
     }
   };
 
-  // Method to manually change font size
+  // Method to manually change font size ('auto' to follow adaptation)
   const changeFontSize = (size) => {
-    if (fontSizeOptions[size]) {
-      setFontSize(size);
+    if (fontSizeOptions[size] || size === 'auto') {
+      changeSetting('fontSize', size);
+    }
+  };
+
+  // Method to manually set animation: 'enabled', 'reduced' or 'auto'
+  const changeAnimation = (mode) => {
+    if (['enabled', 'reduced', 'auto'].includes(mode)) {
+      changeSetting('animation', mode);
     }
   };
 
   // Method to toggle animation
   const toggleAnimation = () => {
-    setAnimation(prev => (prev === 'enabled' ? 'reduced' : 'enabled'));
+    changeAnimation(animation === 'enabled' ? 'reduced' : 'enabled');
   };
 
   const value = {
@@ -161,6 +131,7 @@ export function ThemeProvider({ children }) {
     animation,
     changeTheme,
     changeFontSize,
+    changeAnimation,
     toggleAnimation
   };
 
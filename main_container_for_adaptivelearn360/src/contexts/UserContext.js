@@ -1,79 +1,337 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
-
-// Mock user data - would be fetched from API in a real application
-const mockUserData = {
-  id: 'user123',
-  name: 'Alex Johnson',
-  preferences: {
-    colorScheme: 'default',
-    fontSize: 'medium',
-    notifications: true,
-    studyDuration: 25, // minutes
-    breakDuration: 5, // minutes
-  },
-  performance: {
-    averageScore: 75,
-    completionRate: 0.68,
-    studyStreak: 5,
-    weakAreas: ['calculus', 'organic_chemistry'],
-    strongAreas: ['statistics', 'physics'],
-  },
-  habits: {
-    preferredStudyTime: {
-      morning: 0.7,
-      afternoon: 0.3,
-      evening: 0.9,
-      night: 0.2,
-    },
-    averageSessionLength: 35, // minutes
-    consistencyScore: 0.65,
-    distractionLevel: 'medium',
-    completionHistory: [
-      { date: '2023-05-20', sessionsCompleted: 3, duration: 95 },
-      { date: '2023-05-21', sessionsCompleted: 2, duration: 70 },
-      { date: '2023-05-22', sessionsCompleted: 4, duration: 120 },
-    ],
-  },
-  accessibility: {
-    highContrast: false,
-    screenReader: false,
-    motionReduced: false,
-    largeText: false,
-  }
+import React, { createContext, useState, useContext, useEffect, useRef, useMemo } from 'react';
+import { createReviewState, updateReviewState } from '../utils/schedulingAlgorithm';
+import { getDefaultStorageAdapter } from '../persistence/storageAdapters';
+import { createPersistentStore } from '../persistence/persistentStore';
+import {
+  USER_DATA_SCHEMA_VERSION,
+  userDataMigrations,
+  repairUserData,
+  createEmptyUserData
+} from '../persistence/userDataSchema';
+import { createDefaultApiClient } from '../api/defaultApiClient';
+import { createOfflineQueue } from '../api/offlineQueue';
+import {
+  MUTATION_TYPES,
+  createUserMutation,
+  applyUserMutation,
+  rollbackUserMutation,
+  sendUserMutation,
+  mergeServerProfile
+} from '../api/userMutations';
+import { hasPermission, PERMISSIONS } from '../utils/permissions';
+import { withDerivedPerformance } from '../utils/performanceMetrics';
+import { createSessionRecord, withSessionHistory } from '../utils/studyHistory';
+import { withLearnedStudyTimes } from '../utils/studyTimePreferences';
+import { withStreaks } from '../utils/streaks';
+import { withFocusHistory } from '../utils/focusTracking';
+import { hasAnalyticsConsent } from '../utils/analyticsConsent';
+import { createDataExport, planDataImport } from '../utils/dataPortability';
+import { mockAccounts, mockLearnerProfiles } from '../data/mockRoster';
+
+// Readable names for error messages when the server rejects a change
+const mutationLabels = {
+  [MUTATION_TYPES.PATCH_PREFERENCES]: 'preferences',
+  [MUTATION_TYPES.PATCH_ACCESSIBILITY]: 'accessibility settings',
+  [MUTATION_TYPES.PATCH_PERFORMANCE]: 'performance data',
+  [MUTATION_TYPES.POST_STUDY_SESSION]: 'study session',
+  [MUTATION_TYPES.PATCH_STUDY_SESSION]: 'study session',
+  [MUTATION_TYPES.POST_ATTEMPT]: 'assessment result'
+};
+
+// Permission required for each kind of change
+const mutationPermissions = {
+  [MUTATION_TYPES.PATCH_PREFERENCES]: PERMISSIONS.EDIT_PREFERENCES,
+  [MUTATION_TYPES.PATCH_ACCESSIBILITY]: PERMISSIONS.EDIT_PROFILE,
+  [MUTATION_TYPES.PATCH_PERFORMANCE]: PERMISSIONS.EDIT_PROFILE,
+  [MUTATION_TYPES.POST_STUDY_SESSION]: PERMISSIONS.RECORD_ACTIVITY,
+  [MUTATION_TYPES.PATCH_STUDY_SESSION]: PERMISSIONS.RECORD_ACTIVITY,
+  [MUTATION_TYPES.POST_ATTEMPT]: PERMISSIONS.RECORD_ACTIVITY
+};
+
+// Profile to show when a learner can be loaded neither from the cache nor the server
+const getFallbackProfile = (learnerId) =>
+  mockLearnerProfiles.find(profile => profile.id === learnerId) || createEmptyUserData(learnerId);
+
+// Fill in the values derived from the attempts log and session records.
+// Streaks come after performance so they replace the attempt-based studyStreak.
+// Study times and distraction level are only learned with the learner's consent.
+const deriveUserData = (data) => {
+  const sessions = withSessionHistory(data);
+  const studyTimes = hasAnalyticsConsent(data, 'studySessions') ? withLearnedStudyTimes(sessions) : sessions;
+  const streaks = withStreaks(withDerivedPerformance(studyTimes));
+  return hasAnalyticsConsent(data, 'focusSessions') ? withFocusHistory(streaks) : streaks;
 };
 
 // Create the context
 const UserContext = createContext();
 
 // PUBLIC_INTERFACE
-export function UserProvider({ children }) {
+export function UserProvider({ children, storageAdapter, apiClient, account = mockAccounts[0] }) {
   /**
    * Provider component that wraps app and makes user data available to any
    * child component that calls the useUser hook.
+   * account is the signed-in learner, tutor or guardian; userData is the
+   * profile of the active learner on their roster.
+   * Profiles are loaded from apiClient and cached through storageAdapter
+   * (IndexedDB, localStorage or memory by default, whichever is available).
+   * Updates are applied optimistically, queued while offline and rolled
+   * back if the server rejects them. syncStatus is 'retrying' while
+   * server errors are being retried with backoff.
+   * While deleteAllData runs the app below is unmounted, so nothing it
+   * holds in memory is written back to the wiped storage, and the blank
+   * profile it leaves is only saved once the learner changes something.
    */
+  const [activeLearnerId, setActiveLearnerId] = useState(account.learnerIds[0]);
   const [userData, setUserData] = useState(null);
+  const [rosterProfiles, setRosterProfiles] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [syncStatus, setSyncStatus] = useState('idle');
+  const [pendingMutations, setPendingMutations] = useState(0);
+  const [deleting, setDeleting] = useState(false);
+
+  // Latest user data, for building mutations outside of state updaters
+  const userDataRef = useRef(null);
+  userDataRef.current = userData;
+
+  // Blank profile left by deleteAllData; it is not saved until it changes
+  const wipedDataRef = useRef(null);
+
+  // Create the API client, stores and queue once per provider
+  const servicesRef = useRef(null);
+  if (!servicesRef.current) {
+    const adapter = storageAdapter || getDefaultStorageAdapter();
+    const client = apiClient || createDefaultApiClient();
+    const stores = {};
+
+    servicesRef.current = {
+      adapter,
+      client,
+      stores,
+      // One persistent store per learner profile
+      getStore: (learnerId) => {
+        if (!stores[learnerId]) {
+          stores[learnerId] = createPersistentStore({
+            key: `userData:${learnerId}`,
+            adapter,
+            schemaVersion: USER_DATA_SCHEMA_VERSION,
+            migrations: userDataMigrations,
+            repair: (data) => repairUserData(data),
+            onError: () => setError('Failed to save user data')
+          });
+        }
+        return stores[learnerId];
+      },
+      queue: createOfflineQueue({
+        adapter,
+        send: (mutation) => sendUserMutation(client, mutation),
+        onChange: (mutations) => setPendingMutations(mutations.length),
+        onSent: () => {
+          if (servicesRef.current.queue.size() === 0) {
+            setSyncStatus('idle');
+          }
+        },
+        onRetry: () => setSyncStatus('retrying'),
+        onRejected: (mutation) => {
+          setUserData(prevData => (prevData && prevData.id === mutation.userId
+            ? rollbackUserMutation(prevData, mutation)
+            : prevData));
+          setError(`Failed to save ${mutationLabels[mutation.type] || 'changes'}`);
+        }
+      })
+    };
+  }
+
+  // Start on the first learner of the roster whenever the account changes
+  useEffect(() => {
+    setActiveLearnerId(account.learnerIds[0]);
+  }, [account]);
 
-  // Simulate API call to fetch user data
+  // Load the cached profile, replay offline changes, then refresh from the server
   useEffect(() => {
-    const fetchUserData = async () => {
+    let cancelled = false;
+    const { client, getStore, queue } = servicesRef.current;
+    const store = getStore(activeLearnerId);
+
+    const loadUserData = async () => {
+      setLoading(true);
+
+      let cachedData = null;
       try {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 800));
-        setUserData(mockUserData);
-        setLoading(false);
+        ({ data: cachedData } = await store.load());
+        await queue.load();
       } catch (err) {
-        setError('Failed to load user data');
+        // An unreadable cache is not fatal - the server copy is used instead
+      }
+
+      if (cachedData && !cancelled) {
+        setUserData(cachedData);
         setLoading(false);
       }
+
+      setSyncStatus('syncing');
+      try {
+        await queue.replay();
+        if (queue.size() > 0) {
+          // Offline or the server is failing - keep the cached copy, which
+          // includes the queued changes
+          if (!cancelled) {
+            setSyncStatus(queue.status());
+            if (!cachedData) setUserData(getFallbackProfile(activeLearnerId));
+          }
+          return;
+        }
+
+        const profile = await client.getProfile(activeLearnerId);
+        if (!cancelled) {
+          // Only the sections the server stores replace the cached copy
+          setUserData(repairUserData(mergeServerProfile(cachedData, profile)));
+          setSyncStatus('idle');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setSyncStatus(err.isNetworkError ? 'offline' : 'error');
+          if (!cachedData) {
+            setError('Failed to load user data');
+            setUserData(getFallbackProfile(activeLearnerId));
+          }
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
     };
 
-    fetchUserData();
+    loadUserData();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeLearnerId]);
+
+  // Load every learner on the roster for the tutor/guardian overview
+  useEffect(() => {
+    if (!hasPermission(account, PERMISSIONS.VIEW_OVERVIEW)) {
+      setRosterProfiles({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    const { client, getStore } = servicesRef.current;
+
+    const loadProfile = async (learnerId) => {
+      let cachedData = null;
+      try {
+        ({ data: cachedData } = await getStore(learnerId).load());
+      } catch (err) {
+        // An unreadable cache is not fatal - the server copy is used instead
+      }
+      try {
+        return repairUserData(mergeServerProfile(cachedData, await client.getProfile(learnerId)));
+      } catch (err) {
+        return cachedData || getFallbackProfile(learnerId);
+      }
+    };
+
+    Promise.all(account.learnerIds.map(loadProfile)).then(profiles => {
+      if (!cancelled) {
+        setRosterProfiles(profiles.reduce((byId, profile) => ({ ...byId, [profile.id]: profile }), {}));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [account]);
+
+  // Persist every change locally (writes are debounced by the store)
+  useEffect(() => {
+    if (loading || !userData || userData === wipedDataRef.current) return;
+    servicesRef.current.getStore(userData.id).save(userData);
+  }, [userData, loading]);
+
+  // Write pending changes before the page goes away and replay queued
+  // changes when the connection returns
+  useEffect(() => {
+    const { stores, queue } = servicesRef.current;
+    const flushAll = () => {
+      Object.values(stores).forEach(store => store.flush());
+    };
+
+    window.addEventListener('pagehide', flushAll);
+    const stopListening = queue.listen();
+
+    return () => {
+      window.removeEventListener('pagehide', flushAll);
+      stopListening();
+      flushAll();
+    };
   }, []);
 
-  // Update user data
+  // Erase the learner's data on the server, then every record on this
+  // device, once the app below has been unmounted
+  useEffect(() => {
+    if (!deleting) return;
+    const { adapter, client, stores, queue } = servicesRef.current;
+    const { id, name } = userDataRef.current;
+
+    const deleteData = async () => {
+      try {
+        await client.deleteUserData(id);
+      } catch (err) {
+        setError('Could not delete your data from the server, so nothing was deleted. Try again when you are online.');
+        return;
+      }
+
+      Object.values(stores).forEach(store => store.cancel());
+      await queue.clear();
+      await adapter.clear();
+      wipedDataRef.current = createEmptyUserData(id, name);
+      setUserData(wipedDataRef.current);
+      setSyncStatus('idle');
+      setError(null);
+    };
+
+    deleteData()
+      .catch(() => setError('Failed to delete data stored on this device'))
+      .finally(() => setDeleting(false));
+  }, [deleting]);
+
+  // Check a permission against the active learner
+  const can = (permission) => hasPermission(account, permission, activeLearnerId);
+
+  // Apply a change locally and queue it for the server
+  const mutate = (type, payload) => {
+    if (!userDataRef.current) return;
+    if (!can(mutationPermissions[type])) {
+      setError(`You don't have permission to change ${mutationLabels[type]}`);
+      return;
+    }
+
+    const mutation = createUserMutation(type, userDataRef.current, payload);
+    setUserData(prevData => applyUserMutation(prevData, mutation));
+    setError(null);
+
+    const { queue } = servicesRef.current;
+    queue.enqueue(mutation).then(() => {
+      setSyncStatus(queue.status());
+    });
+  };
+
+  // Switch the active learner (tutors and guardians)
+  const switchLearner = (learnerId) => {
+    if (!hasPermission(account, PERMISSIONS.SWITCH_LEARNER, learnerId)) {
+      setError('You cannot view this learner');
+      return;
+    }
+    setError(null);
+    setActiveLearnerId(learnerId);
+  };
+
+  // Update user data (local only)
   const updateUserData = (newData) => {
+    if (!can(PERMISSIONS.EDIT_PROFILE)) return;
     setUserData(prevData => ({
       ...prevData,
       ...newData
@@ -82,93 +340,225 @@ export function UserProvider({ children }) {
 
   // Update user preferences
   const updatePreferences = (newPreferences) => {
+    mutate(MUTATION_TYPES.PATCH_PREFERENCES, newPreferences);
+  };
+
+  // Update accessibility settings
+  const updateAccessibility = (newSettings) => {
+    mutate(MUTATION_TYPES.PATCH_ACCESSIBILITY, newSettings);
+  };
+
+  // Track performance metrics. Metrics derived from the attempts log
+  // (averageScore, completionRate, weakAreas, strongAreas) take precedence
+  // once the learner has recorded attempts, and studyStreak once they have
+  // study history.
+  const trackPerformance = (metric, value) => {
+    mutate(MUTATION_TYPES.PATCH_PERFORMANCE, { [metric]: value });
+  };
+
+  // Record a study session; daily completion history is derived from these.
+  // Returns the stored record so callers can refer to it later.
+  const addStudySession = (sessionData) => {
+    const session = createSessionRecord(sessionData);
+    mutate(MUTATION_TYPES.POST_STUDY_SESSION, session);
+    return session;
+  };
+
+  // Update a recorded session, e.g. with a focus rating given afterwards
+  const updateStudySession = (sessionId, changes) => {
+    mutate(MUTATION_TYPES.PATCH_STUDY_SESSION, { ...changes, id: sessionId });
+  };
+
+  // Record a quiz or practice result; performance is re-derived from the log
+  const recordAttempt = (attempt) => {
+    mutate(MUTATION_TYPES.POST_ATTEMPT, {
+      id: `${attempt.itemId}-${Date.now()}`,
+      timeSpent: 0,
+      type: 'practice',
+      timestamp: new Date().toISOString(),
+      ...attempt
+    });
+  };
+
+  // Replace the busy intervals the scheduler plans around (e.g. from an .ics import)
+  const setBusyIntervals = (intervals) => {
+    if (!can(PERMISSIONS.EDIT_PREFERENCES)) return;
     setUserData(prevData => ({
       ...prevData,
-      preferences: {
-        ...prevData.preferences,
-        ...newPreferences
-      }
+      busyIntervals: intervals.map(interval => ({
+        ...interval,
+        start: new Date(interval.start).toISOString(),
+        end: new Date(interval.end).toISOString()
+      }))
     }));
   };
 
-  // Update accessibility settings
-  const updateAccessibility = (newSettings) => {
+  // Add an upcoming exam with the ids of its syllabus items
+  const addExam = ({ name, date, itemIds }) => {
+    if (!can(PERMISSIONS.EDIT_PREFERENCES)) return;
+    const exam = {
+      id: `exam-${Date.now()}`,
+      name,
+      date: new Date(date).toISOString(),
+      itemIds: [...itemIds],
+      createdAt: new Date().toISOString()
+    };
     setUserData(prevData => ({
       ...prevData,
-      accessibility: {
-        ...prevData.accessibility,
-        ...newSettings
-      }
+      exams: [...(prevData.exams || []), exam]
     }));
   };
 
-  // Track performance metrics
-  const trackPerformance = (metric, value) => {
+  const removeExam = (examId) => {
+    if (!can(PERMISSIONS.EDIT_PREFERENCES)) return;
     setUserData(prevData => ({
       ...prevData,
-      performance: {
-        ...prevData.performance,
-        [metric]: value
-      }
+      exams: (prevData.exams || []).filter(exam => exam.id !== examId)
     }));
   };
 
-  // Add a study session to habits history
-  const addStudySession = (sessionData) => {
-    const today = new Date().toISOString().split('T')[0];
-    
+  // Store the latest exam plan so missed sessions can be detected later
+  const saveExamPlan = (plan) => {
+    if (!can(PERMISSIONS.EDIT_PREFERENCES)) return;
+    setUserData(prevData => ({ ...prevData, examPlan: plan }));
+  };
+
+  // Record a finished focus-mode session; distractionLevel is derived from these
+  const recordFocusSession = (record) => {
+    if (!can(PERMISSIONS.RECORD_ACTIVITY)) return;
+    setUserData(prevData => ({
+      ...prevData,
+      focusSessions: [...(prevData.focusSessions || []), record]
+    }));
+  };
+
+  // Store a placement test result; performance is seeded from it
+  const savePlacement = (placement) => {
+    if (!can(PERMISSIONS.RECORD_ACTIVITY)) return;
+    setUserData(prevData => ({ ...prevData, placement }));
+  };
+
+  // Turn analytics on or off per kind of record (see analyticsConsent)
+  const updateConsent = (changes) => {
+    if (!can(PERMISSIONS.EDIT_PROFILE)) return;
+    setUserData(prevData => ({
+      ...prevData,
+      consent: { ...prevData.consent, ...changes }
+    }));
+  };
+
+  // Override or snooze one adaptation (see applyAdaptationOverrides); null lets it adapt again
+  const setAdaptationOverride = (target, entry) => {
+    if (!can(PERMISSIONS.EDIT_PREFERENCES)) return;
     setUserData(prevData => {
-      // Check if there's already an entry for today
-      const existingEntryIndex = prevData.habits.completionHistory.findIndex(
-        entry => entry.date === today
-      );
-      
-      let updatedHistory;
-      
-      if (existingEntryIndex >= 0) {
-        // Update existing entry
-        updatedHistory = [...prevData.habits.completionHistory];
-        updatedHistory[existingEntryIndex] = {
-          ...updatedHistory[existingEntryIndex],
-          sessionsCompleted: updatedHistory[existingEntryIndex].sessionsCompleted + 1,
-          duration: updatedHistory[existingEntryIndex].duration + sessionData.duration
-        };
-      } else {
-        // Create new entry for today
-        updatedHistory = [
-          ...prevData.habits.completionHistory,
-          {
-            date: today,
-            sessionsCompleted: 1,
-            duration: sessionData.duration
-          }
-        ];
-      }
-      
+      const adaptationOverrides = { ...prevData.adaptationOverrides, [target]: entry };
+      if (!entry) delete adaptationOverrides[target];
+      return { ...prevData, adaptationOverrides };
+    });
+  };
+
+  // Bundle the stored learner data (not the derived view) into an export archive
+  const exportData = (options) => createDataExport(userDataRef.current, options);
+
+  // Dry run of an import: what merging archived learner data would add and change
+  const planImport = (learner) => planDataImport(userDataRef.current, learner);
+
+  // Merge learner data read from an export archive (see parseDataExport).
+  // Sessions, attempts and settings go through the API like any other change;
+  // the fields kept only on this device are merged in directly.
+  // Returns the import summary, or null if the learner cannot edit their profile.
+  const importData = (learner) => {
+    if (!userDataRef.current || !can(PERMISSIONS.EDIT_PROFILE)) return null;
+
+    const plan = planDataImport(userDataRef.current, learner);
+    plan.studySessions.forEach(session => mutate(MUTATION_TYPES.POST_STUDY_SESSION, session));
+    plan.attempts.forEach(attempt => mutate(MUTATION_TYPES.POST_ATTEMPT, attempt));
+    if (Object.keys(plan.preferences).length > 0) {
+      mutate(MUTATION_TYPES.PATCH_PREFERENCES, plan.preferences);
+    }
+    if (Object.keys(plan.accessibility).length > 0) {
+      mutate(MUTATION_TYPES.PATCH_ACCESSIBILITY, plan.accessibility);
+    }
+
+    const { completionHistory, ...local } = plan.local;
+    setUserData(prevData => ({
+      ...prevData,
+      ...local,
+      habits: { ...prevData.habits, completionHistory }
+    }));
+    return plan.summary;
+  };
+
+  // Delete everything recorded for the learner, here and on the server
+  const deleteAllData = () => {
+    if (!userDataRef.current || !can(PERMISSIONS.EDIT_PROFILE)) return;
+    setDeleting(true);
+  };
+
+  // Record a graded recall (0-5) for a content item
+  const recordReview = (itemId, grade, reviewDate = new Date()) => {
+    if (!can(PERMISSIONS.RECORD_ACTIVITY)) return;
+    setUserData(prevData => {
+      const reviewStates = prevData.reviewStates || {};
       return {
         ...prevData,
-        habits: {
-          ...prevData.habits,
-          completionHistory: updatedHistory
+        reviewStates: {
+          ...reviewStates,
+          [itemId]: updateReviewState(reviewStates[itemId] || createReviewState(itemId), grade, reviewDate)
         }
       };
     });
   };
 
+  // Performance is derived from the attempts log and completion history
+  // from session records rather than stored values
+  const derivedUserData = useMemo(() => deriveUserData(userData), [userData]);
+
+  // Roster entries in account order; the active learner reflects live changes
+  const roster = account.learnerIds.map(learnerId =>
+    (derivedUserData && derivedUserData.id === learnerId
+      ? derivedUserData
+      : deriveUserData(rosterProfiles[learnerId])) || { id: learnerId }
+  );
+
   const value = {
-    userData,
+    account,
+    roster,
+    activeLearnerId,
+    can,
+    switchLearner,
+    userData: derivedUserData,
     loading,
+    deleting,
     error,
+    syncStatus,
+    pendingMutations,
+    storageAdapter: servicesRef.current.adapter,
     updateUserData,
     updatePreferences,
     updateAccessibility,
     trackPerformance,
-    addStudySession
+    addStudySession,
+    updateStudySession,
+    recordAttempt,
+    recordReview,
+    recordFocusSession,
+    savePlacement,
+    updateConsent,
+    setAdaptationOverride,
+    exportData,
+    planImport,
+    importData,
+    deleteAllData,
+    setBusyIntervals,
+    addExam,
+    removeExam,
+    saveExamPlan
   };
 
   return (
     <UserContext.Provider value={value}>
-      {children}
+      {deleting ? <div className="status-message" role="status">Deleting your data...</div> : children}
     </UserContext.Provider>
   );
 }
@@ -0,0 +1,138 @@
+import React from 'react';
+import { render, waitFor, act } from '@testing-library/react';
+import { UserProvider, useUser } from './UserContext';
+import { createMemoryAdapter } from '../persistence/storageAdapters';
+import { createApiClient } from '../api/apiClient';
+import { createMockServer, mockHandler, mockResponse } from '../api/mockServer';
+import { mockLearnerProfiles } from '../data/mockRoster';
+
+// Render a UserProvider and wait until the learner's profile has synced
+const renderUser = async ({ adapter, server }) => {
+  const latest = {};
+  const Probe = () => {
+    Object.assign(latest, useUser());
+    return null;
+  };
+  const { unmount } = render(
+    <UserProvider storageAdapter={adapter} apiClient={createApiClient({ fetchImpl: server.fetch })}>
+      <Probe />
+    </UserProvider>
+  );
+  await waitFor(() => expect(latest.loading).toBe(false));
+  await waitFor(() => expect(latest.syncStatus).toBe('idle'));
+  return { context: latest, unmount };
+};
+
+// Unmount (which flushes the cache) and wait for the cached record to be written
+const closeUser = async ({ unmount }, adapter, check) => {
+  unmount();
+  await waitFor(async () => check(JSON.parse(await adapter.getItem('userData:user123')).data));
+};
+
+test('a reload keeps data the server does not store', async () => {
+  const adapter = createMemoryAdapter();
+  const session = await renderUser({ adapter, server: createMockServer({ profiles: mockLearnerProfiles }) });
+  const placement = { completedAt: '2026-03-01T09:00:00.000Z', subjects: { mathematics: { score: 80 } } };
+  act(() => {
+    session.context.savePlacement(placement);
+    session.context.recordReview('calc-limits', 5, new Date('2026-03-01T10:00:00.000Z'));
+  });
+  await closeUser(session, adapter, data => expect(data.placement).toEqual(placement));
+
+  // The server is rebuilt from the seed profiles, as after a page reload
+  const reloaded = await renderUser({ adapter, server: createMockServer({ profiles: mockLearnerProfiles }) });
+
+  expect(reloaded.context.userData.placement).toEqual(placement);
+  expect(reloaded.context.userData.reviewStates['calc-limits']).toMatchObject({ repetitions: 1 });
+});
+
+test('a reload keeps server-stored changes when the mock server persists its profiles', async () => {
+  const adapter = createMemoryAdapter();
+  const serverStorage = createMemoryAdapter();
+  const session = await renderUser({
+    adapter,
+    server: createMockServer({ profiles: mockLearnerProfiles, storage: serverStorage })
+  });
+  let record;
+  act(() => {
+    session.context.updatePreferences({ studyDuration: 50 });
+    record = session.context.addStudySession({ duration: 30, subject: 'Mathematics' });
+  });
+  await waitFor(() => expect(session.context.pendingMutations).toBe(0));
+  await closeUser(session, adapter, data => expect(data.preferences.studyDuration).toBe(50));
+
+  const reloaded = await renderUser({
+    adapter,
+    server: createMockServer({ profiles: mockLearnerProfiles, storage: serverStorage })
+  });
+
+  expect(reloaded.context.userData.preferences.studyDuration).toBe(50);
+  expect(reloaded.context.userData.studySessions.map(entry => entry.id)).toContain(record.id);
+});
+
+test('withdrawn analytics consent survives a reload', async () => {
+  const adapter = createMemoryAdapter();
+  const session = await renderUser({ adapter, server: createMockServer({ profiles: mockLearnerProfiles }) });
+  act(() => {
+    session.context.updateConsent({ attempts: false });
+  });
+  await closeUser(session, adapter, data => expect(data.consent.attempts).toBe(false));
+
+  // Consent is kept on this device, so a server profile that has it is ignored
+  const profiles = mockLearnerProfiles.map(profile => ({ ...profile, consent: { attempts: true } }));
+  const reloaded = await renderUser({ adapter, server: createMockServer({ profiles }) });
+
+  expect(reloaded.context.userData.consent).toMatchObject({ attempts: false, studySessions: true });
+});
+
+test('deleting all data leaves nothing in storage', async () => {
+  const adapter = createMemoryAdapter();
+  const session = await renderUser({ adapter, server: createMockServer({ profiles: mockLearnerProfiles }) });
+  await waitFor(async () => expect(await adapter.keys()).toContain('userData:user123'));
+
+  act(() => {
+    session.context.deleteAllData();
+  });
+  await waitFor(() => expect(session.context.deleting).toBe(false));
+  await waitFor(() => expect(session.context.userData.attempts).toEqual([]));
+  // Unmounting flushes anything still waiting to be saved
+  await act(async () => {
+    session.unmount();
+  });
+
+  expect(await adapter.keys()).toEqual([]);
+});
+
+test('the first change after deleting all data is saved again', async () => {
+  const adapter = createMemoryAdapter();
+  const session = await renderUser({ adapter, server: createMockServer({ profiles: mockLearnerProfiles }) });
+  act(() => {
+    session.context.deleteAllData();
+  });
+  await waitFor(() => expect(session.context.deleting).toBe(false));
+  await waitFor(() => expect(session.context.userData.attempts).toEqual([]));
+
+  act(() => {
+    session.context.updatePreferences({ studyDuration: 40 });
+  });
+  await closeUser(session, adapter, data => expect(data.preferences.studyDuration).toBe(40));
+});
+
+test('changes the server fails to save are retried rather than left offline', async () => {
+  const server = createMockServer({ profiles: mockLearnerProfiles });
+  const session = await renderUser({ adapter: createMemoryAdapter(), server });
+  server.use(mockHandler('PATCH', '/users/:userId/preferences', () => mockResponse(503, { message: 'Unavailable' })));
+
+  act(() => {
+    session.context.updatePreferences({ studyDuration: 40 });
+  });
+  // The client retries the request itself before the queue backs off
+  await waitFor(() => expect(session.context.syncStatus).toBe('retrying'), { timeout: 5000 });
+  expect(session.context.pendingMutations).toBe(1);
+
+  server.reset();
+  await waitFor(() => expect(session.context.syncStatus).toBe('idle'), { timeout: 5000 });
+  expect(session.context.pendingMutations).toBe(0);
+  expect(server.db.user123.preferences.studyDuration).toBe(40);
+  session.unmount();
+}, 15000);
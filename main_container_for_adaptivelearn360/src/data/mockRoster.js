@@ -0,0 +1,87 @@
+/**
+ * Mock accounts and learner profiles for AdaptiveLearn360
+ * A study group of three learners with a tutor and a guardian.
+ */
+import { mockUserData } from './mockUserData';
+
+// PUBLIC_INTERFACE
+export const mockLearnerProfiles = [
+  mockUserData,
+  {
+    ...mockUserData,
+    id: 'user456',
+    name: 'Sam Rivera',
+    performance: {
+      averageScore: 62,
+      completionRate: 0.51,
+      studyStreak: 2,
+      weakAreas: ['statistics', 'calculus'],
+      strongAreas: ['biology'],
+    },
+    habits: {
+      ...mockUserData.habits,
+      preferredStudyTime: {
+        morning: 0.2,
+        afternoon: 0.8,
+        evening: 0.5,
+        night: 0.4,
+      },
+      averageSessionLength: 50,
+      consistencyScore: 0.45,
+      completionHistory: [
+        { date: '2023-05-20', sessionsCompleted: 1, duration: 55 },
+        { date: '2023-05-22', sessionsCompleted: 1, duration: 60 },
+      ],
+    },
+  },
+  {
+    ...mockUserData,
+    id: 'user789',
+    name: 'Priya Patel',
+    performance: {
+      averageScore: 88,
+      completionRate: 0.82,
+      studyStreak: 12,
+      weakAreas: ['organic_chemistry'],
+      strongAreas: ['calculus', 'physics', 'statistics'],
+    },
+    habits: {
+      ...mockUserData.habits,
+      preferredStudyTime: {
+        morning: 0.9,
+        afternoon: 0.4,
+        evening: 0.3,
+        night: 0.1,
+      },
+      averageSessionLength: 45,
+      consistencyScore: 0.85,
+      completionHistory: [
+        { date: '2023-05-20', sessionsCompleted: 2, duration: 90 },
+        { date: '2023-05-21', sessionsCompleted: 1, duration: 50 },
+        { date: '2023-05-22', sessionsCompleted: 2, duration: 95 },
+      ],
+    },
+  },
+];
+
+// PUBLIC_INTERFACE
+export const mockAccounts = [
+  {
+    id: 'user123',
+    name: 'Alex Johnson',
+    role: 'learner',
+    learnerIds: ['user123'],
+  },
+  {
+    id: 'tutor01',
+    name: 'Jordan Lee',
+    role: 'tutor',
+    learnerIds: ['user123', 'user456', 'user789'],
+  },
+  {
+    id: 'guardian01',
+    name: 'Morgan Patel',
+    role: 'guardian',
+    learnerIds: ['user789'],
+  },
+];
@@ -0,0 +1,64 @@
+/**
+ * Mock user profile for AdaptiveLearn360
+ * Seeds the local mock API server and serves as the fallback profile
+ * when nothing has been loaded or saved yet.
+ */
+
+// PUBLIC_INTERFACE
+export const mockUserData = {
+  id: 'user123',
+  name: 'Alex Johnson',
+  preferences: {
+    colorScheme: 'default',
+    fontSize: 'medium',
+    notifications: true,
+    studyDuration: 25, // minutes
+    breakDuration: 5, // minutes
+    dailyGoalMinutes: 15, // minutes a day that keep the streak going
+    streakFreezes: true,
+  },
+  performance: {
+    averageScore: 75,
+    completionRate: 0.68,
+    studyStreak: 5,
+    weakAreas: ['calculus', 'organic_chemistry'],
+    strongAreas: ['statistics', 'physics'],
+  },
+  habits: {
+    preferredStudyTime: {
+      morning: 0.7,
+      afternoon: 0.3,
+      evening: 0.9,
+      night: 0.2,
+    },
+    averageSessionLength: 35, // minutes
+    consistencyScore: 0.65,
+    distractionLevel: 'medium',
+    // Daily totals from before per-session records were kept
+    completionHistory: [
+      { date: '2023-05-20', sessionsCompleted: 3, duration: 95 },
+      { date: '2023-05-21', sessionsCompleted: 2, duration: 70 },
+      { date: '2023-05-22', sessionsCompleted: 4, duration: 120 },
+    ],
+  },
+  accessibility: {
+    highContrast: false,
+    screenReader: false,
+    motionReduced: false,
+    largeText: false,
+  },
+  // Spaced-repetition state per content item, keyed by item id
+  reviewStates: {},
+  // Quiz and practice results; performance is derived from these once present
+  attempts: [],
+  // Calendar commitments (classes, work) that study sessions are placed around
+  busyIntervals: [],
+  // Upcoming exams with their syllabus item ids, and the last plan built for them
+  exams: [],
+  examPlan: null,
+  // One record per study session; daily totals in completionHistory are derived from these
+  studySessions: [],
+  focusSessions: [],
+  // Placement test result; seeds performance until attempts are recorded
+  placement: null,
+};
@@ -0,0 +1,214 @@
+/**
+ * Sample study content for AdaptiveLearn360
+ * Seeds the content library (see ContentContext) on first run.
+ * Items carry a few quiz questions of each type (see quiz/questionTypes.js);
+ * some set their own difficulty for the placement test (see quiz/itemResponse.js).
+ */
+
+// Build an ISO date string relative to today
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString();
+};
+
+// PUBLIC_INTERFACE
+export const sampleContent = [
+  {
+    id: 'calc-limits',
+    title: 'Limits and Continuity',
+    subject: 'calculus',
+    difficulty: 3,
+    estimatedDuration: 20,
+    dueDate: daysFromNow(2),
+    lastStudied: daysFromNow(-6),
+    previouslyStruggled: true,
+    questions: [
+      {
+        id: 'calc-limits-q1',
+        type: 'multiple_choice',
+        prompt: 'What is the limit of sin(x)/x as x approaches 0?',
+        choices: ['0', '1', 'Infinity', 'It does not exist'],
+        answer: 1,
+      },
+      {
+        id: 'calc-limits-q2',
+        type: 'numeric',
+        prompt: 'What is the limit of (x^2 - 4)/(x - 2) as x approaches 2?',
+        answer: 4,
+        timeLimit: 90,
+      },
+    ],
+  },
+  {
+    id: 'calc-derivatives',
+    title: 'Derivative Rules',
+    subject: 'calculus',
+    difficulty: 4,
+    estimatedDuration: 25,
+    dueDate: daysFromNow(5),
+    dependsOn: ['calc-limits'],
+    questions: [
+      {
+        id: 'calc-derivatives-q1',
+        type: 'cloze',
+        prompt: 'Complete the rule.',
+        text: 'The derivative of x^n is {{n x^(n-1)|nx^(n-1)}}, and the derivative of a constant is {{0|zero}}.',
+      },
+      {
+        id: 'calc-derivatives-q2',
+        type: 'multi_select',
+        prompt: 'Which functions are equal to their own derivative?',
+        choices: ['e^x', 'x^2', '0', 'sin(x)'],
+        answers: [0, 2],
+      },
+    ],
+  },
+  {
+    id: 'ochem-functional-groups',
+    title: 'Functional Groups',
+    subject: 'organic_chemistry',
+    difficulty: 3,
+    estimatedDuration: 15,
+    lastStudied: daysFromNow(-3),
+    previouslyStruggled: true,
+    questions: [
+      {
+        id: 'ochem-functional-groups-q1',
+        type: 'short_answer',
+        prompt: 'Name the functional group with the formula -OH.',
+        answers: ['hydroxyl', 'hydroxyl group', 'alcohol'],
+      },
+      {
+        id: 'ochem-functional-groups-q2',
+        type: 'multi_select',
+        prompt: 'Which groups contain a carbonyl (C=O)?',
+        choices: ['Ketone', 'Ether', 'Aldehyde', 'Carboxylic acid'],
+        answers: [0, 2, 3],
+        points: 2,
+      },
+    ],
+  },
+  {
+    id: 'ochem-reactions',
+    title: 'Substitution Reactions',
+    subject: 'organic_chemistry',
+    difficulty: 5,
+    estimatedDuration: 30,
+    dueDate: daysFromNow(9),
+    dependsOn: ['ochem-functional-groups'],
+    questions: [
+      {
+        id: 'ochem-reactions-q1',
+        type: 'multiple_choice',
+        prompt: 'Which substitution mechanism proceeds through a carbocation intermediate?',
+        choices: ['SN1', 'SN2', 'E2', 'Radical halogenation'],
+        answer: 0,
+      },
+      {
+        id: 'ochem-reactions-q2',
+        type: 'short_answer',
+        prompt: 'What happens to the configuration of a chiral carbon attacked in an SN2 reaction?',
+        answers: ['inversion', 'it is inverted', 'walden inversion'],
+        difficulty: 1.8,
+      },
+    ],
+  },
+  {
+    id: 'stats-distributions',
+    title: 'Probability Distributions',
+    subject: 'statistics',
+    difficulty: 2,
+    estimatedDuration: 15,
+    lastStudied: daysFromNow(-1),
+    questions: [
+      {
+        id: 'stats-distributions-q1',
+        type: 'numeric',
+        prompt: 'About what percentage of a normal distribution lies within one standard deviation of the mean?',
+        answer: 68,
+        tolerance: 1,
+        unit: '%',
+      },
+      {
+        id: 'stats-distributions-q2',
+        type: 'multiple_choice',
+        prompt: 'Which distribution counts successes in a fixed number of independent yes/no trials?',
+        choices: ['Poisson', 'Binomial', 'Exponential', 'Uniform'],
+        answer: 1,
+        difficulty: -1,
+      },
+      {
+        id: 'stats-distributions-q3',
+        type: 'numeric',
+        prompt: 'A Poisson distribution has mean 4. What is its variance?',
+        answer: 4,
+        difficulty: 0.8,
+      },
+    ],
+  },
+  {
+    id: 'physics-kinematics',
+    title: 'Kinematics Review',
+    subject: 'physics',
+    difficulty: 2,
+    estimatedDuration: 10,
+    lastStudied: daysFromNow(-10),
+    questions: [
+      {
+        id: 'physics-kinematics-q1',
+        type: 'numeric',
+        prompt: 'A car accelerates from rest at 2 m/s^2. How fast is it going after 5 s?',
+        answer: 10,
+        tolerance: 0.5,
+        unit: 'm/s',
+        timeLimit: 60,
+      },
+      {
+        id: 'physics-kinematics-q2',
+        type: 'multiple_choice',
+        prompt: 'What is the acceleration of an object moving at a constant velocity?',
+        choices: ['Zero', 'Equal to its velocity', '9.8 m/s^2', 'It depends on its mass'],
+        answer: 0,
+        difficulty: -1.2,
+      },
+      {
+        id: 'physics-kinematics-q3',
+        type: 'numeric',
+        prompt: 'A ball is dropped from rest. Ignoring air resistance, how far does it fall in 3 s? (g = 9.8 m/s^2)',
+        answer: 44.1,
+        tolerance: 0.5,
+        unit: 'm',
+        difficulty: 0.9,
+      },
+    ],
+  },
+  {
+    id: 'bio-cell-structure',
+    title: 'Cell Structure',
+    subject: 'biology',
+    difficulty: 1,
+    estimatedDuration: 10,
+    questions: [
+      {
+        id: 'bio-cell-structure-q1',
+        type: 'cloze',
+        text: 'The {{mitochondrion|mitochondria}} produces most of the cell\'s ATP.',
+      },
+      {
+        id: 'bio-cell-structure-q2',
+        type: 'multiple_choice',
+        prompt: 'Which structure is found in plant cells but not animal cells?',
+        choices: ['Nucleus', 'Cell wall', 'Ribosome', 'Cell membrane'],
+        answer: 1,
+      },
+      {
+        id: 'bio-cell-structure-q3',
+        type: 'short_answer',
+        prompt: 'Which organelle modifies and packages proteins for secretion?',
+        answers: ['Golgi apparatus', 'Golgi', 'Golgi body'],
+        difficulty: 0.5,
+      },
+    ],
+  },
+];
@@ -0,0 +1,215 @@
+/**
+ * Versioned, debounced persistence for AdaptiveLearn360 state.
+ *
+ * Records are stored as a JSON envelope: { schemaVersion, savedAt, data }.
+ * On load the envelope is parsed, migrated up to the current schema version
+ * and repaired. Records that cannot be read are moved aside under a
+ * "<key>:corrupt" key instead of being silently overwritten. Records written
+ * by a newer version of the app are left as they are: once one is found,
+ * the store stops writing to that key.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Load status values reported by store.load()
+ */
+export const LOAD_STATUS = {
+  LOADED: 'loaded',
+  MIGRATED: 'migrated',
+  REPAIRED: 'repaired',
+  EMPTY: 'empty',
+  CORRUPT: 'corrupt',
+  UNSUPPORTED: 'unsupported'
+};
+
+// Parse a raw stored value into { version, data }. Records written before
+// versioning existed are plain objects and are treated as version 0.
+const parseEnvelope = (raw) => {
+  const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('Stored record is not an object');
+  }
+  if (Number.isInteger(parsed.schemaVersion) && 'data' in parsed) {
+    return { version: parsed.schemaVersion, data: parsed.data };
+  }
+  return { version: 0, data: parsed };
+};
+
+// Whether two JSON values hold the same data, whatever order their keys are
+// in. Keys set to undefined count as missing, as they do in JSON.
+const isSameData = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((value, index) => isSameData(value, b[index]));
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const definedKeys = (object) => Object.keys(object).filter(field => object[field] !== undefined);
+  const keys = definedKeys(a);
+  return keys.length === definedKeys(b).length && keys.every(field => isSameData(a[field], b[field]));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Run every migration between a record's version and the target version
+ * @param {Object} data - Record data
+ * @param {number} fromVersion - Version the record was written with
+ * @param {number} toVersion - Version to upgrade to
+ * @param {Object} migrations - Map of version -> fn(data) upgrading from version - 1
+ * @returns {Object} - Migrated data
+ * @throws {Error} - If a migration step is missing
+ */
+export const migrateRecord = (data, fromVersion, toVersion, migrations) => {
+  let migrated = data;
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const step = migrations[version];
+    if (!step) {
+      throw new Error(`Missing migration to schema version ${version}`);
+    }
+    migrated = step(migrated);
+  }
+  return migrated;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a persistent store for one record
+ * @param {Object} options - Store options
+ * @param {string} options.key - Record key
+ * @param {Object} options.adapter - Storage adapter (see storageAdapters.js)
+ * @param {number} options.schemaVersion - Current schema version
+ * @param {Object} options.migrations - Map of version -> fn(data) upgrading from version - 1
+ * @param {Function} options.repair - fn(data) returning a complete record, or null if unusable
+ * @param {number} options.debounceMs - Delay before a save is written
+ * @param {Function} options.onError - Called with write errors
+ * @returns {Object} - Store with load, save, flush, clear and cancel methods
+ */
+export const createPersistentStore = ({
+  key,
+  adapter,
+  schemaVersion,
+  migrations = {},
+  repair = (data) => data,
+  debounceMs = 500,
+  onError = () => {}
+}) => {
+  let pendingData;
+  let hasPending = false;
+  let timer = null;
+  // Set when the stored record has a newer schema version than this app
+  let readOnly = false;
+
+  // Keep an unreadable record around for inspection, then clear the slot
+  const quarantine = async (raw) => {
+    try {
+      await adapter.setItem(`${key}:corrupt`, typeof raw === 'string' ? raw : JSON.stringify(raw));
+      await adapter.removeItem(key);
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const write = async (data) => {
+    if (readOnly) return;
+    const envelope = {
+      schemaVersion,
+      savedAt: new Date().toISOString(),
+      data
+    };
+    try {
+      await adapter.setItem(key, JSON.stringify(envelope));
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  // Load, migrate and repair the stored record
+  const load = async () => {
+    const raw = await adapter.getItem(key);
+    if (raw === null || raw === undefined) {
+      return { data: null, status: LOAD_STATUS.EMPTY };
+    }
+
+    let envelope;
+    try {
+      envelope = parseEnvelope(raw);
+    } catch (err) {
+      await quarantine(raw);
+      return { data: null, status: LOAD_STATUS.CORRUPT, error: err };
+    }
+
+    // Written by a newer version of the app - leave it untouched
+    if (envelope.version > schemaVersion) {
+      readOnly = true;
+      return { data: null, status: LOAD_STATUS.UNSUPPORTED };
+    }
+
+    let data;
+    try {
+      data = migrateRecord(envelope.data, envelope.version, schemaVersion, migrations);
+    } catch (err) {
+      await quarantine(raw);
+      return { data: null, status: LOAD_STATUS.CORRUPT, error: err };
+    }
+
+    const repaired = repair(data);
+    if (!repaired) {
+      await quarantine(raw);
+      return { data: null, status: LOAD_STATUS.CORRUPT };
+    }
+
+    if (envelope.version < schemaVersion) {
+      return { data: repaired, status: LOAD_STATUS.MIGRATED };
+    }
+    if (!isSameData(repaired, data)) {
+      return { data: repaired, status: LOAD_STATUS.REPAIRED };
+    }
+    return { data: repaired, status: LOAD_STATUS.LOADED };
+  };
+
+  // Write any pending data immediately
+  const flush = async () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!hasPending) return;
+
+    const data = pendingData;
+    hasPending = false;
+    pendingData = undefined;
+    await write(data);
+  };
+
+  // Queue data to be written after debounceMs of inactivity
+  const save = (data) => {
+    pendingData = data;
+    hasPending = true;
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  // Drop any pending write without saving it
+  const cancel = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    hasPending = false;
+    pendingData = undefined;
+  };
+
+  // Remove the record (and any quarantined copy); later saves write again
+  const clear = async () => {
+    cancel();
+    readOnly = false;
+    await adapter.removeItem(key);
+    await adapter.removeItem(`${key}:corrupt`);
+  };
+
+  return { load, save, flush, cancel, clear };
+};
@@ -0,0 +1,69 @@
+import { createPersistentStore, LOAD_STATUS } from './persistentStore';
+import { createMemoryAdapter } from './storageAdapters';
+
+const createStore = (adapter) => createPersistentStore({
+  key: 'profile',
+  adapter,
+  schemaVersion: 2,
+  migrations: {
+    1: data => ({ ...data, tags: [] }),
+    2: data => ({ ...data, version: 2 })
+  },
+  debounceMs: 0
+});
+
+test('load migrates an older record up to the current schema version', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.setItem('profile', JSON.stringify({ name: 'Ada' }));
+
+  const { data, status } = await createStore(adapter).load();
+
+  expect(status).toBe(LOAD_STATUS.MIGRATED);
+  expect(data).toEqual({ name: 'Ada', tags: [], version: 2 });
+});
+
+test('a record from a newer schema version is never overwritten', async () => {
+  const adapter = createMemoryAdapter();
+  const newer = JSON.stringify({ schemaVersion: 3, savedAt: '2026-01-01T00:00:00.000Z', data: { name: 'Ada' } });
+  await adapter.setItem('profile', newer);
+  const store = createStore(adapter);
+
+  const { data, status } = await store.load();
+  store.save({ name: 'Fallback' });
+  await store.flush();
+
+  expect(status).toBe(LOAD_STATUS.UNSUPPORTED);
+  expect(data).toBeNull();
+  expect(await adapter.getItem('profile')).toBe(newer);
+});
+
+test('clear removes an unsupported record and lets saves write again', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.setItem('profile', JSON.stringify({ schemaVersion: 3, data: {} }));
+  const store = createStore(adapter);
+
+  await store.load();
+  await store.clear();
+  store.save({ name: 'Ada' });
+  await store.flush();
+
+  expect(JSON.parse(await adapter.getItem('profile'))).toMatchObject({ schemaVersion: 2, data: { name: 'Ada' } });
+});
+
+test('a record that repair only reorders is reported as loaded', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.setItem('profile', JSON.stringify({ schemaVersion: 1, data: { name: 'Ada', tags: ['a'], stats: { b: 1, a: 2 } } }));
+  const repair = ({ stats, tags, name }) => ({ stats: { a: stats.a, b: stats.b }, tags, name, nickname: undefined });
+  const store = createPersistentStore({ key: 'profile', adapter, schemaVersion: 1, repair });
+
+  expect((await store.load()).status).toBe(LOAD_STATUS.LOADED);
+});
+
+test('a record that repair changes is reported as repaired', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.setItem('profile', JSON.stringify({ schemaVersion: 1, data: { name: 'Ada', tags: ['a'] } }));
+  const repair = (data) => ({ ...data, tags: [...data.tags, 'b'] });
+  const store = createPersistentStore({ key: 'profile', adapter, schemaVersion: 1, repair });
+
+  expect(await store.load()).toEqual({ data: { name: 'Ada', tags: ['a', 'b'] }, status: LOAD_STATUS.REPAIRED });
+});
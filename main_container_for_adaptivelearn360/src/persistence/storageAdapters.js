@@ -0,0 +1,174 @@
+/**
+ * Storage adapters for AdaptiveLearn360 persistence.
+ * Every adapter exposes the same async interface so stores can be
+ * backed by localStorage, IndexedDB or memory interchangeably:
+ *   getItem(key) -> string | null
+ *   setItem(key, value)
+ *   removeItem(key)
+ *   keys() -> string[]
+ *   clear()
+ */
+
+const DEFAULT_NAMESPACE = 'adaptivelearn360';
+
+// PUBLIC_INTERFACE
+/**
+ * Create an adapter backed by window.localStorage.
+ * Keys are prefixed with the namespace so clear() only removes our records.
+ * @param {string} namespace - Key prefix for every record
+ * @returns {Object} - Storage adapter
+ */
+export const createLocalStorageAdapter = (namespace = DEFAULT_NAMESPACE) => {
+  const prefix = `${namespace}:`;
+  const storage = window.localStorage;
+
+  const ownKeys = () => {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key.slice(prefix.length));
+      }
+    }
+    return keys;
+  };
+
+  return {
+    name: 'localStorage',
+    getItem: async (key) => storage.getItem(prefix + key),
+    setItem: async (key, value) => {
+      storage.setItem(prefix + key, value);
+    },
+    removeItem: async (key) => {
+      storage.removeItem(prefix + key);
+    },
+    keys: async () => ownKeys(),
+    clear: async () => {
+      ownKeys().forEach(key => storage.removeItem(prefix + key));
+    }
+  };
+};
+
+// Open (and create if needed) an IndexedDB database with a single object store
+const openDatabase = (dbName, storeName) => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(dbName, 1);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.createObjectStore(storeName);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run a single request in its own transaction and resolve with its result
+const runTransaction = (db, storeName, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, mode);
+  const request = operation(transaction.objectStore(storeName));
+
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Create an adapter backed by IndexedDB.
+ * The database connection is opened lazily on first use.
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Object} - Storage adapter
+ */
+export const createIndexedDBAdapter = (dbName = DEFAULT_NAMESPACE, storeName = 'records') => {
+  let dbPromise = null;
+
+  const withStore = async (mode, operation) => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, storeName).catch(err => {
+        // Allow a later call to retry opening the database
+        dbPromise = null;
+        throw err;
+      });
+    }
+    const db = await dbPromise;
+    return runTransaction(db, storeName, mode, operation);
+  };
+
+  return {
+    name: 'indexedDB',
+    getItem: async (key) => {
+      const value = await withStore('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    setItem: async (key, value) => {
+      await withStore('readwrite', store => store.put(value, key));
+    },
+    removeItem: async (key) => {
+      await withStore('readwrite', store => store.delete(key));
+    },
+    keys: async () => {
+      const keys = await withStore('readonly', store => store.getAllKeys());
+      return keys.map(String);
+    },
+    clear: async () => {
+      await withStore('readwrite', store => store.clear());
+    }
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create an in-memory adapter. Used when no browser storage is available.
+ * @returns {Object} - Storage adapter
+ */
+export const createMemoryAdapter = () => {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+    getItem: async (key) => (records.has(key) ? records.get(key) : null),
+    setItem: async (key, value) => {
+      records.set(key, value);
+    },
+    removeItem: async (key) => {
+      records.delete(key);
+    },
+    keys: async () => Array.from(records.keys()),
+    clear: async () => {
+      records.clear();
+    }
+  };
+};
+
+// Check that localStorage exists and is writable (it throws in some private modes)
+const isLocalStorageAvailable = () => {
+  try {
+    const probe = `${DEFAULT_NAMESPACE}:probe`;
+    window.localStorage.setItem(probe, probe);
+    window.localStorage.removeItem(probe);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Pick the best available adapter: IndexedDB, then localStorage, then memory
+ * @param {string} namespace - Database name or key prefix
+ * @returns {Object} - Storage adapter
+ */
+export const getDefaultStorageAdapter = (namespace = DEFAULT_NAMESPACE) => {
+  if (typeof window === 'undefined') {
+    return createMemoryAdapter();
+  }
+  if (window.indexedDB) {
+    return createIndexedDBAdapter(namespace);
+  }
+  if (isLocalStorageAvailable()) {
+    return createLocalStorageAdapter(namespace);
+  }
+  return createMemoryAdapter();
+};
@@ -0,0 +1,230 @@
+/**
+ * Schema versioning for persisted user data.
+ *
+ * Version history:
+ *   1 - profile, preferences, performance, habits, accessibility
+ *   2 - adds reviewStates (spaced-repetition state per content item)
+ *   3 - adds attempts (quiz and practice results)
+ *   4 - adds busyIntervals (calendar commitments the scheduler avoids)
+ *   5 - adds exams and examPlan (exam-driven backward planning)
+ *   6 - adds studySessions (one record per session); habits.completionHistory
+ *       keeps only the daily totals recorded before session records existed
+ *   7 - adds focusSessions (focus-mode sessions with their focus score)
+ *   8 - adds placement (placement test result that seeds performance)
+ *   9 - adds consent (per-field analytics consent, all on by default)
+ *  10 - adds adaptationOverrides (adaptations the learner overrode or snoozed)
+ *  11 - adds preferences.reminders (study reminder settings, see utils/reminders)
+ */
+import { isValidAttempt } from '../utils/performanceMetrics';
+import { normalizeIntervals } from '../utils/calendarSlots';
+import { isValidSessionRecord } from '../utils/studyHistory';
+import { isValidFocusSession } from '../utils/focusTracking';
+import { DEFAULT_ANALYTICS_CONSENT, normalizeConsent } from '../utils/analyticsConsent';
+import { normalizeAdaptationOverrides } from '../adaptation/adaptationRules';
+import { DEFAULT_REMINDER_SETTINGS, normalizeReminderSettings } from '../utils/reminders';
+
+// PUBLIC_INTERFACE
+export const USER_DATA_SCHEMA_VERSION = 11;
+
+// PUBLIC_INTERFACE
+/**
+ * Migrations keyed by the version they upgrade to.
+ * Unversioned records (version 0) have the version 1 shape.
+ */
+export const userDataMigrations = {
+  1: (data) => data,
+  2: (data) => ({
+    ...data,
+    reviewStates: data.reviewStates || {}
+  }),
+  3: (data) => ({
+    ...data,
+    attempts: data.attempts || []
+  }),
+  4: (data) => ({
+    ...data,
+    busyIntervals: data.busyIntervals || []
+  }),
+  5: (data) => ({
+    ...data,
+    exams: data.exams || [],
+    examPlan: data.examPlan || null
+  }),
+  6: (data) => ({
+    ...data,
+    studySessions: data.studySessions || []
+  }),
+  7: (data) => ({
+    ...data,
+    focusSessions: data.focusSessions || []
+  }),
+  8: (data) => ({
+    ...data,
+    placement: data.placement || null
+  }),
+  9: (data) => ({
+    ...data,
+    consent: { ...DEFAULT_ANALYTICS_CONSENT, ...data.consent }
+  }),
+  10: (data) => ({
+    ...data,
+    adaptationOverrides: data.adaptationOverrides || {}
+  }),
+  11: (data) => ({
+    ...data,
+    preferences: {
+      ...data.preferences,
+      reminders: normalizeReminderSettings(data.preferences && data.preferences.reminders)
+    }
+  })
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a complete profile with neutral defaults for a learner
+ * @param {string} id - Learner id
+ * @param {string} name - Learner name
+ * @returns {Object} - User data in the current schema
+ */
+export const createEmptyUserData = (id, name = '') => ({
+  id,
+  name,
+  preferences: {
+    colorScheme: 'default',
+    fontSize: 'medium',
+    notifications: true,
+    studyDuration: 25,
+    breakDuration: 5,
+    dailyGoalMinutes: 15,
+    streakFreezes: true,
+    reminders: { ...DEFAULT_REMINDER_SETTINGS },
+  },
+  performance: {
+    averageScore: 0,
+    completionRate: 0,
+    studyStreak: 0,
+    weakAreas: [],
+    strongAreas: [],
+  },
+  habits: {
+    preferredStudyTime: {
+      morning: 0.5,
+      afternoon: 0.5,
+      evening: 0.5,
+      night: 0.5,
+    },
+    averageSessionLength: 25,
+    consistencyScore: 0.5,
+    distractionLevel: 'medium',
+    completionHistory: [],
+  },
+  accessibility: {
+    highContrast: false,
+    screenReader: false,
+    motionReduced: false,
+    largeText: false,
+  },
+  reviewStates: {},
+  attempts: [],
+  busyIntervals: [],
+  exams: [],
+  examPlan: null,
+  studySessions: [],
+  focusSessions: [],
+  placement: null,
+  consent: { ...DEFAULT_ANALYTICS_CONSENT },
+  adaptationOverrides: {},
+});
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keep only the completion history entries that have a usable shape
+const repairCompletionHistory = (history) => {
+  if (!Array.isArray(history)) return undefined;
+  return history.filter(entry =>
+    isPlainObject(entry) &&
+    typeof entry.date === 'string' &&
+    Number.isFinite(entry.sessionsCompleted) &&
+    Number.isFinite(entry.duration)
+  );
+};
+
+// Keep valid busy intervals, stored as ISO strings
+const repairBusyIntervals = (intervals) => {
+  if (!Array.isArray(intervals)) return [];
+  return normalizeIntervals(intervals).map(interval => ({
+    ...interval,
+    start: interval.start.toISOString(),
+    end: interval.end.toISOString()
+  }));
+};
+
+// Keep exams that have an id, a valid date and a list of syllabus item ids
+const repairExams = (exams) => {
+  if (!Array.isArray(exams)) return [];
+  return exams.filter(exam =>
+    isPlainObject(exam) &&
+    typeof exam.id === 'string' &&
+    !Number.isNaN(new Date(exam.date).getTime()) &&
+    Array.isArray(exam.itemIds)
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fill in missing or malformed sections of a partially stored record
+ * @param {Object} data - Migrated user data
+ * @param {Object} defaults - Complete user data to fall back on (empty profile by default)
+ * @returns {Object|null} - Repaired user data, or null if it cannot be used
+ */
+export const repairUserData = (data, defaults) => {
+  if (!isPlainObject(data) || !data.id) {
+    return null;
+  }
+  if (!defaults) {
+    return repairUserData(data, createEmptyUserData(data.id, data.name));
+  }
+
+  const section = (name) => ({
+    ...defaults[name],
+    ...(isPlainObject(data[name]) ? data[name] : {})
+  });
+
+  const performance = section('performance');
+  ['weakAreas', 'strongAreas'].forEach(list => {
+    if (!Array.isArray(performance[list])) {
+      performance[list] = defaults.performance[list];
+    }
+  });
+
+  const preferences = section('preferences');
+  preferences.reminders = normalizeReminderSettings(preferences.reminders);
+
+  const habits = section('habits');
+  habits.preferredStudyTime = {
+    ...defaults.habits.preferredStudyTime,
+    ...(isPlainObject(habits.preferredStudyTime) ? habits.preferredStudyTime : {})
+  };
+  habits.completionHistory =
+    repairCompletionHistory(habits.completionHistory) || defaults.habits.completionHistory;
+
+  return {
+    ...defaults,
+    ...data,
+    preferences,
+    performance,
+    habits,
+    accessibility: section('accessibility'),
+    reviewStates: isPlainObject(data.reviewStates) ? data.reviewStates : {},
+    attempts: Array.isArray(data.attempts) ? data.attempts.filter(isValidAttempt) : [],
+    busyIntervals: repairBusyIntervals(data.busyIntervals),
+    exams: repairExams(data.exams),
+    examPlan: isPlainObject(data.examPlan) && Array.isArray(data.examPlan.sessions) ? data.examPlan : null,
+    placement: isPlainObject(data.placement) && isPlainObject(data.placement.subjects) ? data.placement : null,
+    consent: normalizeConsent(data.consent),
+    adaptationOverrides: normalizeAdaptationOverrides(data.adaptationOverrides),
+    studySessions: Array.isArray(data.studySessions) ? data.studySessions.filter(isValidSessionRecord) : [],
+    focusSessions: Array.isArray(data.focusSessions) ? data.focusSessions.filter(isValidFocusSession) : []
+  };
+};
@@ -0,0 +1,23 @@
+import { USER_DATA_SCHEMA_VERSION, userDataMigrations, repairUserData } from './userDataSchema';
+import { migrateRecord } from './persistentStore';
+import { DEFAULT_REMINDER_SETTINGS } from '../utils/reminders';
+
+test('migrating a version 10 record adds the default reminder settings', () => {
+  const record = { id: 'user123', preferences: { studyDuration: 50 } };
+
+  const migrated = migrateRecord(record, 10, USER_DATA_SCHEMA_VERSION, userDataMigrations);
+
+  expect(migrated.preferences).toEqual({ studyDuration: 50, reminders: DEFAULT_REMINDER_SETTINGS });
+});
+
+test('repairUserData replaces malformed reminder settings and keeps valid ones', () => {
+  const repaired = repairUserData({
+    id: 'user123',
+    preferences: { reminders: { enabled: false, frequency: 'hourly', quietHours: { start: 23, end: 25 } } }
+  });
+
+  expect(repaired.preferences.reminders).toEqual({
+    ...DEFAULT_REMINDER_SETTINGS,
+    enabled: false
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Item response theory (IRT) for AdaptiveLearn360 placement tests
+ *
+ * Uses the two-parameter logistic (2PL) model: the chance that a learner
+ * of ability theta answers a question correctly is
+ *   1 / (1 + exp(-discrimination * (theta - difficulty)))
+ * Ability and difficulty share a logit scale centred on 0 (an average
+ * learner and an average question). Questions may set difficulty and
+ * discrimination themselves; otherwise difficulty comes from the content
+ * item's 1-5 difficulty and discrimination defaults to 1.
+ *
+ * Ability is estimated as the posterior mean (EAP) under a standard normal
+ * prior, which stays finite when every answer so far is right or wrong.
+ */
+
+// Logits per step of content difficulty, centred on difficulty 3
+const DIFFICULTY_STEP = 0.75;
+const MIDDLE_DIFFICULTY = 3;
+
+// Quadrature grid for the ability posterior
+const GRID_MIN = -4;
+const GRID_MAX = 4;
+const GRID_POINTS = 81;
+const ABILITY_GRID = Array.from({ length: GRID_POINTS }, (_, index) =>
+  GRID_MIN + (index * (GRID_MAX - GRID_MIN)) / (GRID_POINTS - 1)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * IRT parameters of a question
+ * @param {Object} question - Quiz question (optional difficulty and discrimination)
+ * @param {Object} item - Content item the question belongs to
+ * @returns {Object} - { difficulty, discrimination }
+ */
+export const getItemParameters = (question, item = {}) => ({
+  difficulty: Number.isFinite(question.difficulty)
+    ? question.difficulty
+    : ((item.difficulty || MIDDLE_DIFFICULTY) - MIDDLE_DIFFICULTY) * DIFFICULTY_STEP,
+  discrimination: Number.isFinite(question.discrimination) ? question.discrimination : 1
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Chance of a correct answer under the 2PL model
+ * @param {number} ability - Learner ability (logits)
+ * @param {Object} params - { difficulty, discrimination }
+ * @returns {number} - Probability from 0 to 1
+ */
+export const probabilityCorrect = (ability, { difficulty, discrimination }) =>
+  1 / (1 + Math.exp(-discrimination * (ability - difficulty)));
+
+// PUBLIC_INTERFACE
+/**
+ * Fisher information a question gives about ability; highest where the
+ * learner has an even chance of answering correctly
+ * @param {number} ability - Learner ability (logits)
+ * @param {Object} params - { difficulty, discrimination }
+ * @returns {number} - Information
+ */
+export const itemInformation = (ability, params) => {
+  const p = probabilityCorrect(ability, params);
+  return params.discrimination * params.discrimination * p * (1 - p);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Estimate ability from scored responses. Partial credit counts as that
+ * share of a correct answer.
+ * @param {Array} responses - [{ params, credit }] with credit from 0 to 1
+ * @returns {Object} - { ability, standardError } in logits
+ */
+export const estimateAbility = (responses) => {
+  // Log-likelihood plus the log of the standard normal prior
+  const weights = ABILITY_GRID.map(theta =>
+    responses.reduce((sum, { params, credit }) => {
+      const p = probabilityCorrect(theta, params);
+      return sum + credit * Math.log(p) + (1 - credit) * Math.log(1 - p);
+    }, -(theta * theta) / 2)
+  );
+
+  // Normalize in log space to avoid underflow
+  const largest = Math.max(...weights);
+  const posterior = weights.map(weight => Math.exp(weight - largest));
+  const total = posterior.reduce((sum, weight) => sum + weight, 0);
+
+  const ability = ABILITY_GRID.reduce((sum, theta, index) => sum + theta * posterior[index], 0) / total;
+  const variance = ABILITY_GRID.reduce(
+    (sum, theta, index) => sum + (theta - ability) * (theta - ability) * posterior[index],
+    0
+  ) / total;
+
+  return { ability, standardError: Math.sqrt(variance) };
+};
@@ -0,0 +1,206 @@
+/**
+ * Computerized adaptive placement test for AdaptiveLearn360
+ *
+ * Subjects are tested one after another from the quiz questions in the
+ * content library. Within a subject each next question is the one that
+ * gives the most information at the current ability estimate (see
+ * itemResponse.js), and the subject ends once the estimate is precise
+ * enough, the question limit is reached or its questions run out.
+ *
+ * Like a quiz, the test is a plain object kept in component state:
+ *   { subjects, subjectIndex, pool, responses, currentQuestionId,
+ *     targetStandardError, maxQuestionsPerSubject, startedAt, questionStartedAt }
+ *
+ * summarizePlacement turns a finished test into the placement record stored
+ * on the profile, which seeds performance until attempts are recorded.
+ */
+import { scoreResponse } from './questionTypes';
+import { getItemParameters, probabilityCorrect, itemInformation, estimateAbility } from './itemResponse';
+
+// Stop a subject once the ability estimate's standard error is this small
+const DEFAULT_TARGET_STANDARD_ERROR = 0.6;
+const DEFAULT_MAX_QUESTIONS_PER_SUBJECT = 8;
+
+// Expected score at which an item counts as already known
+const KNOWN_ITEM_PROBABILITY = 0.7;
+
+const SECOND_MS = 1000;
+
+// Questions of one subject that have not been asked yet
+const remainingQuestions = (test, subject) => {
+  const asked = new Set((test.responses[subject] || []).map(response => response.questionId));
+  return test.pool.filter(question => question.subject === subject && !asked.has(question.id));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Current ability estimate for a subject
+ * @param {Object} test - Placement test state
+ * @param {string} subject - Subject id
+ * @returns {Object} - { ability, standardError } (the prior before any answer)
+ */
+export const getSubjectEstimate = (test, subject) => estimateAbility(test.responses[subject] || []);
+
+// Whether a subject needs no more questions
+const isSubjectDone = (test, subject) => {
+  const responses = test.responses[subject] || [];
+  return responses.length >= test.maxQuestionsPerSubject ||
+    remainingQuestions(test, subject).length === 0 ||
+    (responses.length > 0 && getSubjectEstimate(test, subject).standardError <= test.targetStandardError);
+};
+
+// Most informative remaining question at the current estimate
+const selectQuestion = (test, subject) => {
+  const { ability } = getSubjectEstimate(test, subject);
+  return remainingQuestions(test, subject).reduce((best, question) =>
+    (!best || itemInformation(ability, question.params) > itemInformation(ability, best.params) ? question : best),
+  null);
+};
+
+// Move to the next question, or the next subject that still needs one
+const advance = (test, now) => {
+  let { subjectIndex } = test;
+  while (subjectIndex < test.subjects.length && isSubjectDone(test, test.subjects[subjectIndex])) {
+    subjectIndex += 1;
+  }
+  const next = subjectIndex < test.subjects.length ? selectQuestion(test, test.subjects[subjectIndex]) : null;
+  return {
+    ...test,
+    subjectIndex,
+    currentQuestionId: next ? next.id : null,
+    questionStartedAt: now.toISOString()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Start a placement test
+ * @param {Array} contentItems - Content items whose questions make up the pool
+ * @param {Object} options - { subjects } to test, in order (default: every
+ *   subject with questions), { targetStandardError }, { maxQuestionsPerSubject }, { now }
+ * @returns {Object|null} - Test state, or null when there are no questions
+ */
+export const startPlacementTest = (contentItems, {
+  subjects = null,
+  targetStandardError = DEFAULT_TARGET_STANDARD_ERROR,
+  maxQuestionsPerSubject = DEFAULT_MAX_QUESTIONS_PER_SUBJECT,
+  now = new Date()
+} = {}) => {
+  const pool = contentItems.flatMap(item =>
+    (item.questions || []).map(question => ({
+      ...question,
+      itemId: item.id,
+      subject: item.subject,
+      params: getItemParameters(question, item)
+    }))
+  );
+  const tested = (subjects || [...new Set(pool.map(question => question.subject))])
+    .filter(subject => pool.some(question => question.subject === subject));
+  if (tested.length === 0) return null;
+
+  return advance({
+    subjects: tested,
+    subjectIndex: 0,
+    pool,
+    responses: {},
+    currentQuestionId: null,
+    targetStandardError,
+    maxQuestionsPerSubject,
+    startedAt: now.toISOString(),
+    questionStartedAt: now.toISOString()
+  }, now);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The question being asked
+ * @param {Object} test - Placement test state
+ * @returns {Object|null} - Current question (with its subject), or null once finished
+ */
+export const getPlacementQuestion = (test) =>
+  test.pool.find(question => question.id === test.currentQuestionId) || null;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether every subject has been placed
+ * @param {Object} test - Placement test state
+ * @returns {boolean} - Whether the test is finished
+ */
+export const isPlacementFinished = (test) => test.currentQuestionId === null;
+
+// PUBLIC_INTERFACE
+/**
+ * Answer the current question and pick the next one. A blank or null
+ * response ("I don't know") counts as wrong. Time limits are not enforced.
+ * @param {Object} test - Placement test state
+ * @param {*} response - Response for the question type (see scoreResponse)
+ * @param {Object} options - { now }
+ * @returns {Object} - Updated test state
+ */
+export const answerPlacementQuestion = (test, response, { now = new Date() } = {}) => {
+  const question = getPlacementQuestion(test);
+  if (!question) return test;
+
+  const record = {
+    questionId: question.id,
+    itemId: question.itemId,
+    params: question.params,
+    credit: scoreResponse(question, response),
+    timeSpent: Math.round(Math.max(0, now - new Date(test.questionStartedAt)) / SECOND_MS)
+  };
+  return advance({
+    ...test,
+    responses: {
+      ...test.responses,
+      [question.subject]: [...(test.responses[question.subject] || []), record]
+    }
+  }, now);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Summarize a finished test as a placement record
+ * @param {Object} test - Placement test state
+ * @param {Array} contentItems - Content items, to estimate what is already known
+ * @param {Date} now - When the test was completed
+ * @returns {Object} - {
+ *     completedAt,
+ *     subjects: { [subject]: { ability, standardError, mastery, score, questions } },
+ *     averageScore: mean subject score (0-100),
+ *     completionRate: share of the tested subjects' items the learner is
+ *       expected to pass already (0-1)
+ *   }
+ *   mastery is the expected credit on the subject's questions at the
+ *   estimated ability, and score is the same as a percentage.
+ */
+export const summarizePlacement = (test, contentItems, now = new Date()) => {
+  const subjects = test.subjects.reduce((placed, subject) => {
+    const { ability, standardError } = getSubjectEstimate(test, subject);
+    const questions = test.pool.filter(question => question.subject === subject);
+    const mastery = questions.reduce((sum, question) => sum + probabilityCorrect(ability, question.params), 0) /
+      questions.length;
+    return {
+      ...placed,
+      [subject]: {
+        ability: Math.round(ability * 100) / 100,
+        standardError: Math.round(standardError * 100) / 100,
+        mastery: Math.round(mastery * 100) / 100,
+        score: Math.round(mastery * 100),
+        questions: (test.responses[subject] || []).length
+      }
+    };
+  }, {});
+
+  const scores = Object.values(subjects).map(entry => entry.score);
+  const testedItems = contentItems.filter(item => subjects[item.subject]);
+  const knownItems = testedItems.filter(item =>
+    probabilityCorrect(subjects[item.subject].ability, getItemParameters({}, item)) >= KNOWN_ITEM_PROBABILITY
+  );
+
+  return {
+    completedAt: now.toISOString(),
+    subjects,
+    averageScore: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    completionRate: testedItems.length > 0 ? Math.round((knownItems.length / testedItems.length) * 100) / 100 : 0
+  };
+};
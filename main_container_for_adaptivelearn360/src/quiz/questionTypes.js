@@ -0,0 +1,194 @@
+/**
+ * Quiz question types for AdaptiveLearn360
+ *
+ * Every question has { id, type, prompt, points?, timeLimit?, explanation? }
+ * (points default to 1, timeLimit is in seconds), optional placement-test
+ * parameters { difficulty?, discrimination? } (see itemResponse.js), plus
+ * the fields of its type:
+ *   multiple_choice  choices: [string], answer: index of the right choice
+ *   multi_select     choices: [string], answers: indexes of every right choice
+ *   numeric          answer: number, tolerance?: allowed difference, unit?: string
+ *   short_answer     answers: accepted answers
+ *   cloze            text with blanks, e.g. 'The {{mitochondrion|mitochondria}} makes ATP'
+ *
+ * scoreResponse grades a response as credit from 0 to 1. Partial credit is
+ * given for multi-select (right picks minus wrong picks), numeric answers
+ * within twice the tolerance, near-miss spellings and partly filled clozes.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Supported question types
+ */
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple_choice',
+  MULTI_SELECT: 'multi_select',
+  NUMERIC: 'numeric',
+  SHORT_ANSWER: 'short_answer',
+  CLOZE: 'cloze'
+};
+
+// Credit for a near miss: a typo in a text answer, or a numeric answer
+// outside the tolerance but within twice it
+const NEAR_MISS_CREDIT = 0.5;
+
+const BLANK_PATTERN = /\{\{([^}]+)\}\}/g;
+
+// Text compared without case, punctuation or extra spaces
+const normalizeText = (value) =>
+  String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed before a text answer stops counting as a near miss
+const allowedTypos = (answer) => (answer.length >= 10 ? 2 : answer.length >= 4 ? 1 : 0);
+
+// Credit for a text response against the accepted answers
+const matchText = (response, accepted) => {
+  const given = normalizeText(response);
+  if (!given) return 0;
+  const answers = accepted.map(normalizeText);
+  if (answers.includes(given)) return 1;
+  return answers.some(answer => levenshtein(given, answer) <= allowedTypos(answer)) ? NEAR_MISS_CREDIT : 0;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Split cloze text into text parts and blanks
+ * @param {string} text - Cloze text with {{answer|alternative}} blanks
+ * @returns {Object} - { parts, blanks } where parts alternates strings and
+ *   { blank: index }, and blanks lists the accepted answers for each blank
+ */
+export const parseCloze = (text) => {
+  const parts = [];
+  const blanks = [];
+  let last = 0;
+  String(text).replace(BLANK_PATTERN, (match, answers, offset) => {
+    parts.push(text.slice(last, offset));
+    parts.push({ blank: blanks.length });
+    blanks.push(answers.split('|').map(answer => answer.trim()).filter(Boolean));
+    last = offset + match.length;
+    return match;
+  });
+  parts.push(String(text).slice(last));
+  return { parts: parts.filter(part => part !== ''), blanks };
+};
+
+const isIndexIn = (choices) => (value) => Number.isInteger(value) && value >= 0 && value < choices.length;
+
+// Problems with the type-specific fields of a question
+const TYPE_CHECKS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: (question) => {
+    if (!Array.isArray(question.choices) || question.choices.length < 2) return ['needs at least two choices'];
+    return isIndexIn(question.choices)(question.answer) ? [] : ['answer must be the index of one of the choices'];
+  },
+  [QUESTION_TYPES.MULTI_SELECT]: (question) => {
+    if (!Array.isArray(question.choices) || question.choices.length < 2) return ['needs at least two choices'];
+    return Array.isArray(question.answers) && question.answers.length > 0 && question.answers.every(isIndexIn(question.choices))
+      ? []
+      : ['answers must list the indexes of the right choices'];
+  },
+  [QUESTION_TYPES.NUMERIC]: (question) => [
+    ...(Number.isFinite(question.answer) ? [] : ['answer must be a number']),
+    ...(question.tolerance === undefined || (Number.isFinite(question.tolerance) && question.tolerance >= 0)
+      ? []
+      : ['tolerance must be a number of at least 0'])
+  ],
+  [QUESTION_TYPES.SHORT_ANSWER]: (question) =>
+    (Array.isArray(question.answers) && question.answers.some(answer => normalizeText(answer) !== '')
+      ? []
+      : ['answers must list at least one accepted answer']),
+  [QUESTION_TYPES.CLOZE]: (question) =>
+    (typeof question.text === 'string' && parseCloze(question.text).blanks.length > 0
+      ? []
+      : ['text must contain at least one {{blank}}'])
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check a question
+ * @param {Object} question - Candidate question
+ * @returns {Array} - Problems as strings; empty when the question is valid
+ */
+export const validateQuestion = (question) => {
+  if (question === null || typeof question !== 'object') return ['question must be an object'];
+
+  const problems = [];
+  if (typeof question.id !== 'string' || question.id.trim() === '') problems.push('id must be a non-empty string');
+  if (typeof question.prompt !== 'string' && question.type !== QUESTION_TYPES.CLOZE) problems.push('prompt must be a string');
+  if (question.points !== undefined && !(Number.isFinite(question.points) && question.points > 0)) {
+    problems.push('points must be a number greater than 0');
+  }
+  if (question.timeLimit !== undefined && !(Number.isFinite(question.timeLimit) && question.timeLimit > 0)) {
+    problems.push('timeLimit must be a number of seconds greater than 0');
+  }
+  if (question.difficulty !== undefined && !Number.isFinite(question.difficulty)) {
+    problems.push('difficulty must be a number');
+  }
+  if (question.discrimination !== undefined && !(Number.isFinite(question.discrimination) && question.discrimination > 0)) {
+    problems.push('discrimination must be a number greater than 0');
+  }
+
+  const check = TYPE_CHECKS[question.type];
+  if (!check) {
+    problems.push(`type must be one of ${Object.values(QUESTION_TYPES).join(', ')}`);
+  } else {
+    problems.push(...check(question));
+  }
+  return problems;
+};
+
+// Credit for a response of each type; an unanswered question earns nothing
+const SCORERS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: (question, response) => (response === question.answer ? 1 : 0),
+  [QUESTION_TYPES.MULTI_SELECT]: (question, response) => {
+    const picked = new Set(Array.isArray(response) ? response : []);
+    const right = question.answers.filter(index => picked.has(index)).length;
+    const wrong = picked.size - right;
+    return Math.max(0, (right - wrong) / question.answers.length);
+  },
+  [QUESTION_TYPES.NUMERIC]: (question, response) => {
+    if (response === '' || response === null || response === undefined) return 0;
+    const value = Number(response);
+    if (!Number.isFinite(value)) return 0;
+    const tolerance = question.tolerance || 0;
+    const difference = Math.abs(value - question.answer);
+    // Allow for floating point noise when the tolerance is 0
+    if (difference <= tolerance + 1e-9) return 1;
+    return tolerance > 0 && difference <= tolerance * 2 ? NEAR_MISS_CREDIT : 0;
+  },
+  [QUESTION_TYPES.SHORT_ANSWER]: (question, response) => matchText(response, question.answers),
+  [QUESTION_TYPES.CLOZE]: (question, response) => {
+    const { blanks } = parseCloze(question.text);
+    const given = Array.isArray(response) ? response : [];
+    return blanks.reduce((sum, accepted, index) => sum + matchText(given[index], accepted), 0) / blanks.length;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Grade a response to a question
+ * @param {Object} question - Valid question
+ * @param {*} response - Choice index, list of indexes, number, text, or list
+ *   of texts for cloze blanks; null when unanswered
+ * @returns {number} - Credit from 0 to 1
+ */
+export const scoreResponse = (question, response) => {
+  if (response === null || response === undefined) return 0;
+  return SCORERS[question.type](question, response);
+};
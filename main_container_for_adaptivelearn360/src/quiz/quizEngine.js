@@ -0,0 +1,204 @@
+/**
+ * Quiz sessions for AdaptiveLearn360
+ *
+ * A quiz is a plain object so it can be kept in component state:
+ *   { questions, index, answers, startedAt, questionStartedAt }
+ * Questions come from content items (item.questions) and carry the itemId
+ * they assess. Each answer records the response, its credit, how long it
+ * took and how confident the learner was. Answers given after a question's
+ * time limit earn no credit.
+ *
+ * scoreQuiz turns a finished quiz into a result in the performanceFeedback
+ * shape that adjustScheduleBasedOnPerformance accepts ({ struggledItems,
+ * averageScore }), plus one attempt record per assessed item.
+ */
+import { scoreResponse } from './questionTypes';
+
+// PUBLIC_INTERFACE
+/**
+ * Confidence ratings a learner can give with an answer
+ */
+export const CONFIDENCE_LEVELS = {
+  LOW: 1,
+  MEDIUM: 2,
+  HIGH: 3
+};
+
+// Item scores below this mark the item as struggled
+const PASSING_SCORE = 70;
+
+// Credit below which a confident answer counts as a confident mistake
+const MISTAKE_CREDIT = 0.5;
+
+const SECOND_MS = 1000;
+
+// Allowance past a time limit, so an answer handed in as the countdown
+// reaches zero still counts
+const TIME_LIMIT_GRACE_SECONDS = 1;
+
+// A response with nothing entered (no choice, empty text or empty blanks)
+const isBlank = (response) =>
+  response === null ||
+  response === undefined ||
+  response === '' ||
+  (Array.isArray(response) && response.every(value => value === ''));
+
+// PUBLIC_INTERFACE
+/**
+ * Start a quiz on the questions of some content items
+ * @param {Array} contentItems - Items whose questions to ask, in order
+ * @param {Object} options - { limit } maximum number of questions, { now }
+ * @returns {Object|null} - Quiz state, or null when the items have no questions
+ */
+export const startQuiz = (contentItems, { limit = null, now = new Date() } = {}) => {
+  const questions = contentItems.flatMap(item =>
+    (item.questions || []).map(question => ({ ...question, itemId: item.id }))
+  );
+  if (questions.length === 0) return null;
+
+  return {
+    questions: limit ? questions.slice(0, limit) : questions,
+    index: 0,
+    answers: [],
+    startedAt: now.toISOString(),
+    questionStartedAt: now.toISOString()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The question being asked
+ * @param {Object} quiz - Quiz state
+ * @returns {Object|null} - Current question, or null once the quiz is finished
+ */
+export const getCurrentQuestion = (quiz) => quiz.questions[quiz.index] || null;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether every question has been answered or skipped
+ * @param {Object} quiz - Quiz state
+ * @returns {boolean} - Whether the quiz is finished
+ */
+export const isQuizFinished = (quiz) => quiz.index >= quiz.questions.length;
+
+// PUBLIC_INTERFACE
+/**
+ * Seconds left to answer the current question
+ * @param {Object} quiz - Quiz state
+ * @param {Date} now - Current time
+ * @returns {number|null} - Seconds remaining (0 when time is up), or null without a time limit
+ */
+export const getTimeRemaining = (quiz, now = new Date()) => {
+  const question = getCurrentQuestion(quiz);
+  if (!question || !question.timeLimit) return null;
+  const elapsed = (now - new Date(quiz.questionStartedAt)) / SECOND_MS;
+  return Math.max(0, Math.ceil(question.timeLimit - elapsed));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Answer the current question and move to the next one
+ * @param {Object} quiz - Quiz state
+ * @param {*} response - Response for the question type (see scoreResponse); null or blank skips
+ * @param {Object} options - { confidence } a CONFIDENCE_LEVELS value or null, { now }
+ * @returns {Object} - Updated quiz state
+ */
+export const answerQuestion = (quiz, response, { confidence = null, now = new Date() } = {}) => {
+  const question = getCurrentQuestion(quiz);
+  if (!question) return quiz;
+
+  const elapsed = Math.max(0, (now - new Date(quiz.questionStartedAt)) / SECOND_MS);
+  const timedOut = !!question.timeLimit && elapsed > question.timeLimit + TIME_LIMIT_GRACE_SECONDS;
+  const answered = !isBlank(response);
+
+  return {
+    ...quiz,
+    index: quiz.index + 1,
+    questionStartedAt: now.toISOString(),
+    answers: [
+      ...quiz.answers,
+      {
+        questionId: question.id,
+        itemId: question.itemId,
+        response: answered ? response : null,
+        credit: timedOut || !answered ? 0 : scoreResponse(question, response),
+        points: question.points || 1,
+        confidence: answered ? confidence : null,
+        timeSpent: Math.round(elapsed),
+        timedOut
+      }
+    ]
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Skip the current question; it earns no credit
+ * @param {Object} quiz - Quiz state
+ * @param {Date} now - Current time
+ * @returns {Object} - Updated quiz state
+ */
+export const skipQuestion = (quiz, now = new Date()) => answerQuestion(quiz, null, { now });
+
+// Points-weighted score from 0 to 100
+const weightedScore = (answers) => {
+  const points = answers.reduce((sum, answer) => sum + answer.points, 0);
+  if (points === 0) return 0;
+  return Math.round((answers.reduce((sum, answer) => sum + answer.credit * answer.points, 0) / points) * 100);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Score a quiz
+ * @param {Object} quiz - Quiz state
+ * @param {Array} contentItems - Content items, to describe struggled items
+ * @param {Date} now - When the quiz was completed
+ * @returns {Object} - Result in the performanceFeedback shape:
+ *   averageScore: points-weighted score (0-100)
+ *   struggledItems: content items scoring below 70, or answered wrongly with
+ *     high confidence, marked reviewType 'reinforcement' for the schedule
+ *   answers: per-question records
+ *   attempts: one attempt record per item ({ itemId, subject, skill, score,
+ *     timeSpent, timestamp, type: 'quiz' }) for recordAttempt
+ */
+export const scoreQuiz = (quiz, contentItems, now = new Date()) => {
+  const itemsById = new Map(contentItems.map(item => [item.id, item]));
+  const byItem = new Map();
+  quiz.answers.forEach(answer => {
+    if (!byItem.has(answer.itemId)) byItem.set(answer.itemId, []);
+    byItem.get(answer.itemId).push(answer);
+  });
+
+  const attempts = [];
+  const struggledItems = [];
+  byItem.forEach((answers, itemId) => {
+    const item = itemsById.get(itemId);
+    if (!item) return;
+
+    const score = weightedScore(answers);
+    const confidentMistake = answers.some(answer =>
+      answer.confidence === CONFIDENCE_LEVELS.HIGH && answer.credit < MISTAKE_CREDIT
+    );
+
+    attempts.push({
+      itemId,
+      subject: item.subject,
+      skill: item.skill || item.subject,
+      score,
+      timeSpent: answers.reduce((sum, answer) => sum + answer.timeSpent, 0),
+      timestamp: now.toISOString(),
+      type: 'quiz'
+    });
+    if (score < PASSING_SCORE || confidentMistake) {
+      struggledItems.push({ ...item, reviewType: 'reinforcement' });
+    }
+  });
+
+  return {
+    averageScore: weightedScore(quiz.answers),
+    struggledItems,
+    answers: quiz.answers,
+    attempts,
+    completedAt: now.toISOString()
+  };
+};
@@ -0,0 +1,158 @@
+/**
+ * Binary fixtures for the archive, database and Anki package readers
+ *
+ * Written with Python's zipfile and sqlite3 modules and stored as hex so the
+ * tests need no file access. SQLite files use 512-byte pages to stay small.
+ */
+
+const fromHex = (lines) => Uint8Array.from(lines.join('').match(/../g), byte => parseInt(byte, 16));
+
+// ZIP with a stored entry 'notes/stored.txt' ('Stored as is'), a deflated
+// entry 'notes/deflated.txt' ('Squeezed ' x 20) and an archive comment
+export const FILES_ZIP = fromHex([
+  '504b03041400000000000000210054ff8af80c0000000c000000100000006e6f7465732f73746f7265642e74787453746f72',
+  '6564206173206973504b0304140000000800000021008c13a7300e000000b4000000120000006e6f7465732f6465666c6174',
+  '65642e7478740b2e2c4d4dad4a4d51081e3a0c00504b010214031400000000000000210054ff8af80c0000000c0000001000',
+  '000000000000000000008001000000006e6f7465732f73746f7265642e747874504b01021403140000000800000021008c13',
+  'a7300e000000b400000012000000000000000000000080013a0000006e6f7465732f6465666c617465642e747874504b0506',
+  '00000000020002007e000000780000000f00666978747572652061726368697665'
+]);
+
+// SQLite database with one table:
+//   CREATE TABLE notes (id integer primary key, title text not null, score real,
+//     delta integer, big integer, note text, data blob, check (score >= 0))
+// Row 1: ('Limits', 87.5, -3, 9007199254740991, null, x'00ff10')
+// Row 2: ('Long', 0, 1, 0, 'overflow ' x 120, null), spilling onto overflow pages
+// Rows 3-16: ('Row n', n / 4, -1000n, n, 'Überblick', null), so the table
+// spans two leaf pages under an interior page
+export const NOTES_DATABASE = fromHex([
+  '53514c69746520666f726d617420330002000101004020200000000300000006000000000000000000000002000000040000',
+  '00000000000000000001000000000000000000000000000000000000000000000000000000000000000000000003002e6301',
+  '0d00000001015400015400000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000081290107171717018231',
+  '7461626c656e6f7465736e6f74657302435245415445205441424c45206e6f7465732028696420696e746567657220707269',
+  '6d617279206b65792c207469746c652074657874206e6f74206e756c6c2c2073636f7265207265616c2c2064656c74612069',
+  '6e74656765722c2062696720696e74656765722c206e6f746520746578742c206461746120626c6f622c20636865636b2028',
+  '73636f7265203e3d20302929050000000101fb000000000601fb000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '00000000000000000000000000000000000000000000050c00000004766572666c6f77206f766572666c6f77206f76657266',
+  '6c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f',
+  '766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c',
+  '6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f76',
+  '6572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f',
+  '77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f7665',
+  '72666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77',
+  '206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572',
+  '666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f7720',
+  '6f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f76657266',
+  '6c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f76657266000000006c6f77206f766572666c',
+  '6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f76',
+  '6572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f',
+  '77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f7665',
+  '72666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77',
+  '206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572',
+  '666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f7720',
+  '6f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f76657266',
+  '6c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f',
+  '766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c',
+  '6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77200d00',
+  '00000c00330001dc0188016401480124010000dc00bf009b007600510033000000000000000000000000000000000000001c',
+  '0c0800190102012100526f7720313203d1200cc39c626572626c69636b230b0800190702012100526f772031314006000000',
+  '000000d5080bc39c626572626c69636b230a0800190702012100526f772031304004000000000000d8f00ac39c626572626c',
+  '69636b22090800170702012100526f7720394002000000000000dcd809c39c626572626c69636b1b08080017010201210052',
+  '6f77203802e0c008c39c626572626c69636b22070800170702012100526f7720373ffc000000000000e4a807c39c62657262',
+  '6c69636b22060800170702012100526f7720363ff8000000000000e89006c39c626572626c69636b22050800170702012100',
+  '526f7720353ff4000000000000ec7805c39c626572626c69636b1a040800170902012100526f772034f06004c39c62657262',
+  '6c69636b22030800170702012100526f7720333fe8000000000000f44803c39c626572626c69636b88450209001508090890',
+  '7d004c6f6e676f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77206f766572666c6f77',
+  '206f766572666c6f77206f766572666c6f77206f00000003220108001907010600124c696d6974734055e00000000000fd00',
+  '1fffffffffffff00ff100d0000000401730001db01b601910173000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '000000000000000000000000000000000000000000000000000000000000001c100800190102012100526f7720313604c180',
+  '10c39c626572626c69636b230f0800190702012100526f77203135400e000000000000c5680fc39c626572626c69636b230e',
+  '0800190702012100526f77203134400c000000000000c9500ec39c626572626c69636b230d0800190702012100526f772031',
+  '33400a000000000000cd380dc39c626572626c69636b'
+]);
+
+// Anki package (older schema) holding collection.anki2 and an empty media map.
+// Decks in col.decks: 1 'Default', 1700000000001 'Français::Verbes'.
+// Notes (guid, tags, fields):
+//   'aB3$kQ', ' verbe::être ', 'être' / 'to <b>be</b>' in Français::Verbes
+//   'Zx9!pL', 'verbe::avoir', 'avoir' / 'to have' in Français::Verbes (a second card is in Default)
+//   'Qw7#mN', '', 'Capital of France?' / '<div>Paris</div>' in Default
+export const ANKI_PACKAGE = fromHex([
+  '504b03041400000000007c9d535d0ad5f8e9000800000008000010000000636f6c6c656374696f6e2e616e6b693253514c69',
+  '746520666f726d61742033000200010100402020000000050000000400000000000000000000000400000004000000000000',
+  '000000000001000000000000000000000000000000000000000000000000000000000000000000000005002e63010d000000',
+  '0300790001970100007900000000000000810403071717170181677461626c65636172647363617264730443524541544520',
+  '5441424c452063617264732028696420696e7465676572207072696d617279206b65792c206e696420696e7465676572206e',
+  '6f74206e756c6c2c2064696420696e7465676572206e6f74206e756c6c2c206f726420696e7465676572206e6f74206e756c',
+  '6c29811402071717170182077461626c656e6f7465736e6f74657303435245415445205441424c45206e6f74657320286964',
+  '20696e7465676572207072696d617279206b65792c20677569642074657874206e6f74206e756c6c2c206d696420696e7465',
+  '676572206e6f74206e756c6c2c20746167732074657874206e6f74206e756c6c2c20666c64732074657874206e6f74206e75',
+  '6c6c296701071713130181357461626c65636f6c636f6c02435245415445205441424c4520636f6c2028696420696e746567',
+  '6572207072696d617279206b65792c2063727420696e7465676572206e6f74206e756c6c2c206465636b732074657874206e',
+  '6f74206e756c6c290d00000001018d00018d0000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '00000000007101050004815d6553f1007b2231223a207b226964223a20312c20226e616d65223a202244656661756c74227d',
+  '2c202231373030303030303030303031223a207b226964223a20313730303030303030303030312c20226e616d65223a2022',
+  '4672616ec3a76169733a3a566572626573227d7d0d00000003016b0001cd01a1016b00000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000002fb1bcff95d067060019090d5351773723',
+  '6d4e4361706974616c206f66204672616e63653f1f3c6469763e50617269733c2f6469763e25b1bcff95d066060019092527',
+  '5a783921704c76657262653a3a61766f697261766f69721f746f20686176652cb1bcff95d065060019092931614233246b51',
+  '2076657262653a3ac3aa74726520c3aa7472651f746f203c623e62653c2f623e0d0000000401ac0001e801d001be01ac0000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000',
+  '000000000000000000000bb1bcff95e0360500050909018bcfe568660bb1bcff95d84f0500050908018bcfe5686711b1bcff',
+  '95d84e0500050508018bcfe56866018bcfe5680111b1bcff95d84d0500050508018bcfe56865018bcfe56801504b03041400',
+  '000000007c9d535d43bfa6a30200000002000000050000006d656469617b7d504b010214031400000000007c9d535d0ad5f8',
+  'e90008000000080000100000000000000000000000a48100000000636f6c6c656374696f6e2e616e6b6932504b0102140314',
+  '00000000007c9d535d43bfa6a3020000000200000005000000000000000000000080012e0800006d65646961504b05060000',
+  '00000200020071000000530800000000'
+]);
+
+// Anki package in the newer format: a placeholder collection.anki2 next to
+// a zstd-compressed collection.anki21b
+export const NEWER_ANKI_PACKAGE = fromHex([
+  '504b03041400000000007c9d535d029fe6f50b0000000b00000010000000636f6c6c656374696f6e2e616e6b6932706c6163',
+  '65686f6c646572504b03041400000000007c9d535dfad24756040000000400000012000000636f6c6c656374696f6e2e616e',
+  '6b6932316228b52ffd504b03041400000000007c9d535d000000000000000000000000050000006d65646961504b01021403',
+  '1400000000007c9d535d029fe6f50b0000000b000000100000000000000000000000800100000000636f6c6c656374696f6e',
+  '2e616e6b6932504b010214031400000000007c9d535dfad24756040000000400000012000000000000000000000080013900',
+  '0000636f6c6c656374696f6e2e616e6b69323162504b010214031400000000007c9d535d0000000000000000000000000500',
+  '0000000000000000000080016d0000006d65646961504b05060000000003000300b1000000900000000000'
+]);
@@ -1,19 +1,27 @@
 /**
  * Utility functions for adaptive behavior in AdaptiveLearn360
+ *
+ * Layout, theme and UI hint decisions are made by the adaptation rules
+ * (see adaptation/adaptationRules.js); the helpers for them here evaluate
+ * the default rules.
  */
+import { getSkillMastery } from './knowledgeTracing';
+import { getStudyTimeScores } from './studyTimePreferences';
+import { buildAdaptationFacts, evaluateAdaptations } from '../adaptation/adaptationRules';
 
 // PUBLIC_INTERFACE
 /**
  * Calculate the best learning time based on user habits
  * @param {Object} habits - User habits data
+ * @param {number} dayOfWeek - Optional weekday (0 = Sunday) to use that day's scores
  * @returns {string} - Best time period for studying
  */
-export const calculateBestLearningTime = (habits) => {
+export const calculateBestLearningTime = (habits, dayOfWeek) => {
   if (!habits || !habits.preferredStudyTime) {
     return 'evening'; // Default if no data available
   }
   
-  const { preferredStudyTime } = habits;
+  const preferredStudyTime = getStudyTimeScores(habits, dayOfWeek);
   let bestTime = 'evening';
   let highestScore = 0;
   
@@ -29,28 +37,17 @@ export const calculateBestLearningTime = (habits) => {
 
 // PUBLIC_INTERFACE
 /**
- * Determine layout complexity based on user performance and device
+ * Determine layout complexity based on user performance and device.
+ * Decided by the default adaptation rules, so it returns their layouts:
+ * 'compact' is the simple layout, for small screens and for learners
+ * without performance data.
  * @param {Object} performance - User performance data
  * @param {string} deviceType - Type of device being used
- * @returns {string} - Recommended layout complexity
+ * @returns {string} - 'compact', or 'advanced', 'standard' or 'guided' from
+ *   the score and completion rate ('guided' when the completion rate is unknown)
  */
-export const determineLayoutComplexity = (performance, deviceType) => {
-  if (!performance) return 'simple';
-  
-  const { averageScore, completionRate } = performance;
-  
-  // Simplify for mobile regardless of performance
-  if (deviceType === 'mobile') return 'simple';
-  
-  // For tablet and desktop, consider performance
-  if (averageScore > 80 && completionRate > 0.7) {
-    return 'advanced';
-  } else if (averageScore > 60 && completionRate > 0.5) {
-    return 'standard';
-  } else {
-    return 'guided';
-  }
-};
+export const determineLayoutComplexity = (performance, deviceType) =>
+  evaluateAdaptations(buildAdaptationFacts({ userData: performance ? { performance } : null, deviceType })).values.layout;
 
 // PUBLIC_INTERFACE
 /**
@@ -79,9 +76,10 @@ export const calculateOptimalStudyDuration = (habits, performance) => {
  * Determine if content should be broken into smaller chunks
  * @param {Object} performance - User performance data
  * @param {string} contentType - Type of content being presented
+ * @param {string} skill - Optional skill or subject; its mastery is used when known
  * @returns {boolean} - Whether to chunk content
  */
-export const shouldChunkContent = (performance, contentType) => {
+export const shouldChunkContent = (performance, contentType, skill) => {
   if (!performance) return true; // Default to chunking if no data
   
   // Different thresholds for different content types
@@ -93,7 +91,12 @@ export const shouldChunkContent = (performance, contentType) => {
   };
   
   const threshold = thresholds[contentType] || 70;
-  return performance.averageScore < threshold;
+  
+  // Prefer the learner's mastery of this skill over their global average
+  const mastery = skill ? getSkillMastery(performance, skill) : null;
+  const level = mastery !== null ? mastery * 100 : performance.averageScore;
+  
+  return level < threshold;
 };
 
 // PUBLIC_INTERFACE
@@ -143,27 +146,10 @@ export const getAccessibilityRecommendations = (userData, deviceType) => {
  * @param {string} adaptiveLayout - Current adaptive layout mode
  * @returns {Object} - UI adaptation hints
  */
-export const generateAdaptiveUIHints = (userData, deviceType, timeOfDay, adaptiveLayout) => {
-  return {
-    // Simplified UI for night mode or mobile
-    simplifyNavigation: timeOfDay === 'night' || deviceType === 'mobile',
-    
-    // Show more visual aids for users with lower performance
-    useVisualAids: userData?.performance?.averageScore < 70,
-    
-    // Use step-by-step guidance for inexperienced users
-    useStepByStep: userData?.habits?.consistencyScore < 0.6,
-    
-    // Show more breaks for longer study sessions
-    suggestMoreBreaks: (userData?.habits?.averageSessionLength || 0) > 40,
-    
-    // Highlight key information for users in a hurry or with attention issues
-    highlightKeyInfo: timeOfDay === 'morning' || (userData?.habits?.distractionLevel === 'high'),
-    
-    // Compact layout for mobile or focus mode
-    useCompactLayout: deviceType === 'mobile' || adaptiveLayout === 'focused',
-    
-    // Show progress indicators for motivation
-    emphasizeProgress: userData?.habits?.consistencyScore < 0.7,
-  };
-};
+export const generateAdaptiveUIHints = (userData, deviceType, timeOfDay, adaptiveLayout) =>
+  evaluateAdaptations(buildAdaptationFacts({
+    userData,
+    deviceType,
+    timeOfDay,
+    focusMode: adaptiveLayout === 'focused'
+  })).values.uiHints;
@@ -0,0 +1,40 @@
+import { determineLayoutComplexity, generateAdaptiveUIHints } from './adaptationHelpers';
+
+test('determineLayoutComplexity weighs the average score with the completion rate', () => {
+  expect(determineLayoutComplexity({ averageScore: 85, completionRate: 0.8 }, 'desktop')).toBe('advanced');
+  expect(determineLayoutComplexity({ averageScore: 85, completionRate: 0.6 }, 'desktop')).toBe('standard');
+  expect(determineLayoutComplexity({ averageScore: 70, completionRate: 0.4 }, 'tablet')).toBe('guided');
+  expect(determineLayoutComplexity({ averageScore: 55, completionRate: 0.9 }, 'desktop')).toBe('guided');
+});
+
+test('determineLayoutComplexity keeps small screens compact', () => {
+  expect(determineLayoutComplexity({ averageScore: 95, completionRate: 0.9 }, 'mobile')).toBe('compact');
+});
+
+test('generateAdaptiveUIHints follows the default rules', () => {
+  const userData = {
+    performance: { averageScore: 62 },
+    habits: { consistencyScore: 0.65, averageSessionLength: 50, distractionLevel: 'low' }
+  };
+
+  expect(generateAdaptiveUIHints(userData, 'desktop', 'evening', 'focused')).toEqual({
+    simplifyNavigation: false,
+    useVisualAids: true,
+    useStepByStep: false,
+    suggestMoreBreaks: true,
+    highlightKeyInfo: false,
+    useCompactLayout: true,
+    emphasizeProgress: true
+  });
+  expect(generateAdaptiveUIHints(null, 'mobile', 'night', 'compact')).toMatchObject({
+    simplifyNavigation: true,
+    useVisualAids: false,
+    useCompactLayout: true
+  });
+});
+
+test('determineLayoutComplexity without results keeps to the simple or guided layouts', () => {
+  expect(determineLayoutComplexity(null, 'desktop')).toBe('compact');
+  expect(determineLayoutComplexity({}, 'desktop')).toBe('compact');
+  expect(determineLayoutComplexity({ averageScore: 90 }, 'desktop')).toBe('guided');
+});
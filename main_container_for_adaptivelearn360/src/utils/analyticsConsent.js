@@ -0,0 +1,60 @@
+/**
+ * Per-field analytics consent for AdaptiveLearn360
+ *
+ * Recorded data is always kept and used to plan the learner's study, but
+ * each kind of record is only analysed for patterns (learned study times,
+ * distraction level, progress charts) while the learner consents to it.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Records the learner can opt in or out of analytics for, with what each one drives
+ */
+export const ANALYTICS_CONSENT_FIELDS = [
+  {
+    field: 'studySessions',
+    label: 'Study sessions',
+    description: 'Learn when you study best and chart your study minutes and time of day.'
+  },
+  {
+    field: 'attempts',
+    label: 'Quiz results',
+    description: 'Chart your score trends and how your weak areas move.'
+  },
+  {
+    field: 'focusSessions',
+    label: 'Focus sessions',
+    description: 'Estimate how easily you get distracted from your focus sessions.'
+  }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Consent for a new learner: every analysis is on until they turn it off
+ */
+export const DEFAULT_ANALYTICS_CONSENT = ANALYTICS_CONSENT_FIELDS.reduce(
+  (consent, { field }) => ({ ...consent, [field]: true }),
+  {}
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Keep a boolean for every consent field, falling back to the default
+ * @param {Object} consent - Stored consent flags
+ * @returns {Object} - { [field]: boolean } for every ANALYTICS_CONSENT_FIELDS entry
+ */
+export const normalizeConsent = (consent) =>
+  ANALYTICS_CONSENT_FIELDS.reduce((flags, { field }) => ({
+    ...flags,
+    [field]: consent && typeof consent[field] === 'boolean' ? consent[field] : DEFAULT_ANALYTICS_CONSENT[field]
+  }), {});
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a kind of record may be analysed for a learner
+ * @param {Object} userData - User data (may be null while loading)
+ * @param {string} field - One of the ANALYTICS_CONSENT_FIELDS fields
+ * @returns {boolean} - False only when the learner has turned the analysis off
+ */
+export const hasAnalyticsConsent = (userData, field) =>
+  normalizeConsent(userData && userData.consent)[field] !== false;
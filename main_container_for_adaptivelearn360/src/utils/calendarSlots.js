@@ -0,0 +1,146 @@
+/**
+ * Utility functions for placing study sessions around busy time in AdaptiveLearn360
+ *
+ * Busy intervals are { start, end } with Date objects or ISO strings.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Hours of the day (start inclusive, end exclusive) covered by each study period
+ */
+export const STUDY_PERIOD_HOURS = {
+  morning: [8, 12],
+  afternoon: [13, 17],
+  evening: [18, 22],
+  night: [22, 24]
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Hour each period starts at on the clock. Unlike the study windows in
+ * STUDY_PERIOD_HOURS these cover the whole day, so every moment has a
+ * period; night runs on past midnight until the morning starts.
+ */
+export const CLOCK_PERIOD_START_HOURS = {
+  morning: 5,
+  afternoon: 12,
+  evening: 17,
+  night: 21
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Period of the day a moment falls in, by CLOCK_PERIOD_START_HOURS. Used
+ * to classify moments; slots are only placed in STUDY_PERIOD_HOURS.
+ * @param {Date|string} date - Moment to classify
+ * @returns {string} - 'morning', 'afternoon', 'evening' or 'night'
+ */
+export const getStudyPeriod = (date = new Date()) => {
+  const hour = new Date(date).getHours();
+  const latestFirst = Object.keys(CLOCK_PERIOD_START_HOURS)
+    .sort((a, b) => CLOCK_PERIOD_START_HOURS[b] - CLOCK_PERIOD_START_HOURS[a]);
+  return latestFirst.find(period => CLOCK_PERIOD_START_HOURS[period] <= hour) || 'night';
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Granularity used when searching for a free slot
+const SLOT_STEP_MINUTES = 15;
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize busy intervals to Date pairs, dropping invalid ones, sorted by start
+ * @param {Array} busyIntervals - Intervals with start and end
+ * @returns {Array} - [{ start: Date, end: Date }]
+ */
+export const normalizeIntervals = (busyIntervals) =>
+  (busyIntervals || [])
+    .map(interval => ({ ...interval, start: new Date(interval.start), end: new Date(interval.end) }))
+    .filter(interval =>
+      !Number.isNaN(interval.start.getTime()) &&
+      !Number.isNaN(interval.end.getTime()) &&
+      interval.end > interval.start
+    )
+    .sort((a, b) => a.start - b.start);
+
+// Whether [start, end) overlaps any busy interval
+const overlapsBusy = (start, end, intervals) =>
+  intervals.some(interval => interval.start < end && interval.end > start);
+
+// PUBLIC_INTERFACE
+/**
+ * Find a free slot for a study session on a given day.
+ * Periods are tried from the highest preference score down; within a
+ * period the earliest free start time wins.
+ * @param {Date} day - Any time on the day to schedule
+ * @param {number} durationMinutes - Session length
+ * @param {Array} busyIntervals - Busy intervals (normalized or raw)
+ * @param {Object} periodScores - Preference score per period, e.g. preferredStudyTime
+ * @param {Date} notBefore - Optional earliest start (e.g. now, for today)
+ * @returns {Object|null} - { start, end, period } or null if the day is full
+ */
+export const findStudySlot = (day, durationMinutes, busyIntervals, periodScores = {}, notBefore = null) => {
+  const intervals = normalizeIntervals(busyIntervals);
+
+  const periods = Object.keys(STUDY_PERIOD_HOURS).sort(
+    (a, b) => (periodScores[b] || 0) - (periodScores[a] || 0)
+  );
+
+  for (const period of periods) {
+    const [startHour, endHour] = STUDY_PERIOD_HOURS[period];
+
+    const periodStart = new Date(day);
+    periodStart.setHours(startHour, 0, 0, 0);
+    const periodEnd = new Date(day);
+    periodEnd.setHours(endHour, 0, 0, 0);
+
+    for (
+      let start = new Date(periodStart);
+      start.getTime() + durationMinutes * MINUTE_MS <= periodEnd.getTime();
+      start = new Date(start.getTime() + SLOT_STEP_MINUTES * MINUTE_MS)
+    ) {
+      if (notBefore && start < notBefore) continue;
+
+      const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+      if (!overlapsBusy(start, end, intervals)) {
+        return { start, end, period };
+      }
+    }
+  }
+
+  return null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Minutes of study time left free by busy intervals on a given day
+ * @param {Date} day - Any time on the day
+ * @param {Array} busyIntervals - Busy intervals (normalized or raw)
+ * @param {Date} notBefore - Optional earliest usable time (e.g. now, for today)
+ * @returns {number} - Free minutes across all study periods
+ */
+export const getFreeStudyMinutes = (day, busyIntervals, notBefore = null) => {
+  const intervals = normalizeIntervals(busyIntervals);
+
+  return Object.values(STUDY_PERIOD_HOURS).reduce((total, [startHour, endHour]) => {
+    const periodStart = new Date(day);
+    periodStart.setHours(startHour, 0, 0, 0);
+    const periodEnd = new Date(day);
+    periodEnd.setHours(endHour, 0, 0, 0);
+
+    const start = notBefore && notBefore > periodStart ? notBefore : periodStart;
+    if (start >= periodEnd) return total;
+
+    // Walk the sorted busy intervals so overlapping ones are not counted twice
+    let cursor = start.getTime();
+    let freeMs = 0;
+    intervals.forEach(interval => {
+      const busyStart = Math.min(interval.start.getTime(), periodEnd.getTime());
+      if (busyStart > cursor) freeMs += busyStart - cursor;
+      cursor = Math.max(cursor, interval.end.getTime());
+    });
+    freeMs += Math.max(0, periodEnd.getTime() - cursor);
+
+    return total + Math.floor(freeMs / MINUTE_MS);
+  }, 0);
+};
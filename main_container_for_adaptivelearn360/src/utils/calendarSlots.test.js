@@ -0,0 +1,25 @@
+import { STUDY_PERIOD_HOURS, getStudyPeriod, findStudySlot } from './calendarSlots';
+
+const atHour = (hour) => new Date(2026, 2, 2, hour, 30);
+
+test('each study window opens in its own period', () => {
+  Object.entries(STUDY_PERIOD_HOURS).forEach(([period, [startHour]]) => {
+    expect(getStudyPeriod(atHour(startHour))).toBe(period);
+  });
+});
+
+test('getStudyPeriod counts early morning as morning and midday as afternoon', () => {
+  expect(getStudyPeriod(atHour(4))).toBe('night');
+  expect(getStudyPeriod(atHour(5))).toBe('morning');
+  expect(getStudyPeriod(atHour(7))).toBe('morning');
+  expect(getStudyPeriod(atHour(12))).toBe('afternoon');
+  expect(getStudyPeriod(atHour(17))).toBe('evening');
+  expect(getStudyPeriod(atHour(21))).toBe('night');
+});
+
+test('findStudySlot books a morning learner into the morning window', () => {
+  const slot = findStudySlot(new Date(2026, 2, 2), 30, [], { morning: 0.9, night: 0.1 });
+
+  expect(slot.period).toBe('morning');
+  expect(slot.start.getHours()).toBe(8);
+});
@@ -1,16 +1,82 @@
 /**
  * Utility functions for prioritizing study content in AdaptiveLearn360
  */
+import { getSkillMastery, classifySkill, MASTERY_THRESHOLDS } from './knowledgeTracing';
+import { topologicalSort, partitionByPrerequisites, orderUnlockedItems } from './prerequisiteGraph';
+import { isValidContentItem } from '../content/contentSchema';
+import { scoreReason } from '../adaptation/reasons';
+
+// Priority adjustment for a traced skill: +3 at 0% mastery down to -2 at 100%.
+// Matches the weak-area (+3) and strong-area (-2) boosts at the extremes.
+const masteryPriorityAdjustment = (mastery) =>
+  Math.round((3 - 5 * mastery) * 10) / 10;
+
+// Earliest of the item's own due date and any upcoming exam that covers it
+const getEffectiveDueDate = (item, exams) => {
+  const now = new Date();
+  const dates = (exams || [])
+    .filter(exam => (exam.itemIds || []).includes(item.id))
+    .map(exam => new Date(exam.date))
+    .filter(date => date > now);
+  if (item.dueDate) dates.push(new Date(item.dueDate));
+  if (dates.length === 0) return null;
+  return new Date(Math.min(...dates));
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// PUBLIC_INTERFACE
+/**
+ * Explain the priority of a focus area (a skill or subject) with the
+ * factors prioritizeContent weighs for its items: mastery when the area is
+ * traced, otherwise its place on the weak/strong lists
+ * @param {string} area - Skill or subject id
+ * @param {Object} performance - User performance data
+ * @param {string} priority - Priority the area was given ('high', 'medium' or 'low')
+ * @returns {Object} - Score reason whose value is the priority points each
+ *   item in the area gets (see adaptation/reasons.js)
+ */
+export const getAreaPriorityReason = (area, performance, priority) => {
+  const mastery = getSkillMastery(performance, area);
+  let factors;
+  let because;
+  if (mastery !== null) {
+    factors = [{ factor: 'mastery', value: mastery, contribution: masteryPriorityAdjustment(mastery) }];
+    because = `${percent(mastery)} mastery makes this ${priority} priority ` +
+      `(high below ${percent(MASTERY_THRESHOLDS.weak)}, low from ${percent(MASTERY_THRESHOLDS.mastered)})`;
+  } else if ((performance?.weakAreas || []).includes(area)) {
+    factors = [{ factor: 'weakArea', value: area, contribution: 3 }];
+    because = `One of your weak areas, so this is ${priority} priority`;
+  } else {
+    factors = [{ factor: 'strongArea', value: area, contribution: -2 }];
+    because = `One of your strong areas, kept at ${priority} priority so it stays fresh`;
+  }
+
+  const points = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+  const sign = points > 0 ? '+' : '';
+  return scoreReason('areaPriority', points, factors, {
+    unit: 'points',
+    summary: `${because}. Its items get ${sign}${points} priority points from it.`
+  });
+};
 
 // PUBLIC_INTERFACE
 /**
- * Prioritize content items based on user performance and habits
- * @param {Array} contentItems - Content items to prioritize
+ * Prioritize content items based on user performance and habits.
+ * Skills with a mastery estimate are weighted by it; other subjects use
+ * the weakAreas/strongAreas lists. Items on an upcoming exam's syllabus
+ * are treated as due on the exam date. Each item gets priorityReason
+ * with every factor's contribution to its score (see adaptation/reasons.js).
+ * Items whose prerequisites are not yet mastered are left out; equal
+ * scores keep dependency order.
+ * @param {Array} allContentItems - Content items to prioritize; items that fail
+ *   content validation are skipped
  * @param {Object} userData - User data containing performance metrics
  * @returns {Array} - Prioritized content items
  */
-export const prioritizeContent = (contentItems, userData) => {
-  if (!contentItems || contentItems.length === 0 || !userData) {
+export const prioritizeContent = (allContentItems, userData) => {
+  const contentItems = (allContentItems || []).filter(isValidContentItem);
+  if (contentItems.length === 0 || !userData) {
     return [];
   }
 
@@ -18,48 +84,60 @@ export const prioritizeContent = (contentItems, userData) => {
   const weakAreas = performance?.weakAreas || [];
   const strongAreas = performance?.strongAreas || [];
   
-  // Create a copy to avoid modifying the original
-  const prioritizedItems = [...contentItems];
+  // Only unlocked items, in dependency order (a new array, so the input is not reordered)
+  const prioritizedItems = orderUnlockedItems(contentItems, performance);
   
   // Calculate priority score for each item
   prioritizedItems.forEach(item => {
-    let priorityScore = 5; // Default middle priority
+    const factors = [{ factor: 'base', value: 5, contribution: 5 }]; // Default middle priority
     
-    // Factor 1: Is this a weak area? (+3 priority)
-    if (weakAreas.includes(item.subject)) {
-      priorityScore += 3;
-    }
+    const mastery = getSkillMastery(performance, item.skill || item.subject);
     
-    // Factor 2: Is this a strong area? (-2 priority)
-    if (strongAreas.includes(item.subject)) {
-      priorityScore -= 2;
+    if (mastery !== null) {
+      // Factors 1 & 2: Lower mastery, higher priority (+3 to -2)
+      factors.push({ factor: 'mastery', value: mastery, contribution: masteryPriorityAdjustment(mastery) });
+    } else {
+      // Factor 1: Is this a weak area? (+3 priority)
+      if (weakAreas.includes(item.subject)) {
+        factors.push({ factor: 'weakArea', value: item.subject, contribution: 3 });
+      }
+      
+      // Factor 2: Is this a strong area? (-2 priority)
+      if (strongAreas.includes(item.subject)) {
+        factors.push({ factor: 'strongArea', value: item.subject, contribution: -2 });
+      }
     }
     
     // Factor 3: Item difficulty (+0 to +2 priority)
-    priorityScore += Math.min(2, Math.max(0, item.difficulty - 3));
+    factors.push({ factor: 'difficulty', value: item.difficulty, contribution: Math.min(2, Math.max(0, item.difficulty - 3)) });
     
-    // Factor 4: Time sensitivity (deadline proximity) (+0 to +3)
-    if (item.dueDate) {
-      const daysUntilDue = Math.max(0, (new Date(item.dueDate) - new Date()) / (1000 * 60 * 60 * 24));
+    // Factor 4: Time sensitivity (deadline or exam proximity) (+0 to +3)
+    const dueDate = getEffectiveDueDate(item, userData.exams);
+    if (dueDate) {
+      const daysUntilDue = Math.max(0, (dueDate - new Date()) / (1000 * 60 * 60 * 24));
+      let dueBoost = 0;
       if (daysUntilDue < 1) {
-        priorityScore += 3; // Due within 24 hours
+        dueBoost = 3; // Due within 24 hours
       } else if (daysUntilDue < 3) {
-        priorityScore += 2; // Due within 3 days
+        dueBoost = 2; // Due within 3 days
       } else if (daysUntilDue < 7) {
-        priorityScore += 1; // Due within a week
+        dueBoost = 1; // Due within a week
       }
+      factors.push({ factor: 'dueDate', value: daysUntilDue, contribution: dueBoost });
     }
     
     // Factor 5: Previously struggled item (+2)
     if (item.previouslyStruggled) {
-      priorityScore += 2;
+      factors.push({ factor: 'previouslyStruggled', value: true, contribution: 2 });
     }
     
     // Factor 6: New content that hasn't been studied yet (+1)
     if (!item.lastStudied) {
-      priorityScore += 1;
+      factors.push({ factor: 'newContent', value: true, contribution: 1 });
     }
     
+    const priorityScore = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+    
     // Save priority score and mapping to priority level
     item.priorityScore = priorityScore;
     
@@ -74,6 +152,12 @@ export const prioritizeContent = (contentItems, userData) => {
     } else {
       item.priority = 'optional';
     }
+    
+    item.priorityReason = scoreReason('priorityScore', priorityScore, factors, {
+      unit: 'points',
+      summary: `${Math.round(priorityScore * 10) / 10} points make this ${item.priority} ` +
+        '(critical from 10, high from 8, medium from 5, low from 3)'
+    });
   });
   
   // Sort by priority score (descending)
@@ -157,55 +241,31 @@ function getPriorityValue(priority) {
 
 // PUBLIC_INTERFACE
 /**
- * Recommend content sequence based on learning theory
+ * Recommend content sequence based on learning theory.
+ * Items are ordered topologically across all subjects, interleaving
+ * subjects wherever prerequisites allow. When performance is given, items
+ * whose prerequisites are not yet mastered are left out.
  * @param {Array} contentItems - Content items to sequence
+ * @param {Object} performance - Optional user performance data with itemMastery
+ * @param {number} masteryThreshold - Optional mastery a prerequisite needs
  * @returns {Array} - Content items in recommended sequence
+ * @throws {PrerequisiteCycleError} - If prerequisites form a cycle
  */
-export const recommendContentSequence = (contentItems) => {
+export const recommendContentSequence = (contentItems, performance, masteryThreshold) => {
   if (!contentItems || contentItems.length === 0) {
     return [];
   }
   
-  // Group items by subject
-  const bySubject = contentItems.reduce((groups, item) => {
-    const subject = item.subject || 'general';
-    if (!groups[subject]) {
-      groups[subject] = [];
-    }
-    groups[subject].push(item);
-    return groups;
-  }, {});
+  // Order everything first so cycles are reported even for blocked items
+  const ordered = topologicalSort(contentItems);
   
-  // Within each subject, arrange by dependency and difficulty
-  Object.keys(bySubject).forEach(subject => {
-    bySubject[subject].sort((a, b) => {
-      // First by dependencies
-      if (a.dependsOn && a.dependsOn.includes(b.id)) return 1;
-      if (b.dependsOn && b.dependsOn.includes(a.id)) return -1;
-      
-      // Then by difficulty (shallow to deep)
-      return a.difficulty - b.difficulty;
-    });
-  });
-  
-  // Interleave subjects for better learning retention (spaced repetition)
-  const result = [];
-  let hasMore = true;
-  let index = 0;
-  const subjects = Object.keys(bySubject);
-  
-  while (hasMore) {
-    hasMore = false;
-    subjects.forEach(subject => {
-      if (index < bySubject[subject].length) {
-        result.push(bySubject[subject][index]);
-        hasMore = true;
-      }
-    });
-    index++;
+  if (!performance) {
+    return ordered;
   }
   
-  return result;
+  const { unlocked } = partitionByPrerequisites(contentItems, performance, masteryThreshold);
+  const unlockedIds = new Set(unlocked.map(item => item.id));
+  return ordered.filter(item => unlockedIds.has(item.id));
 };
 
 // PUBLIC_INTERFACE
@@ -242,15 +302,20 @@ export const generateBalancedStudyMix = (contentItems, performance) => {
     }
   }
   
-  const weakAreas = performance?.weakAreas || [];
-  const strongAreas = performance?.strongAreas || [];
+  // Group content by category. Weak and developing skills are reviewed
+  // lowest mastery first; untraced weak areas keep their original order.
+  const skillOf = (item) => item.skill || item.subject;
+  const categoryOf = (item) => classifySkill(performance, skillOf(item));
+  const masteryOf = (item) => {
+    const mastery = getSkillMastery(performance, skillOf(item));
+    return mastery === null ? 0 : mastery;
+  };
   
-  // Group content by category
-  const weakAreaItems = contentItems.filter(item => weakAreas.includes(item.subject));
-  const strongAreaItems = contentItems.filter(item => strongAreas.includes(item.subject));
-  const newContentItems = contentItems.filter(item => 
-    !weakAreas.includes(item.subject) && !strongAreas.includes(item.subject)
-  );
+  const weakAreaItems = contentItems
+    .filter(item => ['weak', 'developing'].includes(categoryOf(item)))
+    .sort((a, b) => masteryOf(a) - masteryOf(b));
+  const strongAreaItems = contentItems.filter(item => categoryOf(item) === 'strong');
+  const newContentItems = contentItems.filter(item => categoryOf(item) === 'new');
   
   // Calculate how many of each type to include
   const totalItems = Math.min(contentItems.length, 10); // Max items to return
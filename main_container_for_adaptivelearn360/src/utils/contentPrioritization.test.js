@@ -0,0 +1,45 @@
+import { prioritizeContent, getAreaPriorityReason } from './contentPrioritization';
+import { describeReason } from '../adaptation/reasons';
+import { sampleContent } from '../data/sampleContent';
+import { mockUserData } from '../data/mockUserData';
+
+const prioritize = (itemMastery) => prioritizeContent(
+  sampleContent.map(item => ({ ...item })),
+  { ...mockUserData, performance: { ...mockUserData.performance, itemMastery } }
+);
+
+test('prioritizeContent leaves out items with unmastered prerequisites', () => {
+  const ids = prioritize({}).map(item => item.id);
+
+  expect(ids).toContain('calc-limits');
+  expect(ids).not.toContain('calc-derivatives');
+});
+
+test('prioritizeContent includes an item once its prerequisites are mastered', () => {
+  const ids = prioritize({ 'calc-limits': { mastery: 0.7 } }).map(item => item.id);
+
+  expect(ids).toContain('calc-derivatives');
+  expect(ids).not.toContain('ochem-reactions');
+});
+
+test('getAreaPriorityReason explains a traced skill by its mastery', () => {
+  const reason = getAreaPriorityReason('algebra', { mastery: { algebra: { mastery: 0.4 } } }, 'high');
+
+  expect(reason).toMatchObject({ value: 1, source: 'score', unit: 'points' });
+  expect(describeReason(reason)).toEqual({
+    summary: '40% mastery makes this high priority (high below 60%, low from 85%). Its items get +1 priority points from it.',
+    because: ['Your mastery of this skill: 40% (+1 points)'],
+    ruledOut: []
+  });
+});
+
+test('getAreaPriorityReason explains untraced areas by the weak and strong lists', () => {
+  const performance = { weakAreas: ['physics'], strongAreas: ['biology'] };
+
+  expect(describeReason(getAreaPriorityReason('physics', performance, 'high')).because)
+    .toEqual(['One of your weak areas: physics (+3 points)']);
+  expect(getAreaPriorityReason('biology', performance, 'medium')).toMatchObject({
+    value: -2,
+    summary: 'One of your strong areas, kept at medium priority so it stays fresh. Its items get -2 priority points from it.'
+  });
+});
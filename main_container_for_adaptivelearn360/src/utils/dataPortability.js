@@ -0,0 +1,261 @@
+/**
+ * Learner data export and import for AdaptiveLearn360
+ *
+ * An export is a versioned JSON archive of everything recorded for a learner:
+ *   { format: 'adaptivelearn360-export', exportVersion: 1, schemaVersion,
+ *     exportedAt, learner, schedule }
+ * learner is the stored user data (not the derived view), so an archive is
+ * migrated and repaired like a stored record when it comes back in. The
+ * schedule is included for reference only; it is regenerated, not imported.
+ * Sessions and attempts can also be exported as CSV for spreadsheets.
+ *
+ * Importing is a merge, never a replacement: records are added by id,
+ * imported preferences and accessibility settings win, and the learner's
+ * current name, consent choices and adaptation overrides are kept.
+ */
+import { USER_DATA_SCHEMA_VERSION, userDataMigrations, repairUserData } from '../persistence/userDataSchema';
+import { migrateRecord } from '../persistence/persistentStore';
+
+// PUBLIC_INTERFACE
+/**
+ * Format id written into every export archive
+ */
+export const DATA_EXPORT_FORMAT = 'adaptivelearn360-export';
+
+// PUBLIC_INTERFACE
+/**
+ * Version of the archive envelope (the learner data has its own schemaVersion)
+ */
+export const DATA_EXPORT_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when an archive cannot be imported at all
+ */
+export class DataImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DataImportError';
+  }
+}
+
+// Stored sections bundled into an archive, in the order they are written
+const EXPORTED_FIELDS = [
+  'id', 'name', 'preferences', 'accessibility', 'performance', 'habits', 'consent',
+  'studySessions', 'attempts', 'focusSessions', 'reviewStates', 'exams', 'examPlan',
+  'busyIntervals', 'placement', 'adaptationOverrides'
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Bundle a learner's data into an export archive
+ * @param {Object} userData - Stored user data (not the derived view)
+ * @param {Object} options - { schedule } to include for reference, { now }
+ * @returns {Object} - Archive, ready for JSON.stringify
+ */
+export const createDataExport = (userData, { schedule = [], now = new Date() } = {}) => ({
+  format: DATA_EXPORT_FORMAT,
+  exportVersion: DATA_EXPORT_VERSION,
+  schemaVersion: USER_DATA_SCHEMA_VERSION,
+  exportedAt: now.toISOString(),
+  learner: EXPORTED_FIELDS.reduce((learner, field) => (
+    userData[field] === undefined ? learner : { ...learner, [field]: userData[field] }
+  ), {}),
+  schedule
+});
+
+// Quote a CSV field when it holds a delimiter, quote or line break (RFC 4180)
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One header row and one row per record
+const toCsv = (columns, records) =>
+  [columns.map(column => column.header), ...(records || []).map(record => columns.map(column => column.value(record)))]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n');
+
+const SESSION_COLUMNS = [
+  { header: 'id', value: session => session.id },
+  { header: 'start', value: session => session.startTime },
+  { header: 'end', value: session => session.endTime },
+  { header: 'minutes', value: session => session.duration },
+  { header: 'subject', value: session => session.subject },
+  { header: 'items', value: session => (session.itemIds || []).join(';') },
+  { header: 'focus rating', value: session => session.focusRating },
+  { header: 'interruptions', value: session => (session.interruptions || []).length }
+];
+
+const ATTEMPT_COLUMNS = [
+  { header: 'id', value: attempt => attempt.id },
+  { header: 'timestamp', value: attempt => attempt.timestamp },
+  { header: 'type', value: attempt => attempt.type },
+  { header: 'subject', value: attempt => attempt.subject },
+  { header: 'skill', value: attempt => attempt.skill },
+  { header: 'item', value: attempt => attempt.itemId },
+  { header: 'score', value: attempt => attempt.score },
+  { header: 'seconds', value: attempt => attempt.timeSpent }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Study sessions as CSV, one row per session
+ * @param {Array} sessions - Session records
+ * @returns {string} - CSV text with a header row
+ */
+export const sessionsToCsv = (sessions) => toCsv(SESSION_COLUMNS, sessions);
+
+// PUBLIC_INTERFACE
+/**
+ * Quiz and practice attempts as CSV, one row per attempt
+ * @param {Array} attempts - Attempt records
+ * @returns {string} - CSV text with a header row
+ */
+export const attemptsToCsv = (attempts) => toCsv(ATTEMPT_COLUMNS, attempts);
+
+// PUBLIC_INTERFACE
+/**
+ * Read an export archive, upgrading older learner data to the current schema
+ * @param {string|Object} source - Archive JSON text or the parsed object
+ * @returns {Object} - { learner, exportedAt, schedule } with learner repaired
+ *   into complete user data
+ * @throws {DataImportError} - If the archive is malformed or from a newer version
+ */
+export const parseDataExport = (source) => {
+  let archive = source;
+  if (typeof source === 'string') {
+    try {
+      archive = JSON.parse(source);
+    } catch (error) {
+      throw new DataImportError(`Archive is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!archive || typeof archive !== 'object' || archive.format !== DATA_EXPORT_FORMAT) {
+    throw new DataImportError('This file is not an AdaptiveLearn360 data export');
+  }
+  if (!Number.isInteger(archive.exportVersion) || !Number.isInteger(archive.schemaVersion)) {
+    throw new DataImportError('Archive has no version information');
+  }
+  if (archive.exportVersion > DATA_EXPORT_VERSION || archive.schemaVersion > USER_DATA_SCHEMA_VERSION) {
+    throw new DataImportError('Archive was made by a newer version of AdaptiveLearn360');
+  }
+
+  let learner;
+  try {
+    learner = repairUserData(
+      migrateRecord(archive.learner, archive.schemaVersion, USER_DATA_SCHEMA_VERSION, userDataMigrations)
+    );
+  } catch (error) {
+    throw new DataImportError(`Archive learner data could not be upgraded: ${error.message}`);
+  }
+  if (!learner) {
+    throw new DataImportError('Archive has no usable learner data');
+  }
+
+  return {
+    learner,
+    exportedAt: archive.exportedAt || null,
+    schedule: Array.isArray(archive.schedule) ? archive.schedule : []
+  };
+};
+
+// Incoming records whose key is not already present (or repeated earlier in the import)
+const newRecords = (existing, incoming, keyOf) => {
+  const seen = new Set((existing || []).map(keyOf));
+  return (incoming || []).filter(record => {
+    const key = keyOf(record);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const attemptKey = (attempt) => attempt.id || `${attempt.itemId}-${new Date(attempt.timestamp).getTime()}`;
+const byId = (record) => record.id;
+const intervalKey = (interval) => `${interval.start}|${interval.end}`;
+
+// Settings in a section whose imported value differs from the current one
+const changedSettings = (current, incoming) =>
+  Object.entries(incoming || {}).reduce((patch, [key, value]) => (
+    JSON.stringify(value) === JSON.stringify((current || {})[key]) ? patch : { ...patch, [key]: value }
+  ), {});
+
+// Keep the most recently reviewed state of each item
+const mergeReviewStates = (current, incoming) =>
+  Object.entries(incoming || {}).reduce((states, [itemId, state]) => {
+    const existing = states[itemId];
+    const newer = !existing ||
+      new Date(state.lastReviewed || 0).getTime() > new Date(existing.lastReviewed || 0).getTime();
+    return newer ? { ...states, [itemId]: state } : states;
+  }, current || {});
+
+const laterPlacement = (current, incoming) => {
+  if (!current || !incoming) return current || incoming || null;
+  return new Date(incoming.completedAt).getTime() > new Date(current.completedAt).getTime() ? incoming : current;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Work out what importing archived learner data would change, without changing anything
+ * @param {Object} current - Current stored user data
+ * @param {Object} incoming - Learner data from parseDataExport
+ * @returns {Object} - Import plan:
+ *   attempts, studySessions: records to add,
+ *   preferences, accessibility: patches of the settings that differ,
+ *   local: merged values of the fields only kept on this device
+ *     (reviewStates, focusSessions, exams, examPlan, busyIntervals, placement, completionHistory),
+ *   summary: how many of each would be added or changed,
+ *   learnerId: whose archive it is
+ */
+export const planDataImport = (current, incoming) => {
+  const attempts = newRecords(current.attempts, incoming.attempts, attemptKey)
+    .map(attempt => ({ ...attempt, id: attemptKey(attempt) }));
+  const studySessions = newRecords(current.studySessions, incoming.studySessions, byId);
+  const focusSessions = newRecords(current.focusSessions, incoming.focusSessions, byId);
+  const exams = newRecords(current.exams, incoming.exams, byId);
+  const busyIntervals = newRecords(current.busyIntervals, incoming.busyIntervals, intervalKey);
+  const history = newRecords(
+    current.habits.completionHistory,
+    incoming.habits.completionHistory,
+    entry => entry.date
+  );
+  const preferences = changedSettings(current.preferences, incoming.preferences);
+  const accessibility = changedSettings(current.accessibility, incoming.accessibility);
+  const reviewStates = mergeReviewStates(current.reviewStates, incoming.reviewStates);
+  const placement = laterPlacement(current.placement, incoming.placement);
+
+  return {
+    learnerId: incoming.id,
+    attempts,
+    studySessions,
+    preferences,
+    accessibility,
+    local: {
+      reviewStates,
+      focusSessions: [...(current.focusSessions || []), ...focusSessions],
+      exams: [...(current.exams || []), ...exams],
+      examPlan: current.examPlan || incoming.examPlan,
+      busyIntervals: [...(current.busyIntervals || []), ...busyIntervals],
+      placement,
+      completionHistory: [...current.habits.completionHistory, ...history]
+        .sort((a, b) => a.date.localeCompare(b.date))
+    },
+    summary: {
+      attempts: attempts.length,
+      studySessions: studySessions.length,
+      focusSessions: focusSessions.length,
+      exams: exams.length,
+      busyIntervals: busyIntervals.length,
+      completionHistory: history.length,
+      reviewStates: Object.keys(reviewStates).filter(itemId =>
+        reviewStates[itemId] !== (current.reviewStates || {})[itemId]
+      ).length,
+      preferences: Object.keys(preferences).length,
+      accessibility: Object.keys(accessibility).length,
+      placement: placement !== current.placement ? 1 : 0,
+      examPlan: !current.examPlan && incoming.examPlan ? 1 : 0
+    }
+  };
+};
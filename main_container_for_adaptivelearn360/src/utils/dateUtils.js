@@ -0,0 +1,45 @@
+/**
+ * Date helpers shared by AdaptiveLearn360 utilities.
+ * Day keys use the user's local calendar day, not the UTC date.
+ */
+
+// PUBLIC_INTERFACE
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Local calendar day key (YYYY-MM-DD) for a date
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string} - Day key
+ */
+export const toDayKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Local midnight at the start of a date's day
+ * @param {Date|string} date - Date or ISO string
+ * @returns {Date} - Start of the day
+ */
+export const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Add calendar days to a date without modifying the original
+ * @param {Date|string} date - Date or ISO string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} - New date
+ */
+export const addCalendarDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
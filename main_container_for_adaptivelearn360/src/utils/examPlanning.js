@@ -0,0 +1,289 @@
+/**
+ * Exam-driven backward planning for AdaptiveLearn360
+ *
+ * An exam is { id, name, date, itemIds, createdAt } with ISO date strings.
+ * Every syllabus item needs a learning pass and a review pass before the
+ * exam day. Work is levelled across the days that are left, learning moves
+ * forward in prerequisite order and reviews are pulled towards the deadline.
+ */
+import { findStudySlot, getFreeStudyMinutes } from './calendarSlots';
+import { topologicalSort, PrerequisiteCycleError } from './prerequisiteGraph';
+import { DAY_MS, toDayKey, startOfDay, addCalendarDays } from './dateUtils';
+import { getStudyTimeScores } from './studyTimePreferences';
+import { isValidContentItem } from '../content/contentSchema';
+
+// PUBLIC_INTERFACE
+/**
+ * Study passes each syllabus item needs before its exam: learn, then review
+ */
+export const REQUIRED_PASSES = 2;
+
+// Minutes for learning an item that has no estimatedDuration
+const DEFAULT_LEARN_MINUTES = 10;
+
+// Local day keys on which an item was studied since a given time
+const getStudyDays = (userData, itemId, since) => {
+  const sinceTime = since ? new Date(since).getTime() : 0;
+  const days = new Set();
+
+  (userData?.attempts || []).forEach(attempt => {
+    if (attempt.itemId === itemId && new Date(attempt.timestamp).getTime() >= sinceTime) {
+      days.add(toDayKey(attempt.timestamp));
+    }
+  });
+
+  const lastReviewed = userData?.reviewStates?.[itemId]?.lastReviewed;
+  if (lastReviewed && new Date(lastReviewed).getTime() >= sinceTime) {
+    days.add(toDayKey(lastReviewed));
+  }
+
+  return days;
+};
+
+// Learn and review tasks still needed for one syllabus item
+const buildItemTasks = (exam, item, passesDone) => {
+  const learnMinutes = item.estimatedDuration || DEFAULT_LEARN_MINUTES;
+  const task = (kind, minutes) => ({
+    examId: exam.id,
+    itemId: item.id,
+    title: item.title,
+    subject: item.subject,
+    kind,
+    minutes
+  });
+
+  const tasks = [];
+  if (passesDone < 1) tasks.push(task('learn', learnMinutes));
+  if (passesDone < REQUIRED_PASSES) tasks.push(task('review', Math.max(5, Math.round(learnMinutes * 0.4))));
+  return tasks;
+};
+
+// Syllabus items in prerequisite order; a cycle falls back to syllabus order
+const orderSyllabus = (items, warnings, exam) => {
+  try {
+    return topologicalSort(items);
+  } catch (error) {
+    if (!(error instanceof PrerequisiteCycleError)) throw error;
+    warnings.push({ type: 'prerequisite-cycle', examId: exam.id, examName: exam.name, cycle: error.cycle });
+    return items;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Plan study sessions backwards from upcoming exams.
+ * Exams are planned earliest first and share each day's capacity, which is
+ * the free study time left by busy intervals, capped at maxDailyMinutes.
+ * @param {Object} userData - User data with exams, attempts, reviewStates and habits
+ * @param {Array} contentItems - Content items the syllabus ids refer to
+ * @param {Object} options - { now, maxDailyMinutes, busyIntervals (defaults to userData.busyIntervals) }
+ * @returns {Object} - { generatedAt, sessions, warnings, unscheduled }
+ *   warnings: over-commitment ({ requiredMinutes, availableMinutes }), no-time,
+ *   missing-items and prerequisite-cycle entries, each with examId and examName
+ */
+export const generateExamPlan = (userData, contentItems, options = {}) => {
+  const {
+    now = new Date(),
+    maxDailyMinutes = 120,
+    busyIntervals = userData?.busyIntervals || []
+  } = options;
+
+  const today = startOfDay(now);
+  const itemsById = new Map((contentItems || []).filter(isValidContentItem).map(item => [item.id, item]));
+  const warnings = [];
+  const unscheduled = [];
+
+  // Minutes still free per day, shared by all exams
+  const capacity = {};
+  const capacityOf = (day) => {
+    const key = toDayKey(day);
+    if (!(key in capacity)) {
+      const notBefore = key === toDayKey(now) ? now : null;
+      capacity[key] = Math.min(maxDailyMinutes, getFreeStudyMinutes(day, busyIntervals, notBefore));
+    }
+    return capacity[key];
+  };
+  const tasksByDay = {};
+
+  const exams = (userData?.exams || [])
+    .filter(exam => new Date(exam.date) > now)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  exams.forEach(exam => {
+    const examDay = startOfDay(exam.date);
+    const dayCount = Math.max(0, Math.round((examDay - today) / DAY_MS));
+    const days = Array.from({ length: dayCount }, (_, index) => addCalendarDays(today, index));
+
+    const syllabus = (exam.itemIds || []).map(id => itemsById.get(id)).filter(Boolean);
+    if (syllabus.length < (exam.itemIds || []).length) {
+      warnings.push({
+        type: 'missing-items',
+        examId: exam.id,
+        examName: exam.name,
+        itemIds: exam.itemIds.filter(id => !itemsById.has(id))
+      });
+    }
+
+    const tasks = orderSyllabus(syllabus, warnings, exam).flatMap(item =>
+      buildItemTasks(exam, item, getStudyDays(userData, item.id, exam.createdAt).size)
+    );
+    if (tasks.length === 0) return;
+
+    if (days.length === 0) {
+      warnings.push({ type: 'no-time', examId: exam.id, examName: exam.name });
+      unscheduled.push(...tasks);
+      return;
+    }
+
+    const requiredMinutes = tasks.reduce((sum, task) => sum + task.minutes, 0);
+    const availableMinutes = days.reduce((sum, day) => sum + capacityOf(day), 0);
+    if (requiredMinutes > availableMinutes) {
+      warnings.push({ type: 'over-commitment', examId: exam.id, examName: exam.name, requiredMinutes, availableMinutes });
+    }
+
+    // Daily target that spreads this exam's work evenly over the days left
+    const target = Math.ceil(requiredMinutes / days.length);
+    const usedForExam = new Array(days.length).fill(0);
+
+    // Take the first candidate day that stays within the target, otherwise
+    // the least loaded candidate that still has room
+    const place = (task, candidates) => {
+      const withRoom = candidates.filter(i => capacityOf(days[i]) >= task.minutes);
+      if (withRoom.length === 0) return null;
+
+      const index = withRoom.find(i => usedForExam[i] + task.minutes <= target) ??
+        withRoom.reduce((best, i) => (usedForExam[i] < usedForExam[best] ? i : best));
+
+      const key = toDayKey(days[index]);
+      capacity[key] -= task.minutes;
+      usedForExam[index] += task.minutes;
+      tasksByDay[key] = [...(tasksByDay[key] || []), task];
+      return index;
+    };
+
+    const range = (from, to) =>
+      from <= to
+        ? Array.from({ length: to - from + 1 }, (_, i) => from + i)
+        : Array.from({ length: from - to + 1 }, (_, i) => from - i);
+
+    const lastDay = days.length - 1;
+    const learnDays = {};
+    let learnCursor = 0;
+
+    // Learning goes forward in prerequisite order, leaving the last day for review
+    tasks.filter(task => task.kind === 'learn').forEach(task => {
+      const latest = Math.max(learnCursor, lastDay - 1);
+      const candidates = latest < lastDay ? [...range(learnCursor, latest), lastDay] : range(learnCursor, latest);
+      const index = place(task, candidates);
+      if (index === null) {
+        unscheduled.push(task);
+        return;
+      }
+      learnDays[task.itemId] = index;
+      learnCursor = index;
+    });
+
+    // Reviews are pulled towards the deadline, after the learning day
+    tasks.filter(task => task.kind === 'review').forEach(task => {
+      const learnedOn = learnDays[task.itemId];
+      if (learnedOn === undefined && tasks.some(t => t.kind === 'learn' && t.itemId === task.itemId)) {
+        unscheduled.push(task);
+        return;
+      }
+      const earliest = learnedOn === undefined ? 0 : Math.min(learnedOn + 1, lastDay);
+      if (place(task, range(lastDay, earliest)) === null) {
+        unscheduled.push(task);
+      }
+    });
+  });
+
+  // Turn each day's tasks into sessions placed around busy time
+  const sessionLength = userData?.preferences?.studyDuration || 25;
+  const breakDuration = userData?.preferences?.breakDuration || 5;
+  const sessions = [];
+
+  Object.keys(tasksByDay).sort().forEach(key => {
+    const day = new Date(`${key}T00:00:00`);
+    const notBefore = key === toDayKey(now) ? now : null;
+    const dayBusy = [...busyIntervals];
+
+    const groups = [];
+    tasksByDay[key].forEach(task => {
+      const current = groups[groups.length - 1];
+      if (current && current.minutes + task.minutes <= sessionLength) {
+        current.tasks.push(task);
+        current.minutes += task.minutes;
+      } else {
+        groups.push({ tasks: [task], minutes: task.minutes });
+      }
+    });
+
+    groups.forEach(group => {
+      const periodScores = getStudyTimeScores(userData?.habits, day.getDay());
+      const slot = findStudySlot(day, group.minutes + breakDuration, dayBusy, periodScores, notBefore);
+      if (!slot) {
+        unscheduled.push(...group.tasks);
+        return;
+      }
+      const end = new Date(slot.start.getTime() + group.minutes * 60 * 1000);
+      dayBusy.push({ start: slot.start, end: slot.end });
+      sessions.push({
+        id: `${key}-${sessions.length + 1}`,
+        date: slot.start.toISOString(),
+        endDate: end.toISOString(),
+        period: slot.period,
+        duration: group.minutes,
+        examIds: [...new Set(group.tasks.map(task => task.examId))],
+        tasks: group.tasks
+      });
+    });
+  });
+
+  sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    sessions,
+    warnings,
+    unscheduled
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Find planned sessions that have ended without their items being studied.
+ * A task counts as done when its item was studied on or after the session day.
+ * @param {Object} plan - Plan returned by generateExamPlan
+ * @param {Object} userData - User data with exams, attempts and reviewStates
+ * @param {Date} now - Current time
+ * @returns {Array} - Missed sessions
+ */
+export const findMissedSessions = (plan, userData, now = new Date()) => {
+  if (!plan || !Array.isArray(plan.sessions)) return [];
+
+  const examsById = new Map((userData?.exams || []).map(exam => [exam.id, exam]));
+
+  return plan.sessions.filter(session => {
+    if (new Date(session.endDate) > now) return false;
+
+    const sessionDay = toDayKey(session.date);
+    return session.tasks.some(task => {
+      const exam = examsById.get(task.examId);
+      if (!exam) return false;
+      const studyDays = getStudyDays(userData, task.itemId, exam.createdAt);
+      return ![...studyDays].some(day => day >= sessionDay);
+    });
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Key that changes whenever the exams a plan was built from change
+ * @param {Array} exams - Exams from user data
+ * @returns {string} - Plan key
+ */
+export const getExamPlanKey = (exams) =>
+  (exams || [])
+    .map(exam => `${exam.id}@${exam.date}:${[...(exam.itemIds || [])].sort().join(',')}`)
+    .sort()
+    .join('|');
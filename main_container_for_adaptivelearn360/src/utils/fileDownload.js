@@ -0,0 +1,19 @@
+/**
+ * File downloads for exports generated in the browser
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Offer text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,183 @@
+/**
+ * Focus-mode session tracking for AdaptiveLearn360
+ *
+ * While focus mode is on, every time the learner leaves the app (the tab is
+ * hidden or the window loses focus) a distraction is opened, and it is closed
+ * when they come back. A finished session is stored as:
+ *   { id, startTime, endTime, duration, distractions, awayMinutes, focusScore }
+ * with duration in minutes and focusScore from 0 to 100. Recent scores
+ * set habits.distractionLevel.
+ */
+import { DAY_MS } from './dateUtils';
+
+const MINUTE_MS = 60 * 1000;
+
+// Leaving for less than this (e.g. a stray click outside the window) is not a distraction
+const MIN_DISTRACTION_MS = 2000;
+
+// Score lost for each distraction, on top of the time spent away
+const DISTRACTION_PENALTY = 5;
+
+// Focus scores at or above these mean low and medium distraction
+const DISTRACTION_THRESHOLDS = { low: 80, medium: 60 };
+
+// PUBLIC_INTERFACE
+/**
+ * Start tracking a focus session
+ * @param {Date} now - Current time
+ * @returns {Object} - { startedAt, distractions: [] }
+ */
+export const startFocusSession = (now = new Date()) => ({
+  startedAt: now.toISOString(),
+  distractions: []
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Note that the learner left the app. Ignored while a distraction is already open.
+ * @param {Object} session - Focus session being tracked
+ * @param {string} type - 'hidden' (tab switched or minimised) or 'blur' (another window)
+ * @param {Date} at - When they left
+ * @returns {Object} - Focus session
+ */
+export const openDistraction = (session, type, at = new Date()) => {
+  if (session.distractions.some(distraction => !distraction.end)) return session;
+  return {
+    ...session,
+    distractions: [...session.distractions, { type, start: at.toISOString(), end: null }]
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Note that the learner came back to the app
+ * @param {Object} session - Focus session being tracked
+ * @param {Date} at - When they came back
+ * @returns {Object} - Focus session
+ */
+export const closeDistraction = (session, at = new Date()) => {
+  if (!session.distractions.some(distraction => !distraction.end)) return session;
+  return {
+    ...session,
+    distractions: session.distractions.map(distraction =>
+      (distraction.end ? distraction : { ...distraction, end: at.toISOString() })
+    )
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Distractions long enough to count, with open ones closed at the given time
+ * @param {Object} session - Focus session being tracked
+ * @param {Date} now - Current time
+ * @returns {Array} - [{ type, start, end }]
+ */
+export const getCountedDistractions = (session, now = new Date()) =>
+  session.distractions
+    .map(distraction => ({ ...distraction, end: distraction.end || now.toISOString() }))
+    .filter(distraction => new Date(distraction.end) - new Date(distraction.start) >= MIN_DISTRACTION_MS);
+
+// PUBLIC_INTERFACE
+/**
+ * Focus score: the share of the session spent in the app, less a fixed
+ * penalty per distraction
+ * @param {number} durationMs - Session length
+ * @param {number} awayMs - Time spent away
+ * @param {number} distractionCount - Number of distractions
+ * @returns {number} - Score from 0 to 100
+ */
+export const computeFocusScore = (durationMs, awayMs, distractionCount) => {
+  if (durationMs <= 0) return 100;
+  const focusedShare = Math.max(0, 1 - awayMs / durationMs);
+  return Math.max(0, Math.round(focusedShare * 100 - distractionCount * DISTRACTION_PENALTY));
+};
+
+let focusCounter = 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Finish a focus session and build its record
+ * @param {Object} session - Focus session being tracked
+ * @param {Date} now - When it ended
+ * @returns {Object} - Focus session record
+ */
+export const summarizeFocusSession = (session, now = new Date()) => {
+  const distractions = getCountedDistractions(session, now);
+  const durationMs = Math.max(0, now - new Date(session.startedAt));
+  const awayMs = distractions.reduce(
+    (sum, distraction) => sum + (new Date(distraction.end) - new Date(distraction.start)),
+    0
+  );
+
+  focusCounter += 1;
+  return {
+    id: `focus-${now.getTime()}-${focusCounter}`,
+    startTime: session.startedAt,
+    endTime: now.toISOString(),
+    duration: Math.round(durationMs / MINUTE_MS),
+    distractions,
+    awayMinutes: Math.round(awayMs / MINUTE_MS),
+    focusScore: computeFocusScore(durationMs, awayMs, distractions.length)
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check that a focus session record has the fields the derivations rely on
+ * @param {Object} record - Focus session record
+ * @returns {boolean} - Whether the record is usable
+ */
+export const isValidFocusSession = (record) =>
+  Boolean(record) &&
+  typeof record.id === 'string' &&
+  !Number.isNaN(new Date(record.endTime).getTime()) &&
+  Number.isFinite(record.focusScore) &&
+  Array.isArray(record.distractions);
+
+// PUBLIC_INTERFACE
+/**
+ * Recency-weighted focus score over recorded focus sessions and the
+ * distraction level it corresponds to
+ * @param {Array} focusSessions - Focus session records
+ * @param {Object} options - { now, halfLifeDays }
+ * @returns {Object|null} - { focusScore, distractionLevel }, or null without sessions
+ */
+export const deriveDistractionLevel = (focusSessions, { now = new Date(), halfLifeDays = 14 } = {}) => {
+  let weightedScore = 0;
+  let totalWeight = 0;
+  (focusSessions || []).forEach(record => {
+    const ageDays = Math.max(0, (now - new Date(record.endTime)) / DAY_MS);
+    const weight = Math.pow(0.5, ageDays / halfLifeDays);
+    weightedScore += record.focusScore * weight;
+    totalWeight += weight;
+  });
+  if (totalWeight === 0) return null;
+
+  const focusScore = Math.round(weightedScore / totalWeight);
+  const distractionLevel = focusScore >= DISTRACTION_THRESHOLDS.low
+    ? 'low'
+    : focusScore >= DISTRACTION_THRESHOLDS.medium ? 'medium' : 'high';
+  return { focusScore, distractionLevel };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return user data whose habits.distractionLevel (and habits.focusScore)
+ * come from its focus sessions. Without sessions the stored level is kept.
+ * @param {Object} userData - User data with habits and focusSessions
+ * @param {Object} options - Passed to deriveDistractionLevel
+ * @returns {Object} - User data with derived distraction level
+ */
+export const withFocusHistory = (userData, options) => {
+  if (!userData || !userData.habits) return userData;
+  const derived = deriveDistractionLevel(userData.focusSessions, options);
+  if (!derived) return userData;
+
+  return {
+    ...userData,
+    habits: {
+      ...userData.habits,
+      ...derived
+    }
+  };
+};
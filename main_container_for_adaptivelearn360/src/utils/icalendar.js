@@ -0,0 +1,415 @@
+/**
+ * iCalendar (RFC 5545) import and export for AdaptiveLearn360
+ *
+ * Import reads VEVENTs as busy intervals, expanding simple DAILY and
+ * WEEKLY recurrence rules. Times with a TZID are read in that time zone
+ * (IANA names only; others fall back to local time). Export writes a
+ * generated study schedule as a VCALENDAR that calendar apps can subscribe
+ * to or import.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limit on recurrence expansion
+const MAX_OCCURRENCES = 1000;
+
+// Join folded lines (a CRLF followed by a space or tab continues the previous line)
+const unfoldLines = (text) =>
+  text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.length > 0);
+
+// Index of the first ':' outside a quoted parameter value, or -1
+const findValueSeparator = (line) => {
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') quoted = !quoted;
+    else if (line[index] === ':' && !quoted) return index;
+  }
+  return -1;
+};
+
+// Split "NAME;PARAM=VALUE:content" into its parts. Quoted parameter values
+// may contain ':', ';' and ',' (RFC 5545 section 3.1).
+const parseContentLine = (line) => {
+  const colon = findValueSeparator(line);
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = paramParts.reduce((all, part) => {
+    const equals = part.indexOf('=');
+    if (equals === -1) return all;
+    return { ...all, [part.slice(0, equals).toUpperCase()]: part.slice(equals + 1) };
+  }, {});
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// IANA time zone named by a TZID parameter, or null if it is missing or unknown
+const resolveTimeZone = (tzid) => {
+  if (!tzid) return null;
+  try {
+    const name = tzid.replace(/^"|"$/g, '').replace(/^\//, '');
+    return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+};
+
+// One formatter per time zone; building them is slow, and recurrence
+// expansion looks up an offset for every day it steps through
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getZoneOffset = (timeZone, time) => {
+  const fields = getZoneFormatter(timeZone)
+    .formatToParts(new Date(time))
+    .reduce((all, { type, value }) => ({ ...all, [type]: Number(value) }), {});
+  const wallTime = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return wallTime - Math.floor(time / 1000) * 1000;
+};
+
+// The instant of a wall-clock time in a zone: 'UTC', an IANA name, or null for local time
+const zonedDate = ({ year, month, day, hour, minute, second }, zone) => {
+  if (!zone) return new Date(year, month - 1, day, hour, minute, second);
+
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (zone === 'UTC') return new Date(wallTime);
+  // The offset is looked up twice so times next to a DST change come out right
+  const guess = wallTime - getZoneOffset(zone, wallTime);
+  return new Date(wallTime - getZoneOffset(zone, guess));
+};
+
+// Parse an iCalendar DATE or DATE-TIME value into { date, parts, zone, isDate }.
+// UTC values end in Z; others are read in their TZID's zone, or as local
+// time when they have none. Dates (all-day values) are always local days.
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const isDate = params.VALUE === 'DATE' || match[4] === undefined;
+  const parts = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+  let zone = null;
+  if (utc) {
+    zone = 'UTC';
+  } else if (!isDate) {
+    zone = resolveTimeZone(params.TZID);
+  }
+
+  return { date: zonedDate(parts, zone), parts, zone, isDate };
+};
+
+// Parse an RFC 5545 DURATION such as PT1H30M or P1D
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// Parse an RRULE value into an object
+const parseRule = (value) =>
+  value.split(';').reduce((rule, part) => {
+    const [key, ruleValue] = part.split('=');
+    return { ...rule, [key.toUpperCase()]: ruleValue };
+  }, {});
+
+// Expand a DAILY or WEEKLY rule into occurrence start times within [rangeStart, rangeEnd].
+// Days are stepped on the wall clock of DTSTART's zone, so an event keeps
+// its time of day across DST changes. Stepping starts at the last interval
+// boundary before the range, with the occurrences skipped to get there
+// still counted towards COUNT.
+const expandRule = (start, rule, rangeStart, rangeEnd, excluded) => {
+  const { parts, zone } = start;
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10));
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL) : null;
+  // A date-only UNTIL includes every occurrence on that day
+  const untilDay = until && until.isDate
+    ? Date.UTC(until.parts.year, until.parts.month - 1, until.parts.day)
+    : null;
+  const startWeekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.slice(-2))).filter(day => day >= 0)
+    : [startWeekday];
+  // WEEKLY intervals count weeks that begin on WKST (Monday by default)
+  const weekStart = WEEKDAYS.includes(rule.WKST) ? WEEKDAYS.indexOf(rule.WKST) : 1;
+  const daysIntoFirstWeek = (startWeekday - weekStart + 7) % 7;
+
+  // Whole days between DTSTART and the range, less one for zone offsets
+  const daysBefore = Math.max(0, Math.floor((rangeStart - start.date) / DAY_MS) - 1);
+  let firstOffset = 0;
+  let generated = 0;
+  if (rule.FREQ === 'DAILY') {
+    const skippedSteps = Math.floor(daysBefore / interval);
+    firstOffset = skippedSteps * interval;
+    generated = skippedSteps;
+  } else {
+    const skippedWeeks = Math.floor(Math.floor((daysBefore + daysIntoFirstWeek) / 7) / interval) * interval;
+    if (skippedWeeks > 0) {
+      const weekdays = [...new Set(byDay)];
+      // The first week only has the days from DTSTART on
+      const inFirstWeek = weekdays.filter(day => (day - weekStart + 7) % 7 >= daysIntoFirstWeek).length;
+      firstOffset = skippedWeeks * 7 - daysIntoFirstWeek;
+      generated = inFirstWeek + (skippedWeeks / interval - 1) * weekdays.length;
+    }
+  }
+
+  const occurrences = [];
+
+  for (let offset = firstOffset; offset < firstOffset + MAX_OCCURRENCES * 7 && generated < count; offset++) {
+    const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+    const occurrence = zonedDate({
+      ...parts,
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate()
+    }, zone);
+
+    if (occurrence > rangeEnd) break;
+    if (until && (untilDay !== null ? day.getTime() > untilDay : occurrence > until.date)) break;
+
+    let matches;
+    if (rule.FREQ === 'DAILY') {
+      matches = offset % interval === 0;
+    } else {
+      const weekIndex = Math.floor((offset + daysIntoFirstWeek) / 7);
+      matches = weekIndex % interval === 0 && byDay.includes(day.getUTCDay());
+    }
+
+    if (matches) {
+      generated += 1;
+      if (occurrence >= rangeStart && !excluded.has(occurrence.getTime())) {
+        occurrences.push(occurrence);
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Reverse escapeText when reading TEXT values
+const unescapeText = (value) =>
+  value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// Turn a parsed VEVENT into one interval per occurrence
+const eventToIntervals = (event, rangeStart, rangeEnd) => {
+  if (event.transparent) return [];
+
+  let length;
+  if (event.end) {
+    length = event.end - event.start;
+  } else if (event.duration !== undefined && event.duration !== null) {
+    length = event.duration;
+  } else {
+    // RFC 5545: no DTEND/DURATION means one day for dates, zero length for date-times
+    length = event.allDay ? DAY_MS : 0;
+  }
+  if (length <= 0) return [];
+
+  const starts = event.rule && ['DAILY', 'WEEKLY'].includes(event.rule.FREQ)
+    ? expandRule(event.startValue, event.rule, new Date(rangeStart.getTime() - length), rangeEnd, event.exdates)
+    : [event.start];
+
+  return starts.map(start => ({
+    start,
+    end: new Date(start.getTime() + length),
+    summary: event.summary || '',
+    uid: event.uid || ''
+  }));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parse an .ics file into busy intervals.
+ * Events marked TRANSP:TRANSPARENT (free time) are skipped.
+ * @param {string} text - iCalendar file contents
+ * @param {Object} options - { rangeStart, rangeEnd } window for expanding recurring events
+ * @returns {Array} - [{ start: Date, end: Date, summary, uid }]
+ */
+export const parseICalendar = (text, { rangeStart = new Date(), rangeEnd = new Date(Date.now() + 60 * DAY_MS) } = {}) => {
+  const lines = unfoldLines(text || '');
+  if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file: missing BEGIN:VCALENDAR');
+  }
+
+  const intervals = [];
+  let event = null;
+
+  lines.forEach(line => {
+    const upper = line.toUpperCase();
+    if (upper === 'BEGIN:VEVENT') {
+      event = { exdates: new Set() };
+      return;
+    }
+    if (upper === 'END:VEVENT') {
+      if (event && event.start) {
+        intervals.push(...eventToIntervals(event, rangeStart, rangeEnd));
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    switch (property.name) {
+      case 'DTSTART': {
+        const parsed = parseDateValue(property.value, property.params);
+        if (parsed) {
+          event.start = parsed.date;
+          event.startValue = parsed;
+          event.allDay = parsed.isDate;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseDateValue(property.value, property.params);
+        if (parsed) event.end = parsed.date;
+        break;
+      }
+      case 'DURATION':
+        event.duration = parseDuration(property.value);
+        break;
+      case 'RRULE':
+        event.rule = parseRule(property.value);
+        break;
+      case 'EXDATE':
+        property.value.split(',').forEach(value => {
+          const parsed = parseDateValue(value, property.params);
+          if (parsed) event.exdates.add(parsed.date.getTime());
+        });
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(property.value);
+        break;
+      case 'UID':
+        event.uid = property.value;
+        break;
+      case 'TRANSP':
+        event.transparent = property.value.toUpperCase() === 'TRANSPARENT';
+        break;
+      default:
+        break;
+    }
+  });
+
+  return intervals.sort((a, b) => a.start - b.start);
+};
+
+// Format a Date as a UTC DATE-TIME (e.g. 20240310T190000Z)
+const formatUtcDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// UTF-8 byte length of a single character
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+};
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  if (Array.from(line).reduce((total, char) => total + utf8Length(char), 0) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts towards the limit
+  let limit = 75;
+
+  for (const char of line) {
+    const bytes = utf8Length(char);
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Export a study schedule as an RFC 5545 iCalendar file
+ * @param {Array} schedule - Output of generateAdaptiveSchedule
+ * @param {Object} options - { calendarName, now }
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+export const exportScheduleToICalendar = (schedule, { calendarName = 'AdaptiveLearn360 study plan', now = new Date() } = {}) => {
+  const stamp = formatUtcDate(now);
+
+  const events = (schedule || []).flatMap(session => {
+    const start = new Date(session.date);
+    const end = session.endDate
+      ? new Date(session.endDate)
+      : new Date(start.getTime() + session.duration * 60 * 1000);
+    const titles = session.items.map(item => item.title || item.id);
+
+    return [
+      'BEGIN:VEVENT',
+      // Stable per session, so importing a new export updates the events instead of duplicating them
+      `UID:${session.id || formatUtcDate(start)}@adaptivelearn360`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtcDate(start)}`,
+      `DTEND:${formatUtcDate(end)}`,
+      `SUMMARY:${escapeText(`Study session: ${titles.slice(0, 2).join(', ')}${titles.length > 2 ? '...' : ''}`)}`,
+      `DESCRIPTION:${escapeText(`${session.duration} min study, then a ${session.breakDuration} min break.\n${titles.join('\n')}`)}`,
+      'CATEGORIES:STUDY',
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    ];
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AdaptiveLearn360//Study Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
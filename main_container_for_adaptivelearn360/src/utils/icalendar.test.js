@@ -0,0 +1,217 @@
+import { parseICalendar, exportScheduleToICalendar } from './icalendar';
+
+const range = { rangeStart: new Date('2026-03-01T00:00:00Z'), rangeEnd: new Date('2026-03-31T00:00:00Z') };
+
+// Wrap event lines in a calendar with CRLF line endings
+const calendar = (...eventLines) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', ...eventLines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+
+const startTimes = (intervals) => intervals.map(interval => interval.start.toISOString());
+
+test('parseICalendar reads an event as a busy interval', () => {
+  const intervals = parseICalendar(calendar(
+    'UID:lecture-1',
+    'SUMMARY:Lecture\\, room 2',
+    'DTSTART:20260303T090000Z',
+    'DTEND:20260303T103000Z'
+  ), range);
+
+  expect(intervals).toEqual([{
+    start: new Date('2026-03-03T09:00:00Z'),
+    end: new Date('2026-03-03T10:30:00Z'),
+    summary: 'Lecture, room 2',
+    uid: 'lecture-1'
+  }]);
+});
+
+test('parseICalendar rejects text that is not a calendar', () => {
+  expect(() => parseICalendar('BEGIN:VEVENT\r\nEND:VEVENT', range)).toThrow('missing BEGIN:VCALENDAR');
+});
+
+test('parseICalendar skips free time and events without a length', () => {
+  const intervals = parseICalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'DTSTART:20260303T090000Z', 'DURATION:PT1H', 'TRANSP:TRANSPARENT', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART:20260304T090000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART:20260305T090000Z', 'DURATION:PT45M', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'), range);
+
+  expect(intervals.map(interval => [interval.start.toISOString(), interval.end.toISOString()]))
+    .toEqual([['2026-03-05T09:00:00.000Z', '2026-03-05T09:45:00.000Z']]);
+});
+
+test('parseICalendar unfolds continuation lines', () => {
+  const intervals = parseICalendar(calendar(
+    'SUMMARY:Organic chem',
+    ' istry lab',
+    'DTSTART:20260303T090000Z',
+    'DTEND:2026030',
+    '\t3T100000Z'
+  ), range);
+
+  expect(intervals[0].summary).toBe('Organic chemistry lab');
+  expect(intervals[0].end).toEqual(new Date('2026-03-03T10:00:00Z'));
+});
+
+test('parseICalendar reads times in the TZID time zone', () => {
+  const [interval] = parseICalendar(calendar(
+    'DTSTART;TZID=America/New_York:20260303T090000',
+    'DTEND;TZID="America/New_York":20260303T100000'
+  ), range);
+
+  expect(interval.start).toEqual(new Date('2026-03-03T14:00:00Z'));
+  expect(interval.end).toEqual(new Date('2026-03-03T15:00:00Z'));
+});
+
+test('recurring TZID events keep their local time across a DST change', () => {
+  const intervals = parseICalendar(calendar(
+    'DTSTART;TZID=America/New_York:20260302T090000',
+    'DURATION:PT1H',
+    'RRULE:FREQ=WEEKLY;COUNT=2'
+  ), range);
+
+  // New York moves from UTC-5 to UTC-4 on 8 March 2026
+  expect(startTimes(intervals)).toEqual(['2026-03-02T14:00:00.000Z', '2026-03-09T13:00:00.000Z']);
+});
+
+test('a date-only UNTIL includes the occurrence on that day', () => {
+  const intervals = parseICalendar(calendar(
+    'DTSTART:20260302T090000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=DAILY;UNTIL=20260305'
+  ), range);
+
+  expect(intervals).toHaveLength(4);
+  expect(intervals[3].start).toEqual(new Date('2026-03-05T09:00:00Z'));
+});
+
+test('a date-time UNTIL stops at that instant', () => {
+  const intervals = parseICalendar(calendar(
+    'DTSTART:20260302T090000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20260306T085959Z'
+  ), range);
+
+  expect(startTimes(intervals)).toEqual(['2026-03-02T09:00:00.000Z', '2026-03-04T09:00:00.000Z']);
+});
+
+test('weekly intervals count weeks from WKST, Monday by default', () => {
+  const rule = 'FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=MO,SU';
+  const expand = (wkst) => startTimes(parseICalendar(calendar(
+    'DTSTART:20260302T090000Z',
+    'DURATION:PT1H',
+    `RRULE:${rule}${wkst ? `;WKST=${wkst}` : ''}`
+  ), range));
+
+  const mondayWeeks = ['2026-03-02T09:00:00.000Z', '2026-03-08T09:00:00.000Z', '2026-03-16T09:00:00.000Z', '2026-03-22T09:00:00.000Z'];
+  expect(expand()).toEqual(mondayWeeks);
+  expect(expand('MO')).toEqual(mondayWeeks);
+  expect(expand('SU')).toEqual([
+    '2026-03-02T09:00:00.000Z',
+    '2026-03-15T09:00:00.000Z',
+    '2026-03-16T09:00:00.000Z',
+    '2026-03-29T09:00:00.000Z'
+  ]);
+});
+
+test('excluded dates and occurrences outside the range are left out', () => {
+  const intervals = parseICalendar(calendar(
+    'DTSTART:20260225T090000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=DAILY;COUNT=8',
+    'EXDATE:20260303T090000Z,20260304T090000Z'
+  ), range);
+
+  expect(startTimes(intervals)).toEqual([
+    '2026-03-01T09:00:00.000Z',
+    '2026-03-02T09:00:00.000Z'
+  ]);
+});
+
+test('recurrences that started long before the range still expand into it', () => {
+  const weekly = parseICalendar(calendar(
+    'DTSTART;TZID=America/New_York:19990104T090000',
+    'DURATION:PT1H',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO'
+  ), range);
+  const daily = parseICalendar(calendar(
+    'DTSTART:19800101T070000Z',
+    'DURATION:PT30M',
+    'RRULE:FREQ=DAILY;INTERVAL=3'
+  ), range);
+
+  // 4 January 1999 was a Monday in an odd-numbered fortnight from 2 March 2026
+  expect(startTimes(weekly)).toEqual(['2026-03-09T13:00:00.000Z', '2026-03-23T13:00:00.000Z']);
+  expect(daily).toHaveLength(10);
+  expect(daily[0].start).toEqual(new Date('2026-03-03T07:00:00Z'));
+});
+
+test('occurrences before the range count towards COUNT', () => {
+  const intervals = parseICalendar(calendar(
+    'DTSTART:20260105T090000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=20'
+  ), range);
+
+  expect(startTimes(intervals)).toEqual([
+    '2026-03-02T09:00:00.000Z',
+    '2026-03-04T09:00:00.000Z',
+    '2026-03-09T09:00:00.000Z',
+    '2026-03-11T09:00:00.000Z'
+  ]);
+});
+
+test('colons inside quoted parameter values do not end the property name', () => {
+  const [interval] = parseICalendar(calendar(
+    'ATTENDEE;CN="Lab: room 2";ROLE=REQ-PARTICIPANT:mailto:lab@example.edu',
+    'SUMMARY;LANGUAGE=en:Lab',
+    'DTSTART;TZID="America/New_York";X-NOTE="a:b;c":20260303T090000',
+    'DTEND;TZID="America/New_York":20260303T100000'
+  ), range);
+
+  expect(interval).toMatchObject({
+    start: new Date('2026-03-03T14:00:00Z'),
+    end: new Date('2026-03-03T15:00:00Z'),
+    summary: 'Lab'
+  });
+});
+
+const schedule = [{
+  id: 'study-2026-03-03',
+  date: new Date('2026-03-03T17:00:00Z'),
+  endDate: new Date('2026-03-03T17:30:00Z'),
+  duration: 30,
+  breakDuration: 5,
+  items: [
+    { id: 'calc-limits', title: 'Limits and continuity: an introduction with worked examples' },
+    { id: 'bio-cell', title: 'Zellbiologie – Überblick über Organellen und Membranen' }
+  ]
+}];
+
+test('exported lines are folded at 75 octets and read back unchanged', () => {
+  const text = exportScheduleToICalendar(schedule, { now: new Date('2026-03-01T00:00:00Z') });
+  // UTF-8 length: each percent-encoded byte counts once
+  const octets = (line) => encodeURIComponent(line).replace(/%[0-9A-F]{2}/g, '_').length;
+
+  text.split('\r\n').forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+  expect(text).toMatch(/\r\n /);
+
+  const [interval] = parseICalendar(text, range);
+  expect(interval.start).toEqual(schedule[0].date);
+  expect(interval.summary).toBe(
+    'Study session: Limits and continuity: an introduction with worked examples, ' +
+    'Zellbiologie – Überblick über Organellen und Membranen'
+  );
+});
+
+test('exported UIDs come from session ids, so a new export updates the same events', () => {
+  const uids = (sessions) => parseICalendar(exportScheduleToICalendar(sessions), range).map(interval => interval.uid);
+  const earlierSession = { ...schedule[0], id: 'study-2026-03-02', date: new Date('2026-03-02T17:00:00Z'), endDate: null };
+
+  expect(uids(schedule)).toEqual(['study-2026-03-03@adaptivelearn360']);
+  expect(uids([earlierSession, ...schedule])).toEqual([
+    'study-2026-03-02@adaptivelearn360',
+    'study-2026-03-03@adaptivelearn360'
+  ]);
+});
@@ -0,0 +1,120 @@
+/**
+ * Bayesian Knowledge Tracing (BKT) for per-skill mastery in AdaptiveLearn360
+ *
+ * Each skill has four parameters:
+ *   prior - probability the skill is known before any practice
+ *   learn - probability of learning the skill at each practice opportunity
+ *   slip  - probability of answering wrong despite knowing the skill
+ *   guess - probability of answering right without knowing the skill
+ */
+
+// PUBLIC_INTERFACE
+export const DEFAULT_BKT_PARAMS = {
+  prior: 0.3,
+  learn: 0.1,
+  slip: 0.1,
+  guess: 0.2
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Mastery levels used to classify skills.
+ * Below weak the skill needs work; at or above mastered it is secure.
+ * prerequisite is the mastery an item needs before items that depend on it unlock.
+ */
+export const MASTERY_THRESHOLDS = {
+  weak: 0.6,
+  prerequisite: 0.7,
+  mastered: 0.85
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Update the probability that a skill is known after one observation.
+ * correctness may be fractional (e.g. 0.6 for partial credit) and is
+ * treated as the probability the answer was correct.
+ * @param {number} pKnown - Probability the skill is known before the observation
+ * @param {number} correctness - 1 for correct, 0 for incorrect, or anything in between
+ * @param {Object} params - BKT parameters
+ * @returns {number} - Probability the skill is known after the observation
+ */
+export const updateMastery = (pKnown, correctness, params = DEFAULT_BKT_PARAMS) => {
+  const { learn, slip, guess } = { ...DEFAULT_BKT_PARAMS, ...params };
+  const p = Math.max(0, Math.min(1, pKnown));
+  const c = Math.max(0, Math.min(1, correctness));
+
+  // Posterior after a correct and after an incorrect answer
+  const pCorrect = p * (1 - slip) + (1 - p) * guess;
+  const pIncorrect = p * slip + (1 - p) * (1 - guess);
+  const knownIfCorrect = pCorrect > 0 ? (p * (1 - slip)) / pCorrect : p;
+  const knownIfIncorrect = pIncorrect > 0 ? (p * slip) / pIncorrect : p;
+
+  const posterior = c * knownIfCorrect + (1 - c) * knownIfIncorrect;
+
+  // Chance to learn the skill from this practice opportunity
+  return posterior + (1 - posterior) * learn;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a mastery map from an attempts log, replaying attempts in time order
+ * @param {Array} attempts - Attempt records ({ itemId, subject, skill?, score, timestamp })
+ * @param {Object} paramsBySkill - Optional BKT parameters per key
+ * @param {Function} keyOf - Groups attempts; defaults to the skill (or subject)
+ * @returns {Object} - { [key]: { mastery, attempts, lastUpdated } }
+ */
+export const buildMasteryMap = (
+  attempts,
+  paramsBySkill = {},
+  keyOf = (attempt) => attempt.skill || attempt.subject
+) => {
+  const ordered = [...(attempts || [])].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+
+  return ordered.reduce((map, attempt) => {
+    const skill = keyOf(attempt);
+    const params = { ...DEFAULT_BKT_PARAMS, ...paramsBySkill[skill] };
+    const current = map[skill] || { mastery: params.prior, attempts: 0, lastUpdated: null };
+
+    map[skill] = {
+      mastery: updateMastery(current.mastery, attempt.score / 100, params),
+      attempts: current.attempts + 1,
+      lastUpdated: attempt.timestamp
+    };
+    return map;
+  }, {});
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Look up the mastery probability for a skill
+ * @param {Object} performance - User performance data (with an optional mastery map)
+ * @param {string} skill - Skill or subject id
+ * @returns {number|null} - Mastery probability, or null if the skill has no mastery data
+ */
+export const getSkillMastery = (performance, skill) => {
+  const entry = performance?.mastery?.[skill];
+  return entry ? entry.mastery : null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Classify a skill as weak, strong or new. Uses mastery when the skill has
+ * been traced, and falls back to the weakAreas/strongAreas lists otherwise.
+ * @param {Object} performance - User performance data
+ * @param {string} skill - Skill or subject id
+ * @returns {string} - 'weak' | 'developing' | 'strong' | 'new'
+ */
+export const classifySkill = (performance, skill) => {
+  const mastery = getSkillMastery(performance, skill);
+  if (mastery !== null) {
+    if (mastery < MASTERY_THRESHOLDS.weak) return 'weak';
+    if (mastery >= MASTERY_THRESHOLDS.mastered) return 'strong';
+    return 'developing';
+  }
+
+  if (performance?.weakAreas?.includes(skill)) return 'weak';
+  if (performance?.strongAreas?.includes(skill)) return 'strong';
+  return 'new';
+};
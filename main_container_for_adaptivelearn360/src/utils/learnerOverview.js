@@ -0,0 +1,51 @@
+/**
+ * Aggregate views across several learners in AdaptiveLearn360
+ */
+import { detectStudyPattern } from './schedulingAlgorithm';
+import { prioritizeContent } from './contentPrioritization';
+
+// PUBLIC_INTERFACE
+/**
+ * Build a read-only comparison of learners for tutors and guardians
+ * @param {Array} profiles - User data for each learner
+ * @param {Array} contentItems - Content items to prioritize for each learner
+ * @returns {Object} - { learners, commonWeakAreas }
+ */
+export const buildLearnerOverview = (profiles, contentItems = []) => {
+  if (!profiles || profiles.length === 0) {
+    return { learners: [], commonWeakAreas: [] };
+  }
+
+  const learners = profiles.map(profile => {
+    const { performance = {}, habits } = profile;
+
+    // prioritizeContent annotates the items it is given, so each learner gets copies
+    const priorities = prioritizeContent(contentItems.map(item => ({ ...item })), profile);
+
+    return {
+      id: profile.id,
+      name: profile.name,
+      weakAreas: performance.weakAreas || [],
+      studyStreak: performance.studyStreak || 0,
+      completionRate: performance.completionRate || 0,
+      averageScore: performance.averageScore || 0,
+      studyPattern: detectStudyPattern(habits),
+      topPriorities: priorities.slice(0, 3)
+    };
+  });
+
+  // Weak areas shared by more than one learner, most common first
+  const weakAreaCounts = learners.reduce((counts, learner) => {
+    learner.weakAreas.forEach(area => {
+      counts[area] = (counts[area] || 0) + 1;
+    });
+    return counts;
+  }, {});
+
+  const commonWeakAreas = Object.entries(weakAreaCounts)
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .map(([area, count]) => ({ area, count }));
+
+  return { learners, commonWeakAreas };
+};
@@ -0,0 +1,84 @@
+/**
+ * Reminder delivery for AdaptiveLearn360
+ *
+ * Reminders go out as system notifications through the reminder service
+ * worker (public/reminder-sw.js) when the tab is in the background and the
+ * user has allowed notifications. Otherwise they are shown in the app as a
+ * toast. Notifications are timed by the open app, so none go out while no
+ * tab is open.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Where the reminder service worker is served from
+ */
+export const REMINDER_WORKER_URL = `${process.env.PUBLIC_URL || ''}/reminder-sw.js`;
+
+// PUBLIC_INTERFACE
+/**
+ * Message the service worker posts when a reminder notification is clicked
+ */
+export const OPEN_REMINDER_MESSAGE = 'open-reminder';
+
+// PUBLIC_INTERFACE
+/**
+ * Current notification permission
+ * @returns {string} - 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const getNotificationPermission = () =>
+  (typeof window !== 'undefined' && 'Notification' in window ? window.Notification.permission : 'unsupported');
+
+// PUBLIC_INTERFACE
+/**
+ * Ask the user to allow notifications
+ * @returns {Promise<string>} - Resulting permission
+ */
+export const requestNotificationPermission = async () => {
+  if (getNotificationPermission() === 'unsupported') return 'unsupported';
+  return window.Notification.requestPermission();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Register the reminder service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null where unavailable
+ */
+export const registerReminderWorker = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(REMINDER_WORKER_URL);
+  } catch (error) {
+    return null;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Deliver a reminder as a system notification when possible
+ * @param {Object} message - { title, body, url } from buildReminderMessage
+ * @param {Object} options - { tag, registration, allowSystem }
+ * @returns {Promise<string>} - 'system' if a notification was shown, 'toast' if the app should show it
+ */
+export const deliverReminder = async (message, { tag, registration = null, allowSystem = true } = {}) => {
+  const inBackground = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+  if (!allowSystem || !inBackground || getNotificationPermission() !== 'granted') {
+    return 'toast';
+  }
+
+  const options = { body: message.body, tag, data: { url: message.url } };
+  try {
+    if (registration) {
+      await registration.showNotification(message.title, options);
+    } else {
+      const notification = new window.Notification(message.title, options);
+      notification.onclick = () => {
+        window.focus();
+        window.location.hash = message.url;
+        notification.close();
+      };
+    }
+    return 'system';
+  } catch (error) {
+    return 'toast';
+  }
+};
@@ -0,0 +1,237 @@
+/**
+ * Utility functions for deriving performance metrics from assessment attempts
+ * in AdaptiveLearn360
+ *
+ * An attempt records one quiz or practice result:
+ *   { id, itemId, subject, skill?, score, timeSpent, timestamp, type }
+ * skill defaults to subject for mastery tracing; score is 0-100, timeSpent
+ * is in seconds, timestamp is an ISO string.
+ */
+import { buildMasteryMap } from './knowledgeTracing';
+import { DAY_MS, toDayKey } from './dateUtils';
+
+// Scores at or above this count an item as completed
+const PASSING_SCORE = 70;
+
+// Subject score thresholds for weak and strong areas
+const WEAK_AREA_THRESHOLD = 70;
+const STRONG_AREA_THRESHOLD = 80;
+
+// PUBLIC_INTERFACE
+/**
+ * Check that an attempt has every field the derivations rely on
+ * @param {Object} attempt - Attempt record
+ * @returns {boolean} - Whether the attempt is usable
+ */
+export const isValidAttempt = (attempt) =>
+  !!attempt &&
+  typeof attempt.itemId === 'string' &&
+  typeof attempt.subject === 'string' &&
+  Number.isFinite(attempt.score) &&
+  !Number.isNaN(new Date(attempt.timestamp).getTime());
+
+// PUBLIC_INTERFACE
+/**
+ * Average score across all attempts
+ * @param {Array} attempts - Attempt records
+ * @returns {number} - Average score (0-100), rounded
+ */
+export const computeAverageScore = (attempts) => {
+  if (!attempts || attempts.length === 0) return 0;
+  const total = attempts.reduce((sum, attempt) => sum + attempt.score, 0);
+  return Math.round(total / attempts.length);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Share of items completed, where an item is completed once any attempt passes
+ * @param {Array} attempts - Attempt records
+ * @param {Array} contentItems - Optional full item list; defaults to attempted items
+ * @returns {number} - Completion rate (0-1)
+ */
+export const computeCompletionRate = (attempts, contentItems) => {
+  if (!attempts || attempts.length === 0) return 0;
+
+  const passedItems = new Set(
+    attempts.filter(attempt => attempt.score >= PASSING_SCORE).map(attempt => attempt.itemId)
+  );
+  const totalItems = contentItems && contentItems.length > 0
+    ? contentItems.length
+    : new Set(attempts.map(attempt => attempt.itemId)).size;
+
+  return Math.round((passedItems.size / totalItems) * 100) / 100;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Number of consecutive days with at least one attempt, ending today
+ * (or yesterday, so the streak survives until the end of today)
+ * @param {Array} attempts - Attempt records
+ * @param {Date} now - Current date
+ * @returns {number} - Streak length in days
+ */
+export const computeStudyStreak = (attempts, now = new Date()) => {
+  if (!attempts || attempts.length === 0) return 0;
+
+  const activeDays = new Set(attempts.map(attempt => toDayKey(attempt.timestamp)));
+  const cursor = new Date(now);
+
+  if (!activeDays.has(toDayKey(cursor))) {
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  let streak = 0;
+  while (activeDays.has(toDayKey(cursor))) {
+    streak += 1;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return streak;
+};
+
+// Weak and strong areas from per-subject scores
+const splitSubjectAreas = (subjectScores) => {
+  const ranked = Object.entries(subjectScores);
+
+  // Weakest first
+  const weakAreas = ranked
+    .filter(([, { score }]) => score < WEAK_AREA_THRESHOLD)
+    .sort((a, b) => a[1].score - b[1].score)
+    .map(([subject]) => subject);
+
+  // Strongest first
+  const strongAreas = ranked
+    .filter(([, { score }]) => score >= STRONG_AREA_THRESHOLD)
+    .sort((a, b) => b[1].score - a[1].score)
+    .map(([subject]) => subject);
+
+  return { weakAreas, strongAreas };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Recency-weighted score per subject. An attempt's weight halves every
+ * halfLifeDays, so recent results count more than old ones.
+ * @param {Array} attempts - Attempt records
+ * @param {Object} options - { now, halfLifeDays }
+ * @returns {Object} - { subjectScores, weakAreas, strongAreas }
+ */
+export const rankSubjectAreas = (attempts, { now = new Date(), halfLifeDays = 14 } = {}) => {
+  const totals = {};
+
+  (attempts || []).forEach(attempt => {
+    const ageDays = Math.max(0, (now - new Date(attempt.timestamp)) / DAY_MS);
+    const weight = Math.pow(0.5, ageDays / halfLifeDays);
+
+    if (!totals[attempt.subject]) {
+      totals[attempt.subject] = { weightedScore: 0, weight: 0, attempts: 0 };
+    }
+    totals[attempt.subject].weightedScore += attempt.score * weight;
+    totals[attempt.subject].weight += weight;
+    totals[attempt.subject].attempts += 1;
+  });
+
+  const subjectScores = Object.entries(totals).reduce((scores, [subject, total]) => ({
+    ...scores,
+    [subject]: {
+      score: Math.round(total.weightedScore / total.weight),
+      attempts: total.attempts
+    }
+  }), {});
+
+  return { subjectScores, ...splitSubjectAreas(subjectScores) };
+};
+
+// Placement scores in the subjectScores shape; no attempts are behind them
+const placementSubjectScores = (placement) =>
+  Object.entries(placement?.subjects || {}).reduce((scores, [subject, entry]) => ({
+    ...scores,
+    [subject]: { score: entry.score, attempts: 0 }
+  }), {});
+
+// Placement mastery in the mastery map shape
+const placementMastery = (placement) =>
+  Object.entries(placement?.subjects || {}).reduce((map, [subject, entry]) => ({
+    ...map,
+    [subject]: { mastery: entry.mastery, attempts: 0, lastUpdated: placement.completedAt }
+  }), {});
+
+// PUBLIC_INTERFACE
+/**
+ * Performance estimated by a placement test, for a learner without attempts
+ * @param {Object} placement - Placement record ({ completedAt, subjects, averageScore, completionRate })
+ * @param {Object} storedPerformance - Performance currently stored on the profile
+ * @returns {Object} - Performance metrics
+ */
+export const derivePlacementPerformance = (placement, storedPerformance = {}) => {
+  const subjectScores = placementSubjectScores(placement);
+  return {
+    ...storedPerformance,
+    averageScore: placement.averageScore,
+    completionRate: placement.completionRate,
+    ...splitSubjectAreas(subjectScores),
+    subjectScores,
+    mastery: placementMastery(placement)
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Derive the performance section of user data from its attempts log.
+ * Without attempts the placement test's estimates are used if there are
+ * any, and the stored performance is returned unchanged otherwise. With
+ * attempts, placement scores still cover subjects that have none, and
+ * placement mastery is the starting point for knowledge tracing.
+ * @param {Array} attempts - Attempt records
+ * @param {Object} storedPerformance - Performance currently stored on the profile
+ * @param {Object} options - { now, contentItems, halfLifeDays, placement }
+ * @returns {Object} - Performance metrics
+ */
+export const derivePerformance = (attempts, storedPerformance = {}, options = {}) => {
+  const { now = new Date(), contentItems, halfLifeDays, placement } = options;
+  const validAttempts = (attempts || []).filter(isValidAttempt);
+  if (validAttempts.length === 0) {
+    return placement ? derivePlacementPerformance(placement, storedPerformance) : storedPerformance;
+  }
+
+  const subjectScores = {
+    ...placementSubjectScores(placement),
+    ...rankSubjectAreas(validAttempts, { now, halfLifeDays }).subjectScores
+  };
+  const placedMastery = placementMastery(placement);
+  const priors = Object.entries(placedMastery).reduce((params, [subject, entry]) => ({
+    ...params,
+    [subject]: { prior: entry.mastery }
+  }), {});
+
+  return {
+    ...storedPerformance,
+    averageScore: computeAverageScore(validAttempts),
+    completionRate: computeCompletionRate(validAttempts, contentItems),
+    studyStreak: computeStudyStreak(validAttempts, now),
+    ...splitSubjectAreas(subjectScores),
+    subjectScores,
+    mastery: { ...placedMastery, ...buildMasteryMap(validAttempts, priors) },
+    itemMastery: buildMasteryMap(validAttempts, {}, attempt => attempt.itemId)
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return user data with its performance derived from the attempts log
+ * and placement test
+ * @param {Object} userData - Complete user data object
+ * @param {Object} options - Passed to derivePerformance
+ * @returns {Object} - User data with derived performance
+ */
+export const withDerivedPerformance = (userData, options) => {
+  if (!userData || ((!userData.attempts || userData.attempts.length === 0) && !userData.placement)) {
+    return userData;
+  }
+  return {
+    ...userData,
+    performance: derivePerformance(userData.attempts, userData.performance, {
+      placement: userData.placement,
+      ...options
+    })
+  };
+};
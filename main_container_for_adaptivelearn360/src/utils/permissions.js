@@ -0,0 +1,65 @@
+/**
+ * Role-based permissions for AdaptiveLearn360 accounts
+ */
+
+// PUBLIC_INTERFACE
+export const ROLES = {
+  LEARNER: 'learner',
+  TUTOR: 'tutor',
+  GUARDIAN: 'guardian'
+};
+
+// PUBLIC_INTERFACE
+export const PERMISSIONS = {
+  VIEW_PROFILE: 'viewProfile',
+  EDIT_PROFILE: 'editProfile',
+  EDIT_PREFERENCES: 'editPreferences',
+  RECORD_ACTIVITY: 'recordActivity',
+  SWITCH_LEARNER: 'switchLearner',
+  VIEW_OVERVIEW: 'viewOverview',
+  EDIT_CONTENT: 'editContent'
+};
+
+// What each role may do with the learners on its roster.
+// Learners manage their own profile; tutors can tune study preferences;
+// both can add study content; guardians only look.
+const rolePermissions = {
+  [ROLES.LEARNER]: [
+    PERMISSIONS.VIEW_PROFILE,
+    PERMISSIONS.EDIT_PROFILE,
+    PERMISSIONS.EDIT_PREFERENCES,
+    PERMISSIONS.RECORD_ACTIVITY,
+    PERMISSIONS.EDIT_CONTENT
+  ],
+  [ROLES.TUTOR]: [
+    PERMISSIONS.VIEW_PROFILE,
+    PERMISSIONS.EDIT_PREFERENCES,
+    PERMISSIONS.SWITCH_LEARNER,
+    PERMISSIONS.VIEW_OVERVIEW,
+    PERMISSIONS.EDIT_CONTENT
+  ],
+  [ROLES.GUARDIAN]: [
+    PERMISSIONS.VIEW_PROFILE,
+    PERMISSIONS.SWITCH_LEARNER,
+    PERMISSIONS.VIEW_OVERVIEW
+  ]
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether an account may perform an action
+ * @param {Object} account - Account with role and learnerIds
+ * @param {string} permission - One of PERMISSIONS
+ * @param {string} learnerId - Optional learner the action applies to
+ * @returns {boolean} - Whether the action is allowed
+ */
+export const hasPermission = (account, permission, learnerId) => {
+  if (!account) return false;
+
+  // Accounts can only act on learners in their roster
+  if (learnerId && !(account.learnerIds || []).includes(learnerId)) {
+    return false;
+  }
+
+  return (rolePermissions[account.role] || []).includes(permission);
+};
@@ -0,0 +1,202 @@
+/**
+ * Prerequisite graph for content items in AdaptiveLearn360
+ *
+ * Items list their prerequisites by id in dependsOn. The graph spans all
+ * subjects, so a physics item can depend on a calculus item.
+ */
+import { MASTERY_THRESHOLDS } from './knowledgeTracing';
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when prerequisites form a cycle
+ */
+export class PrerequisiteCycleError extends Error {
+  constructor(cycle) {
+    super(`Prerequisite cycle detected: ${cycle.join(' -> ')}`);
+    this.name = 'PrerequisiteCycleError';
+    this.cycle = cycle;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build the prerequisite graph for a set of items
+ * @param {Array} contentItems - Content items with optional dependsOn ids
+ * @returns {Object} - { items, prerequisites, dependents, missing }
+ *   items: Map id -> item
+ *   prerequisites: Map id -> ids the item depends on (within the set)
+ *   dependents: Map id -> ids that depend on the item
+ *   missing: [{ itemId, prerequisiteId }] for prerequisites not in the set
+ */
+export const buildPrerequisiteGraph = (contentItems) => {
+  const items = new Map();
+  (contentItems || []).forEach(item => items.set(item.id, item));
+
+  const prerequisites = new Map();
+  const dependents = new Map();
+  const missing = [];
+
+  items.forEach((item, id) => {
+    prerequisites.set(id, []);
+    if (!dependents.has(id)) dependents.set(id, []);
+  });
+
+  items.forEach((item, id) => {
+    (item.dependsOn || []).forEach(prerequisiteId => {
+      if (!items.has(prerequisiteId)) {
+        missing.push({ itemId: id, prerequisiteId });
+        return;
+      }
+      prerequisites.get(id).push(prerequisiteId);
+      dependents.get(prerequisiteId).push(id);
+    });
+  });
+
+  return { items, prerequisites, dependents, missing };
+};
+
+// Find one cycle among the nodes Kahn's algorithm could not place
+const findCycle = (remaining, prerequisites) => {
+  const visiting = new Set();
+  const visited = new Set();
+  const path = [];
+
+  const visit = (id) => {
+    if (visiting.has(id)) {
+      return [...path.slice(path.indexOf(id)), id];
+    }
+    if (visited.has(id)) return null;
+
+    visiting.add(id);
+    path.push(id);
+    for (const prerequisiteId of prerequisites.get(id)) {
+      if (!remaining.has(prerequisiteId)) continue;
+      const cycle = visit(prerequisiteId);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    visiting.delete(id);
+    visited.add(id);
+    return null;
+  };
+
+  for (const id of remaining) {
+    const cycle = visit(id);
+    if (cycle) return cycle.reverse();
+  }
+  return Array.from(remaining);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sort items so every item comes after its prerequisites (Kahn's algorithm).
+ * When several items are available, the one whose subject was used longest
+ * ago is picked, so subjects interleave wherever dependencies allow; ties
+ * go to the easier item, then to input order.
+ * @param {Array} contentItems - Content items
+ * @returns {Array} - Items in dependency order
+ * @throws {PrerequisiteCycleError} - If prerequisites form a cycle
+ */
+export const topologicalSort = (contentItems) => {
+  const { items, prerequisites, dependents } = buildPrerequisiteGraph(contentItems);
+  const inputOrder = new Map(Array.from(items.keys()).map((id, index) => [id, index]));
+
+  const remainingPrerequisites = new Map();
+  prerequisites.forEach((ids, id) => remainingPrerequisites.set(id, ids.length));
+
+  let available = Array.from(items.keys()).filter(id => remainingPrerequisites.get(id) === 0);
+  const lastUsed = {};
+  const result = [];
+
+  while (available.length > 0) {
+    const position = result.length;
+    const recency = (id) => {
+      const subject = items.get(id).subject || 'general';
+      return subject in lastUsed ? lastUsed[subject] : -1;
+    };
+
+    available.sort((a, b) =>
+      recency(a) - recency(b) ||
+      (items.get(a).difficulty || 0) - (items.get(b).difficulty || 0) ||
+      inputOrder.get(a) - inputOrder.get(b)
+    );
+
+    const [nextId, ...rest] = available;
+    available = rest;
+    result.push(items.get(nextId));
+    lastUsed[items.get(nextId).subject || 'general'] = position;
+
+    for (const dependentId of dependents.get(nextId)) {
+      const count = remainingPrerequisites.get(dependentId) - 1;
+      remainingPrerequisites.set(dependentId, count);
+      if (count === 0) {
+        available.push(dependentId);
+      }
+    }
+  }
+
+  if (result.length < items.size) {
+    const placed = new Set(result.map(item => item.id));
+    const remaining = new Set(Array.from(items.keys()).filter(id => !placed.has(id)));
+    throw new PrerequisiteCycleError(findCycle(remaining, prerequisites));
+  }
+
+  return result;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Split items into those whose prerequisites are mastered and those still blocked
+ * @param {Array} contentItems - Content items
+ * @param {Object} performance - User performance data with an itemMastery map
+ * @param {number} masteryThreshold - Mastery a prerequisite needs before dependents unlock
+ * @returns {Object} - { unlocked: [item], blocked: [{ item, unmetPrerequisites: [id] }] }
+ */
+export const partitionByPrerequisites = (
+  contentItems,
+  performance,
+  masteryThreshold = MASTERY_THRESHOLDS.prerequisite
+) => {
+  const { items, prerequisites } = buildPrerequisiteGraph(contentItems);
+  const itemMastery = performance?.itemMastery || {};
+
+  const isMastered = (id) => (itemMastery[id]?.mastery || 0) >= masteryThreshold;
+
+  const unlocked = [];
+  const blocked = [];
+
+  items.forEach((item, id) => {
+    const unmetPrerequisites = prerequisites.get(id).filter(prerequisiteId => !isMastered(prerequisiteId));
+    if (unmetPrerequisites.length === 0) {
+      unlocked.push(item);
+    } else {
+      blocked.push({ item, unmetPrerequisites });
+    }
+  });
+
+  return { unlocked, blocked };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Items whose prerequisites are mastered, in dependency order. Unlike
+ * topologicalSort this never throws: with a prerequisite cycle the items
+ * keep their given order.
+ * @param {Array} contentItems - Content items
+ * @param {Object} performance - User performance data with an itemMastery map
+ * @param {number} masteryThreshold - Mastery a prerequisite needs before dependents unlock
+ * @returns {Array} - Unlocked items in dependency order
+ */
+export const orderUnlockedItems = (contentItems, performance, masteryThreshold) => {
+  let ordered;
+  try {
+    ordered = topologicalSort(contentItems);
+  } catch (error) {
+    if (!(error instanceof PrerequisiteCycleError)) throw error;
+    ordered = contentItems;
+  }
+
+  const { unlocked } = partitionByPrerequisites(contentItems, performance, masteryThreshold);
+  const unlockedIds = new Set(unlocked.map(item => item.id));
+  return ordered.filter(item => unlockedIds.has(item.id));
+};
@@ -0,0 +1,158 @@
+/**
+ * Progress analytics for AdaptiveLearn360
+ *
+ * Turns the daily completionHistory, session records and attempts log into
+ * the series shown by the analytics charts. Days and weeks follow the
+ * learner's local calendar, and weeks start on Monday as in study history.
+ */
+import { toDayKey, startOfDay, addCalendarDays } from './dateUtils';
+import { getPeriodRange } from './studyHistory';
+import { STUDY_PERIOD_HOURS, getStudyPeriod } from './calendarSlots';
+import { rankSubjectAreas } from './performanceMetrics';
+
+// PUBLIC_INTERFACE
+/**
+ * Time-of-day periods, in the order they are charted
+ */
+export const STUDY_PERIODS = Object.keys(STUDY_PERIOD_HOURS);
+
+// Minutes per local day from a completion history
+const minutesByDay = (completionHistory) =>
+  (completionHistory || []).reduce((days, entry) => {
+    days.set(entry.date, (days.get(entry.date) || 0) + entry.duration);
+    return days;
+  }, new Map());
+
+// PUBLIC_INTERFACE
+/**
+ * Study minutes for each of the last few days, oldest first
+ * @param {Array} completionHistory - [{ date, sessionsCompleted, duration }]
+ * @param {Object} options - { days } to include (default 14), { now }
+ * @returns {Array} - [{ date, duration }] with an entry for every day
+ */
+export const getDailyMinutes = (completionHistory, { days = 14, now = new Date() } = {}) => {
+  const totals = minutesByDay(completionHistory);
+  const first = addCalendarDays(startOfDay(now), -(days - 1));
+  return Array.from({ length: days }, (_, index) => {
+    const date = toDayKey(addCalendarDays(first, index));
+    return { date, duration: totals.get(date) || 0 };
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Study minutes for each of the last few weeks (Monday to Sunday), oldest first
+ * @param {Array} completionHistory - [{ date, sessionsCompleted, duration }]
+ * @param {Object} options - { weeks } to include (default 8), { now }
+ * @returns {Array} - [{ weekStart, duration }] where weekStart is a day key
+ */
+export const getWeeklyMinutes = (completionHistory, { weeks = 8, now = new Date() } = {}) => {
+  const totals = minutesByDay(completionHistory);
+  const { start } = getPeriodRange('week', now);
+  return Array.from({ length: weeks }, (_, index) => {
+    const weekStart = addCalendarDays(start, (index - weeks + 1) * 7);
+    const duration = Array.from({ length: 7 }, (__, day) => totals.get(toDayKey(addCalendarDays(weekStart, day))) || 0)
+      .reduce((sum, minutes) => sum + minutes, 0);
+    return { weekStart: toDayKey(weekStart), duration };
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Calendar heatmap of study minutes: one column per week, Monday at the top
+ * @param {Array} completionHistory - [{ date, sessionsCompleted, duration }]
+ * @param {Object} options - { weeks } to include (default 12), { now }
+ * @returns {Object} - { weeks: [[{ date, duration, level, future }]], maxDuration }
+ *   where level is 0 (nothing) to 4 (the busiest days)
+ */
+export const getActivityHeatmap = (completionHistory, { weeks = 12, now = new Date() } = {}) => {
+  const totals = minutesByDay(completionHistory);
+  const today = startOfDay(now);
+  const first = addCalendarDays(getPeriodRange('week', now).start, -(weeks - 1) * 7);
+
+  const columns = Array.from({ length: weeks }, (_, week) =>
+    Array.from({ length: 7 }, (__, day) => {
+      const date = addCalendarDays(first, week * 7 + day);
+      return { date: toDayKey(date), duration: totals.get(toDayKey(date)) || 0, future: date > today };
+    })
+  );
+
+  const maxDuration = Math.max(0, ...columns.flat().map(cell => cell.duration));
+  return {
+    maxDuration,
+    weeks: columns.map(column => column.map(cell => ({
+      ...cell,
+      level: cell.duration === 0 ? 0 : Math.max(1, Math.ceil((cell.duration / maxDuration) * 4))
+    })))
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Average score per subject for each day with attempts
+ * @param {Array} attempts - Attempt records
+ * @param {Object} options - { since } to ignore older attempts
+ * @returns {Object} - { [subject]: [{ date, score, attempts }] } oldest first
+ */
+export const getScoreTrends = (attempts, { since = null } = {}) => {
+  const from = since ? new Date(since).getTime() : -Infinity;
+  const groups = {};
+  (attempts || [])
+    .filter(attempt => new Date(attempt.timestamp).getTime() >= from)
+    .forEach(attempt => {
+      const date = toDayKey(attempt.timestamp);
+      if (!groups[attempt.subject]) groups[attempt.subject] = {};
+      if (!groups[attempt.subject][date]) groups[attempt.subject][date] = { date, total: 0, attempts: 0 };
+      groups[attempt.subject][date].total += attempt.score;
+      groups[attempt.subject][date].attempts += 1;
+    });
+
+  return Object.entries(groups).reduce((trends, [subject, days]) => ({
+    ...trends,
+    [subject]: Object.values(days)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ date: day.date, score: Math.round(day.total / day.attempts), attempts: day.attempts }))
+  }), {});
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Study minutes by time of day, from session start times
+ * @param {Array} sessions - Session records
+ * @returns {Array} - [{ period, duration, sessions }] in STUDY_PERIODS order
+ */
+export const getTimeOfDayDistribution = (sessions) => {
+  const totals = STUDY_PERIODS.reduce((map, period) => ({ ...map, [period]: { duration: 0, sessions: 0 } }), {});
+  (sessions || []).forEach(session => {
+    const total = totals[getStudyPeriod(new Date(session.startTime))];
+    total.duration += session.duration;
+    total.sessions += 1;
+  });
+  return STUDY_PERIODS.map(period => ({ period, ...totals[period] }));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Weak and strong areas as they stood at the end of each of the last few
+ * weeks, ranked the same way as the learner's performance
+ * @param {Array} attempts - Attempt records
+ * @param {Object} options - { weeks } to include (default 8), { now }, { halfLifeDays }
+ * @returns {Array} - [{ weekStart, subjectScores, weakAreas, strongAreas }],
+ *   oldest first, from the first week with attempts
+ */
+export const getWeakAreaHistory = (attempts, { weeks = 8, now = new Date(), halfLifeDays } = {}) => {
+  const { start } = getPeriodRange('week', now);
+  return Array.from({ length: weeks }, (_, index) => {
+    const weekStart = addCalendarDays(start, (index - weeks + 1) * 7);
+    // The current week ends now rather than next Monday, and covers every attempt so far
+    const current = index === weeks - 1;
+    const weekEnd = current ? new Date(now) : addCalendarDays(weekStart, 7);
+    const seen = (attempts || []).filter(attempt => current || new Date(attempt.timestamp) < weekEnd);
+    return { weekStart, weekEnd, seen };
+  })
+    .filter(week => week.seen.length > 0)
+    .map(({ weekStart, weekEnd, seen }) => ({
+      weekStart: toDayKey(weekStart),
+      ...rankSubjectAreas(seen, { now: weekEnd, halfLifeDays })
+    }));
+};
@@ -0,0 +1,19 @@
+import { getWeakAreaHistory } from './progressAnalytics';
+
+const attempt = (subject, score, timestamp) => ({ id: `${subject}-${timestamp}`, itemId: subject, subject, score, timestamp });
+
+test('getWeakAreaHistory starts at the first week with attempts and keeps earlier attempts', () => {
+  // Wednesday; weeks start on Monday
+  const now = new Date(2026, 2, 18, 12);
+  const attempts = [
+    attempt('calculus', 40, new Date(2026, 2, 3, 10).toISOString()),
+    attempt('biology', 95, new Date(2026, 2, 17, 10).toISOString())
+  ];
+
+  const history = getWeakAreaHistory(attempts, { weeks: 4, now });
+
+  expect(history.map(week => week.weekStart)).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+  expect(Object.keys(history[0].subjectScores)).toEqual(['calculus']);
+  expect(Object.keys(history[2].subjectScores).sort()).toEqual(['biology', 'calculus']);
+  expect(history[2]).not.toHaveProperty('seen');
+});
@@ -0,0 +1,201 @@
+/**
+ * Study reminder scheduling for AdaptiveLearn360
+ *
+ * Works from the reminder settings stored in userData.preferences.reminders:
+ *   { enabled, frequency: 'low' | 'medium' | 'high', smartTiming, quietHours: { start, end } }
+ * frequency sets how many reminders go out a day. With smartTiming they go
+ * out shortly before the learner's best-scoring study periods for that
+ * weekday; without it they are spread evenly over the hours outside quiet
+ * hours. Every reminder points at the next scheduled session after it.
+ */
+import { STUDY_PERIOD_HOURS } from './calendarSlots';
+import { getStudyTimeScores } from './studyTimePreferences';
+import { startOfDay, addCalendarDays } from './dateUtils';
+
+// PUBLIC_INTERFACE
+/**
+ * Reminders per day for each frequency setting
+ */
+export const REMINDER_FREQUENCIES = {
+  low: 1,
+  medium: 2,
+  high: 3
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Quiet hours used when none are set: 22:00 to 07:00
+ */
+export const DEFAULT_QUIET_HOURS = { start: 22, end: 7 };
+
+// PUBLIC_INTERFACE
+/**
+ * Reminder settings for a learner who has not changed them
+ */
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  frequency: 'medium',
+  smartTiming: true,
+  quietHours: DEFAULT_QUIET_HOURS
+};
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value < 24;
+
+// PUBLIC_INTERFACE
+/**
+ * Complete stored reminder settings, replacing missing or malformed values with the defaults
+ * @param {Object} settings - Stored reminder settings
+ * @returns {Object} - Reminder settings
+ */
+export const normalizeReminderSettings = (settings) => {
+  const stored = settings && typeof settings === 'object' ? settings : {};
+  const quietHours = stored.quietHours && isHour(stored.quietHours.start) && isHour(stored.quietHours.end)
+    ? { start: stored.quietHours.start, end: stored.quietHours.end }
+    : DEFAULT_QUIET_HOURS;
+
+  return {
+    enabled: typeof stored.enabled === 'boolean' ? stored.enabled : DEFAULT_REMINDER_SETTINGS.enabled,
+    frequency: stored.frequency in REMINDER_FREQUENCIES ? stored.frequency : DEFAULT_REMINDER_SETTINGS.frequency,
+    smartTiming: typeof stored.smartTiming === 'boolean' ? stored.smartTiming : DEFAULT_REMINDER_SETTINGS.smartTiming,
+    quietHours
+  };
+};
+
+// How long before a study period a smart reminder goes out
+const SMART_LEAD_MINUTES = 15;
+
+const MINUTE_MS = 60 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a time falls within quiet hours. Quiet hours may wrap past midnight;
+ * equal start and end hours mean there are none.
+ * @param {Date} date - Time to check
+ * @param {Object} quietHours - { start, end } as hours of the day
+ * @returns {boolean} - Whether reminders should stay silent
+ */
+export const isQuietTime = (date, quietHours = DEFAULT_QUIET_HOURS) => {
+  const { start, end } = quietHours;
+  const hour = date.getHours() + date.getMinutes() / 60;
+  if (start === end) return false;
+  return start > end ? hour >= start || hour < end : hour >= start && hour < end;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Element id a scheduled session is rendered with, so reminders can link to it
+ * @param {Object} session - Session from generateAdaptiveSchedule or an exam plan
+ * @returns {string} - Anchor id
+ */
+export const getSessionAnchor = (session) =>
+  (session.examIds ? `exam-session-${session.id}` : `session-${new Date(session.date).getTime()}`);
+
+// PUBLIC_INTERFACE
+/**
+ * Upcoming sessions from the adaptive schedule and the exam plan, soonest first
+ * @param {Array} schedule - Output of generateAdaptiveSchedule
+ * @param {Object} examPlan - Stored exam plan (may be null)
+ * @param {Date} now - Current time
+ * @returns {Array} - [{ anchor, start, title }]
+ */
+export const getUpcomingSessions = (schedule, examPlan, now = new Date()) => [
+  ...(schedule || []).map(session => ({
+    anchor: getSessionAnchor(session),
+    start: new Date(session.date),
+    title: session.items.map(item => item.title).join(', ')
+  })),
+  ...(examPlan?.sessions || []).map(session => ({
+    anchor: getSessionAnchor(session),
+    start: new Date(session.date),
+    title: session.tasks.map(task => task.title).join(', ')
+  }))
+]
+  .filter(session => session.start > now)
+  .sort((a, b) => a.start - b.start);
+
+// PUBLIC_INTERFACE
+/**
+ * Times on a given day at which reminders go out
+ * @param {Date} day - Any time on the day
+ * @param {Object} settings - Reminder settings
+ * @param {Object} habits - User habits with learned study-time scores
+ * @returns {Array} - Reminder times (Dates) in order, none within quiet hours
+ */
+export const getReminderTimes = (day, settings, habits) => {
+  const count = REMINDER_FREQUENCIES[settings.frequency] || REMINDER_FREQUENCIES.medium;
+  const quietHours = settings.quietHours || DEFAULT_QUIET_HOURS;
+  const midnight = startOfDay(day);
+  const atHour = (hour) => new Date(midnight.getTime() + hour * 60 * MINUTE_MS);
+
+  let times;
+  if (settings.smartTiming) {
+    const scores = getStudyTimeScores(habits, midnight.getDay());
+    times = Object.keys(STUDY_PERIOD_HOURS)
+      .sort((a, b) => (scores[b] || 0) - (scores[a] || 0))
+      .slice(0, count)
+      .map(period => new Date(atHour(STUDY_PERIOD_HOURS[period][0]).getTime() - SMART_LEAD_MINUTES * MINUTE_MS));
+  } else {
+    // Spread evenly over the waking window between the end and start of quiet hours
+    const wakeHour = quietHours.start === quietHours.end ? 0 : quietHours.end;
+    const windowHours = quietHours.start === quietHours.end
+      ? 24
+      : (quietHours.start - quietHours.end + 24) % 24;
+    times = Array.from({ length: count }, (_, index) =>
+      atHour(wakeHour + (windowHours * (index + 1)) / (count + 1))
+    );
+  }
+
+  return times
+    .filter(time => !isQuietTime(time, quietHours))
+    .sort((a, b) => a - b);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Plan the reminders still to come over the next few days
+ * @param {Object} settings - Reminder settings
+ * @param {Object} context - { habits, sessions (from getUpcomingSessions), now, days }
+ * @returns {Array} - [{ id, at, session }] soonest first; session is null when nothing is scheduled after it
+ */
+export const planReminders = (settings, { habits, sessions = [], now = new Date(), days = 2 } = {}) => {
+  if (!settings || !settings.enabled) return [];
+
+  const reminders = [];
+  for (let offset = 0; offset < days; offset++) {
+    getReminderTimes(addCalendarDays(now, offset), settings, habits)
+      .filter(time => time > now)
+      .forEach(time => {
+        reminders.push({
+          id: `reminder-${time.getTime()}`,
+          at: time,
+          session: sessions.find(session => session.start >= time) || null
+        });
+      });
+  }
+  return reminders;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Title, text and deep link for a reminder
+ * @param {Object} reminder - From planReminders
+ * @returns {Object} - { title, body, url }
+ */
+export const buildReminderMessage = (reminder) => {
+  if (!reminder.session) {
+    return {
+      title: 'Time to study',
+      body: 'Nothing is scheduled yet - a short session still keeps your streak going.',
+      url: '#'
+    };
+  }
+
+  const time = reminder.session.start.toLocaleString(undefined, {
+    weekday: 'short', hour: '2-digit', minute: '2-digit'
+  });
+  return {
+    title: 'Your next study session',
+    body: `${time}: ${reminder.session.title}`,
+    url: `#${reminder.session.anchor}`
+  };
+};
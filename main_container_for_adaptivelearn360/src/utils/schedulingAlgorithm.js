@@ -1,18 +1,162 @@
 /**
  * Utility functions for adaptive scheduling in AdaptiveLearn360
  */
+import { findStudySlot, normalizeIntervals } from './calendarSlots';
+import { getStudyTimeScores } from './studyTimePreferences';
+import { isValidContentItem } from '../content/contentSchema';
+import { orderUnlockedItems } from './prerequisiteGraph';
+import { toDayKey } from './dateUtils';
+import { scoreReason, extendScoreReason } from '../adaptation/reasons';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 constants
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_GRADE = 3;
+
+// Add a number of days to a date without modifying the original
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// End of the calendar day that contains the given date
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a fresh review state for an item that has never been reviewed
+ * @param {string} itemId - Id of the content item
+ * @returns {Object} - Review state { itemId, ease, interval, repetitions, dueDate, lapses, lastReviewed }
+ */
+export const createReviewState = (itemId) => ({
+  itemId,
+  ease: DEFAULT_EASE,
+  interval: 0,
+  repetitions: 0,
+  dueDate: null,
+  lapses: 0,
+  lastReviewed: null
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Build a review state for a content item that has no stored state yet.
+ * Items studied before get a one-day interval from lastStudied; items the
+ * user struggled with start with a lapse and a lower ease.
+ * @param {Object} item - Content item
+ * @returns {Object|null} - Seeded review state, or null for new material
+ */
+export const seedReviewState = (item) => {
+  if (!item || !item.lastStudied) {
+    return null;
+  }
+
+  const lastReviewed = new Date(item.lastStudied);
+  return {
+    ...createReviewState(item.id),
+    ease: item.previouslyStruggled ? DEFAULT_EASE - 0.2 : DEFAULT_EASE,
+    interval: 1,
+    repetitions: item.previouslyStruggled ? 0 : 1,
+    lapses: item.previouslyStruggled ? 1 : 0,
+    lastReviewed: lastReviewed.toISOString(),
+    dueDate: addDays(lastReviewed, 1).toISOString()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Convert a percentage score into an SM-2 recall grade
+ * @param {number} score - Score from 0 to 100
+ * @returns {number} - Grade from 0 (blackout) to 5 (perfect recall)
+ */
+export const scoreToGrade = (score) => {
+  const clamped = Math.max(0, Math.min(100, score || 0));
+  return Math.round((clamped / 100) * 5);
+};
 
 // PUBLIC_INTERFACE
 /**
- * Generate an adaptive study schedule based on user performance and habits
+ * Update an item's review state from a graded recall using the SM-2 algorithm
+ * @param {Object} reviewState - Current review state (or null for a new item)
+ * @param {number} grade - Recall grade from 0 to 5
+ * @param {Date} reviewDate - When the review happened
+ * @returns {Object} - New review state
+ */
+export const updateReviewState = (reviewState, grade, reviewDate = new Date()) => {
+  const state = reviewState || createReviewState(null);
+  const quality = Math.max(0, Math.min(5, Math.round(grade)));
+
+  let { repetitions, interval, lapses } = state;
+
+  if (quality >= PASSING_GRADE) {
+    // Successful recall - grow the interval
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * state.ease);
+    }
+    repetitions += 1;
+  } else {
+    // Failed recall - relearn from the start
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  }
+
+  // Ease moves with recall quality but never drops below the SM-2 floor
+  const ease = Math.max(
+    MIN_EASE,
+    state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...state,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    lastReviewed: new Date(reviewDate).toISOString(),
+    dueDate: addDays(reviewDate, interval).toISOString()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether an item is due for review on or before a given date
+ * @param {Object} reviewState - Review state of the item
+ * @param {Date} date - Date to check against
+ * @returns {boolean} - Whether the item is due
+ */
+export const isReviewDue = (reviewState, date = new Date()) => {
+  if (!reviewState || !reviewState.dueDate) {
+    return false;
+  }
+  return new Date(reviewState.dueDate) <= endOfDay(date);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Generate an adaptive study schedule based on user performance and habits.
+ * Only items whose prerequisites are mastered are scheduled. Items due for
+ * review (from userData.reviewStates) fill each day first, followed by
+ * material that has never been reviewed. Each session's
+ * durationReason breaks its length down by factor (see adaptation/reasons.js).
  * @param {Object} userData - Complete user data object
- * @param {Array} contentItems - Array of content items to schedule
+ * @param {Array} allContentItems - Array of content items to schedule; items that
+ *   fail content validation are skipped
  * @param {Date} startDate - Starting date for the schedule
  * @param {number} daysToSchedule - Number of days to create schedule for
- * @returns {Array} - Scheduled study sessions
+ * @param {Object} options - { busyIntervals } to avoid (defaults to userData.busyIntervals)
+ * @returns {Array} - Scheduled study sessions, each placed in a free slot
  */
-export const generateAdaptiveSchedule = (userData, contentItems, startDate = new Date(), daysToSchedule = 7) => {
-  if (!userData || !contentItems || contentItems.length === 0) {
+export const generateAdaptiveSchedule = (userData, allContentItems, startDate = new Date(), daysToSchedule = 7, options = {}) => {
+  const contentItems = (allContentItems || []).filter(isValidContentItem);
+  if (!userData || contentItems.length === 0) {
     return [];
   }
 
@@ -24,77 +168,109 @@ export const generateAdaptiveSchedule = (userData, contentItems, startDate = new
   // Clone startDate to avoid modifying the original
   const currentDate = new Date(startDate);
   
-  // Determine best study hours based on user habits
-  const getBestStudyHours = (dayOfWeek) => {
-    // Default study hours if no data available
-    const defaultHours = { morning: [9, 11], afternoon: [14, 16], evening: [19, 21] };
-    
-    // Return preferred times with highest scores
-    const preferredTime = habits?.preferredStudyTime || {};
-    let bestPeriod = 'evening';
-    let highestScore = 0;
-    
-    Object.entries(preferredTime).forEach(([period, score]) => {
-      if (score > highestScore) {
-        highestScore = score;
-        bestPeriod = period;
-      }
-    });
-    
-    // Return hours for that period
-    return defaultHours[bestPeriod];
-  };
+  // Sessions are placed in free time, trying the periods that score best
+  // on each day's weekday first
+  const busyIntervals = normalizeIntervals(options.busyIntervals || userData.busyIntervals);
   
-  // Sort content by priority (weak areas first)
-  const sortedContent = [...contentItems].sort((a, b) => {
-    // Check if this subject is in weak areas
+  // Leave out items with unmastered prerequisites, then put weak areas first.
+  // The sort is stable, so items otherwise keep their dependency order.
+  const sortedContent = orderUnlockedItems(contentItems, performance).sort((a, b) => {
     const aIsWeak = performance?.weakAreas?.includes(a.subject);
     const bIsWeak = performance?.weakAreas?.includes(b.subject);
     
     if (aIsWeak && !bIsWeak) return -1;
     if (!aIsWeak && bIsWeak) return 1;
-    
-    // If both are weak or both are not weak, sort by difficulty
-    return b.difficulty - a.difficulty;
+    return 0;
   });
   
   // Calculate how many items to study per day based on user consistency
-  const consistencyScore = habits?.consistencyScore || 0.5;
+  // (a score of 0 is floored so it cannot divide by zero)
+  const consistencyScore = Math.max(0.1, habits?.consistencyScore ?? 0.5);
   const itemsPerDay = Math.max(1, Math.min(3, Math.ceil(sortedContent.length / (daysToSchedule * consistencyScore))));
   
+  // Working copy of review states, projected forward as sessions are planned
+  const storedStates = userData.reviewStates || {};
+  const projectedStates = {};
+  sortedContent.forEach(item => {
+    projectedStates[item.id] = storedStates[item.id] || seedReviewState(item);
+  });
+  
   // Create schedule for each day
   for (let day = 0; day < daysToSchedule; day++) {
-    // Get content items for this day
-    const startIndex = (day * itemsPerDay) % sortedContent.length;
-    const dayItems = [];
+    // Due reviews come first, most overdue first
+    const dueItems = sortedContent
+      .filter(item => isReviewDue(projectedStates[item.id], currentDate))
+      .sort((a, b) => new Date(projectedStates[a.id].dueDate) - new Date(projectedStates[b.id].dueDate))
+      .map(item => ({ ...item, reviewType: 'review' }));
     
-    for (let i = 0; i < itemsPerDay; i++) {
-      const indexToAdd = (startIndex + i) % sortedContent.length;
-      dayItems.push(sortedContent[indexToAdd]);
-    }
+    // Then fill remaining capacity with material that has never been reviewed
+    const newItems = sortedContent
+      .filter(item => !projectedStates[item.id])
+      .map(item => ({ ...item, reviewType: 'new' }));
     
-    // Get best study hours for this day of week
-    const dayOfWeek = currentDate.getDay();
-    const [startHour, endHour] = getBestStudyHours(dayOfWeek);
+    const dayItems = [...dueItems, ...newItems].slice(0, itemsPerDay);
     
-    // Create study session
-    const sessionDate = new Date(currentDate);
-    sessionDate.setHours(startHour, 0, 0, 0);
+    if (dayItems.length === 0) {
+      currentDate.setDate(currentDate.getDate() + 1);
+      continue;
+    }
     
     // Adjust duration based on item difficulty and user performance
     const averageScore = performance?.averageScore || 70;
     const difficultyFactor = dayItems.reduce((sum, item) => sum + item.difficulty, 0) / dayItems.length;
     
     // More difficult content or lower performance = longer sessions
-    const adjustedDuration = Math.round(
-      baseStudyDuration * (1 + (difficultyFactor - 3) * 0.1) * (1 + (70 - averageScore) * 0.005)
+    const difficultyDuration = baseStudyDuration * (1 + (difficultyFactor - 3) * 0.1);
+    const adjustedDuration = Math.round(difficultyDuration * (1 + (70 - averageScore) * 0.005));
+    
+    // Minutes each factor adds; the score's share absorbs the rounding
+    const difficultyMinutes = Math.round(difficultyDuration - baseStudyDuration);
+    const durationReason = scoreReason('duration', adjustedDuration, [
+      { factor: 'studyDuration', value: baseStudyDuration, contribution: baseStudyDuration },
+      { factor: 'difficulty', value: difficultyFactor, contribution: difficultyMinutes },
+      {
+        factor: 'user.performance.averageScore',
+        value: averageScore,
+        contribution: adjustedDuration - baseStudyDuration - difficultyMinutes
+      }
+    ], {
+      unit: 'min',
+      summary: 'Your preferred session length, adjusted for how hard the material is and how you are scoring'
+    });
+    
+    // Find a free slot for the session and its break; on the first day, not in the past
+    const slot = findStudySlot(
+      currentDate,
+      adjustedDuration + baseBreakDuration,
+      busyIntervals,
+      getStudyTimeScores(habits, currentDate.getDay()),
+      day === 0 ? startDate : null
     );
     
-    // Add session to schedule
+    // No free time today - the items stay due and roll over to the next day
+    if (!slot) {
+      currentDate.setDate(currentDate.getDate() + 1);
+      continue;
+    }
+    
+    // Assume a successful recall so later days see the item's next due date
+    dayItems.forEach(item => {
+      projectedStates[item.id] = updateReviewState(
+        projectedStates[item.id] || createReviewState(item.id),
+        4,
+        currentDate
+      );
+    });
+    
+    // Add session to schedule; there is at most one a day, so the day identifies it
     schedule.push({
-      date: new Date(sessionDate),
+      id: `study-${toDayKey(slot.start)}`,
+      date: slot.start,
+      endDate: new Date(slot.start.getTime() + adjustedDuration * 60 * 1000),
+      period: slot.period,
       items: dayItems,
       duration: adjustedDuration,
+      durationReason,
       breakDuration: baseBreakDuration,
       completed: false
     });
@@ -129,6 +305,10 @@ export const calculateOptimalBreakTime = (sessionDuration, userFatigueLevel = 5,
   return Math.max(5, Math.min(20, breakTime));
 };
 
+// Record why a session's duration changed, when it has a reason to extend
+const adjustDurationReason = (session, duration, factors) =>
+  session.durationReason ? extendScoreReason(session.durationReason, duration, factors) : session.durationReason;
+
 // PUBLIC_INTERFACE
 /**
  * Adjust schedule based on recent performance feedback
@@ -144,7 +324,7 @@ export const adjustScheduleBasedOnPerformance = (currentSchedule, performanceFee
   const updatedSchedule = [...currentSchedule];
   
   // Extract performance metrics
-  const { completedItems, struggledItems, averageScore } = performanceFeedback;
+  const { struggledItems, averageScore } = performanceFeedback;
   
   // Find items that need reinforcement
   const reinforcementNeeded = struggledItems || [];
@@ -155,14 +335,21 @@ export const adjustScheduleBasedOnPerformance = (currentSchedule, performanceFee
     const nextSessionIndex = updatedSchedule.findIndex(session => new Date(session.date) > now);
     
     if (nextSessionIndex !== -1) {
-      // Add reinforcement items to next session
+      // Add reinforcement items to next session, replacing any regular review of the same item
+      const reinforcementItems = reinforcementNeeded.slice(0, 2); // Add up to 2 reinforcement items
+      const reinforcedIds = new Set(reinforcementItems.map(item => item.id));
+      const nextSession = updatedSchedule[nextSessionIndex];
+      const duration = nextSession.duration + 10; // Add time for reinforcement
       updatedSchedule[nextSessionIndex] = {
-        ...updatedSchedule[nextSessionIndex],
+        ...nextSession,
         items: [
-          ...reinforcementNeeded.slice(0, 2), // Add up to 2 reinforcement items
-          ...updatedSchedule[nextSessionIndex].items
+          ...reinforcementItems,
+          ...nextSession.items.filter(item => !reinforcedIds.has(item.id))
         ],
-        duration: updatedSchedule[nextSessionIndex].duration + 10 // Add time for reinforcement
+        duration,
+        durationReason: adjustDurationReason(nextSession, duration, [
+          { factor: 'reinforcement', value: reinforcementItems.length, contribution: 10 }
+        ])
       };
     }
   }
@@ -171,9 +358,13 @@ export const adjustScheduleBasedOnPerformance = (currentSchedule, performanceFee
   if (averageScore && averageScore > 85) {
     updatedSchedule.forEach((session, index) => {
       if (index > 0) { // Don't modify immediate next session
+        const duration = Math.max(15, session.duration - 5); // Reduce duration but not below 15 min
         updatedSchedule[index] = {
           ...session,
-          duration: Math.max(15, session.duration - 5) // Reduce duration but not below 15 min
+          duration,
+          durationReason: adjustDurationReason(session, duration, [
+            { factor: 'recentScore', value: averageScore, contribution: duration - session.duration }
+          ])
         };
       }
     });
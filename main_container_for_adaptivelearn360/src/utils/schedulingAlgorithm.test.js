@@ -0,0 +1,36 @@
+import { generateAdaptiveSchedule } from './schedulingAlgorithm';
+import { sampleContent } from '../data/sampleContent';
+import { mockUserData } from '../data/mockUserData';
+
+const withItemMastery = (itemMastery) => ({
+  ...mockUserData,
+  performance: { ...mockUserData.performance, itemMastery }
+});
+
+const scheduledIds = (userData) =>
+  generateAdaptiveSchedule(userData, sampleContent, new Date(), 14)
+    .flatMap(session => session.items.map(item => item.id));
+
+test('items with unmastered prerequisites are not scheduled', () => {
+  const ids = scheduledIds(withItemMastery({}));
+
+  expect(ids).toContain('calc-limits');
+  expect(ids).not.toContain('calc-derivatives');
+  expect(ids).not.toContain('ochem-reactions');
+});
+
+test('an item is scheduled once its prerequisites are mastered', () => {
+  const ids = scheduledIds(withItemMastery({ 'calc-limits': { mastery: 0.9 } }));
+
+  expect(ids).toContain('calc-derivatives');
+  expect(ids).not.toContain('ochem-reactions');
+});
+
+test('each session is identified by its day, so regenerating keeps its id', () => {
+  const userData = withItemMastery({});
+  const first = generateAdaptiveSchedule(userData, sampleContent, new Date(), 7);
+  const again = generateAdaptiveSchedule(userData, sampleContent, new Date(), 7);
+
+  expect(first[0].id).toMatch(/^study-\d{4}-\d{2}-\d{2}$/);
+  expect(again.map(session => session.id)).toEqual(first.map(session => session.id));
+});
@@ -0,0 +1,215 @@
+/**
+ * Pomodoro session timer state for AdaptiveLearn360
+ *
+ * The timer is a plain object so it can be persisted and restored after a
+ * reload. Elapsed time is always computed from timestamps rather than counted
+ * ticks, so time keeps passing while the tab is closed.
+ *
+ * State: { phase, plannedMinutes, subject, itemIds, startedAt, pausedAt,
+ *          pausedMs, interruptions, lastActiveAt }
+ * Interruptions are { reason: 'pause' | 'idle', start, end } with ISO strings.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Timer phases
+ */
+export const TIMER_PHASES = {
+  IDLE: 'idle',
+  STUDY: 'study',
+  BREAK: 'break'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Inactivity after which a running study phase is paused as idle
+ */
+export const IDLE_TIMEOUT_MS = 5 * MINUTE_MS;
+
+// PUBLIC_INTERFACE
+/**
+ * Timer with nothing running
+ * @returns {Object} - Idle timer state
+ */
+export const createIdleTimer = () => ({
+  phase: TIMER_PHASES.IDLE,
+  plannedMinutes: 0,
+  subject: null,
+  itemIds: [],
+  startedAt: null,
+  pausedAt: null,
+  pausedMs: 0,
+  interruptions: [],
+  lastActiveAt: null
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Start a study phase
+ * @param {number} plannedMinutes - Study length
+ * @param {Date} now - Current time
+ * @param {Object} topic - Optional { subject, itemIds } being studied
+ * @returns {Object} - Timer state
+ */
+export const startStudy = (plannedMinutes, now = new Date(), topic = {}) => ({
+  ...createIdleTimer(),
+  phase: TIMER_PHASES.STUDY,
+  plannedMinutes,
+  subject: topic.subject || null,
+  itemIds: topic.itemIds || [],
+  startedAt: now.toISOString(),
+  lastActiveAt: now.toISOString()
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Start the break that follows a study phase
+ * @param {number} breakMinutes - Break length
+ * @param {Date} now - Current time
+ * @returns {Object} - Timer state
+ */
+export const startBreak = (breakMinutes, now = new Date()) => ({
+  ...createIdleTimer(),
+  phase: TIMER_PHASES.BREAK,
+  plannedMinutes: breakMinutes,
+  startedAt: now.toISOString(),
+  lastActiveAt: now.toISOString()
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Pause the timer and open an interruption
+ * @param {Object} timer - Timer state
+ * @param {string} reason - 'pause' or 'idle'
+ * @param {Date} at - When the interruption began
+ * @returns {Object} - Timer state
+ */
+export const pauseTimer = (timer, reason = 'pause', at = new Date()) => {
+  if (timer.phase === TIMER_PHASES.IDLE || timer.pausedAt) return timer;
+  return {
+    ...timer,
+    pausedAt: at.toISOString(),
+    interruptions: [...timer.interruptions, { reason, start: at.toISOString(), end: null }]
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Resume a paused timer and close its open interruption
+ * @param {Object} timer - Timer state
+ * @param {Date} now - Current time
+ * @returns {Object} - Timer state
+ */
+export const resumeTimer = (timer, now = new Date()) => {
+  if (!timer.pausedAt) return timer;
+  return {
+    ...timer,
+    pausedAt: null,
+    pausedMs: timer.pausedMs + Math.max(0, now - new Date(timer.pausedAt)),
+    interruptions: timer.interruptions.map(interruption =>
+      (interruption.end ? interruption : { ...interruption, end: now.toISOString() })
+    ),
+    lastActiveAt: now.toISOString()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Note user activity so idle detection starts over
+ * @param {Object} timer - Timer state
+ * @param {Date} now - Current time
+ * @returns {Object} - Timer state
+ */
+export const markActive = (timer, now = new Date()) =>
+  (timer.phase === TIMER_PHASES.IDLE ? timer : { ...timer, lastActiveAt: now.toISOString() });
+
+// PUBLIC_INTERFACE
+/**
+ * Pause a running study phase that has seen no activity for idleMs.
+ * The interruption starts at the last activity, so idle time is not counted.
+ * @param {Object} timer - Timer state
+ * @param {Date} now - Current time
+ * @param {number} idleMs - Inactivity threshold
+ * @returns {Object} - Timer state (unchanged if the user is not idle)
+ */
+export const applyIdleTimeout = (timer, now = new Date(), idleMs = IDLE_TIMEOUT_MS) => {
+  if (timer.phase !== TIMER_PHASES.STUDY || timer.pausedAt || !timer.lastActiveAt) {
+    return timer;
+  }
+  const lastActive = new Date(timer.lastActiveAt);
+  return now - lastActive >= idleMs ? pauseTimer(timer, 'idle', lastActive) : timer;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Time spent in the current phase, excluding pauses
+ * @param {Object} timer - Timer state
+ * @param {Date} now - Current time
+ * @returns {number} - Elapsed milliseconds, capped at the planned length
+ */
+export const getElapsedMs = (timer, now = new Date()) => {
+  if (!timer.startedAt) return 0;
+  const end = timer.pausedAt ? new Date(timer.pausedAt) : now;
+  const elapsed = end - new Date(timer.startedAt) - timer.pausedMs;
+  return Math.max(0, Math.min(timer.plannedMinutes * MINUTE_MS, elapsed));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Time left in the current phase
+ * @param {Object} timer - Timer state
+ * @param {Date} now - Current time
+ * @returns {number} - Remaining milliseconds
+ */
+export const getRemainingMs = (timer, now = new Date()) =>
+  timer.plannedMinutes * MINUTE_MS - getElapsedMs(timer, now);
+
+// PUBLIC_INTERFACE
+/**
+ * When the current phase runs out if it is not paused again
+ * @param {Object} timer - Timer state
+ * @returns {Date|null} - End time, or null when idle or paused
+ */
+export const getPhaseEnd = (timer) => {
+  if (!timer.startedAt || timer.pausedAt) return null;
+  return new Date(new Date(timer.startedAt).getTime() + timer.pausedMs + timer.plannedMinutes * MINUTE_MS);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Summarize a study phase for addStudySession
+ * @param {Object} timer - Timer state in the study phase
+ * @param {Date} now - When the phase ended
+ * @returns {Object} - { duration, startTime, endTime, subject, itemIds, interruptions }
+ */
+export const summarizeStudy = (timer, now = new Date()) => ({
+  duration: Math.round(getElapsedMs(timer, now) / MINUTE_MS),
+  startTime: timer.startedAt,
+  endTime: (timer.pausedAt ? new Date(timer.pausedAt) : now).toISOString(),
+  subject: timer.subject,
+  itemIds: timer.itemIds,
+  interruptions: timer.interruptions.map(interruption => ({
+    ...interruption,
+    end: interruption.end || now.toISOString()
+  }))
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Check a restored timer and return it, or null if it cannot be used
+ * @param {Object} data - Stored timer state
+ * @returns {Object|null} - Timer state
+ */
+export const repairTimerState = (data) => {
+  if (!data || !Object.values(TIMER_PHASES).includes(data.phase)) return null;
+  if (data.phase !== TIMER_PHASES.IDLE && Number.isNaN(new Date(data.startedAt).getTime())) return null;
+  return {
+    ...createIdleTimer(),
+    ...data,
+    pausedMs: Number.isFinite(data.pausedMs) ? data.pausedMs : 0,
+    itemIds: Array.isArray(data.itemIds) ? data.itemIds : [],
+    interruptions: Array.isArray(data.interruptions) ? data.interruptions : []
+  };
+};
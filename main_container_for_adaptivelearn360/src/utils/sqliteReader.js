@@ -0,0 +1,212 @@
+/**
+ * Minimal read-only SQLite reader for AdaptiveLearn360
+ *
+ * Walks table b-trees in a SQLite database file to read every row of a
+ * table, following overflow pages for large values. Enough to pull notes
+ * out of an Anki collection; there is no SQL, no index use and only UTF-8
+ * databases are supported. See https://www.sqlite.org/fileformat.html
+ */
+
+const HEADER_MAGIC = 'SQLite format 3\u0000';
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+const TEXT_ENCODING_UTF8 = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when a database cannot be read
+ */
+export class SqliteReadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SqliteReadError';
+  }
+}
+
+// Column names from a CREATE TABLE statement, with the rowid alias if any
+const parseColumns = (sql) => {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const definitions = [];
+  let depth = 0;
+  let current = '';
+  [...body].forEach(char => {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      definitions.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  });
+  definitions.push(current.trim());
+
+  return definitions
+    .filter(definition => definition && !/^(primary|unique|check|foreign|constraint)\b/i.test(definition))
+    .map(definition => ({
+      name: definition.split(/\s+/)[0].replace(/^["'`[]|["'`\]]$/g, ''),
+      isRowId: /^\S+\s+integer\s+primary\s+key\b/i.test(definition)
+    }));
+};
+
+// Variable-length integer at offset: [value, bytes used]
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  for (let index = 0; index < 8; index++) {
+    const byte = bytes[offset + index];
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return [value, index + 1];
+  }
+  return [value * 256 + bytes[offset + 8], 9];
+};
+
+// Big-endian signed integer of 1 to 6 bytes
+const readSignedInt = (bytes, offset, size) => {
+  let value = 0;
+  for (let index = 0; index < size; index++) {
+    value = value * 256 + bytes[offset + index];
+  }
+  return bytes[offset] & 0x80 ? value - 256 ** size : value;
+};
+
+// Serial type to byte size for integer types 1-6
+const INTEGER_SIZES = [0, 1, 2, 3, 4, 6, 8];
+
+// PUBLIC_INTERFACE
+/**
+ * Open a SQLite database file
+ * @param {ArrayBuffer|Uint8Array} data - Database bytes
+ * @returns {Object} - { tableNames, readTable(name) } where readTable
+ *   returns every row as an object keyed by column name
+ * @throws {SqliteReadError} - If the data is not a readable database
+ */
+export const openSqliteDatabase = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  if (bytes.length < 100 || decoder.decode(bytes.subarray(0, 16)) !== HEADER_MAGIC) {
+    throw new SqliteReadError('File is not a SQLite database');
+  }
+  if (view.getUint32(56) > TEXT_ENCODING_UTF8) {
+    throw new SqliteReadError('Only UTF-8 SQLite databases are supported');
+  }
+
+  const rawPageSize = view.getUint16(16);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const usableSize = pageSize - bytes[20];
+  const pageOffset = (page) => (page - 1) * pageSize;
+
+  // Payload of a table leaf cell, gathered from overflow pages when it spills
+  const readPayload = (offset, size) => {
+    const maxLocal = usableSize - 35;
+    if (size <= maxLocal) return bytes.subarray(offset, offset + size);
+
+    const minLocal = Math.floor(((usableSize - 12) * 32) / 255) - 23;
+    const spill = minLocal + ((size - minLocal) % (usableSize - 4));
+    const localSize = spill <= maxLocal ? spill : minLocal;
+
+    const payload = new Uint8Array(size);
+    payload.set(bytes.subarray(offset, offset + localSize));
+    let written = localSize;
+    let page = view.getUint32(offset + localSize);
+    while (page && written < size) {
+      const start = pageOffset(page);
+      const chunk = Math.min(usableSize - 4, size - written);
+      payload.set(bytes.subarray(start + 4, start + 4 + chunk), written);
+      written += chunk;
+      page = view.getUint32(start);
+    }
+    return payload;
+  };
+
+  // Column values of a record (https://www.sqlite.org/fileformat.html#record_format)
+  const readRecord = (payload) => {
+    const record = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const [headerSize, headerBytes] = readVarint(payload, 0);
+    const types = [];
+    for (let offset = headerBytes; offset < headerSize;) {
+      const [type, used] = readVarint(payload, offset);
+      types.push(type);
+      offset += used;
+    }
+
+    let offset = headerSize;
+    return types.map(type => {
+      if (type === 0) return null;
+      if (type === 8) return 0;
+      if (type === 9) return 1;
+      if (type === 7) {
+        offset += 8;
+        return record.getFloat64(offset - 8);
+      }
+      if (type <= 6) {
+        const size = INTEGER_SIZES[type];
+        offset += size;
+        return size === 8
+          ? Number(record.getBigInt64(offset - 8))
+          : readSignedInt(payload, offset - size, size);
+      }
+      const size = Math.floor((type - 12) / 2);
+      const value = payload.subarray(offset, offset + size);
+      offset += size;
+      return type % 2 === 1 ? decoder.decode(value) : value;
+    });
+  };
+
+  // Every [rowid, values] in a table b-tree
+  const readTree = (rootPage) => {
+    const rows = [];
+    const pending = [rootPage];
+    while (pending.length > 0) {
+      const page = pending.pop();
+      const start = pageOffset(page);
+      const header = page === 1 ? start + 100 : start;
+      const type = bytes[header];
+      const cellCount = view.getUint16(header + 3);
+
+      if (type === PAGE_INTERIOR_TABLE) {
+        const children = [];
+        for (let index = 0; index < cellCount; index++) {
+          children.push(view.getUint32(start + view.getUint16(header + 12 + index * 2)));
+        }
+        children.push(view.getUint32(header + 8));
+        pending.push(...children.reverse());
+      } else if (type === PAGE_LEAF_TABLE) {
+        for (let index = 0; index < cellCount; index++) {
+          let cell = start + view.getUint16(header + 8 + index * 2);
+          const [size, sizeBytes] = readVarint(bytes, cell);
+          cell += sizeBytes;
+          const [rowId, rowIdBytes] = readVarint(bytes, cell);
+          cell += rowIdBytes;
+          rows.push([rowId, readRecord(readPayload(cell, size))]);
+        }
+      } else {
+        throw new SqliteReadError(`SQLite page ${page} is not a table page`);
+      }
+    }
+    return rows;
+  };
+
+  const schema = readTree(1)
+    .map(([, [type, name, , rootPage, sql]]) => ({ type, name, rootPage, sql }))
+    .filter(entry => entry.type === 'table');
+
+  const readTable = (name) => {
+    const table = schema.find(entry => entry.name === name);
+    if (!table) throw new SqliteReadError(`SQLite database has no table "${name}"`);
+
+    const columns = parseColumns(table.sql);
+    return readTree(table.rootPage).map(([rowId, values]) =>
+      columns.reduce((row, column, index) => ({
+        ...row,
+        [column.name]: column.isRowId ? rowId : (values[index] ?? null)
+      }), {})
+    );
+  };
+
+  return {
+    tableNames: schema.map(entry => entry.name),
+    readTable
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+import { openSqliteDatabase, SqliteReadError } from './sqliteReader';
+import { NOTES_DATABASE } from './__fixtures__/binaryFixtures';
+
+test('openSqliteDatabase lists the tables', () => {
+  expect(openSqliteDatabase(NOTES_DATABASE).tableNames).toEqual(['notes']);
+});
+
+test('readTable decodes every column type by name', () => {
+  const [first] = openSqliteDatabase(NOTES_DATABASE.buffer).readTable('notes');
+
+  expect(first).toEqual({
+    id: 1,
+    title: 'Limits',
+    score: 87.5,
+    delta: -3,
+    big: 9007199254740991,
+    note: null,
+    data: new Uint8Array([0x00, 0xff, 0x10])
+  });
+});
+
+test('readTable follows interior pages and overflow pages', () => {
+  const rows = openSqliteDatabase(NOTES_DATABASE).readTable('notes');
+
+  // Rows span two leaf pages and come back in rowid order
+  expect(rows.map(row => row.id)).toEqual(Array.from({ length: 16 }, (_, index) => index + 1));
+  expect(rows[1].note).toBe('overflow '.repeat(120));
+  expect(rows[15]).toMatchObject({ title: 'Row 16', score: 4, delta: -16000, note: 'Überblick' });
+});
+
+test('reading a missing table is an error', () => {
+  expect(() => openSqliteDatabase(NOTES_DATABASE).readTable('cards')).toThrow('SQLite database has no table "cards"');
+});
+
+test('data without the SQLite header is rejected', () => {
+  expect(() => openSqliteDatabase(new Uint8Array(512))).toThrow(SqliteReadError);
+  expect(() => openSqliteDatabase(NOTES_DATABASE.slice(0, 50))).toThrow('File is not a SQLite database');
+});
+
+test('databases in UTF-16 are rejected', () => {
+  const utf16 = NOTES_DATABASE.slice();
+  new DataView(utf16.buffer).setUint32(56, 2);
+
+  expect(() => openSqliteDatabase(utf16)).toThrow('Only UTF-8 SQLite databases are supported');
+});
+
+test('a damaged table page is reported', () => {
+  const damaged = NOTES_DATABASE.slice();
+  // Page 2 is the table's interior root page
+  damaged[512] = 0;
+
+  expect(() => openSqliteDatabase(damaged).readTable('notes')).toThrow('SQLite page 2 is not a table page');
+});
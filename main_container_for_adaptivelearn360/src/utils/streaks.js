@@ -0,0 +1,174 @@
+/**
+ * Study streaks and consistency for AdaptiveLearn360
+ *
+ * Both are derived from the daily totals in habits.completionHistory. A day
+ * counts towards the streak when its minutes reach the daily goal
+ * (preferences.dailyGoalMinutes); the goal applies to every day in the
+ * history. With preferences.streakFreezes on, meeting the goal on
+ * FREEZE_EARN_DAYS days earns a freeze, and a banked freeze is spent
+ * automatically on a missed day so the streak carries on.
+ */
+import { toDayKey, startOfDay, addCalendarDays } from './dateUtils';
+
+// PUBLIC_INTERFACE
+/**
+ * Goal used when the user has not set one
+ */
+export const DEFAULT_DAILY_GOAL_MINUTES = 15;
+
+// PUBLIC_INTERFACE
+/**
+ * Days on goal needed to earn a streak freeze
+ */
+export const FREEZE_EARN_DAYS = 7;
+
+// PUBLIC_INTERFACE
+/**
+ * Most streak freezes that can be banked at once
+ */
+export const MAX_BANKED_FREEZES = 2;
+
+// Recent days considered for the consistency score
+const CONSISTENCY_WINDOW_DAYS = 28;
+
+// PUBLIC_INTERFACE
+/**
+ * Minutes studied per local day
+ * @param {Array} completionHistory - [{ date, sessionsCompleted, duration }]
+ * @returns {Map} - Day key to minutes
+ */
+export const getDailyMinutes = (completionHistory) => {
+  const minutes = new Map();
+  (completionHistory || []).forEach(entry => {
+    minutes.set(entry.date, (minutes.get(entry.date) || 0) + entry.duration);
+  });
+  return minutes;
+};
+
+// Earliest day key in a daily-minutes map
+const firstDay = (dailyMinutes) => [...dailyMinutes.keys()].sort()[0];
+
+// PUBLIC_INTERFACE
+/**
+ * Walk the history day by day and work out the streaks and freezes.
+ * Today only extends the streak; not having met the goal yet does not break it.
+ * @param {Map} dailyMinutes - From getDailyMinutes
+ * @param {Object} settings - { goalMinutes, freezesEnabled }
+ * @param {Date} now - Current time
+ * @returns {Object} - { current, longest, todayMinutes, goalMinutes, goalMetToday, freezesAvailable, frozenDays }
+ */
+export const computeStreaks = (
+  dailyMinutes,
+  { goalMinutes = DEFAULT_DAILY_GOAL_MINUTES, freezesEnabled = true } = {},
+  now = new Date()
+) => {
+  const todayKey = toDayKey(now);
+  const todayMinutes = dailyMinutes.get(todayKey) || 0;
+  const summary = {
+    current: 0,
+    longest: 0,
+    todayMinutes,
+    goalMinutes,
+    goalMetToday: todayMinutes >= goalMinutes,
+    freezesAvailable: 0,
+    frozenDays: []
+  };
+
+  const start = firstDay(dailyMinutes);
+  if (!start) return summary;
+
+  let goalDays = 0;
+  for (let day = new Date(`${start}T00:00:00`); day <= now; day = addCalendarDays(day, 1)) {
+    const key = toDayKey(day);
+
+    if ((dailyMinutes.get(key) || 0) >= goalMinutes) {
+      summary.current += 1;
+      goalDays += 1;
+      if (freezesEnabled && goalDays % FREEZE_EARN_DAYS === 0) {
+        summary.freezesAvailable = Math.min(MAX_BANKED_FREEZES, summary.freezesAvailable + 1);
+      }
+    } else if (key === todayKey) {
+      break;
+    } else if (summary.current > 0 && summary.freezesAvailable > 0) {
+      summary.freezesAvailable -= 1;
+      summary.frozenDays.push(key);
+    } else {
+      summary.current = 0;
+    }
+
+    summary.longest = Math.max(summary.longest, summary.current);
+  }
+
+  return summary;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * How evenly study time is spread over recent days, from 0 (everything on
+ * one day) to 1 (the same minutes every day). Days before the first recorded
+ * day are ignored, and today only counts once something is recorded.
+ * @param {Map} dailyMinutes - From getDailyMinutes
+ * @param {Date} now - Current time
+ * @param {number} windowDays - Number of recent days considered
+ * @returns {number} - Consistency score (0-1)
+ */
+export const computeConsistencyScore = (dailyMinutes, now = new Date(), windowDays = CONSISTENCY_WINDOW_DAYS) => {
+  const start = firstDay(dailyMinutes);
+  if (!start) return 0;
+
+  const today = startOfDay(now);
+  const last = dailyMinutes.get(toDayKey(today)) ? today : addCalendarDays(today, -1);
+  const earliest = new Date(`${start}T00:00:00`);
+  const windowStart = addCalendarDays(last, -(windowDays - 1));
+
+  const minutes = [];
+  for (let day = earliest > windowStart ? earliest : windowStart; day <= last; day = addCalendarDays(day, 1)) {
+    minutes.push(dailyMinutes.get(toDayKey(day)) || 0);
+  }
+
+  const total = minutes.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return 0;
+  if (minutes.length === 1) return 1;
+
+  // Coefficient of variation, which is at most sqrt(n - 1) for n days
+  const mean = total / minutes.length;
+  const variance = minutes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / minutes.length;
+  const variation = Math.sqrt(variance) / mean;
+
+  return Math.round((1 - variation / Math.sqrt(minutes.length - 1)) * 100) / 100;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return user data with studyStreak, longestStreak and the streak summary
+ * (performance.streak) plus habits.consistencyScore derived from the
+ * completion history. Without history the stored values are kept.
+ * @param {Object} userData - User data with preferences and habits
+ * @param {Object} options - { now }
+ * @returns {Object} - User data with derived streak and consistency
+ */
+export const withStreaks = (userData, { now = new Date() } = {}) => {
+  if (!userData || !userData.habits || !(userData.habits.completionHistory || []).length) {
+    return userData;
+  }
+
+  const dailyMinutes = getDailyMinutes(userData.habits.completionHistory);
+  const streak = computeStreaks(dailyMinutes, {
+    goalMinutes: userData.preferences?.dailyGoalMinutes || DEFAULT_DAILY_GOAL_MINUTES,
+    freezesEnabled: userData.preferences?.streakFreezes !== false
+  }, now);
+
+  return {
+    ...userData,
+    performance: {
+      ...userData.performance,
+      studyStreak: streak.current,
+      longestStreak: streak.longest,
+      streak
+    },
+    habits: {
+      ...userData.habits,
+      consistencyScore: computeConsistencyScore(dailyMinutes, now)
+    }
+  };
+};
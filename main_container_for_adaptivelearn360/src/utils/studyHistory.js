@@ -0,0 +1,183 @@
+/**
+ * Per-session study history for AdaptiveLearn360
+ *
+ * Every study session is stored as its own record:
+ *   { id, startTime, endTime, duration, subject, itemIds, focusRating, interruptions }
+ * Times are ISO strings, duration is in minutes, focusRating is 1-5 or null
+ * and interruptions are { reason, start, end }. Daily rollups in the old
+ * completionHistory shape are derived from these records, grouped by the
+ * learner's local calendar day.
+ */
+import { toDayKey, startOfDay, addCalendarDays } from './dateUtils';
+
+const MINUTE_MS = 60 * 1000;
+
+let sessionCounter = 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Build a session record from what the caller knows about a session.
+ * Without times, the session is taken to have just ended.
+ * @param {Object} session - { duration, startTime?, endTime?, subject?, itemIds?, focusRating?, interruptions? }
+ * @param {Date} now - Current time
+ * @returns {Object} - Session record
+ */
+export const createSessionRecord = (session, now = new Date()) => {
+  const duration = Math.max(0, Math.round(session.duration || 0));
+  const endTime = session.endTime
+    ? new Date(session.endTime)
+    : session.startTime
+      ? new Date(new Date(session.startTime).getTime() + duration * MINUTE_MS)
+      : now;
+  const startTime = session.startTime
+    ? new Date(session.startTime)
+    : new Date(endTime.getTime() - duration * MINUTE_MS);
+
+  sessionCounter += 1;
+  return {
+    id: session.id || `session-${endTime.getTime()}-${sessionCounter}`,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    duration,
+    subject: session.subject || null,
+    itemIds: Array.isArray(session.itemIds) ? [...session.itemIds] : [],
+    focusRating: Number.isFinite(session.focusRating) ? session.focusRating : null,
+    interruptions: Array.isArray(session.interruptions) ? session.interruptions : []
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check that a session record has every field the derivations rely on
+ * @param {Object} record - Session record
+ * @returns {boolean} - Whether the record is usable
+ */
+export const isValidSessionRecord = (record) =>
+  Boolean(record) &&
+  typeof record.id === 'string' &&
+  !Number.isNaN(new Date(record.startTime).getTime()) &&
+  !Number.isNaN(new Date(record.endTime).getTime()) &&
+  Number.isFinite(record.duration) &&
+  Array.isArray(record.itemIds) &&
+  Array.isArray(record.interruptions);
+
+// PUBLIC_INTERFACE
+/**
+ * Roll session records up into one completion history entry per local day
+ * @param {Array} sessions - Session records
+ * @returns {Array} - [{ date, sessionsCompleted, duration }] sorted by date
+ */
+export const rollupSessionsByDay = (sessions) => {
+  const days = {};
+  (sessions || []).forEach(session => {
+    const date = toDayKey(session.startTime);
+    const day = days[date] || { date, sessionsCompleted: 0, duration: 0 };
+    day.sessionsCompleted += 1;
+    day.duration += session.duration;
+    days[date] = day;
+  });
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Add up completion history entries that fall on the same day
+const mergeDailyRollups = (...histories) => {
+  const days = {};
+  histories.flat().forEach(entry => {
+    const day = days[entry.date] || { date: entry.date, sessionsCompleted: 0, duration: 0 };
+    day.sessionsCompleted += entry.sessionsCompleted;
+    day.duration += entry.duration;
+    days[entry.date] = day;
+  });
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sessions that started within [start, end), oldest first
+ * @param {Array} sessions - Session records
+ * @param {Object} range - { start, end } as Dates or ISO strings
+ * @returns {Array} - Matching session records
+ */
+export const querySessions = (sessions, { start, end }) => {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  return (sessions || [])
+    .filter(session => {
+      const time = new Date(session.startTime).getTime();
+      return time >= from && time < to;
+    })
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Local calendar range of the week (Monday to Sunday) or month containing a date
+ * @param {string} period - 'week' or 'month'
+ * @param {Date} anchor - Any date in the period
+ * @returns {Object} - { start, end } with end exclusive
+ */
+export const getPeriodRange = (period, anchor = new Date()) => {
+  if (period === 'month') {
+    const start = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    return { start, end: new Date(anchor.getFullYear(), anchor.getMonth() + 1, 1) };
+  }
+
+  const start = startOfDay(anchor);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return { start, end: addCalendarDays(start, 7) };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Summarize the sessions in a date range, with an entry for every day
+ * @param {Array} sessions - Session records
+ * @param {Object} range - { start, end } from getPeriodRange or any local-day range
+ * @returns {Object} - { start, end, sessions, days, totalDuration, sessionCount, averageFocusRating }
+ */
+export const summarizeSessionRange = (sessions, range) => {
+  const inRange = querySessions(sessions, range);
+  const rollups = new Map(rollupSessionsByDay(inRange).map(day => [day.date, day]));
+
+  const days = [];
+  for (let day = startOfDay(range.start); day < new Date(range.end); day = addCalendarDays(day, 1)) {
+    const date = toDayKey(day);
+    days.push(rollups.get(date) || { date, sessionsCompleted: 0, duration: 0 });
+  }
+
+  const rated = inRange.filter(session => session.focusRating !== null);
+  return {
+    start: new Date(range.start).toISOString(),
+    end: new Date(range.end).toISOString(),
+    sessions: inRange,
+    days,
+    totalDuration: inRange.reduce((sum, session) => sum + session.duration, 0),
+    sessionCount: inRange.length,
+    averageFocusRating: rated.length > 0
+      ? Math.round((rated.reduce((sum, session) => sum + session.focusRating, 0) / rated.length) * 10) / 10
+      : null
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return user data whose completionHistory is derived from the session
+ * records, added to any daily totals stored before sessions were recorded
+ * @param {Object} userData - User data with habits and studySessions
+ * @returns {Object} - User data with a derived completionHistory
+ */
+export const withSessionHistory = (userData) => {
+  if (!userData || !userData.habits) return userData;
+  const sessions = userData.studySessions || [];
+  if (sessions.length === 0) return userData;
+
+  return {
+    ...userData,
+    habits: {
+      ...userData.habits,
+      completionHistory: mergeDailyRollups(
+        userData.habits.completionHistory || [],
+        rollupSessionsByDay(sessions)
+      )
+    }
+  };
+};
@@ -0,0 +1,155 @@
+/**
+ * Learn preferred study times from recorded sessions in AdaptiveLearn360
+ *
+ * A period's score combines how often the learner studies then with how
+ * well they do then (quiz scores and focus ratings). Every observation's
+ * weight halves every halfLifeDays. Scores start from the stored
+ * habits.preferredStudyTime and move towards the learned values as
+ * sessions accumulate; each weekday starts from the learned overall scores.
+ */
+import { STUDY_PERIOD_HOURS, getStudyPeriod } from './calendarSlots';
+import { DAY_MS } from './dateUtils';
+
+const PERIODS = Object.keys(STUDY_PERIOD_HOURS);
+
+// Neutral performance for a period with no scores or ratings yet
+const NEUTRAL_PERFORMANCE = 0.5;
+
+// How many (full-weight) sessions the prior scores are worth
+const PRIOR_STRENGTH = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Decayed weight of an observation made at a given time
+const recencyWeight = (time, now, halfLifeDays) =>
+  Math.pow(0.5, Math.max(0, (now - new Date(time)) / DAY_MS) / halfLifeDays);
+
+// Weighted study frequency and performance per period for a set of observations
+const tallyPeriods = (sessions, attempts, now, halfLifeDays) => {
+  const tally = {};
+  PERIODS.forEach(period => {
+    tally[period] = { frequency: 0, performanceWeight: 0, performance: 0 };
+  });
+
+  sessions.forEach(session => {
+    const entry = tally[getStudyPeriod(session.startTime)];
+    const weight = recencyWeight(session.startTime, now, halfLifeDays);
+    entry.frequency += weight;
+
+    // A focus rating of 1-5 counts as performance from 0 to 1
+    if (Number.isFinite(session.focusRating)) {
+      entry.performance += ((session.focusRating - 1) / 4) * weight;
+      entry.performanceWeight += weight;
+    }
+  });
+
+  attempts.forEach(attempt => {
+    const entry = tally[getStudyPeriod(attempt.timestamp)];
+    const weight = recencyWeight(attempt.timestamp, now, halfLifeDays);
+    entry.performance += (attempt.score / 100) * weight;
+    entry.performanceWeight += weight;
+  });
+
+  return tally;
+};
+
+// Turn a tally into scores, shrunk towards the prior when evidence is thin
+const scoreTally = (tally, prior) => {
+  const totalFrequency = PERIODS.reduce((sum, period) => sum + tally[period].frequency, 0);
+  const highestFrequency = Math.max(...PERIODS.map(period => tally[period].frequency));
+  if (highestFrequency === 0) return { ...prior };
+
+  return PERIODS.reduce((scores, period) => {
+    const { frequency, performance, performanceWeight } = tally[period];
+    const averagePerformance = performanceWeight > 0 ? performance / performanceWeight : NEUTRAL_PERFORMANCE;
+
+    // Relative frequency (0-1), scaled down by up to half for poor results
+    const learned = (frequency / highestFrequency) * (0.5 + 0.5 * averagePerformance);
+    const priorScore = Number.isFinite(prior[period]) ? prior[period] : 0.5;
+
+    return {
+      ...scores,
+      [period]: round2((priorScore * PRIOR_STRENGTH + learned * totalFrequency) / (PRIOR_STRENGTH + totalFrequency))
+    };
+  }, {});
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Learn study-time preference scores overall and per weekday
+ * @param {Array} sessions - Session records (userData.studySessions)
+ * @param {Array} attempts - Attempt records
+ * @param {Object} prior - Scores to start from, e.g. the stored preferredStudyTime
+ * @param {Object} options - { now, halfLifeDays }
+ * @returns {Object} - { overall, byWeekday } where byWeekday is keyed 0 (Sunday) to 6
+ */
+export const learnPreferredStudyTime = (sessions, attempts, prior = {}, { now = new Date(), halfLifeDays = 14 } = {}) => {
+  const validSessions = (sessions || []).filter(session => !Number.isNaN(new Date(session.startTime).getTime()));
+  const validAttempts = (attempts || []).filter(attempt =>
+    Number.isFinite(attempt.score) && !Number.isNaN(new Date(attempt.timestamp).getTime())
+  );
+
+  const overall = scoreTally(tallyPeriods(validSessions, validAttempts, now, halfLifeDays), prior);
+
+  const byWeekday = {};
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const onWeekday = (time) => new Date(time).getDay() === weekday;
+    byWeekday[weekday] = scoreTally(
+      tallyPeriods(
+        validSessions.filter(session => onWeekday(session.startTime)),
+        validAttempts.filter(attempt => onWeekday(attempt.timestamp)),
+        now,
+        halfLifeDays
+      ),
+      overall
+    );
+  }
+
+  return { overall, byWeekday };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Study-time scores to use on a given weekday
+ * @param {Object} habits - User habits (with learned scores when available)
+ * @param {number} dayOfWeek - 0 (Sunday) to 6; omit for the overall scores
+ * @returns {Object} - Score per period
+ */
+export const getStudyTimeScores = (habits, dayOfWeek) => {
+  const byWeekday = habits?.preferredStudyTimeByWeekday;
+  if (byWeekday && dayOfWeek !== undefined && byWeekday[dayOfWeek]) {
+    return byWeekday[dayOfWeek];
+  }
+  return habits?.preferredStudyTime || {};
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return user data whose preferredStudyTime is learned from its session
+ * records, with a per-weekday breakdown in preferredStudyTimeByWeekday.
+ * Without sessions the stored scores are returned unchanged.
+ * @param {Object} userData - User data with habits, studySessions and attempts
+ * @param {Object} options - Passed to learnPreferredStudyTime
+ * @returns {Object} - User data with learned study-time scores
+ */
+export const withLearnedStudyTimes = (userData, options) => {
+  if (!userData || !userData.habits || !(userData.studySessions || []).length) {
+    return userData;
+  }
+
+  const { overall, byWeekday } = learnPreferredStudyTime(
+    userData.studySessions,
+    userData.attempts,
+    userData.habits.preferredStudyTime,
+    options
+  );
+
+  return {
+    ...userData,
+    habits: {
+      ...userData.habits,
+      preferredStudyTime: overall,
+      preferredStudyTimeByWeekday: byWeekday
+    }
+  };
+};
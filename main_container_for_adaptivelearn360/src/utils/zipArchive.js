@@ -0,0 +1,108 @@
+/**
+ * Minimal ZIP archive reader for AdaptiveLearn360
+ *
+ * Reads the central directory and extracts stored or deflated entries,
+ * using the browser's DecompressionStream for deflate. ZIP64, encryption
+ * and multi-part archives are not supported.
+ */
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// PUBLIC_INTERFACE
+/**
+ * Error thrown when an archive cannot be read
+ */
+export class ZipArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipArchiveError';
+  }
+}
+
+// The end-of-directory record sits in the last 64 KiB (its comment is at most 65535 bytes)
+const findEndOfDirectory = (view) => {
+  const earliest = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= earliest; offset--) {
+    if (view.getUint32(offset, true) === END_OF_DIRECTORY) return offset;
+  }
+  throw new ZipArchiveError('File is not a ZIP archive');
+};
+
+const inflateRaw = async (bytes) => {
+  const stream = new DecompressionStream('deflate-raw');
+  const writer = stream.writable.getWriter();
+  // Failures surface on the readable side
+  writer.write(bytes).then(() => writer.close()).catch(() => {});
+
+  const chunks = [];
+  const reader = stream.readable.getReader();
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    chunks.push(chunk.value);
+  }
+
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    output.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return output;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Open a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} data - Archive bytes
+ * @returns {Object} - { names, has(name), read(name) } where read resolves
+ *   to the entry's bytes as a Uint8Array
+ * @throws {ZipArchiveError} - If the data is not a readable archive
+ */
+export const openZipArchive = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  const end = findEndOfDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const entries = new Map();
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== DIRECTORY_ENTRY) {
+      throw new ZipArchiveError('ZIP archive directory is damaged');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      headerOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  const read = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new ZipArchiveError(`ZIP archive has no entry "${name}"`);
+
+    const header = entry.headerOffset;
+    if (view.getUint32(header, true) !== LOCAL_HEADER) {
+      throw new ZipArchiveError(`ZIP entry "${name}" is damaged`);
+    }
+    const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const content = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) return content;
+    if (entry.method === METHOD_DEFLATE) return inflateRaw(content);
+    throw new ZipArchiveError(`ZIP entry "${name}" uses an unsupported compression method (${entry.method})`);
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name),
+    read
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { DecompressionStream } from 'stream/web';
+import { TextDecoder } from 'util';
+import { openZipArchive, ZipArchiveError } from './zipArchive';
+import { FILES_ZIP } from './__fixtures__/binaryFixtures';
+
+const readText = async (archive, name) => new TextDecoder().decode(await archive.read(name));
+
+test('openZipArchive lists entries and reads stored ones', async () => {
+  const archive = openZipArchive(FILES_ZIP);
+
+  expect(archive.names).toEqual(['notes/stored.txt', 'notes/deflated.txt']);
+  expect(archive.has('notes/stored.txt')).toBe(true);
+  expect(archive.has('stored.txt')).toBe(false);
+  expect(await readText(archive, 'notes/stored.txt')).toBe('Stored as is');
+});
+
+test('openZipArchive inflates deflated entries', async () => {
+  // Browsers provide DecompressionStream; the test environment does not
+  globalThis.DecompressionStream = DecompressionStream;
+  try {
+    expect(await readText(openZipArchive(FILES_ZIP.buffer), 'notes/deflated.txt')).toBe('Squeezed '.repeat(20));
+  } finally {
+    delete globalThis.DecompressionStream;
+  }
+});
+
+test('reading a missing entry is rejected', async () => {
+  await expect(openZipArchive(FILES_ZIP).read('notes/missing.txt')).rejects.toThrow('has no entry "notes/missing.txt"');
+});
+
+test('data without an end-of-directory record is not a ZIP archive', () => {
+  expect(() => openZipArchive(new Uint8Array(64))).toThrow(ZipArchiveError);
+  expect(() => openZipArchive(FILES_ZIP.slice(0, FILES_ZIP.length - 40))).toThrow('File is not a ZIP archive');
+});
+
+test('a central directory that points at the wrong bytes is reported as damaged', () => {
+  const damaged = FILES_ZIP.slice();
+  const end = damaged.length - 22 - 'fixture archive'.length;
+  // Point the central directory at the first local header
+  new DataView(damaged.buffer).setUint32(end + 16, 0, true);
+
+  expect(() => openZipArchive(damaged)).toThrow('ZIP archive directory is damaged');
+});
+
+test('an entry whose local header is overwritten is reported as damaged', async () => {
+  const damaged = FILES_ZIP.slice();
+  damaged[0] = 0;
+
+  await expect(openZipArchive(damaged).read('notes/stored.txt')).rejects.toThrow('ZIP entry "notes/stored.txt" is damaged');
+});